@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Build a GTFS bundle for the app
+ *
+ * Downloads (or reads) each agency's GTFS zip, parses it with the app's own
+ * parser, validates it, and writes one compact bundle (see
+ * src/services/gtfs/gtfsBundle.js). Host the bundle and set GTFS_BUNDLE_URL,
+ * or import it from a file in the app, so phones never parse the raw zips.
+ *
+ * Usage:
+ *   npm run build:gtfs-bundle -- [--out gtfs-bundle.zip] [--feed <id>[=<zip path or URL>]]...
+ *
+ * Without --feed, every enabled feed in GTFS_FEEDS is downloaded from its URL.
+ * Examples:
+ *   npm run build:gtfs-bundle
+ *   npm run build:gtfs-bundle -- --feed kcm=./google_transit.zip --feed st --out dist/gtfs.zip
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { dirname, resolve } from 'node:path';
+import { register } from 'node:module';
+import JSZip from 'jszip';
+
+// App modules are written for Metro; see src-loader.mjs
+register('./src-loader.mjs', import.meta.url);
+const { GTFS_FEEDS } = await import('../src/utils/constants.js');
+const { parseFeedZip } = await import('../src/services/gtfs/feedParser.js');
+const { validateFeed, summarizeErrors } = await import('../src/services/gtfs/gtfsValidator.js');
+const { createBundle } = await import('../src/services/gtfs/gtfsBundle.js');
+
+const DEFAULT_OUTPUT = 'gtfs-bundle.zip';
+
+/**
+ * Parse command-line arguments
+ * @returns {Object} {output, sources: [{feed, source}]}
+ */
+function parseArgs(argv) {
+  let output = DEFAULT_OUTPUT;
+  const requested = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') {
+      output = argv[++i];
+    } else if (argv[i] === '--feed') {
+      const [feedId, ...source] = String(argv[++i]).split('=');
+      requested.push({ feedId, source: source.join('=') || null });
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  const sources = (
+    requested.length > 0
+      ? requested
+      : GTFS_FEEDS.filter((feed) => feed.enabled).map((feed) => ({ feedId: feed.id, source: null }))
+  ).map(({ feedId, source }) => {
+    const feed = GTFS_FEEDS.find((candidate) => candidate.id === feedId);
+    if (!feed) {
+      const known = GTFS_FEEDS.map((candidate) => candidate.id).join(', ');
+      throw new Error(`Unknown feed "${feedId}" (known: ${known})`);
+    }
+    return { feed, source: source || feed.url };
+  });
+  return { output, sources };
+}
+
+/**
+ * Read a zip from a URL or a local path
+ */
+async function readZip(source) {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} for ${source}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+  return readFile(resolve(source));
+}
+
+async function main() {
+  const { output, sources } = parseArgs(process.argv.slice(2));
+  const feeds = [];
+
+  for (const { feed, source } of sources) {
+    console.log(`🌐 Reading ${feed.name} GTFS from ${source}...`);
+    const zip = await JSZip.loadAsync(await readZip(source));
+    const result = await parseFeedZip(zip, feed);
+    const validation = validateFeed(result);
+    if (!validation.valid) {
+      throw new Error(`${feed.name} GTFS failed validation: ${summarizeErrors(validation)}`);
+    }
+    if (validation.warningCount > 0) {
+      console.warn(`⚠️ ${feed.name} GTFS has ${validation.warningCount} validation warnings`);
+    }
+    feeds.push({ feed, result, validation });
+  }
+
+  const bundle = new JSZip();
+  Object.entries(createBundle(feeds)).forEach(([path, content]) => {
+    bundle.file(path, JSON.stringify(content));
+  });
+  const data = await bundle.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 9 },
+  });
+
+  await mkdir(dirname(resolve(output)), { recursive: true });
+  await writeFile(resolve(output), data);
+  console.log(`💾 Wrote ${output} (${(data.length / (1024 * 1024)).toFixed(2)} MB)`);
+  console.log(`   Feeds: ${feeds.map(({ feed }) => feed.id).join(', ')}`);
+}
+
+main().catch((error) => {
+  console.error('❌ Could not build the GTFS bundle:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,30 @@
+/**
+ * Node module hooks for running app modules from src/ in Node scripts
+ *
+ * The app's modules are ES modules written for Metro: they import relative
+ * files without the ".js" extension and the package has no "type": "module".
+ * These hooks add the extension and load src/ files as ES modules. Only
+ * modules without React Native dependencies (e.g. the GTFS parser) can run.
+ */
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+const isRelative = (specifier) => specifier.startsWith('./') || specifier.startsWith('../');
+
+export async function resolve(specifier, context, nextResolve) {
+  if (
+    isRelative(specifier) &&
+    context.parentURL?.startsWith(SRC_URL) &&
+    !/\.[cm]?js$/.test(specifier)
+  ) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -34,6 +34,11 @@ if (Platform.OS !== 'web') {
   }
 }
 
+// Stops in view are only shown below this zoom level (degrees of latitude)
+// and capped, so panning stays smooth
+const MAX_REGION_STOPS_DELTA = 0.03;
+const MAX_REGION_STOPS = 100;
+
 // Check if we're in Expo Go (maps don't work in Expo Go)
 const isExpoGo = () => {
   try {
@@ -63,6 +68,7 @@ export default function NearbyStopsMap({ radiusMeters = 500, onStopPress }) {
   const [error, setError] = useState(null);
   const [mapReady, setMapReady] = useState(false);
   const [mapInitialized, setMapInitialized] = useState(false);
+  const [regionStops, setRegionStops] = useState([]);
 
   // ALL useEffect hooks must be declared before any conditional returns
   // First useEffect: Initialize map ready state
@@ -197,21 +203,15 @@ export default function NearbyStopsMap({ radiusMeters = 500, onStopPress }) {
 
       // Ensure GTFS is loaded
       await metroService.initialize();
-      const allStops = metroService.stops || [];
 
-      if (!allStops || allStops.length === 0) {
+      if (!metroService.stops || metroService.stops.length === 0) {
         console.warn('No stops available from GTFS');
         setNearbyStops([]);
         return;
       }
 
       // Find nearby stops
-      const stops = locationService.findNearbyStops(
-        lat,
-        lon,
-        allStops,
-        radiusMeters
-      );
+      const stops = metroService.getStopsNear(lat, lon, radiusMeters);
 
       setNearbyStops(stops || []);
     } catch (err) {
@@ -220,6 +220,31 @@ export default function NearbyStopsMap({ radiusMeters = 500, onStopPress }) {
     }
   };
 
+  // Show the other stops in view once the map is zoomed in far enough
+  const handleRegionChange = (visibleRegion) => {
+    try {
+      if (!visibleRegion || visibleRegion.latitudeDelta > MAX_REGION_STOPS_DELTA) {
+        setRegionStops([]);
+        return;
+      }
+
+      const nearbyIds = new Set(nearbyStops.map((stop) => stop.stop_id));
+      const stops = metroService
+        .getStopsInBounds({
+          minLat: visibleRegion.latitude - visibleRegion.latitudeDelta / 2,
+          maxLat: visibleRegion.latitude + visibleRegion.latitudeDelta / 2,
+          minLon: visibleRegion.longitude - visibleRegion.longitudeDelta / 2,
+          maxLon: visibleRegion.longitude + visibleRegion.longitudeDelta / 2,
+        })
+        .filter((stop) => !nearbyIds.has(stop.stop_id))
+        .slice(0, MAX_REGION_STOPS);
+      setRegionStops(stops);
+    } catch (err) {
+      console.error('Error finding stops in view:', err);
+      setRegionStops([]);
+    }
+  };
+
   // Check platform first - web doesn't support maps
   if (Platform.OS === 'web' || !MapView || !mapsAvailable) {
     const inExpoGo = isExpoGo();
@@ -383,6 +408,7 @@ export default function NearbyStopsMap({ radiusMeters = 500, onStopPress }) {
         rotateEnabled={false}
         scrollEnabled={true}
         zoomEnabled={true}
+        onRegionChangeComplete={handleRegionChange}
         onMapReady={() => {
           console.log('✅ Map loaded successfully');
           setMapInitialized(true);
@@ -451,6 +477,20 @@ export default function NearbyStopsMap({ radiusMeters = 500, onStopPress }) {
           return null;
         }
       })}
+
+      {/* Other stops in view, drawn lighter than the nearby ones */}
+      {mapInitialized && regionStops.map((stop) => (
+        <Marker
+          key={`region-${stop.stop_id}`}
+          coordinate={{
+            latitude: parseFloat(stop.stop_lat),
+            longitude: parseFloat(stop.stop_lon),
+          }}
+          title={stop.stop_name || 'Unknown Stop'}
+          pinColor="#9CA3AF"
+          onPress={() => onStopPress && onStopPress(stop)}
+        />
+      ))}
       </MapView>
     );
   } catch (error) {
@@ -1,6 +1,7 @@
 /**
  * RouteMap Component
  * Displays a route on a map with all stops
+ * Draws the route's shapes.txt geometry when available, otherwise joins stops
  * Based on ROADMAP.md Phase 3.3
  */
 
@@ -38,11 +39,13 @@ if (Platform.OS !== 'web') {
  * @param {string} routeId - Route ID
  * @param {Array} stops - Array of stops on the route
  * @param {Object} route - Route object with details
+ * @param {string} shapeId - Shape of the selected pattern; other shapes are drawn faded
  */
-export default function RouteMap({ routeId, stops = [], route }) {
+export default function RouteMap({ routeId, stops = [], route, shapeId = null }) {
   const [mapReady, setMapReady] = useState(false);
   const [mapInitialized, setMapInitialized] = useState(false);
   const [region, setRegion] = useState(null);
+  const [shapes, setShapes] = useState([]);
 
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -61,6 +64,23 @@ export default function RouteMap({ routeId, stops = [], route }) {
     }
   }, [stops]);
 
+  useEffect(() => {
+    let isMounted = true;
+    // Shapes are read from the GTFS store on demand
+    metroService
+      .getShapesForRoute(routeId || route?.route_id)
+      .then((routeShapes) => {
+        if (isMounted) setShapes(routeShapes);
+      })
+      .catch((error) => {
+        console.error('Error loading route shapes:', error);
+        if (isMounted) setShapes([]);
+      });
+    return () => {
+      isMounted = false;
+    };
+  }, [routeId, route]);
+
   const calculateRegion = () => {
     if (!stops || stops.length === 0) return;
 
@@ -186,8 +206,21 @@ export default function RouteMap({ routeId, stops = [], route }) {
             console.error('❌ Route map error:', error);
           }}
         >
-        {/* Route polyline */}
-        {mapInitialized && routeCoordinates.length > 1 && (
+        {/* Route shapes (one per distinct path, e.g. each direction) */}
+        {mapInitialized &&
+          shapes.map((shape) => (
+            <Polyline
+              key={`shape-${shape.shapeId}`}
+              coordinates={shape.coordinates}
+              strokeColor={!shapeId || shape.shapeId === shapeId ? '#1E3A8A' : '#93C5FD'}
+              strokeWidth={!shapeId || shape.shapeId === shapeId ? 4 : 2}
+              lineCap="round"
+              lineJoin="round"
+            />
+          ))}
+
+        {/* Route polyline through stops (fallback when the feed has no shapes) */}
+        {mapInitialized && shapes.length === 0 && routeCoordinates.length > 1 && (
           <Polyline
             coordinates={routeCoordinates}
             strokeColor="#1E3A8A"
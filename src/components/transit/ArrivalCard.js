@@ -29,8 +29,10 @@ export default function ArrivalCard({ arrival, onPress }) {
     scheduledArrivalTime,
     predictedArrivalTime,
     predicted,
+    source,
     minutesUntilArrival,
     delayMinutes,
+    headwayMinutes,
     reliability,
   } = arrival;
 
@@ -76,6 +78,22 @@ export default function ArrivalCard({ arrival, onPress }) {
               Scheduled: {format(new Date(scheduledArrivalTime), 'h:mm a')}
             </Text>
           )}
+          {/* Computed from the GTFS schedule while real-time data is unavailable */}
+          {source === 'scheduled' && (
+            <View style={styles.scheduleOnly}>
+              <Ionicons name="calendar-outline" size={12} color="#9CA3AF" />
+              <Text style={styles.scheduledTime}>
+                Schedule only · {format(arrivalTime, 'h:mm a')}
+              </Text>
+            </View>
+          )}
+          {/* Routes that run on a headway (GTFS frequencies.txt) */}
+          {headwayMinutes > 0 && (
+            <View style={styles.scheduleOnly}>
+              <Ionicons name="repeat-outline" size={12} color="#3B82F6" />
+              <Text style={styles.headwayText}>Every {headwayMinutes} min</Text>
+            </View>
+          )}
         </View>
 
         {/* Delay indicator */}
@@ -197,6 +215,16 @@ const styles = StyleSheet.create({
     fontSize: 12,
     color: '#9CA3AF',
   },
+  scheduleOnly: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  headwayText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#3B82F6',
+  },
   delayBadge: {
     paddingHorizontal: 8,
     paddingVertical: 4,
@@ -0,0 +1,261 @@
+/**
+ * FeedChangeReport Component
+ * Shows what changed in the last GTFS update (service change day)
+ * Flags saved commutes that use a changed route or stop
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { format } from 'date-fns';
+
+// Items listed per section before collapsing into "and N more"
+const MAX_ITEMS_PER_SECTION = 8;
+
+const routeLabel = (route) =>
+  [route.routeShortName, route.routeLongName].filter(Boolean).join(' - ') || route.routeId;
+
+const stopLabel = (stop) =>
+  stop.stopCode ? `${stop.stopName} (#${stop.stopCode})` : stop.stopName || stop.stopId;
+
+/**
+ * One titled list of changes
+ */
+function ChangeSection({ icon, color, title, items, renderItem }) {
+  if (!items || items.length === 0) {
+    return null;
+  }
+
+  const shown = items.slice(0, MAX_ITEMS_PER_SECTION);
+  return (
+    <View style={styles.section}>
+      <View style={styles.sectionHeader}>
+        <Ionicons name={icon} size={16} color={color} />
+        <Text style={styles.sectionTitle}>
+          {title} ({items.length})
+        </Text>
+      </View>
+      {shown.map((item, index) => (
+        <Text key={index} style={styles.itemText} numberOfLines={2}>
+          • {renderItem(item)}
+        </Text>
+      ))}
+      {items.length > shown.length && (
+        <Text style={styles.moreText}>and {items.length - shown.length} more</Text>
+      )}
+    </View>
+  );
+}
+
+/**
+ * FeedChangeReport - Service change summary
+ * @param {Object} report - Report from metroService.getChangeReport()
+ * @param {Array} affectedCommutes - Result of findAffectedCommutes()
+ */
+export default function FeedChangeReport({ report, affectedCommutes = [] }) {
+  if (!report || !Array.isArray(report.feeds) || report.feeds.length === 0) {
+    return (
+      <View style={styles.emptyState}>
+        <Ionicons name="checkmark-circle" size={48} color="#10B981" />
+        <Text style={styles.emptyStateText}>No schedule changes recorded</Text>
+        <Text style={styles.emptyStateSubtext}>
+          Changes appear here after a new schedule is downloaded
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View>
+      <Text style={styles.generatedText}>
+        Schedule update from {format(new Date(report.generatedAt), 'MMM d, yyyy')}
+      </Text>
+
+      {affectedCommutes.length > 0 && (
+        <View style={[styles.card, styles.commuteCard]}>
+          <View style={styles.sectionHeader}>
+            <Ionicons name="warning" size={18} color="#B45309" />
+            <Text style={styles.commuteTitle}>Your saved commutes are affected</Text>
+          </View>
+          {affectedCommutes.map(({ commute, routes, stops }) => (
+            <View key={commute.id} style={styles.commuteRow}>
+              <Text style={styles.commuteName}>{commute.name || 'Commute'}</Text>
+              {routes.map((route) => (
+                <Text key={route.routeId} style={styles.itemText}>
+                  • Route {route.routeShortName || route.routeId}: {route.reason}
+                </Text>
+              ))}
+              {stops.map((stop) => (
+                <Text key={stop.stopId} style={styles.itemText}>
+                  • {stop.stopName || `Stop ${stop.stopId}`}: {stop.reason}
+                </Text>
+              ))}
+            </View>
+          ))}
+        </View>
+      )}
+
+      {report.feeds.map(({ feedId, feedName, feedVersion, changes }) => (
+        <View key={feedId} style={styles.card}>
+          <Text style={styles.feedName}>{feedName}</Text>
+          {feedVersion && <Text style={styles.feedVersion}>Version {feedVersion}</Text>}
+
+          <ChangeSection
+            icon="add-circle"
+            color="#10B981"
+            title="New routes"
+            items={changes.routes.added}
+            renderItem={routeLabel}
+          />
+          <ChangeSection
+            icon="remove-circle"
+            color="#EF4444"
+            title="Discontinued routes"
+            items={changes.routes.removed}
+            renderItem={routeLabel}
+          />
+          <ChangeSection
+            icon="create"
+            color="#3B82F6"
+            title="Renamed routes"
+            items={changes.routes.renamed}
+            renderItem={(route) => `${routeLabel(route.previous)} → ${routeLabel(route)}`}
+          />
+          <ChangeSection
+            icon="navigate"
+            color="#3B82F6"
+            title="Destination changes"
+            items={changes.headsigns}
+            renderItem={(route) =>
+              `Route ${route.routeShortName || route.routeId}: ` +
+              [
+                ...route.added.map((headsign) => `+ ${headsign}`),
+                ...route.removed.map((headsign) => `− ${headsign}`),
+              ].join(', ')
+            }
+          />
+          <ChangeSection
+            icon="close-circle"
+            color="#EF4444"
+            title="Closed stops"
+            items={changes.stops.removed}
+            renderItem={stopLabel}
+          />
+          <ChangeSection
+            icon="move"
+            color="#F59E0B"
+            title="Moved stops"
+            items={changes.stops.moved}
+            renderItem={(stop) => `${stopLabel(stop)} moved ${stop.distanceMeters} m`}
+          />
+          <ChangeSection
+            icon="create"
+            color="#3B82F6"
+            title="Renamed stops"
+            items={changes.stops.renamed}
+            renderItem={(stop) => `${stop.previousName} → ${stop.stopName}`}
+          />
+          <ChangeSection
+            icon="location"
+            color="#10B981"
+            title="New stops"
+            items={changes.stops.added}
+            renderItem={stopLabel}
+          />
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  generatedText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginBottom: 12,
+  },
+  card: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginBottom: 12,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  commuteCard: {
+    backgroundColor: '#FFFBEB',
+    borderWidth: 1,
+    borderColor: '#FCD34D',
+  },
+  commuteTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#92400E',
+    marginLeft: 6,
+  },
+  commuteRow: {
+    marginTop: 8,
+  },
+  commuteName: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+    marginBottom: 2,
+  },
+  feedName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  feedVersion: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  section: {
+    marginTop: 12,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#374151',
+    marginLeft: 6,
+  },
+  itemText: {
+    fontSize: 13,
+    color: '#111827',
+    marginLeft: 4,
+    marginTop: 2,
+  },
+  moreText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginLeft: 4,
+    marginTop: 2,
+  },
+  emptyState: {
+    padding: 40,
+    alignItems: 'center',
+  },
+  emptyStateText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+    marginTop: 12,
+    textAlign: 'center',
+  },
+  emptyStateSubtext: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+});
@@ -0,0 +1,157 @@
+/**
+ * FeedImportButton Component
+ * Loads schedule data from a GTFS zip (or prebuilt GTFS bundle) the user
+ * picks, for web builds, kiosks and offline devices that cannot download feeds
+ * Uses the document picker on native and a file input on web
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import metroService from '../../services/gtfs/metroService';
+
+// Lazy load expo-document-picker - only on native platforms
+let DocumentPicker = null;
+if (Platform.OS !== 'web') {
+  try {
+    DocumentPicker = require('expo-document-picker');
+  } catch (error) {
+    console.warn('⚠️ expo-document-picker not available:', error.message);
+  }
+}
+
+/**
+ * Ask the user for a zip file
+ * @returns {Promise<Object|null>} {name, data} with data as an ArrayBuffer, or null if cancelled
+ */
+async function pickZipFile() {
+  if (Platform.OS === 'web') {
+    return new Promise((resolve, reject) => {
+      const input = document.createElement('input');
+      input.type = 'file';
+      input.accept = '.zip,application/zip';
+      input.addEventListener('cancel', () => resolve(null));
+      input.addEventListener('change', () => {
+        const file = input.files && input.files[0];
+        if (!file) {
+          resolve(null);
+          return;
+        }
+        file
+          .arrayBuffer()
+          .then((data) => resolve({ name: file.name, data }))
+          .catch(reject);
+      });
+      input.click();
+    });
+  }
+
+  if (!DocumentPicker) {
+    throw new Error('Picking files is not available on this device');
+  }
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ['application/zip', 'application/x-zip-compressed'],
+    copyToCacheDirectory: true,
+  });
+  if (result.canceled || !result.assets || result.assets.length === 0) {
+    return null;
+  }
+  const asset = result.assets[0];
+  const response = await fetch(asset.uri);
+  return { name: asset.name, data: await response.arrayBuffer() };
+}
+
+/**
+ * FeedImportButton - Pick and import a GTFS zip
+ * @param {Function} onImported - Called with the import summaries after a successful import
+ */
+export default function FeedImportButton({ onImported }) {
+  const [importing, setImporting] = useState(false);
+  const [message, setMessage] = useState(null); // {text, isError}
+
+  const handlePress = async () => {
+    try {
+      const file = await pickZipFile();
+      if (!file) return;
+
+      setImporting(true);
+      setMessage(null);
+      const summaries = await metroService.importFeedZip(file.data, { fileName: file.name });
+      const feedNames = summaries.map((summary) => summary.feedName).join(', ');
+      const routeCount = summaries.reduce((total, summary) => total + summary.routes, 0);
+      // Without SQLite the imported schedules are kept in memory only
+      const untilReload = Platform.OS === 'web' ? ' (until the page reloads)' : '';
+      setMessage({
+        text: `Imported ${feedNames}: ${routeCount} routes${untilReload}`,
+        isError: false,
+      });
+      if (onImported) {
+        onImported(summaries);
+      }
+    } catch (error) {
+      console.error('Error importing GTFS zip:', error);
+      setMessage({ text: error.message || 'Could not import this file', isError: true });
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity style={styles.button} onPress={handlePress} disabled={importing}>
+        {importing ? (
+          <ActivityIndicator size="small" color="#3B82F6" />
+        ) : (
+          <Ionicons name="document-attach-outline" size={18} color="#3B82F6" />
+        )}
+        <Text style={styles.buttonText}>
+          {importing ? 'Importing schedule...' : 'Import GTFS zip from a file'}
+        </Text>
+      </TouchableOpacity>
+      {message && (
+        <Text style={[styles.message, message.isError && styles.messageError]}>
+          {message.text}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 16,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#BFDBFE',
+    backgroundColor: '#EFF6FF',
+  },
+  buttonText: {
+    marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#1E3A8A',
+  },
+  message: {
+    marginTop: 8,
+    fontSize: 13,
+    color: '#059669',
+    textAlign: 'center',
+  },
+  messageError: {
+    color: '#DC2626',
+  },
+});
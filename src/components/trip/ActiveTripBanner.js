@@ -0,0 +1,136 @@
+/**
+ * ActiveTripBanner Component
+ * Shows the trip a rider has started with live leg times, and the
+ * alternatives offered when a delay or service alert breaks it
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { format } from 'date-fns';
+import TripOptionCard from './TripOptionCard';
+
+const STATUS_DISPLAY = {
+  on_track: { icon: '🟢', text: 'On track', color: '#10B981' },
+  at_risk: { icon: '🚨', text: 'Transfer at risk', color: '#F59E0B' },
+  disrupted: { icon: '🚧', text: 'Service disruption', color: '#EF4444' },
+  arrived: { icon: '🏁', text: 'Arrived', color: '#3B82F6' },
+};
+
+/**
+ * ActiveTripBanner - Shows the monitored trip and its alternatives
+ * @param {Object} tripState - State from activeTripMonitor.getState()
+ * @param {Function} onSelectAlternative - Callback with the alternative itinerary chosen
+ * @param {Function} onEndTrip - Callback when the rider ends the trip
+ */
+export default function ActiveTripBanner({ tripState, onSelectAlternative, onEndTrip }) {
+  if (!tripState) {
+    return null;
+  }
+
+  const { itinerary, status, legs, problem, alternatives, lastChecked } = tripState;
+  const display = STATUS_DISPLAY[status] || STATUS_DISPLAY.on_track;
+  // The leg being ridden, or the next one to board
+  const currentLeg = legs.find((live) => live.phase !== 'done');
+  const leg = currentLeg ? itinerary.legs[currentLeg.legIndex] : null;
+
+  return (
+    <View style={[styles.container, { borderLeftColor: display.color }]}>
+      <View style={styles.header}>
+        <Text style={styles.title}>
+          {display.icon} {display.text}
+        </Text>
+        <TouchableOpacity onPress={onEndTrip} style={styles.endButton}>
+          <Text style={styles.endButtonText}>End trip</Text>
+        </TouchableOpacity>
+      </View>
+
+      {leg && currentLeg && (
+        <Text style={styles.legInfo}>
+          Route {leg.routeShortName || leg.routeId} ·{' '}
+          {currentLeg.phase === 'riding'
+            ? `arriving ${format(new Date(currentLeg.predictedEndTime), 'h:mm a')}`
+            : `departs ${format(new Date(currentLeg.predictedStartTime), 'h:mm a')}`}
+          {currentLeg.predicted && currentLeg.delayMinutes !== 0
+            ? ` (${currentLeg.delayMinutes > 0 ? '+' : ''}${currentLeg.delayMinutes} min)`
+            : ''}
+          {currentLeg.predicted ? ' · 📡 Live' : ' · Scheduled'}
+        </Text>
+      )}
+
+      {problem && <Text style={styles.problemText}>{problem.message}</Text>}
+
+      {problem && alternatives.length > 0 && (
+        <View style={styles.alternatives}>
+          <Text style={styles.alternativesTitle}>Alternatives from your location</Text>
+          {alternatives.map((alternative) => (
+            <TripOptionCard
+              key={alternative.id}
+              itinerary={alternative}
+              onPress={() => onSelectAlternative(alternative)}
+            />
+          ))}
+        </View>
+      )}
+
+      {lastChecked && (
+        <Text style={styles.updatedText}>Updated {format(new Date(lastChecked), 'h:mm a')}</Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#FFFFFF',
+    borderLeftWidth: 4,
+    borderRadius: 8,
+    padding: 12,
+    marginHorizontal: 20,
+    marginBottom: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  endButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 6,
+    backgroundColor: '#F3F4F6',
+  },
+  endButtonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  legInfo: {
+    fontSize: 14,
+    color: '#374151',
+    marginBottom: 8,
+  },
+  problemText: {
+    fontSize: 14,
+    color: '#B91C1C',
+    marginBottom: 8,
+  },
+  alternatives: {
+    marginTop: 4,
+  },
+  alternativesTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+    marginBottom: 8,
+  },
+  updatedText: {
+    fontSize: 11,
+    color: '#9CA3AF',
+  },
+});
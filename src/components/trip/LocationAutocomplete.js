@@ -17,6 +17,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import metroService from '../../services/gtfs/metroService';
 import geocodingService from '../../services/geocoding/geocodingService';
+import locationService from '../../services/location/locationService';
 
 export default function LocationAutocomplete({
   value,
@@ -44,22 +45,13 @@ export default function LocationAutocomplete({
     try {
       const results = [];
 
-      // 1. Search bus stops
+      // 1. Search bus stops (ranked by match, then by distance from the user)
       await metroService.initialize();
-      const stopResults = metroService.searchStops(query);
-      
-      // Sort stops by relevance
-      const sortedStops = stopResults
-        .sort((a, b) => {
-          const aName = a.stop_name?.toLowerCase() || '';
-          const bName = b.stop_name?.toLowerCase() || '';
-          const lowerQuery = query.toLowerCase();
-          
-          if (aName.startsWith(lowerQuery) && !bName.startsWith(lowerQuery)) return -1;
-          if (!aName.startsWith(lowerQuery) && bName.startsWith(lowerQuery)) return 1;
-          return aName.length - bName.length;
+      const sortedStops = metroService
+        .searchStops(query, {
+          location: locationService.getLastKnownLocation(),
+          limit: 3, // Top 3 stops
         })
-        .slice(0, 3) // Top 3 stops
         .map((stop) => ({
           type: 'stop',
           id: stop.stop_id,
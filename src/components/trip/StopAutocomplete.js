@@ -14,6 +14,7 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import metroService from '../../services/gtfs/metroService';
+import locationService from '../../services/location/locationService';
 
 export default function StopAutocomplete({
   value,
@@ -37,23 +38,12 @@ export default function StopAutocomplete({
       setLoading(true);
       try {
         await metroService.initialize();
-        const results = metroService.searchStops(value);
-        
-        // Sort by relevance (exact matches first, then partial)
-        const sorted = results.sort((a, b) => {
-          const aName = a.stop_name?.toLowerCase() || '';
-          const bName = b.stop_name?.toLowerCase() || '';
-          const query = value.toLowerCase();
-          
-          // Exact match at start gets highest priority
-          if (aName.startsWith(query) && !bName.startsWith(query)) return -1;
-          if (!aName.startsWith(query) && bName.startsWith(query)) return 1;
-          
-          // Then by length (shorter names are usually more relevant)
-          return aName.length - bName.length;
+        // Ranked by match, then by distance from the user
+        const results = metroService.searchStops(value, {
+          location: locationService.getLastKnownLocation(),
+          limit: 5, // Show top 5
         });
-        
-        setSuggestions(sorted.slice(0, 5)); // Show top 5
+        setSuggestions(results);
       } catch (error) {
         console.error('Error searching stops:', error);
         setSuggestions([]);
@@ -1,6 +1,8 @@
 /**
  * TripOptionCard Component
- * Displays a single trip option with reliability and transfer risk
+ * Displays a single trip option with reliability, transfer risk, fare,
+ * the trade-offs it offers over the other options and how much of it
+ * comes from live predictions
  * Based on ROADMAP.md Phase 3.2
  */
 
@@ -31,6 +33,9 @@ export default function TripOptionCard({ itinerary, recommended = false, onPress
     legs,
     overallReliability,
     transferRisks,
+    fare,
+    reasons,
+    realtimeCoverage,
     rank,
   } = itinerary;
 
@@ -62,6 +67,16 @@ export default function TripOptionCard({ itinerary, recommended = false, onPress
         </View>
       </View>
 
+      {reasons && reasons.length > 0 && (
+        <View style={styles.reasonsContainer}>
+          {reasons.map((reason) => (
+            <View key={reason.criterion} style={styles.reasonChip}>
+              <Text style={styles.reasonText}>{reason.text}</Text>
+            </View>
+          ))}
+        </View>
+      )}
+
       <View style={styles.reliabilityContainer}>
         <ReliabilityBadge 
           reliability={
@@ -77,12 +92,23 @@ export default function TripOptionCard({ itinerary, recommended = false, onPress
               ? overallReliability 
               : overallReliability?.reliability || 'medium';
             return rel === 'high'
-              ? 'Most reliable'
+              ? 'Highly reliable'
               : rel === 'medium'
               ? 'Moderately reliable'
               : 'Less reliable';
           })()}
         </Text>
+        {realtimeCoverage && (
+          <Text
+            style={[
+              styles.realtimeText,
+              realtimeCoverage.liveLegs > 0 && styles.realtimeTextLive,
+            ]}
+          >
+            {realtimeCoverage.liveLegs > 0 ? '📡 ' : ''}
+            {realtimeCoverage.text}
+          </Text>
+        )}
       </View>
 
       <View style={styles.legsContainer}>
@@ -103,6 +129,17 @@ export default function TripOptionCard({ itinerary, recommended = false, onPress
                 <Text style={styles.routeNumber}>{leg.routeShortName || 'N/A'}</Text>
                 <Text style={styles.destination}>{leg.headsign || 'Unknown'}</Text>
                 <Text style={styles.legTime}>{leg.duration} min</Text>
+                {leg.realtime && leg.delayMinutes !== 0 && (
+                  <Text
+                    style={[
+                      styles.delayText,
+                      leg.delayMinutes > 0 ? styles.delayTextLate : styles.delayTextEarly,
+                    ]}
+                  >
+                    {leg.delayMinutes > 0 ? '+' : ''}
+                    {leg.delayMinutes} min
+                  </Text>
+                )}
               </View>
               {leg.reliability && (
                 <ReliabilityBadge 
@@ -139,6 +176,7 @@ export default function TripOptionCard({ itinerary, recommended = false, onPress
       <View style={styles.footer}>
         <Text style={styles.footerText}>
           Transit: {transitTime} min • Walk: {walkTime} min • Wait: {waitingTime} min
+          {fare ? ` • Fare: ${fare.displayText}` : ''}
         </Text>
       </View>
     </TouchableOpacity>
@@ -210,6 +248,24 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#111827',
   },
+  reasonsContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  reasonChip: {
+    backgroundColor: '#EFF6FF',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginRight: 6,
+    marginBottom: 4,
+  },
+  reasonText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#1E3A8A',
+  },
   reliabilityContainer: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -220,6 +276,15 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     marginLeft: 8,
   },
+  realtimeText: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginLeft: 'auto',
+  },
+  realtimeTextLive: {
+    color: '#059669',
+    fontWeight: '600',
+  },
   legsContainer: {
     marginBottom: 12,
   },
@@ -258,6 +323,22 @@ const styles = StyleSheet.create({
     color: '#6B7280',
     marginLeft: 8,
   },
+  delayText: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginLeft: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    borderRadius: 4,
+    color: '#111827',
+    overflow: 'hidden',
+  },
+  delayTextLate: {
+    backgroundColor: '#FEE2E2',
+  },
+  delayTextEarly: {
+    backgroundColor: '#D1FAE5',
+  },
   transferRisksContainer: {
     marginTop: 8,
   },
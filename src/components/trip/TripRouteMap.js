@@ -7,6 +7,8 @@
 import React, { useState, useEffect } from 'react';
 import { View, StyleSheet, ActivityIndicator, Text, Platform } from 'react-native';
 import locationService from '../../services/location/locationService';
+import metroService from '../../services/gtfs/metroService';
+import { sliceShapeBetween } from '../../utils/polyline';
 
 // Lazy load MapView - only on native platforms (not web)
 let MapView = null;
@@ -52,16 +54,32 @@ export default function TripRouteMap({ itinerary, userLocation, height = 300 })
   }, []);
 
   useEffect(() => {
+    let isMounted = true;
     if (itinerary && itinerary.legs) {
-      calculateRouteData();
+      calculateRouteData(() => isMounted).catch((error) => {
+        console.error('Error drawing trip route:', error);
+      });
     }
+    return () => {
+      isMounted = false;
+    };
   }, [itinerary, userLocation]);
 
-  const calculateRouteData = () => {
+  const calculateRouteData = async (isCurrent = () => true) => {
     if (!itinerary || !itinerary.legs || itinerary.legs.length === 0) {
       return;
     }
 
+    // Shapes are read from the GTFS store, so load every leg's before drawing
+    const legShapes = await Promise.all(
+      itinerary.legs.map((leg) =>
+        leg.mode !== 'WALK' && leg.tripId ? metroService.getShapeForTrip(leg.tripId) : []
+      )
+    );
+    if (!isCurrent()) {
+      return;
+    }
+
     const allCoordinates = [];
     const newPolylines = [];
     const newMarkers = [];
@@ -113,23 +131,31 @@ export default function TripRouteMap({ itinerary, userLocation, height = 300 })
           }
         }
       } else if (leg.mode === 'BUS' || leg.mode === 'TRANSIT') {
-        // Transit leg - draw line between stops
+        // Transit leg - follow the trip's shape between stops
         if (leg.fromStop && leg.toStop) {
           const fromCoord = {
-            latitude: leg.fromStop.stop_lat || leg.fromStop.lat,
-            longitude: leg.fromStop.stop_lon || leg.fromStop.lon,
+            latitude: parseFloat(leg.fromStop.stop_lat || leg.fromStop.lat),
+            longitude: parseFloat(leg.fromStop.stop_lon || leg.fromStop.lon),
           };
           const toCoord = {
-            latitude: leg.toStop.stop_lat || leg.toStop.lat,
-            longitude: leg.toStop.stop_lon || leg.toStop.lon,
+            latitude: parseFloat(leg.toStop.stop_lat || leg.toStop.lat),
+            longitude: parseFloat(leg.toStop.stop_lon || leg.toStop.lon),
           };
 
-          allCoordinates.push(fromCoord, toCoord);
+          // Cut the trip's shape at the board and alight stops;
+          // fall back to a straight line if the feed has no shape for it
+          const shape = legShapes[legIndex];
+          const legCoordinates =
+            shape.length > 1
+              ? sliceShapeBetween(shape, fromCoord, toCoord)
+              : [fromCoord, toCoord];
+
+          allCoordinates.push(...legCoordinates);
 
           // Add transit polyline (blue)
           newPolylines.push({
             id: `transit-${legIndex}`,
-            coordinates: [fromCoord, toCoord],
+            coordinates: legCoordinates,
             color: '#3B82F6', // Blue for transit
             width: 5,
             type: 'transit',
@@ -0,0 +1,189 @@
+/**
+ * TripTimePicker Component
+ * Choose when to travel: leave now, depart at a time, or arrive by a time
+ * Built from plain buttons so it behaves the same on iOS, Android and web
+ */
+
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { addDays, addMinutes, format, isToday, isTomorrow, startOfDay } from 'date-fns';
+
+const TIME_MODES = [
+  { key: 'now', label: 'Leave now' },
+  { key: 'depart', label: 'Depart at' },
+  { key: 'arrive', label: 'Arrive by' },
+];
+
+// Step used by the time buttons (minutes)
+const TIME_STEP_MINUTES = 5;
+
+/**
+ * TripTimePicker - Pick a departure or arrival time for trip planning
+ * @param {string} timeMode - Current mode: 'now' | 'depart' | 'arrive'
+ * @param {Date} time - Selected date and time (ignored when timeMode is 'now')
+ * @param {Function} onChange - Callback with {timeMode, time} when either changes
+ */
+export default function TripTimePicker({ timeMode = 'now', time, onChange }) {
+  if (!onChange) {
+    console.warn('TripTimePicker: onChange prop is missing');
+    return null;
+  }
+
+  const selectedTime = time || new Date();
+
+  const handleChange = (changes) => {
+    try {
+      onChange({ timeMode, time: selectedTime, ...changes });
+    } catch (error) {
+      console.error('Error changing trip time:', error);
+    }
+  };
+
+  const handleModeChange = (newMode) => {
+    // Start picking from the current time, rounded up to the next step
+    if (timeMode === 'now' && newMode !== 'now') {
+      const now = new Date();
+      const rounded = addMinutes(
+        now,
+        (TIME_STEP_MINUTES - (now.getMinutes() % TIME_STEP_MINUTES)) % TIME_STEP_MINUTES
+      );
+      rounded.setSeconds(0, 0);
+      handleChange({ timeMode: newMode, time: rounded });
+      return;
+    }
+    handleChange({ timeMode: newMode });
+  };
+
+  const shiftDays = (days) => {
+    const shifted = addDays(selectedTime, days);
+    // Don't allow picking a day before today
+    if (shifted < startOfDay(new Date())) return;
+    handleChange({ time: shifted });
+  };
+
+  const dayLabel = isToday(selectedTime)
+    ? 'Today'
+    : isTomorrow(selectedTime)
+    ? 'Tomorrow'
+    : format(selectedTime, 'EEE, MMM d');
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.toggleContainer}>
+        {TIME_MODES.map(({ key, label }) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.toggleButton, timeMode === key && styles.toggleButtonActive]}
+            onPress={() => handleModeChange(key)}
+          >
+            <Text style={[styles.toggleText, timeMode === key && styles.toggleTextActive]}>
+              {label}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {timeMode !== 'now' && (
+        <View style={styles.pickerRow}>
+          <View style={styles.stepper}>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftDays(-1)}>
+              <Ionicons name="chevron-back" size={18} color="#1E3A8A" />
+            </TouchableOpacity>
+            <Text style={styles.stepValue}>{dayLabel}</Text>
+            <TouchableOpacity style={styles.stepButton} onPress={() => shiftDays(1)}>
+              <Ionicons name="chevron-forward" size={18} color="#1E3A8A" />
+            </TouchableOpacity>
+          </View>
+
+          <View style={styles.stepper}>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => handleChange({ time: addMinutes(selectedTime, -TIME_STEP_MINUTES) })}
+              onLongPress={() => handleChange({ time: addMinutes(selectedTime, -60) })}
+            >
+              <Ionicons name="remove" size={18} color="#1E3A8A" />
+            </TouchableOpacity>
+            <Text style={styles.stepValue}>{format(selectedTime, 'h:mm a')}</Text>
+            <TouchableOpacity
+              style={styles.stepButton}
+              onPress={() => handleChange({ time: addMinutes(selectedTime, TIME_STEP_MINUTES) })}
+              onLongPress={() => handleChange({ time: addMinutes(selectedTime, 60) })}
+            >
+              <Ionicons name="add" size={18} color="#1E3A8A" />
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+
+      {timeMode !== 'now' && (
+        <Text style={styles.description}>
+          {timeMode === 'arrive'
+            ? 'Shows the latest trips that get you there on time'
+            : 'Shows the first trips leaving after this time'}
+          {' · Hold +/− to change by an hour'}
+        </Text>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  toggleContainer: {
+    flexDirection: 'row',
+    backgroundColor: '#F3F4F6',
+    borderRadius: 8,
+    padding: 4,
+  },
+  toggleButton: {
+    flex: 1,
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  toggleButtonActive: {
+    backgroundColor: '#1E3A8A',
+  },
+  toggleText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  toggleTextActive: {
+    color: '#FFFFFF',
+  },
+  pickerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 8,
+  },
+  stepper: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#F9FAFB',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    marginHorizontal: 4,
+  },
+  stepButton: {
+    padding: 8,
+  },
+  stepValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  description: {
+    fontSize: 12,
+    color: '#9CA3AF',
+    marginTop: 6,
+  },
+});
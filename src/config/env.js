@@ -26,6 +26,9 @@ const ENV = {
   // Sound Transit
   ST_ALERTS_URL: 'https://s3.amazonaws.com/st-service-alerts-prod/alerts_pb.json',
 
+  // Ground elevation (meters) for step-free walking slopes
+  ELEVATION_URL: 'https://api.open-meteo.com/v1/elevation',
+
   // King County Metro GTFS
   METRO_GTFS_URL: 'https://metro.kingcounty.gov/GTFS/google_transit.zip',
 
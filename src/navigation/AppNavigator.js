@@ -11,6 +11,7 @@ import { Ionicons } from '@expo/vector-icons';
 import HomeScreen from '../screens/HomeScreen';
 import TransitInfoScreen from '../screens/TransitInfoScreen';
 import RouteDetailScreen from '../screens/RouteDetailScreen';
+import StopTimetableScreen from '../screens/StopTimetableScreen';
 import SavedCommutesScreen from '../screens/SavedCommutesScreen';
 
 const Stack = createNativeStackNavigator();
@@ -89,6 +90,14 @@ export default function AppNavigator() {
             headerShown: false, // RouteDetailScreen has its own header
           }}
         />
+        <Stack.Screen
+          name="StopTimetable"
+          component={StopTimetableScreen}
+          options={{
+            title: 'Timetable',
+            headerShown: false, // StopTimetableScreen has its own header
+          }}
+        />
         <Stack.Screen
           name="SavedCommutes"
           component={SavedCommutesScreen}
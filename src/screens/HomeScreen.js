@@ -25,7 +25,6 @@ import obaService from '../services/onebusaway/obaService';
 import reliabilityService from '../services/reliability/reliabilityService';
 import { getSavedCommutes } from '../utils/storage';
 import CommuteCard from '../components/commute/CommuteCard';
-import { obaToGtfsRouteId } from '../utils/idMapping';
 
 export default function HomeScreen({ navigation }) {
   const [userLocation, setUserLocation] = useState(null);
@@ -120,11 +119,9 @@ export default function HomeScreen({ navigation }) {
 
   const updateNearbyStops = async (location) => {
     try {
-      const allStops = metroService.stops || [];
-      const stops = locationService.findNearbyStops(
+      const stops = metroService.getStopsNear(
         location.latitude,
         location.longitude,
-        allStops,
         500 // 500 meter radius
       );
       setNearbyStops(stops);
@@ -154,14 +151,7 @@ export default function HomeScreen({ navigation }) {
         obaStopId = `1_${obaStopId}`;
       }
 
-      // Check if OneBusAway is configured
-      if (!obaService.isConfigured()) {
-        console.warn('OneBusAway API key not configured');
-        setArrivals([]);
-        return;
-      }
-
-      // Get arrivals from OneBusAway
+      // Get arrivals from OneBusAway (or the GTFS schedule if it is unavailable)
       const obaArrivals = await obaService.getArrivalsForStop(obaStopId, {
         maxResults: 10,
       });
@@ -235,6 +225,11 @@ export default function HomeScreen({ navigation }) {
     ? currentStop.stop_name || currentStop.name || 'Unknown Stop'
     : 'No stops nearby';
 
+  // Station arrivals come from several platforms; show them by direction
+  const arrivalGroups = arrivals.some((arrival) => arrival.platformId)
+    ? obaService.groupArrivalsByDirection(arrivals)
+    : [{ key: 'all', label: null, arrivals }];
+
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
       <ScrollView
@@ -313,30 +308,37 @@ export default function HomeScreen({ navigation }) {
                 Tap any route for details
               </Text>
             </View>
-            {arrivals.map((arrival, index) => {
-              // Convert OBA route ID to GTFS format for navigation
-              const gtfsRouteId = obaToGtfsRouteId(arrival.routeId);
-              
-              return (
-                <ArrivalCard
-                  key={`${arrival.tripId}-${arrival.scheduledArrivalTime}-${index}`}
-                  arrival={arrival}
-                  onPress={() => {
-                    navigation.navigate('RouteDetail', {
-                      routeId: gtfsRouteId,
-                      routeShortName: arrival.routeShortName,
-                    });
-                  }}
-                />
-              );
-            })}
+            {arrivalGroups.map((group) => (
+              <View key={group.key}>
+                {group.label && (
+                  <Text style={styles.directionHeader}>{group.label}</Text>
+                )}
+                {group.arrivals.map((arrival, index) => {
+                  // GTFS route ids carry the same agency prefix as OneBusAway ids
+                  const gtfsRouteId = arrival.routeId;
+
+                  return (
+                    <ArrivalCard
+                      key={`${arrival.tripId}-${arrival.scheduledArrivalTime}-${index}`}
+                      arrival={arrival}
+                      onPress={() => {
+                        navigation.navigate('RouteDetail', {
+                          routeId: gtfsRouteId,
+                          routeShortName: arrival.routeShortName,
+                        });
+                      }}
+                    />
+                  );
+                })}
+              </View>
+            ))}
           </View>
         ) : (
           <View style={styles.noArrivals}>
             <Text style={styles.noArrivalsText}>
               {obaService.isConfigured()
                 ? 'No arrivals available'
-                : 'OneBusAway API key not configured'}
+                : 'No scheduled arrivals (OneBusAway API key not configured)'}
             </Text>
           </View>
         )}
@@ -470,6 +472,13 @@ const styles = StyleSheet.create({
     color: '#111827',
     marginBottom: 12,
   },
+  directionHeader: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 4,
+    marginBottom: 8,
+  },
   noArrivals: {
     padding: 20,
     marginHorizontal: 20,
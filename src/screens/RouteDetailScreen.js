@@ -15,6 +15,7 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
+import { format } from 'date-fns';
 import RouteMap from '../components/route/RouteMap';
 import ReliabilityChart from '../components/route/ReliabilityChart';
 import ServiceAlerts from '../components/route/ServiceAlerts';
@@ -24,6 +25,11 @@ import obaService from '../services/onebusaway/obaService';
 import reliabilityService from '../services/reliability/reliabilityService';
 import stService from '../services/soundtransit/stService';
 import fareService from '../services/fare/fareService';
+import {
+  getServiceDayStart,
+  fromServiceSeconds,
+  toServiceSeconds,
+} from '../utils/gtfsTime';
 
 export default function RouteDetailScreen({ route, navigation }) {
   const routeId = route?.params?.routeId;
@@ -31,11 +37,15 @@ export default function RouteDetailScreen({ route, navigation }) {
 
   const [routeData, setRouteData] = useState(null);
   const [stops, setStops] = useState([]);
+  const [patterns, setPatterns] = useState([]);
+  const [selectedPatternId, setSelectedPatternId] = useState(null);
   const [arrivals, setArrivals] = useState([]);
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [selectedStop, setSelectedStop] = useState(null);
+  const [runsToday, setRunsToday] = useState(null); // null when calendar data is unavailable
+  const [headways, setHeadways] = useState([]); // Headway periods from frequencies.txt
 
   useEffect(() => {
     loadRouteData();
@@ -67,8 +77,30 @@ export default function RouteDetailScreen({ route, navigation }) {
 
       setRouteData(routeInfo);
 
-      // Get stops for this route (now async with OneBusAway fallback)
-      const routeStops = await metroService.getStopsForRoute(routeInfo.route_id);
+      // Only use trips that run today
+      const today = new Date();
+      setRunsToday(
+        metroService.hasCalendar()
+          ? metroService.getTripsForDate(today, routeInfo.route_id).length > 0
+          : null
+      );
+      setHeadways(metroService.getRouteHeadways(routeInfo.route_id, today));
+
+      // Stops in travel order, one pattern per direction and branch
+      // On days without service, show the patterns of the whole schedule
+      let routePatterns = await metroService.getPatternsForRoute(routeInfo.route_id, today);
+      if (routePatterns.length === 0) {
+        routePatterns = await metroService.getPatternsForRoute(routeInfo.route_id);
+      }
+      setPatterns(routePatterns);
+      setSelectedPatternId(routePatterns[0]?.patternId || null);
+
+      // Without stop_times there are no patterns; use the unordered stop list
+      // (with OneBusAway fallback)
+      const routeStops =
+        routePatterns.length > 0
+          ? routePatterns[0].stops
+          : await metroService.getStopsForRoute(routeInfo.route_id, today);
       setStops(routeStops || []);
 
       // Get reliability data
@@ -81,8 +113,8 @@ export default function RouteDetailScreen({ route, navigation }) {
         new Date()
       );
 
-      // Load arrivals for first stop (if OneBusAway is configured)
-      if (routeStops.length > 0 && obaService.isConfigured()) {
+      // Load arrivals for first stop (scheduled ones if OneBusAway is unavailable)
+      if (routeStops.length > 0) {
         try {
           const stopId = routeStops[0].stop_id;
           const obaStopId = stopId.includes('_') ? stopId : `1_${stopId}`;
@@ -126,27 +158,33 @@ export default function RouteDetailScreen({ route, navigation }) {
 
   const handleStopPress = async (stop) => {
     setSelectedStop(stop);
-    if (obaService.isConfigured()) {
-      try {
-        const stopId = stop.stop_id;
-        const obaStopId = stopId.includes('_') ? stopId : `1_${stopId}`;
-        const stopArrivals = await obaService.getArrivalsForStop(obaStopId, {
-          maxResults: 5,
-          routeId: routeData?.route_id,
-        });
-
-        const reliability = reliabilityService.getRouteReliability(routeData?.route_id);
-        const enhancedArrivals = stopArrivals.map((arrival) => ({
-          ...arrival,
-          reliability,
-        }));
-
-        setArrivals(enhancedArrivals);
-      } catch (err) {
-        // Error already handled in getArrivalsForStop, just log for debugging
-        console.warn('Error loading arrivals for stop (non-critical):', err.message || err);
-        setArrivals([]); // Set empty array on error
-      }
+    try {
+      const stopId = stop.stop_id;
+      const obaStopId = stopId.includes('_') ? stopId : `1_${stopId}`;
+      const stopArrivals = await obaService.getArrivalsForStop(obaStopId, {
+        maxResults: 5,
+        routeId: routeData?.route_id,
+      });
+
+      const reliability = reliabilityService.getRouteReliability(routeData?.route_id);
+      const enhancedArrivals = stopArrivals.map((arrival) => ({
+        ...arrival,
+        reliability,
+      }));
+
+      setArrivals(enhancedArrivals);
+    } catch (err) {
+      // Error already handled in getArrivalsForStop, just log for debugging
+      console.warn('Error loading arrivals for stop (non-critical):', err.message || err);
+      setArrivals([]); // Set empty array on error
+    }
+  };
+
+  const handlePatternSelect = (pattern) => {
+    setSelectedPatternId(pattern.patternId);
+    setStops(pattern.stops);
+    if (pattern.stops.length > 0) {
+      handleStopPress(pattern.stops[0]);
     }
   };
 
@@ -185,6 +223,27 @@ export default function RouteDetailScreen({ route, navigation }) {
     new Date()
   );
 
+  // Headway periods as clock times, marking the one in effect now
+  const dayStart = getServiceDayStart(new Date());
+  const nowSeconds = toServiceSeconds(new Date());
+  const headwayPeriods = headways.map((headway) => ({
+    ...headway,
+    isCurrent: nowSeconds >= headway.startSeconds && nowSeconds < headway.endSeconds,
+    label:
+      `${format(fromServiceSeconds(dayStart, headway.startSeconds), 'h:mm a')} – ` +
+      format(fromServiceSeconds(dayStart, headway.endSeconds), 'h:mm a'),
+  }));
+
+  const selectedPattern = patterns.find((p) => p.patternId === selectedPatternId) || null;
+  // Patterns are sorted by direction, busiest first, so the first of each
+  // direction is its main pattern
+  const directionPatterns = patterns.filter(
+    (pattern, index) => index === 0 || pattern.directionId !== patterns[index - 1].directionId
+  );
+  const branchPatterns = selectedPattern
+    ? patterns.filter((pattern) => pattern.directionId === selectedPattern.directionId)
+    : [];
+
   return (
     <SafeAreaView style={styles.container} edges={['top']}>
       <ScrollView style={styles.scrollView}>
@@ -221,9 +280,47 @@ export default function RouteDetailScreen({ route, navigation }) {
           </View>
         </View>
 
+        {/* No Service Notice */}
+        {runsToday === false && (
+          <View style={styles.noServiceBanner}>
+            <Ionicons name="calendar-outline" size={18} color="#B45309" />
+            <Text style={styles.noServiceText}>No scheduled service on this route today</Text>
+          </View>
+        )}
+
+        {/* Headway-Based Service */}
+        {headwayPeriods.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Frequent Service</Text>
+            {headwayPeriods.map((period) => (
+              <View
+                key={`${period.startSeconds}-${period.endSeconds}-${period.headwayMinutes}`}
+                style={styles.headwayRow}
+              >
+                <Ionicons
+                  name="repeat-outline"
+                  size={16}
+                  color={period.isCurrent ? '#3B82F6' : '#9CA3AF'}
+                />
+                <Text style={[styles.headwayText, period.isCurrent && styles.headwayTextCurrent]}>
+                  Every {period.headwayMinutes} min
+                </Text>
+                <Text style={styles.headwayPeriod}>
+                  {period.isCurrent ? `Now · ${period.label}` : period.label}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Route Map */}
         <View style={styles.mapContainer}>
-          <RouteMap routeId={routeData.route_id} stops={stops} route={routeData} />
+          <RouteMap
+            routeId={routeData.route_id}
+            stops={stops}
+            route={routeData}
+            shapeId={selectedPattern?.shapeId}
+          />
         </View>
 
         {/* Reliability Chart */}
@@ -239,6 +336,46 @@ export default function RouteDetailScreen({ route, navigation }) {
           <ServiceAlerts alerts={alerts} routeIds={[routeData.route_id]} />
         </View>
 
+        {/* Direction and Branch Selector */}
+        {patterns.length > 1 && (
+          <View style={styles.section}>
+            <View style={styles.patternTabs}>
+              {directionPatterns.map((pattern) => {
+                const isActive = selectedPattern?.directionId === pattern.directionId;
+                return (
+                  <TouchableOpacity
+                    key={pattern.patternId}
+                    style={[styles.patternTab, isActive && styles.patternTabActive]}
+                    onPress={() => handlePatternSelect(pattern)}
+                  >
+                    <Text style={[styles.patternTabText, isActive && styles.patternTabTextActive]}>
+                      To {pattern.headsign}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </View>
+            {branchPatterns.length > 1 && (
+              <View style={styles.patternTabs}>
+                {branchPatterns.map((pattern) => {
+                  const isActive = pattern.patternId === selectedPatternId;
+                  return (
+                    <TouchableOpacity
+                      key={pattern.patternId}
+                      style={[styles.branchTab, isActive && styles.branchTabActive]}
+                      onPress={() => handlePatternSelect(pattern)}
+                    >
+                      <Text style={[styles.branchTabText, isActive && styles.branchTabTextActive]}>
+                        {pattern.headsign} · {pattern.stops.length} stops
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            )}
+          </View>
+        )}
+
         {/* Stops List */}
         {stops.length > 0 && (
           <View style={styles.section}>
@@ -246,7 +383,8 @@ export default function RouteDetailScreen({ route, navigation }) {
               Stops ({stops.length})
             </Text>
             <View style={styles.stopsList}>
-              {stops.slice(0, 20).map((stop, index) => {
+              {/* Pattern stops are in travel order; the unordered fallback list is capped */}
+              {(selectedPattern ? stops : stops.slice(0, 20)).map((stop, index) => {
                 const isSelected = selectedStop?.stop_id === stop.stop_id;
                 return (
                   <TouchableOpacity
@@ -273,6 +411,28 @@ export default function RouteDetailScreen({ route, navigation }) {
           </View>
         )}
 
+        {/* Timetable for Selected Stop */}
+        {selectedStop && (
+          <View style={styles.section}>
+            <TouchableOpacity
+              style={styles.timetableButton}
+              onPress={() =>
+                navigation.navigate('StopTimetable', {
+                  stopId: selectedStop.stop_id,
+                  stopName: selectedStop.stop_name || selectedStop.name,
+                  routeId: routeData.route_id,
+                })
+              }
+            >
+              <Ionicons name="calendar-outline" size={18} color="#3B82F6" />
+              <Text style={styles.timetableButtonText}>
+                Full timetable at {selectedStop.stop_name || selectedStop.name}
+              </Text>
+              <Ionicons name="chevron-forward" size={18} color="#9CA3AF" />
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Arrivals for Selected Stop */}
         {selectedStop && arrivals.length > 0 && (
           <View style={styles.section}>
@@ -357,6 +517,40 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#6B7280',
   },
+  noServiceBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 8,
+    padding: 12,
+    marginHorizontal: 20,
+    marginTop: 12,
+  },
+  noServiceText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#B45309',
+    fontWeight: '500',
+  },
+  headwayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  headwayText: {
+    marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  headwayTextCurrent: {
+    color: '#1E3A8A',
+  },
+  headwayPeriod: {
+    marginLeft: 'auto',
+    fontSize: 13,
+    color: '#6B7280',
+  },
   mapContainer: {
     marginHorizontal: 20,
     marginTop: 16,
@@ -375,6 +569,65 @@ const styles = StyleSheet.create({
     color: '#111827',
     marginBottom: 12,
   },
+  patternTabs: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  patternTab: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    backgroundColor: '#E5E7EB',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  patternTabActive: {
+    backgroundColor: '#1E3A8A',
+  },
+  patternTabText: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+  },
+  patternTabTextActive: {
+    color: '#FFFFFF',
+  },
+  branchTab: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#D1D5DB',
+    backgroundColor: '#FFFFFF',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  branchTabActive: {
+    borderColor: '#3B82F6',
+    backgroundColor: '#EFF6FF',
+  },
+  branchTabText: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  branchTabTextActive: {
+    color: '#1E3A8A',
+    fontWeight: '600',
+  },
+  timetableButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+  },
+  timetableButtonText: {
+    flex: 1,
+    marginLeft: 8,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#1E3A8A',
+  },
   stopsList: {
     backgroundColor: '#FFFFFF',
     borderRadius: 12,
@@ -0,0 +1,370 @@
+/**
+ * StopTimetableScreen Component
+ * Full-day schedule for a stop: every scheduled departure on a chosen date,
+ * grouped by route and headsign
+ * Built on GTFS stop_times and the service calendar; upcoming departures
+ * today show OneBusAway real-time deviations when available
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  TouchableOpacity,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { addDays, format, isToday, isTomorrow, startOfDay } from 'date-fns';
+import metroService from '../services/gtfs/metroService';
+import obaService from '../services/onebusaway/obaService';
+
+// Real-time predictions are requested this far ahead
+const REALTIME_WINDOW_MINUTES = 90;
+
+export default function StopTimetableScreen({ route, navigation }) {
+  const stopId = route?.params?.stopId;
+  const stopName = route?.params?.stopName;
+  const routeId = route?.params?.routeId; // Show only this route until "All routes" is chosen
+
+  const [date, setDate] = useState(() => startOfDay(new Date()));
+  const [timetable, setTimetable] = useState([]);
+  const [predictions, setPredictions] = useState(new Map()); // tripId -> arrival
+  const [showAllRoutes, setShowAllRoutes] = useState(!routeId);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadTimetable();
+  }, [stopId, date]);
+
+  const loadTimetable = async () => {
+    try {
+      setLoading(true);
+      await metroService.initialize();
+      setTimetable(await metroService.getStopTimetable(stopId, date));
+
+      // Real-time deviations only exist for trips running now
+      if (isToday(date)) {
+        const arrivals = await obaService.getArrivalsForStop(stopId, {
+          minutesBefore: 0,
+          minutesAfter: REALTIME_WINDOW_MINUTES,
+          scheduleFallback: false,
+        });
+        setPredictions(
+          new Map(
+            arrivals
+              .filter((arrival) => arrival.predicted)
+              .map((arrival) => [arrival.tripId, arrival])
+          )
+        );
+      } else {
+        setPredictions(new Map());
+      }
+    } catch (err) {
+      console.error('Error loading stop timetable:', err);
+      setTimetable([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const shiftDays = (days) => {
+    const shifted = addDays(date, days);
+    // Don't allow picking a day before today
+    if (shifted < startOfDay(new Date())) return;
+    setDate(shifted);
+  };
+
+  const dayLabel = isToday(date)
+    ? 'Today'
+    : isTomorrow(date)
+    ? 'Tomorrow'
+    : format(date, 'EEE, MMM d');
+
+  const groups = showAllRoutes
+    ? timetable
+    : timetable.filter((group) => group.routeId === routeId);
+  const now = Date.now();
+
+  /**
+   * Real-time deviation for a departure, if OneBusAway is tracking its trip
+   */
+  const getDeviation = (departure) => {
+    const arrival = predictions.get(departure.tripId);
+    // The same trip id runs every service day; match today's run only
+    if (!arrival || Math.abs(arrival.scheduledArrivalTime - departure.departureTime) > 60000) {
+      return null;
+    }
+    return arrival.delayMinutes;
+  };
+
+  const renderDeparture = (departure) => {
+    const isPast = departure.departureTime < now;
+    const deviation = isPast ? null : getDeviation(departure);
+    let deviationText = null;
+    if (deviation === 0) {
+      deviationText = 'On time';
+    } else if (deviation !== null) {
+      deviationText = deviation > 0 ? `+${deviation} min` : `${deviation} min`;
+    }
+
+    return (
+      <View
+        key={`${departure.tripId}-${departure.stopId}-${departure.departureTime}`}
+        style={styles.departure}
+      >
+        <Text style={[styles.departureTime, isPast && styles.departureTimePast]}>
+          {format(departure.departureTime, 'h:mm a')}
+        </Text>
+        {deviationText && (
+          <Text
+            style={[
+              styles.deviation,
+              deviation > 0 ? styles.deviationLate : styles.deviationOnTime,
+            ]}
+          >
+            {deviationText}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top']}>
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="arrow-back" size={24} color="#111827" />
+        </TouchableOpacity>
+        <View style={styles.headerContent}>
+          <Text style={styles.headerTitle}>Timetable</Text>
+          <Text style={styles.headerSubtitle} numberOfLines={2}>
+            {stopName || metroService.getStopById(stopId)?.stop_name || 'Stop'}
+          </Text>
+        </View>
+      </View>
+
+      {/* Date Picker */}
+      <View style={styles.dayRow}>
+        <TouchableOpacity
+          style={styles.dayButton}
+          onPress={() => shiftDays(-1)}
+          disabled={isToday(date)}
+        >
+          <Ionicons name="chevron-back" size={20} color={isToday(date) ? '#D1D5DB' : '#1E3A8A'} />
+        </TouchableOpacity>
+        <Text style={styles.dayLabel}>{dayLabel}</Text>
+        <TouchableOpacity style={styles.dayButton} onPress={() => shiftDays(1)}>
+          <Ionicons name="chevron-forward" size={20} color="#1E3A8A" />
+        </TouchableOpacity>
+      </View>
+
+      {routeId && (
+        <TouchableOpacity
+          style={styles.filterToggle}
+          onPress={() => setShowAllRoutes(!showAllRoutes)}
+        >
+          <Ionicons
+            name={showAllRoutes ? 'checkbox' : 'square-outline'}
+            size={18}
+            color="#3B82F6"
+          />
+          <Text style={styles.filterToggleText}>All routes at this stop</Text>
+        </TouchableOpacity>
+      )}
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#3B82F6" />
+          <Text style={styles.loadingText}>Loading timetable...</Text>
+        </View>
+      ) : (
+        <ScrollView style={styles.scrollView}>
+          {groups.length === 0 ? (
+            <View style={styles.emptyState}>
+              <Ionicons name="calendar-outline" size={48} color="#9CA3AF" />
+              <Text style={styles.emptyStateText}>No scheduled departures</Text>
+              <Text style={styles.emptyStateSubtext}>
+                {metroService.hasCalendar()
+                  ? `Nothing is scheduled from this stop ${isToday(date) ? 'today' : 'on this day'}`
+                  : 'Schedule data is not downloaded yet'}
+              </Text>
+            </View>
+          ) : (
+            groups.map((group) => (
+              <View key={`${group.routeId}-${group.headsign}`} style={styles.group}>
+                <View style={styles.groupHeader}>
+                  <Text style={styles.routeBadge}>{group.routeShortName}</Text>
+                  <Text style={styles.groupHeadsign} numberOfLines={1}>
+                    {group.headsign ? `To ${group.headsign}` : 'All trips'}
+                  </Text>
+                  <Text style={styles.groupCount}>{group.departures.length} trips</Text>
+                </View>
+                <View style={styles.departures}>{group.departures.map(renderDeparture)}</View>
+                <Text style={styles.lastDeparture}>
+                  Last departure{' '}
+                  {format(group.departures[group.departures.length - 1].departureTime, 'h:mm a')}
+                </Text>
+              </View>
+            ))
+          )}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F9FAFB',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 12,
+    backgroundColor: '#FFFFFF',
+  },
+  backButton: {
+    marginRight: 12,
+  },
+  headerContent: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#1E3A8A',
+    marginBottom: 4,
+  },
+  headerSubtitle: {
+    fontSize: 16,
+    color: '#6B7280',
+  },
+  dayRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#FFFFFF',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E5E7EB',
+  },
+  dayButton: {
+    padding: 8,
+  },
+  dayLabel: {
+    minWidth: 140,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  filterToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+  },
+  filterToggleText: {
+    marginLeft: 8,
+    fontSize: 14,
+    color: '#374151',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  emptyState: {
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyStateText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 12,
+  },
+  emptyStateSubtext: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginTop: 4,
+    textAlign: 'center',
+  },
+  group: {
+    backgroundColor: '#FFFFFF',
+    borderRadius: 12,
+    padding: 16,
+    marginHorizontal: 20,
+    marginTop: 16,
+  },
+  groupHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  routeBadge: {
+    backgroundColor: '#1E3A8A',
+    color: '#FFFFFF',
+    fontSize: 14,
+    fontWeight: 'bold',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    overflow: 'hidden',
+    marginRight: 8,
+  },
+  groupHeadsign: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  groupCount: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  departures: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  departure: {
+    width: '25%',
+    paddingVertical: 6,
+  },
+  departureTime: {
+    fontSize: 14,
+    color: '#111827',
+  },
+  departureTimePast: {
+    color: '#9CA3AF',
+  },
+  deviation: {
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  deviationLate: {
+    color: '#DC2626',
+  },
+  deviationOnTime: {
+    color: '#059669',
+  },
+  lastDeparture: {
+    marginTop: 8,
+    fontSize: 12,
+    color: '#6B7280',
+  },
+});
@@ -20,18 +20,22 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import metroService from '../services/gtfs/metroService';
 import obaService from '../services/onebusaway/obaService';
+import locationService from '../services/location/locationService';
 import reliabilityService from '../services/reliability/reliabilityService';
 import stService from '../services/soundtransit/stService';
 import ArrivalCard from '../components/transit/ArrivalCard';
 import RouteHealthDashboard from '../components/transit/RouteHealthDashboard';
 import ReliabilityBadge from '../components/transit/ReliabilityBadge';
-import { obaToGtfsRouteId } from '../utils/idMapping';
+import FeedChangeReport from '../components/transit/FeedChangeReport';
+import FeedImportButton from '../components/transit/FeedImportButton';
+import { countChanges, findAffectedCommutes } from '../services/gtfs/feedDiff';
+import { getSavedCommutes } from '../utils/storage';
 
 export default function TransitInfoScreen({ navigation }) {
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
-  const [activeTab, setActiveTab] = useState('routes'); // 'routes', 'stops', 'arrivals', 'alerts'
+  const [activeTab, setActiveTab] = useState('routes'); // 'routes', 'stops', 'arrivals', 'alerts', 'changes'
   
   // Data states
   const [routes, setRoutes] = useState([]);
@@ -42,6 +46,9 @@ export default function TransitInfoScreen({ navigation }) {
   const [filteredStops, setFilteredStops] = useState([]);
   const [selectedStop, setSelectedStop] = useState(null);
   const [stopArrivals, setStopArrivals] = useState([]);
+  const [changeReport, setChangeReport] = useState(null);
+  const [affectedCommutes, setAffectedCommutes] = useState([]);
+  const [needsReimport, setNeedsReimport] = useState(false);
 
   useEffect(() => {
     initializeScreen();
@@ -76,13 +83,23 @@ export default function TransitInfoScreen({ navigation }) {
       // Load routes
       const allRoutes = metroService.getRoutes() || [];
       setRoutes(allRoutes);
+      setNeedsReimport(metroService.needsReimport());
       setFilteredRoutes(allRoutes);
 
       // Load stops
-      const allStops = metroService.stops || [];
+      const allStops = metroService.getStops();
       setStops(allStops);
       setFilteredStops(allStops);
 
+      // Load the schedule change report and the saved commutes it affects
+      try {
+        const report = await metroService.getChangeReport();
+        setChangeReport(report);
+        setAffectedCommutes(findAffectedCommutes(report, await getSavedCommutes()));
+      } catch (error) {
+        console.error('Error loading schedule changes:', error);
+      }
+
       // Load service alerts
       if (stService) {
         try {
@@ -98,22 +115,16 @@ export default function TransitInfoScreen({ navigation }) {
   };
 
   const filterData = () => {
-    const query = searchQuery.toLowerCase();
-    
+    const query = searchQuery.trim();
+
     if (activeTab === 'routes') {
-      const filtered = routes.filter((route) => {
-        const shortName = route.route_short_name?.toLowerCase() || '';
-        const longName = route.route_long_name?.toLowerCase() || '';
-        return shortName.includes(query) || longName.includes(query);
-      });
-      setFilteredRoutes(filtered);
+      setFilteredRoutes(query ? metroService.searchRoutes(query) : routes);
     } else if (activeTab === 'stops') {
-      const filtered = stops.filter((stop) => {
-        const name = stop.stop_name?.toLowerCase() || '';
-        const code = stop.stop_code?.toLowerCase() || '';
-        return name.includes(query) || code.includes(query);
-      });
-      setFilteredStops(filtered);
+      setFilteredStops(
+        query
+          ? metroService.searchStops(query, { location: locationService.getLastKnownLocation() })
+          : stops
+      );
     }
   };
 
@@ -133,14 +144,7 @@ export default function TransitInfoScreen({ navigation }) {
         obaStopId = `1_${obaStopId}`;
       }
 
-      if (!obaService.isConfigured()) {
-        console.warn('OneBusAway API not configured');
-        setStopArrivals([]);
-        setSelectedStop(stop);
-        setActiveTab('arrivals');
-        return;
-      }
-
+      // Falls back to the GTFS schedule when OneBusAway is unavailable
       const arrivals = await obaService.getArrivalsForStop(obaStopId, {
         maxResults: 20,
       });
@@ -200,6 +204,21 @@ export default function TransitInfoScreen({ navigation }) {
       );
     }
 
+    const timetableButton = (
+      <TouchableOpacity
+        style={styles.timetableButton}
+        onPress={() =>
+          navigation.navigate('StopTimetable', {
+            stopId: selectedStop.stop_id,
+            stopName: selectedStop.stop_name,
+          })
+        }
+      >
+        <Ionicons name="calendar-outline" size={16} color="#3B82F6" />
+        <Text style={styles.timetableButtonText}>Full timetable</Text>
+      </TouchableOpacity>
+    );
+
     if (stopArrivals.length === 0) {
       return (
         <View style={styles.emptyState}>
@@ -207,10 +226,16 @@ export default function TransitInfoScreen({ navigation }) {
           <Text style={styles.emptyStateSubtext}>
             {selectedStop.stop_name || 'This stop'}
           </Text>
+          {timetableButton}
         </View>
       );
     }
 
+    // Station arrivals come from several platforms; show them by direction
+    const arrivalGroups = stopArrivals.some((arrival) => arrival.platformId)
+      ? obaService.groupArrivalsByDirection(stopArrivals)
+      : [{ key: 'all', label: null, arrivals: stopArrivals }];
+
     return (
       <ScrollView style={styles.arrivalsContainer}>
         <View style={styles.selectedStopInfo}>
@@ -220,30 +245,41 @@ export default function TransitInfoScreen({ navigation }) {
           {selectedStop.stop_code && (
             <Text style={styles.selectedStopCode}>Stop #{selectedStop.stop_code}</Text>
           )}
+          {timetableButton}
         </View>
 
         <RouteHealthDashboard arrivals={stopArrivals} />
 
-        {stopArrivals.map((arrival, index) => {
-          // Convert OBA route ID to GTFS format for navigation
-          const gtfsRouteId = obaToGtfsRouteId(arrival.routeId);
-          
-          return (
-            <ArrivalCard
-              key={`${arrival.tripId}-${arrival.scheduledArrivalTime}-${index}`}
-              arrival={arrival}
-              onPress={() => navigation.navigate('RouteDetail', {
-                routeId: gtfsRouteId,
-                routeShortName: arrival.routeShortName,
-              })}
-            />
-          );
-        })}
+        {arrivalGroups.map((group) => (
+          <View key={group.key}>
+            {group.label && <Text style={styles.directionHeader}>{group.label}</Text>}
+            {group.arrivals.map((arrival, index) => {
+              // GTFS route ids carry the same agency prefix as OneBusAway ids
+              const gtfsRouteId = arrival.routeId;
+
+              return (
+                <ArrivalCard
+                  key={`${arrival.tripId}-${arrival.scheduledArrivalTime}-${index}`}
+                  arrival={arrival}
+                  onPress={() => navigation.navigate('RouteDetail', {
+                    routeId: gtfsRouteId,
+                    routeShortName: arrival.routeShortName,
+                  })}
+                />
+              );
+            })}
+          </View>
+        ))}
       </ScrollView>
     );
   };
 
 
+  const changeCount = (changeReport?.feeds || []).reduce(
+    (total, feed) => total + countChanges(feed.changes),
+    0
+  );
+
   if (loading) {
     return (
       <SafeAreaView style={styles.container}>
@@ -362,6 +398,21 @@ export default function TransitInfoScreen({ navigation }) {
             </Text>
             {activeTab === 'alerts' && <View style={styles.tabIndicator} />}
           </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.tab}
+            onPress={() => setActiveTab('changes')}
+            activeOpacity={0.7}
+          >
+            <Text
+              style={[
+                styles.tabText,
+                activeTab === 'changes' ? styles.tabTextActive : styles.tabTextInactive,
+              ]}
+            >
+              Changes ({changeCount})
+            </Text>
+            {activeTab === 'changes' && <View style={styles.tabIndicator} />}
+          </TouchableOpacity>
         </ScrollView>
       </View>
 
@@ -412,6 +463,17 @@ export default function TransitInfoScreen({ navigation }) {
           ListEmptyComponent={
             <View style={styles.emptyState}>
               <Text style={styles.emptyStateText}>No routes found</Text>
+              {/* No schedule data at all, e.g. on web where feeds cannot be downloaded */}
+              {routes.length === 0 && (
+                <>
+                  <Text style={styles.emptyStateSubtext}>
+                    {needsReimport
+                      ? 'Imported schedules are not kept after a reload. Import the GTFS zip again.'
+                      : 'Schedule data is not downloaded yet'}
+                  </Text>
+                  <FeedImportButton onImported={onRefresh} />
+                </>
+              )}
             </View>
           }
         />
@@ -515,6 +577,18 @@ export default function TransitInfoScreen({ navigation }) {
           }
         />
       )}
+      {activeTab === 'changes' && (
+        <ScrollView
+          style={styles.content}
+          contentContainerStyle={styles.listContent}
+          refreshControl={
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          }
+        >
+          <FeedChangeReport report={changeReport} affectedCommutes={affectedCommutes} />
+          <FeedImportButton onImported={onRefresh} />
+        </ScrollView>
+      )}
     </SafeAreaView>
   );
 }
@@ -712,6 +786,24 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6B7280',
   },
+  timetableButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 12,
+  },
+  timetableButtonText: {
+    marginLeft: 6,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#3B82F6',
+  },
+  directionHeader: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginTop: 4,
+    marginBottom: 8,
+  },
   alertCard: {
     backgroundColor: '#FFFFFF',
     borderRadius: 12,
@@ -15,19 +15,24 @@ import {
   ActivityIndicator,
   KeyboardAvoidingView,
   Platform,
+  Switch,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import RouteModeToggle from '../components/trip/RouteModeToggle';
+import TripTimePicker from '../components/trip/TripTimePicker';
 import TripOptionCard from '../components/trip/TripOptionCard';
 import LocationAutocomplete from '../components/trip/LocationAutocomplete';
 import TripRouteMap from '../components/trip/TripRouteMap';
+import ActiveTripBanner from '../components/trip/ActiveTripBanner';
 import locationService from '../services/location/locationService';
 import metroService from '../services/gtfs/metroService';
 import reliabilityService from '../services/reliability/reliabilityService';
 import obaService from '../services/onebusaway/obaService';
 import geocodingService from '../services/geocoding/geocodingService';
 import tripRoutingService from '../services/routing/tripRoutingService';
+import activeTripMonitor from '../services/routing/activeTripMonitor';
+import { getUserPreferences, updateUserPreferences } from '../utils/storage';
 
 export default function TripPlannerScreen({ navigation, route }) {
   try {
@@ -43,6 +48,8 @@ export default function TripPlannerScreen({ navigation, route }) {
   const [originLocation, setOriginLocation] = useState(null); // Selected address/location object
   const [destinationLocation, setDestinationLocation] = useState(null); // Selected address/location object
   const [mode, setMode] = useState('fast'); // 'fast' or 'safe'
+  const [timeMode, setTimeMode] = useState('now'); // 'now', 'depart' or 'arrive'
+  const [tripTime, setTripTime] = useState(null); // Selected depart/arrive time
   const [itineraries, setItineraries] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -50,6 +57,8 @@ export default function TripPlannerScreen({ navigation, route }) {
   const [isInitialized, setIsInitialized] = useState(false);
   const [selectedItinerary, setSelectedItinerary] = useState(null);
   const [currentUserLocation, setCurrentUserLocation] = useState(null);
+  const [activeTrip, setActiveTrip] = useState(activeTripMonitor.getState()); // Started trip
+  const [wheelchair, setWheelchair] = useState(false); // Step-free trips only
   
   try {
     console.log('📊 TripPlannerScreen state initialized');
@@ -87,6 +96,20 @@ export default function TripPlannerScreen({ navigation, route }) {
     }
   }, [route]);
 
+  // Restore the rider's accessibility preference
+  useEffect(() => {
+    getUserPreferences().then((preferences) => {
+      setWheelchair(preferences.accessibility === 'wheelchair');
+    });
+  }, []);
+
+  // Follow the started trip; it keeps being monitored after leaving the screen
+  useEffect(() => {
+    activeTripMonitor.addListener(setActiveTrip);
+    setActiveTrip(activeTripMonitor.getState());
+    return () => activeTripMonitor.removeListener(setActiveTrip);
+  }, []);
+
   useEffect(() => {
     let isMounted = true;
     
@@ -162,16 +185,14 @@ export default function TripPlannerScreen({ navigation, route }) {
       if (location) {
         // Find nearest stop to current location
         await metroService.initialize();
-        const allStops = metroService.stops || [];
-        const nearbyStops = locationService.findNearbyStops(
+        const [nearestStop] = metroService.getNearestStops(
           location.latitude,
           location.longitude,
-          allStops,
+          1,
           200 // 200m radius
         );
 
-        if (nearbyStops.length > 0) {
-          const nearestStop = nearbyStops[0];
+        if (nearestStop) {
           setOrigin(nearestStop.stop_name || nearestStop.name || 'Current Location');
           setUseCurrentLocation(true);
         } else {
@@ -192,8 +213,10 @@ export default function TripPlannerScreen({ navigation, route }) {
 
     try {
       await metroService.initialize();
-      const stops = metroService.searchStops(query);
-      return stops.slice(0, 10); // Return top 10 matches
+      return metroService.searchStops(query, {
+        location: locationService.getLastKnownLocation(),
+        limit: 10, // Return top 10 matches
+      });
     } catch (error) {
       console.error('Error searching stops:', error);
       return [];
@@ -235,6 +258,9 @@ export default function TripPlannerScreen({ navigation, route }) {
           mode,
           maxWalkingDistance: 1000, // 1km max walking
           maxResults: 5,
+          departAt: timeMode === 'depart' ? tripTime : null,
+          arriveBy: timeMode === 'arrive' ? tripTime : null,
+          accessibility: wheelchair ? 'wheelchair' : null,
         }
       );
 
@@ -260,6 +286,24 @@ export default function TripPlannerScreen({ navigation, route }) {
     }
   };
 
+  const handleWheelchairChange = (enabled) => {
+    setWheelchair(enabled);
+    updateUserPreferences({ accessibility: enabled ? 'wheelchair' : null });
+  };
+
+  const startTrip = async (itinerary) => {
+    try {
+      setSelectedItinerary(itinerary);
+      await activeTripMonitor.startTrip(itinerary, {
+        mode,
+        accessibility: wheelchair ? 'wheelchair' : null,
+      });
+    } catch (error) {
+      console.error('Error starting trip:', error);
+      setError('Could not start monitoring this trip.');
+    }
+  };
+
   // Ensure navigation is available
   if (!navigation) {
     console.error('❌ Navigation prop is missing');
@@ -353,6 +397,21 @@ export default function TripPlannerScreen({ navigation, route }) {
               }}
             />
 
+            <TripTimePicker
+              timeMode={timeMode}
+              time={tripTime}
+              onChange={({ timeMode: newTimeMode, time }) => {
+                setTimeMode(newTimeMode);
+                setTripTime(time);
+              }}
+            />
+
+            <View style={styles.accessibilityRow}>
+              <Ionicons name="accessibility" size={20} color="#1E3A8A" />
+              <Text style={styles.accessibilityText}>Wheelchair accessible (step-free)</Text>
+              <Switch value={wheelchair} onValueChange={handleWheelchairChange} />
+            </View>
+
             <TouchableOpacity
               style={[styles.searchButton, loading && styles.searchButtonDisabled]}
               onPress={planTrip}
@@ -392,6 +451,16 @@ export default function TripPlannerScreen({ navigation, route }) {
             </View>
           )}
 
+          {/* Started trip, with alternatives when it is disrupted */}
+          <ActiveTripBanner
+            tripState={activeTrip}
+            onSelectAlternative={(alternative) => {
+              setSelectedItinerary(alternative);
+              activeTripMonitor.switchItinerary(alternative);
+            }}
+            onEndTrip={() => activeTripMonitor.stopTrip()}
+          />
+
           {/* Results */}
           {itineraries.length > 0 && (
             <View style={styles.resultsSection}>
@@ -431,6 +500,15 @@ export default function TripPlannerScreen({ navigation, route }) {
                 userLocation={currentUserLocation}
                 height={300}
               />
+              {!activeTrip && (
+                <TouchableOpacity
+                  style={styles.startTripButton}
+                  onPress={() => startTrip(selectedItinerary || itineraries[0])}
+                >
+                  <Ionicons name="navigate" size={20} color="#FFFFFF" />
+                  <Text style={styles.searchButtonText}>Start Trip</Text>
+                </TouchableOpacity>
+              )}
             </View>
           )}
 
@@ -507,6 +585,17 @@ const styles = StyleSheet.create({
   currentLocationButton: {
     padding: 4,
   },
+  accessibilityRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  accessibilityText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151',
+    marginLeft: 8,
+  },
   searchButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -540,6 +629,15 @@ const styles = StyleSheet.create({
     marginBottom: 16,
     marginHorizontal: 20,
   },
+  startTripButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#10B981',
+    borderRadius: 12,
+    paddingVertical: 14,
+    marginTop: 12,
+  },
   resultsSection: {
     padding: 20,
   },
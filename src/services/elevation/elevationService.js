@@ -0,0 +1,129 @@
+/**
+ * Elevation Service
+ * Looks up ground elevation so step-free trips can avoid steep walks
+ * Uses the Open-Meteo elevation API (no key required)
+ */
+
+import axios from 'axios';
+import ENV from '../../config/env';
+
+const ELEVATION_URL = ENV.ELEVATION_URL;
+
+// Coordinates the API accepts per request
+const MAX_POINTS_PER_REQUEST = 100;
+
+// Elevation is optional for trip planning, so a slow answer is not waited for long
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Rounding for cache keys: 4 decimal places is about 10 meters
+const COORDINATE_PRECISION = 4;
+
+// Distance between elevation samples along a walk, so a hill part way
+// along is caught even when both ends are at the same height
+const SAMPLE_SPACING_METERS = 50;
+
+class ElevationService {
+  constructor() {
+    this._cache = new Map(); // "lat,lon" -> meters; ground does not move, so never expires
+  }
+
+  /**
+   * Get the ground elevation of several points
+   * @param {Array} points - [{lat, lon}]
+   * @returns {Promise<Array|null>} Meters above sea level in the same order,
+   *   or null if any point could not be looked up
+   */
+  async getElevations(points) {
+    try {
+      const keys = points.map((point) => this._getKey(point.lat, point.lon));
+      const missing = [...new Set(keys.filter((key) => !this._cache.has(key)))];
+      const batches = [];
+      for (let start = 0; start < missing.length; start += MAX_POINTS_PER_REQUEST) {
+        batches.push(missing.slice(start, start + MAX_POINTS_PER_REQUEST));
+      }
+
+      // Batches are requested together so a long list waits for one timeout at most
+      const responses = await Promise.all(
+        batches.map((batch) => {
+          const coordinates = batch.map((key) => key.split(','));
+          return axios.get(ELEVATION_URL, {
+            params: {
+              latitude: coordinates.map(([lat]) => lat).join(','),
+              longitude: coordinates.map(([, lon]) => lon).join(','),
+            },
+            timeout: REQUEST_TIMEOUT_MS,
+          });
+        })
+      );
+
+      for (let index = 0; index < batches.length; index++) {
+        const batch = batches[index];
+        const elevations = responses[index].data?.elevation;
+        if (!Array.isArray(elevations) || elevations.length !== batch.length) {
+          console.warn('Invalid response from elevation API');
+          return null;
+        }
+        batch.forEach((key, position) => this._cache.set(key, elevations[position]));
+      }
+
+      return keys.map((key) => this._cache.get(key));
+    } catch (error) {
+      console.error('Error fetching elevations:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the steepest grade along each of several walks
+   * Street paths are not known, so the ground is sampled every
+   * SAMPLE_SPACING_METERS along the straight line between each walk's ends
+   * and the steepest stretch between neighbouring samples is returned.
+   * @param {Array} walks - [{from: {lat, lon}, to: {lat, lon}, distance}] with
+   *   distance the straight-line length in meters
+   * @returns {Promise<Array|null>} Steepest grade (%) of each walk in the same
+   *   order, or null if elevations are unavailable
+   */
+  async getSteepestGrades(walks) {
+    const samplesByWalk = walks.map(({ from, to, distance }) => {
+      const segments = Math.max(1, Math.ceil(distance / SAMPLE_SPACING_METERS));
+      return Array.from({ length: segments + 1 }, (_, index) => ({
+        lat: from.lat + ((to.lat - from.lat) * index) / segments,
+        lon: from.lon + ((to.lon - from.lon) * index) / segments,
+      }));
+    });
+    const elevations = await this.getElevations(samplesByWalk.flat());
+    if (!elevations) {
+      return null;
+    }
+
+    let offset = 0;
+    return walks.map(({ distance }, walkIndex) => {
+      const count = samplesByWalk[walkIndex].length;
+      const walkElevations = elevations.slice(offset, offset + count);
+      offset += count;
+      if (!(distance > 0)) {
+        return 0;
+      }
+
+      const segmentMeters = distance / (count - 1);
+      let steepest = 0;
+      for (let index = 1; index < count; index++) {
+        const climb = Math.abs(walkElevations[index] - walkElevations[index - 1]);
+        steepest = Math.max(steepest, (climb / segmentMeters) * 100);
+      }
+      return steepest;
+    });
+  }
+
+  /**
+   * Build the cache key for a point
+   * @private
+   */
+  _getKey(lat, lon) {
+    return `${Number(lat).toFixed(COORDINATE_PRECISION)},${Number(lon).toFixed(
+      COORDINATE_PRECISION
+    )}`;
+  }
+}
+
+export default new ElevationService();
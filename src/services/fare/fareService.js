@@ -2,8 +2,11 @@
  * Fare Service
  * Provides fare information for transit routes
  * Based on King County Metro and Sound Transit fare structures
+ * Other agencies are recognized from the agency prefix of the route ID
  */
 
+import { getAgencyIdFromId } from '../../utils/idMapping';
+
 /**
  * King County Metro Fare Structure (as of 2024)
  * - Adult: $2.75 (flat fare)
@@ -45,6 +48,50 @@ const SOUND_TRANSIT_FARES = {
   },
 };
 
+/**
+ * Local bus fares of other agencies (as of 2024), keyed by agency ID
+ * - Sound Transit (40): ST Express
+ * - Community Transit (29)
+ * - Pierce Transit (3)
+ */
+const AGENCY_BUS_FARES = {
+  40: SOUND_TRANSIT_FARES.bus,
+  29: {
+    adult: 2.50,
+    reduced: 1.25,
+    youth: 0.00,
+  },
+  3: {
+    adult: 2.00,
+    reduced: 1.00,
+    youth: 0.00,
+  },
+};
+
+/**
+ * Passenger ferry fares (as of 2024)
+ * - King County Water Taxi: $5.75
+ * - Washington State Ferries: varies by route, Seattle/Bainbridge shown
+ */
+const FERRY_FARES = {
+  1: {
+    adult: 5.75,
+    reduced: 2.50,
+    youth: 0.00,
+  },
+  95: {
+    adult: 10.25,
+    reduced: 5.10,
+    youth: 0.00,
+  },
+};
+
+// Agency ID of Washington State Ferries, whose routes are all ferries
+const WSF_AGENCY_ID = '95';
+
+// ORCA transfers within two hours of the first boarding are credited
+const ORCA_TRANSFER_WINDOW_MS = 2 * 60 * 60 * 1000;
+
 /**
  * Route type mapping
  * Determines fare structure based on route characteristics
@@ -82,12 +129,13 @@ class FareService {
    */
   getFare(routeId, routeShortName, routeType = null, options = {}) {
     const { fareType = 'adult', distance = null } = options;
+    const agencyId = getAgencyIdFromId(routeId);
 
     // Determine route category
-    const routeCategory = this._categorizeRoute(routeShortName, routeType);
+    const routeCategory = this._categorizeRoute(routeShortName, routeType, agencyId);
 
     // Get base fare
-    let baseFare = this._getBaseFare(routeCategory, fareType, distance);
+    let baseFare = this._getBaseFare(routeCategory, fareType, distance, agencyId);
 
     return {
       amount: baseFare,
@@ -95,7 +143,7 @@ class FareService {
       fareType,
       routeCategory,
       displayText: this._formatFare(baseFare),
-      details: this._getFareDetails(routeCategory, fareType),
+      details: this._getFareDetails(routeCategory, fareType, agencyId),
     };
   }
 
@@ -103,7 +151,12 @@ class FareService {
    * Categorize route based on name and type
    * @private
    */
-  _categorizeRoute(routeShortName, routeType) {
+  _categorizeRoute(routeShortName, routeType, agencyId = null) {
+    // Ferries (GTFS route_type 4)
+    if (agencyId === WSF_AGENCY_ID || String(routeType) === '4') {
+      return ROUTE_TYPES.FERRY;
+    }
+
     if (!routeShortName) return ROUTE_TYPES.BUS;
 
     const routeName = routeShortName.toLowerCase();
@@ -131,7 +184,7 @@ class FareService {
    * Get base fare for route category
    * @private
    */
-  _getBaseFare(routeCategory, fareType, distance) {
+  _getBaseFare(routeCategory, fareType, distance, agencyId = null) {
     switch (routeCategory) {
       case ROUTE_TYPES.LINK:
         // Link Light Rail: distance-based
@@ -156,18 +209,32 @@ class FareService {
           : SOUND_TRANSIT_FARES.link.medium;
 
       case ROUTE_TYPES.RAPIDRIDE:
-      case ROUTE_TYPES.BUS:
-        // King County Metro and Sound Transit buses: flat fare
+      case ROUTE_TYPES.BUS: {
+        // Buses: flat fare set by each agency
+        const busFares = AGENCY_BUS_FARES[agencyId] || METRO_FARES;
         if (fareType === 'orca') {
-          return METRO_FARES.orca;
+          return busFares.orca ?? busFares.adult;
         }
         if (fareType === 'reduced') {
-          return METRO_FARES.reduced;
+          return busFares.reduced;
         }
         if (fareType === 'youth') {
-          return METRO_FARES.youth;
+          return busFares.youth;
         }
-        return METRO_FARES.adult;
+        return busFares.adult;
+      }
+
+      case ROUTE_TYPES.FERRY: {
+        // Passenger fare; Water Taxi is run by King County Metro
+        const ferryFares = FERRY_FARES[agencyId] || FERRY_FARES[WSF_AGENCY_ID];
+        if (fareType === 'reduced') {
+          return ferryFares.reduced;
+        }
+        if (fareType === 'youth') {
+          return ferryFares.youth;
+        }
+        return ferryFares.adult;
+      }
 
       case ROUTE_TYPES.STREETCAR:
         // Streetcar: same as bus
@@ -202,10 +269,15 @@ class FareService {
    * Get fare details/notes
    * @private
    */
-  _getFareDetails(routeCategory, fareType) {
+  _getFareDetails(routeCategory, fareType, agencyId = null) {
     const details = [];
 
-    if (routeCategory === ROUTE_TYPES.LINK) {
+    if (routeCategory === ROUTE_TYPES.FERRY) {
+      details.push(agencyId === WSF_AGENCY_ID ? 'Fare varies by route' : 'Passenger fare');
+      if (fareType === 'youth') {
+        details.push('Youth 18 and under ride free');
+      }
+    } else if (routeCategory === ROUTE_TYPES.LINK) {
       details.push('Distance-based fare');
       if (fareType === 'reduced') {
         details.push('Reduced fare: $1.00');
@@ -224,6 +296,51 @@ class FareService {
     return details;
   }
 
+  /**
+   * Get the total fare for a planned trip
+   * Cash ('adult') is paid at every boarding. ORCA fares get the regional
+   * two-hour transfer credit, so a later boarding only pays any difference.
+   * @param {Array} legs - Itinerary legs; transit legs need routeId, routeShortName,
+   *   routeType and startTime (ms)
+   * @param {Object} options - Fare options
+   * @param {string} options.fareType - 'adult', 'reduced', 'youth', 'orca'
+   * @returns {Object} {amount, currency, fareType, displayText, legFares}
+   */
+  getItineraryFare(legs, options = {}) {
+    const { fareType = 'adult' } = options;
+    const usesTransferCredit = fareType !== 'adult';
+    let amount = 0;
+    let credit = 0;
+    let creditStartTime = null;
+
+    const legFares = legs
+      .filter((leg) => leg.mode !== 'WALK')
+      .map((leg) => {
+        const fare = this.getFare(leg.routeId, leg.routeShortName, leg.routeType, { fareType });
+        if (
+          !usesTransferCredit ||
+          creditStartTime === null ||
+          leg.startTime - creditStartTime > ORCA_TRANSFER_WINDOW_MS
+        ) {
+          credit = 0;
+          creditStartTime = leg.startTime;
+        }
+        const charged = Math.round(Math.max(0, fare.amount - credit) * 100) / 100;
+        credit = Math.max(credit, fare.amount);
+        amount += charged;
+        return { routeId: leg.routeId, amount: charged };
+      });
+
+    amount = Math.round(amount * 100) / 100;
+    return {
+      amount,
+      currency: 'USD',
+      fareType,
+      displayText: this._formatFare(amount),
+      legFares,
+    };
+  }
+
   /**
    * Get all fare options for a route
    * @param {string} routeId - Route ID
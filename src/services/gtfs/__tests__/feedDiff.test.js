@@ -0,0 +1,80 @@
+/**
+ * Test file for the GTFS feed diff
+ * Tests route, stop and headsign changes and affected commutes
+ */
+
+import { countChanges, diffFeeds, findAffectedCommutes } from '../feedDiff';
+
+const route = (id, shortName) => ({ route_id: id, route_short_name: shortName });
+const stop = (id, name, lat, lon) => ({
+  stop_id: id,
+  stop_name: name,
+  stop_lat: String(lat),
+  stop_lon: String(lon),
+});
+const trip = (routeId, headsign) => ({ route_id: routeId, trip_headsign: headsign });
+
+describe('diffFeeds', () => {
+  const previous = {
+    routes: [route('1_100', '8'), route('1_200', '40'), route('1_300', '62')],
+    stops: [
+      stop('1_10', 'Pine St & 3rd Ave', 47.6105, -122.3381),
+      stop('1_20', 'Fremont Ave N & N 34th St', 47.6502, -122.3497),
+      stop('1_30', 'Seattle Center', 47.6205, -122.3493),
+    ],
+    trips: [trip('1_100', 'Capitol Hill'), trip('1_200', 'Ballard')],
+  };
+  const next = {
+    routes: [route('1_100', '8'), route('1_200', '40 Express'), route('1_400', '1 Line')],
+    stops: [
+      stop('1_10', 'Pine St & 3rd Ave', 47.6105, -122.3381),
+      // About 110 m north
+      stop('1_20', 'Fremont Ave N & N 35th St', 47.6512, -122.3497),
+      stop('1_40', 'Westlake Station', 47.6114, -122.3370),
+    ],
+    trips: [trip('1_100', 'Mount Baker'), trip('1_200', 'Ballard')],
+  };
+
+  it('finds added, removed and renamed routes', () => {
+    const { routes } = diffFeeds(previous, next);
+    expect(routes.added.map((r) => r.routeId)).toEqual(['1_400']);
+    expect(routes.removed.map((r) => r.routeId)).toEqual(['1_300']);
+    expect(routes.renamed).toHaveLength(1);
+    expect(routes.renamed[0].previous.routeShortName).toBe('40');
+  });
+
+  it('finds moved, renamed, added and removed stops', () => {
+    const { stops } = diffFeeds(previous, next);
+    expect(stops.added.map((s) => s.stopId)).toEqual(['1_40']);
+    expect(stops.removed.map((s) => s.stopId)).toEqual(['1_30']);
+    expect(stops.moved.map((s) => s.stopId)).toEqual(['1_20']);
+    expect(stops.moved[0].distanceMeters).toBeGreaterThan(100);
+    expect(stops.renamed[0].previousName).toBe('Fremont Ave N & N 34th St');
+  });
+
+  it('reports headsign changes per route', () => {
+    const changes = diffFeeds(previous, next);
+    expect(changes.headsigns).toEqual([
+      { routeId: '1_100', routeShortName: '8', added: ['Mount Baker'], removed: ['Capitol Hill'] },
+    ]);
+    expect(countChanges(changes)).toBe(8);
+  });
+
+  it('reports nothing for identical feeds', () => {
+    expect(countChanges(diffFeeds(previous, previous))).toBe(0);
+  });
+
+  it('flags commutes that use a changed route or stop', () => {
+    const report = { feeds: [{ changes: diffFeeds(previous, next) }] };
+    const commutes = [
+      { id: 'a', preferredRoutes: ['1_300'], origin: { stopId: '1_10' } },
+      { id: 'b', preferredRoutes: ['1_400'], destination: { stopId: '1_20' } },
+      { id: 'c', preferredRoutes: ['1_400'], origin: { stopId: '1_10' } },
+    ];
+
+    const affected = findAffectedCommutes(report, commutes);
+    expect(affected.map(({ commute }) => commute.id)).toEqual(['a', 'b']);
+    expect(affected[0].routes[0].reason).toBe('discontinued');
+    expect(affected[1].stops[0].stopId).toBe('1_20');
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Test file for GTFS frequencies
+ * Tests expanding headway-based trips into runs
+ */
+
+import { expandFrequencyTrip, getFrequencyRuns } from '../frequencies';
+
+const stopTimes = [
+  { trip_id: '1_f1', stop_id: '1_b', stop_sequence: '2', arrival_time: '', departure_time: '' },
+  { trip_id: '1_f1', stop_id: '1_a', stop_sequence: '1', departure_time: '00:00:00' },
+  { trip_id: '1_f1', stop_id: '1_c', stop_sequence: '3', arrival_time: '00:12:00' },
+];
+
+describe('getFrequencyRuns', () => {
+  it('starts a run every headway until the end time', () => {
+    const runs = getFrequencyRuns(
+      [
+        { start_time: '07:00:00', end_time: '07:30:00', headway_secs: '600', exact_times: '1' },
+        { start_time: '06:00:00', end_time: '06:20:00', headway_secs: '900' },
+      ],
+      0
+    );
+
+    expect(runs.map((run) => run.startSeconds / 60)).toEqual([360, 375, 420, 430, 440]);
+    expect(runs[0]).toMatchObject({ headwaySeconds: 900, exactTimes: false });
+    expect(runs[2]).toMatchObject({ headwaySeconds: 600, exactTimes: true });
+  });
+
+  it('skips rows without a usable headway', () => {
+    expect(
+      getFrequencyRuns([{ start_time: '07:00:00', end_time: '08:00:00', headway_secs: '0' }], 0)
+    ).toEqual([]);
+  });
+});
+
+describe('expandFrequencyTrip', () => {
+  it('shifts the trip to each run, measured from its first stop', () => {
+    const runs = expandFrequencyTrip(stopTimes, [
+      { start_time: '08:00:00', end_time: '08:20:00', headway_secs: '600' },
+    ]);
+
+    expect(runs).toHaveLength(2);
+    const times = (run) => run.stopTimes.map((row) => row.departure_time || row.arrival_time);
+    expect(times(runs[0])).toEqual(['', '08:00:00', '08:12:00']);
+    expect(times(runs[1])).toEqual(['', '08:10:00', '08:22:00']);
+  });
+});
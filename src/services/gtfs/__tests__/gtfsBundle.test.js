@@ -0,0 +1,97 @@
+/**
+ * Test file for GTFS bundles
+ * Tests stop_times compression and reading a bundle back
+ */
+
+import {
+  compressStopTimes,
+  expandStopTimes,
+  createBundle,
+  readBundleManifest,
+  readBundleFeed,
+} from '../gtfsBundle';
+
+const row = (tripId, stopId, sequence, arrival, departure = arrival) => ({
+  trip_id: tripId,
+  stop_id: stopId,
+  stop_sequence: String(sequence),
+  arrival_time: arrival,
+  departure_time: departure,
+  stop_headsign: '',
+  pickup_type: '',
+  drop_off_type: '',
+  timepoint: '',
+});
+
+const trips = [
+  { trip_id: '1_t1', route_id: '1_r' },
+  { trip_id: '1_t2', route_id: '1_r' },
+];
+const stopTimes = [
+  row('1_t1', '1_b', 2, '', ''),
+  row('1_t1', '1_a', 1, '08:00:00', '08:01:00'),
+  { ...row('1_t1', '1_c', 3, '08:10:00'), stop_headsign: 'Downtown' },
+  row('1_t2', '1_a', 1, '24:55:00'),
+  row('1_t2', '1_b', 2, '', ''),
+  { ...row('1_t2', '1_c', 3, '25:05:00'), stop_headsign: 'Downtown' },
+];
+
+// Minimal stand-in for a JSZip archive of JSON files
+const fakeZip = (files) => ({
+  file: (path) =>
+    path in files ? { async: async () => JSON.stringify(files[path]) } : null,
+});
+
+describe('compressStopTimes', () => {
+  it('shares one pattern between trips with the same stops', () => {
+    const compressed = compressStopTimes(stopTimes, trips);
+
+    expect(compressed.patterns).toHaveLength(1);
+    expect(compressed.patterns[0]).toMatchObject({
+      routeId: '1_r',
+      stopIds: ['1_a', '1_b', '1_c'],
+    });
+    expect(compressed.trips[0]).toEqual(['1_t1', 0, [28800, 60, null, null, 540, 0]]);
+  });
+
+  it('expands back to the original rows', () => {
+    const expanded = expandStopTimes(compressStopTimes(stopTimes, trips));
+    const sorted = [...stopTimes].sort(
+      (a, b) => a.trip_id.localeCompare(b.trip_id) || a.stop_sequence - b.stop_sequence
+    );
+
+    expect(expanded).toEqual(sorted);
+  });
+});
+
+describe('readBundleFeed', () => {
+  it('reads a feed written by createBundle', async () => {
+    const feed = { id: 'kcm', agencyId: '1', name: 'King County Metro' };
+    const result = {
+      meta: { feedVersion: 'v1' },
+      routes: [{ route_id: '1_r' }],
+      stops: [],
+      trips,
+      stopTimes,
+      calendar: [],
+      calendarDates: [],
+      shapes: { '1_s': 'abc' },
+      transfers: [],
+      frequencies: [],
+    };
+    const zip = fakeZip(createBundle([{ feed, result, validation: { valid: true } }]));
+
+    const manifest = await readBundleManifest(zip);
+    const parsed = await readBundleFeed(zip, manifest, 'kcm');
+
+    expect(manifest.feeds.kcm).toMatchObject({ feedVersion: 'v1', stopTimes: 6 });
+    expect(parsed.meta).toEqual({ feedVersion: 'v1' });
+    expect(parsed.routes).toEqual(result.routes);
+    expect(parsed.shapes).toEqual(result.shapes);
+    expect(parsed.stopTimes).toHaveLength(6);
+  });
+
+  it('rejects a zip without a bundle manifest', async () => {
+    await expect(readBundleManifest(fakeZip({}))).rejects.toThrow('Not a GTFS bundle');
+  });
+});
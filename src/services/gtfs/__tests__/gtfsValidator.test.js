@@ -0,0 +1,104 @@
+/**
+ * Test file for the GTFS validator
+ * Tests referential integrity, coordinates, stop_time order and duplicates
+ */
+
+import { validateFeed, summarizeErrors, SEVERITY } from '../gtfsValidator';
+
+const stopTime = (tripId, stopId, sequence, time) => ({
+  trip_id: tripId,
+  stop_id: stopId,
+  stop_sequence: String(sequence),
+  arrival_time: time,
+  departure_time: time,
+});
+
+const createFeed = () => ({
+  routes: [{ route_id: '1_100', route_short_name: '8', route_type: '3' }],
+  stops: [
+    { stop_id: '1_10', stop_name: 'Pine St & 3rd Ave', stop_lat: '47.6105', stop_lon: '-122.3381' },
+    { stop_id: '1_20', stop_name: 'Broadway & E Pine St', stop_lat: '47.6154', stop_lon: '-122.3207' },
+  ],
+  trips: [{ route_id: '1_100', service_id: '1_WKD', trip_id: '1_500', shape_id: '1_S1' }],
+  stopTimes: [stopTime('1_500', '1_10', 1, '08:00:00'), stopTime('1_500', '1_20', 2, '08:10:00')],
+  calendar: [{ service_id: '1_WKD' }],
+  calendarDates: [],
+  shapes: { '1_S1': 'encoded' },
+});
+
+const codes = (report, severity) =>
+  report.issues.filter((issue) => issue.severity === severity).map((issue) => issue.code);
+
+describe('validateFeed', () => {
+  it('accepts a consistent feed', () => {
+    const report = validateFeed(createFeed());
+    expect(report.valid).toBe(true);
+    expect(report.issues).toEqual([]);
+    expect(report.counts).toEqual({ routes: 1, stops: 2, trips: 1, stopTimes: 2 });
+  });
+
+  it('rejects broken references', () => {
+    const feed = createFeed();
+    feed.trips.push({ route_id: '1_999', service_id: '1_NONE', trip_id: '1_501' });
+    feed.stopTimes.push(stopTime('1_501', '1_30', 1, '09:00:00'));
+    feed.stopTimes.push(stopTime('1_777', '1_10', 1, '09:00:00'));
+
+    const report = validateFeed(feed);
+    expect(report.valid).toBe(false);
+    expect(codes(report, SEVERITY.ERROR)).toEqual([
+      'unknown_route_id',
+      'unknown_service_id',
+      'unknown_stop_id',
+      'unknown_trip_id',
+    ]);
+    expect(summarizeErrors(report)).toContain('unknown_stop_id (1)');
+  });
+
+  it('rejects duplicate ids and missing required fields', () => {
+    const feed = createFeed();
+    feed.stops.push({ ...feed.stops[0] });
+    feed.routes.push({ route_id: '1_200', route_short_name: '10', route_type: '' });
+
+    const report = validateFeed(feed);
+    expect(codes(report, SEVERITY.ERROR)).toEqual(['missing_required_field', 'duplicate_stop_id']);
+    expect(report.issues[0].examples).toEqual(['routes.txt row 2: route_type']);
+  });
+
+  it('rejects stop times that repeat a sequence or go back in time', () => {
+    const feed = createFeed();
+    feed.stopTimes = [
+      stopTime('1_500', '1_10', 1, '08:00:00'),
+      stopTime('1_500', '1_20', 2, '07:55:00'),
+      stopTime('1_500', '1_10', 2, '08:20:00'),
+    ];
+
+    const report = validateFeed(feed);
+    expect(codes(report, SEVERITY.ERROR)).toEqual(['decreasing_stop_time', 'duplicate_stop_sequence']);
+  });
+
+  it('checks trips listed out of order by stop_sequence', () => {
+    const feed = createFeed();
+    feed.stopTimes = [
+      stopTime('1_500', '1_20', 3, '08:10:00'),
+      stopTime('1_500', '1_10', 1, '08:00:00'),
+      stopTime('1_500', '1_20', 2, '08:05:00'),
+    ];
+    expect(validateFeed(feed).valid).toBe(true);
+
+    feed.stopTimes[2].arrival_time = '08:30:00';
+    feed.stopTimes[2].departure_time = '08:30:00';
+    expect(codes(validateFeed(feed), SEVERITY.ERROR)).toEqual(['decreasing_stop_time']);
+  });
+
+  it('rejects impossible coordinates and warns about stops outside the area', () => {
+    const feed = createFeed();
+    feed.stops[0].stop_lat = '';
+    feed.stops[1].stop_lat = '48.1170'; // Port Townsend ferry terminal
+    feed.stops[1].stop_lon = '-122.7604';
+
+    const report = validateFeed(feed);
+    expect(codes(report, SEVERITY.ERROR)).toEqual(['invalid_coordinates']);
+    expect(codes(report, SEVERITY.WARNING)).toEqual(['stop_outside_service_area']);
+    expect(report.warningCount).toBe(1);
+  });
+});
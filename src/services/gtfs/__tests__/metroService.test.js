@@ -3,8 +3,12 @@
  * Tests GTFS data loading and querying functionality
  */
 
+import axios from 'axios';
 import metroService from '../metroService';
-import { getGTFSRoutes, getGTFSStops } from '../../../utils/storage';
+import gtfsStore from '../gtfsStore';
+import { getGTFSRoutes, getGTFSStops, getGTFSFeeds, setGTFSRoutes } from '../../../utils/storage';
+import { formatGTFSDate } from '../../../utils/gtfsTime';
+import { encodeShapes, namespaceRows } from '../feedParser';
 
 // Mock storage functions for testing
 jest.mock('../../../utils/storage', () => ({
@@ -14,14 +18,76 @@ jest.mock('../../../utils/storage', () => ({
   setGTFSStops: jest.fn(),
   getGTFSTrips: jest.fn(),
   setGTFSTrips: jest.fn(),
-  getGTFSStopTimes: jest.fn(),
-  setGTFSStopTimes: jest.fn(),
+  getGTFSCalendar: jest.fn(),
+  setGTFSCalendar: jest.fn(),
+  getGTFSCalendarDates: jest.fn(),
+  setGTFSCalendarDates: jest.fn(),
+  getGTFSTransfers: jest.fn(),
+  setGTFSTransfers: jest.fn(),
+  getGTFSFrequencies: jest.fn(),
+  setGTFSFrequencies: jest.fn(),
   getGTFSVersion: jest.fn(),
   setGTFSVersion: jest.fn(),
   getGTFSDownloadDate: jest.fn(),
   setGTFSDownloadDate: jest.fn(),
+  getGTFSFeeds: jest.fn(),
+  setGTFSFeeds: jest.fn(),
+  removeStorageItem: jest.fn(async () => true),
 }));
 
+// Feed downloads answer with whatever status a test sets
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+// Zip contents are supplied through _parseCSV / _parseFeedZip spies
+jest.mock('jszip', () => ({ loadAsync: jest.fn(async () => ({ files: {}, file: () => null })) }));
+
+// Mock the SQLite-backed stop_times and shapes store
+jest.mock('../gtfsStore', () => ({
+  open: jest.fn(async () => true),
+  stageStopTimes: jest.fn(),
+  stageShapes: jest.fn(),
+  commitFeeds: jest.fn(),
+  getShapes: jest.fn(),
+  getFeedCounts: jest.fn(),
+  getStopTimeCount: jest.fn(),
+  getStopTimesForTrip: jest.fn(),
+  getStopTimesForStop: jest.fn(),
+  getStopVisitsForRoute: jest.fn(),
+  getRouteIdsForStop: jest.fn(),
+  forEachTrip: jest.fn(),
+  clear: jest.fn(),
+}));
+
+// The routing index is prepared in the background once data is loaded
+jest.mock('../../routing/tripRoutingService', () => ({
+  __esModule: true,
+  default: { prepareRoutingIndex: jest.fn() },
+}));
+
+// A time in Seattle in July 2025 (PDT, UTC-7), whatever the test machine's timezone
+const julyInSeattle = (day, hour = 0, minute = 0) =>
+  new Date(Date.UTC(2025, 6, day, hour + 7, minute));
+
+// King County Metro tables as parsed from its zip
+const parsedFeed = () => ({
+  meta: { feedVersion: '2025-09' },
+  routes: [{ route_id: '1_100', route_short_name: '8', route_type: '3' }],
+  stops: [
+    { stop_id: '1_10', stop_name: 'Pine St', stop_lat: '47.6105', stop_lon: '-122.3381' },
+    { stop_id: '1_20', stop_name: 'Broadway', stop_lat: '47.6154', stop_lon: '-122.3207' },
+  ],
+  trips: [{ route_id: '1_100', service_id: '1_WKD', trip_id: '1_500' }],
+  stopTimes: [
+    { trip_id: '1_500', stop_id: '1_10', stop_sequence: '1', departure_time: '08:00:00' },
+    { trip_id: '1_500', stop_id: '1_20', stop_sequence: '2', arrival_time: '08:10:00' },
+  ],
+  calendar: [{ service_id: '1_WKD' }],
+  calendarDates: [],
+  shapes: {},
+  transfers: [],
+  frequencies: [],
+});
+
 describe('MetroGTFSService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
@@ -29,7 +95,12 @@ describe('MetroGTFSService', () => {
     metroService.routes = [];
     metroService.stops = [];
     metroService.trips = [];
-    metroService.stopTimes = [];
+    metroService.transfers = [];
+    metroService.frequencies = [];
+    metroService.stopTimeCount = 0;
+    gtfsStore.getStopTimeCount.mockResolvedValue(0);
+    metroService._setCalendar([], []);
+    metroService._clearShapeCache();
     metroService.isLoaded = false;
   });
 
@@ -42,12 +113,15 @@ describe('MetroGTFSService', () => {
         { stop_id: '1_75403', stop_name: '3rd Ave & Pike St', stop_lat: '47.609421', stop_lon: '-122.337631' },
       ];
       const mockTrips = [{ trip_id: '1_604318805', route_id: '1_100275' }];
-      const mockStopTimes = [{ trip_id: '1_604318805', stop_id: '1_75403', stop_sequence: '1' }];
 
       getGTFSRoutes.mockResolvedValue(mockRoutes);
       getGTFSStops.mockResolvedValue(mockStops);
       require('../../../utils/storage').getGTFSTrips.mockResolvedValue(mockTrips);
-      require('../../../utils/storage').getGTFSStopTimes.mockResolvedValue(mockStopTimes);
+      require('../../../utils/storage').getGTFSFeeds.mockResolvedValue({
+        kcm: { downloadedAt: '2026-10-01T00:00:00.000Z' },
+      });
+      require('../../../utils/storage').getGTFSVersion.mockResolvedValue('kcm:2026-10');
+      gtfsStore.getStopTimeCount.mockResolvedValue(1);
 
       const result = await metroService.loadFromStorage();
 
@@ -55,6 +129,50 @@ describe('MetroGTFSService', () => {
       expect(metroService.isLoaded).toBe(true);
       expect(metroService.routes).toEqual(mockRoutes);
       expect(metroService.stops).toEqual(mockStops);
+      expect(metroService.stopTimeCount).toBe(1);
+    });
+
+    it('should return false for caches written before the feed registry', async () => {
+      getGTFSRoutes.mockResolvedValue([{ route_id: '100275' }]);
+      getGTFSStops.mockResolvedValue([{ stop_id: '75403' }]);
+      require('../../../utils/storage').getGTFSTrips.mockResolvedValue([]);
+      require('../../../utils/storage').getGTFSFeeds.mockResolvedValue(null);
+
+      const result = await metroService.loadFromStorage();
+
+      expect(result).toBe(false);
+    });
+
+    it('should ask for a new import when the in-memory store lost its stop times', async () => {
+      getGTFSRoutes.mockResolvedValue([{ route_id: '1_100275' }]);
+      getGTFSStops.mockResolvedValue([{ stop_id: '1_75403' }]);
+      require('../../../utils/storage').getGTFSTrips.mockResolvedValue([]);
+      require('../../../utils/storage').getGTFSFeeds.mockResolvedValue({
+        kcm: { downloadedAt: '2026-10-01T00:00:00.000Z', importedFrom: 'google_transit.zip' },
+      });
+      require('../../../utils/storage').getGTFSVersion.mockResolvedValue('kcm:2026-10');
+      gtfsStore.open.mockResolvedValueOnce(false);
+
+      const result = await metroService.loadFromStorage();
+
+      expect(result).toBe(false);
+      expect(metroService.isLoaded).toBe(false);
+      expect(metroService.needsReimport()).toBe(true);
+    });
+
+    it('should return false when the last update did not finish', async () => {
+      getGTFSRoutes.mockResolvedValue([{ route_id: '1_100275' }]);
+      getGTFSStops.mockResolvedValue([{ stop_id: '1_75403' }]);
+      require('../../../utils/storage').getGTFSTrips.mockResolvedValue([]);
+      require('../../../utils/storage').getGTFSFeeds.mockResolvedValue({
+        kcm: { downloadedAt: '2026-10-01T00:00:00.000Z' },
+      });
+      require('../../../utils/storage').getGTFSVersion.mockResolvedValue(null);
+
+      const result = await metroService.loadFromStorage();
+
+      expect(result).toBe(false);
+      expect(metroService.isLoaded).toBe(false);
     });
 
     it('should return false when no data in storage', async () => {
@@ -116,16 +234,17 @@ describe('MetroGTFSService', () => {
   });
 
   describe('getStopsForRoute', () => {
-    it('should return stops for a route', () => {
+    it('should return stops for a route', async () => {
       metroService.routes = [{ route_id: '1_100275' }];
       metroService.trips = [
         { trip_id: 'trip1', route_id: '1_100275' },
         { trip_id: 'trip2', route_id: '1_100275' },
       ];
-      metroService.stopTimes = [
-        { trip_id: 'trip1', stop_id: 'stop1' },
-        { trip_id: 'trip2', stop_id: 'stop2' },
-      ];
+      metroService.stopTimeCount = 2;
+      gtfsStore.getStopVisitsForRoute.mockResolvedValue([
+        { trip_id: 'trip1', stop_id: 'stop1', stop_sequence: 1 },
+        { trip_id: 'trip2', stop_id: 'stop2', stop_sequence: 1 },
+      ]);
       metroService.stops = [
         { stop_id: 'stop1', stop_name: 'Stop 1' },
         { stop_id: 'stop2', stop_name: 'Stop 2' },
@@ -133,32 +252,263 @@ describe('MetroGTFSService', () => {
       ];
       metroService.isLoaded = true;
 
-      const stops = metroService.getStopsForRoute('1_100275');
+      const stops = await metroService.getStopsForRoute('1_100275');
 
+      expect(gtfsStore.getStopVisitsForRoute).toHaveBeenCalledWith('1_100275');
       expect(stops).toHaveLength(2);
       expect(stops.map((s) => s.stop_id)).toContain('stop1');
       expect(stops.map((s) => s.stop_id)).toContain('stop2');
     });
   });
 
+  describe('getPatternsForRoute', () => {
+    it('should group trips by direction and stop order', async () => {
+      const trip = (id, directionId, headsign) => ({
+        trip_id: id,
+        route_id: '1_100',
+        direction_id: directionId,
+        trip_headsign: headsign,
+      });
+      metroService.trips = [
+        trip('t1', '0', 'Downtown'),
+        trip('t2', '0', 'Downtown'),
+        trip('t3', '0', 'Downtown'), // short turn
+        trip('t4', '1', 'Northgate'),
+        { ...trip('other', '0', 'Elsewhere'), route_id: '1_200' },
+      ];
+      metroService.stopTimeCount = 12;
+      // Visits are not in stop_sequence order
+      const visits = (tripId, stopIds) =>
+        stopIds.map((stopId, i) => ({ trip_id: tripId, stop_id: stopId, stop_sequence: i + 1 }));
+      gtfsStore.getStopVisitsForRoute.mockResolvedValue([
+        ...visits('t1', ['a', 'b', 'c']).reverse(),
+        ...visits('t2', ['a', 'b', 'c']),
+        ...visits('t3', ['a', 'b']),
+        ...visits('t4', ['c', 'b', 'a']),
+      ]);
+      metroService.stops = ['a', 'b', 'c'].map((id) => ({ stop_id: id, stop_name: id }));
+      metroService.isLoaded = true;
+
+      const patterns = await metroService.getPatternsForRoute('1_100');
+
+      expect(patterns.map((p) => [p.directionId, p.tripCount])).toEqual([
+        ['0', 2],
+        ['0', 1],
+        ['1', 1],
+      ]);
+      expect(patterns[0].headsign).toBe('Downtown');
+      expect(patterns[0].stops.map((stop) => stop.stop_id)).toEqual(['a', 'b', 'c']);
+      expect(patterns[1].stops.map((stop) => stop.stop_id)).toEqual(['a', 'b']);
+      expect(patterns[2].stops.map((stop) => stop.stop_id)).toEqual(['c', 'b', 'a']);
+    });
+
+    it('should return no patterns without stop_times', async () => {
+      metroService.isLoaded = true;
+      expect(await metroService.getPatternsForRoute('1_100')).toEqual([]);
+      expect(gtfsStore.getStopVisitsForRoute).not.toHaveBeenCalled();
+    });
+  });
+
   describe('getRoutesForStop', () => {
-    it('should return routes serving a stop', () => {
+    it('should return routes serving a stop', async () => {
       metroService.stops = [{ stop_id: 'stop1' }];
-      metroService.stopTimes = [
-        { trip_id: 'trip1', stop_id: 'stop1' },
-        { trip_id: 'trip2', stop_id: 'stop1' },
+      metroService.routes = [
+        { route_id: 'route1', route_short_name: '8' },
+        { route_id: 'route2', route_short_name: '49' },
       ];
+      metroService.stopTimeCount = 2;
+      gtfsStore.getRouteIdsForStop.mockResolvedValue(['route1', 'route2']);
+      metroService.isLoaded = true;
+
+      const routes = await metroService.getRoutesForStop('stop1');
+
+      expect(routes).toHaveLength(2);
+      expect(routes.map((route) => route.route_id)).toEqual(['route1', 'route2']);
+    });
+  });
+
+  describe('needsUpdate', () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const storage = require('../../../utils/storage');
+    const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+    // Every registered feed checked at the same time, with the given metadata
+    const mockFeeds = (info) => {
+      const { GTFS_FEEDS } = require('../../../utils/constants');
+      storage.getGTFSFeeds.mockResolvedValue(
+        Object.fromEntries(GTFS_FEEDS.map((feed) => [feed.id, info]))
+      );
+    };
+
+    beforeEach(() => {
+      storage.getGTFSDownloadDate.mockResolvedValue(daysAgo(2));
+      metroService.stopTimeCount = 100;
+      const { GTFS_FEEDS } = require('../../../utils/constants');
+      gtfsStore.getFeedCounts.mockResolvedValue(
+        new Map(GTFS_FEEDS.map((feed) => [feed.id, { stopTimes: 100, shapes: 10 }]))
+      );
+    });
+
+    it('should check feeds served with an ETag daily', async () => {
+      mockFeeds({ downloadedAt: daysAgo(2), checkedAt: daysAgo(2), etag: '"abc"' });
+
+      expect(await metroService.needsUpdate()).toBe(true);
+    });
+
+    it('should wait the full cache duration for feeds without validators', async () => {
+      mockFeeds({ downloadedAt: daysAgo(2), checkedAt: daysAgo(2), feedEndDate: '20991231' });
+
+      expect(await metroService.needsUpdate()).toBe(false);
+    });
+
+    it('should check early when a feed is about to expire', async () => {
+      const feedEndDate = formatGTFSDate(Date.now() + 3 * DAY);
+      mockFeeds({ downloadedAt: daysAgo(2), checkedAt: daysAgo(2), feedEndDate });
+
+      expect(await metroService.needsUpdate()).toBe(true);
+    });
+
+    it('should download again when shapes were stored before the indexed store', async () => {
+      mockFeeds({ downloadedAt: daysAgo(2), checkedAt: daysAgo(2), feedEndDate: '20991231' });
+      metroService.trips = [{ trip_id: '1_t1', route_id: '1_100', shape_id: '1_S1' }];
+      (await gtfsStore.getFeedCounts()).set('kcm', { stopTimes: 100, shapes: 0 });
+
+      expect(await metroService.needsUpdate()).toBe(true);
+    });
+
+    it('should download again when a feed has no stop_times stored', async () => {
+      mockFeeds({ downloadedAt: daysAgo(2), checkedAt: daysAgo(2), feedEndDate: '20991231' });
+      (await gtfsStore.getFeedCounts()).delete('st');
+
+      expect(await metroService.needsUpdate()).toBe(true);
+    });
+
+    it('should download feeds added to the registry', async () => {
+      storage.getGTFSFeeds.mockResolvedValue({ kcm: { downloadedAt: daysAgo(0) } });
+
+      expect(await metroService.needsUpdate()).toBe(true);
+    });
+  });
+
+  describe('namespaceRows', () => {
+    it('should prefix feed ids with the agency id and leave blank ids alone', () => {
+      const stops = namespaceRows(
+        [
+          { stop_id: 'C15', parent_station: '' },
+          { stop_id: 'C15_1', parent_station: 'C15' },
+        ],
+        '40',
+        ['stop_id', 'parent_station']
+      );
+
+      expect(stops).toEqual([
+        { stop_id: '40_C15', parent_station: '' },
+        { stop_id: '40_C15_1', parent_station: '40_C15' },
+      ]);
+    });
+  });
+
+  describe('getActiveServiceIds', () => {
+    beforeEach(() => {
+      metroService._setCalendar(
+        [
+          {
+            service_id: 'WEEKDAY',
+            monday: '1', tuesday: '1', wednesday: '1', thursday: '1', friday: '1',
+            saturday: '0', sunday: '0',
+            start_date: '20250101', end_date: '20251231',
+          },
+          {
+            service_id: 'SATURDAY',
+            monday: '0', tuesday: '0', wednesday: '0', thursday: '0', friday: '0',
+            saturday: '1', sunday: '0',
+            start_date: '20250101', end_date: '20251231',
+          },
+        ],
+        [
+          // July 4th 2025 (Friday) runs the Saturday schedule
+          { service_id: 'WEEKDAY', date: '20250704', exception_type: '2' },
+          { service_id: 'SATURDAY', date: '20250704', exception_type: '1' },
+        ]
+      );
+      metroService.isLoaded = true;
+    });
+
+    it('should use weekday patterns from calendar.txt', () => {
+      expect([...metroService.getActiveServiceIds(julyInSeattle(2))]).toEqual(['WEEKDAY']);
+      expect([...metroService.getActiveServiceIds(julyInSeattle(5))]).toEqual(['SATURDAY']);
+      expect([...metroService.getActiveServiceIds(julyInSeattle(6))]).toEqual([]);
+    });
+
+    it('should apply calendar_dates.txt additions and removals', () => {
+      expect([...metroService.getActiveServiceIds(julyInSeattle(4))]).toEqual(['SATURDAY']);
+    });
+
+    it('should ignore services outside their date range', () => {
+      expect([...metroService.getActiveServiceIds(Date.UTC(2026, 0, 5, 20))]).toEqual([]);
+    });
+
+    it('should check whether a trip runs on a date', () => {
       metroService.trips = [
-        { trip_id: 'trip1', route_id: 'route1' },
-        { trip_id: 'trip2', route_id: 'route2' },
+        { trip_id: 'trip1', route_id: '100275', service_id: 'WEEKDAY' },
+        { trip_id: 'trip2', route_id: '100275', service_id: 'SATURDAY' },
+      ];
+
+      expect(metroService.isTripRunningOn('trip1', julyInSeattle(2))).toBe(true);
+      expect(metroService.isTripRunningOn('trip1', julyInSeattle(4))).toBe(false);
+      expect(metroService.getTripsForDate(julyInSeattle(4)).map((t) => t.trip_id)).toEqual([
+        'trip2',
+      ]);
+    });
+  });
+
+  describe('shapes', () => {
+    const storedShapes = encodeShapes([
+      { shape_id: 'S1', shape_pt_lat: '47.61', shape_pt_lon: '-122.33', shape_pt_sequence: '2' },
+      { shape_id: 'S1', shape_pt_lat: '47.60', shape_pt_lon: '-122.33', shape_pt_sequence: '1' },
+      { shape_id: 'S1', shape_pt_lat: '47.61', shape_pt_lon: '-122.32', shape_pt_sequence: '3' },
+      { shape_id: 'S2', shape_pt_lat: '47.61', shape_pt_lon: '-122.32', shape_pt_sequence: '1' },
+      { shape_id: 'S2', shape_pt_lat: '47.60', shape_pt_lon: '-122.33', shape_pt_sequence: '2' },
+    ]);
+
+    beforeEach(() => {
+      gtfsStore.getShapes.mockImplementation(async (shapeIds) =>
+        Object.fromEntries(
+          shapeIds.filter((shapeId) => storedShapes[shapeId]).map((id) => [id, storedShapes[id]])
+        )
+      );
+      metroService.trips = [
+        { trip_id: 'trip1', route_id: '100275', direction_id: '0', shape_id: 'S1' },
+        { trip_id: 'trip2', route_id: '100275', direction_id: '0', shape_id: 'S1' },
+        { trip_id: 'trip3', route_id: '100275', direction_id: '1', shape_id: 'S2' },
+        { trip_id: 'trip4', route_id: '100479' },
       ];
       metroService.isLoaded = true;
+    });
+
+    it('should return the shape of a trip in sequence order', async () => {
+      expect(await metroService.getShapeForTrip('trip1')).toEqual([
+        { latitude: 47.6, longitude: -122.33 },
+        { latitude: 47.61, longitude: -122.33 },
+        { latitude: 47.61, longitude: -122.32 },
+      ]);
+    });
 
-      const routes = metroService.getRoutesForStop('stop1');
+    it('should return an empty shape for trips without shape_id', async () => {
+      expect(await metroService.getShapeForTrip('trip4')).toEqual([]);
+      expect(gtfsStore.getShapes).not.toHaveBeenCalled();
+    });
 
-      expect(routes).toHaveLength(2);
-      expect(routes).toContain('route1');
-      expect(routes).toContain('route2');
+    it('should read each distinct shape of a route once', async () => {
+      const shapes = await metroService.getShapesForRoute('100275');
+
+      expect(shapes.map((shape) => shape.shapeId)).toEqual(['S1', 'S2']);
+      expect(shapes[1].directionId).toBe('1');
+      expect(gtfsStore.getShapes).toHaveBeenCalledWith(['S1', 'S2']);
+
+      // Decoded shapes are kept, so the store is not read again
+      await metroService.getShapeForTrip('trip3');
+      expect(gtfsStore.getShapes).toHaveBeenCalledTimes(1);
     });
   });
 
@@ -190,5 +540,356 @@ describe('MetroGTFSService', () => {
       expect(results[0].stop_code).toBe('75403');
     });
   });
-});
 
+  describe('searchRoutes', () => {
+    it('should rank an exact route number above longer ones', () => {
+      metroService.routes = [
+        { route_id: '1_100', route_short_name: '8', route_long_name: 'Seattle Center - Mount Baker' },
+        { route_id: '1_101', route_short_name: '81', route_long_name: 'Night Owl' },
+        { route_id: '1_102', route_short_name: 'E Line', route_long_name: 'RapidRide E Line' },
+      ];
+      metroService.isLoaded = true;
+
+      expect(metroService.searchRoutes('8').map((route) => route.route_id)).toEqual([
+        '1_100',
+        '1_101',
+      ]);
+      expect(metroService.searchRoutes('rapidride')[0].route_id).toBe('1_102');
+    });
+  });
+
+  describe('stations', () => {
+    const station = (id, name, lat, lon) => ({
+      stop_id: id,
+      stop_name: name,
+      stop_lat: String(lat),
+      stop_lon: String(lon),
+      location_type: '1',
+    });
+    const child = (id, parent, lat, lon, extra = {}) => ({
+      stop_id: id,
+      stop_name: 'Capitol Hill Station',
+      stop_lat: String(lat),
+      stop_lon: String(lon),
+      location_type: '0',
+      parent_station: parent,
+      ...extra,
+    });
+
+    beforeEach(() => {
+      metroService._setStops([
+        station('40_CH', 'Capitol Hill Station', 47.6191, -122.3204),
+        child('40_CH1', '40_CH', 47.619, -122.3203, { stop_code: '99603' }),
+        child('40_CH2', '40_CH', 47.6192, -122.3205, { stop_code: '99604' }),
+        child('40_CHE', '40_CH', 47.6188, -122.321, { location_type: '2' }),
+        {
+          stop_id: '1_100',
+          stop_name: 'Broadway & E John St',
+          stop_lat: '47.6196',
+          stop_lon: '-122.321',
+        },
+      ]);
+      metroService.isLoaded = true;
+    });
+
+    it('should resolve platforms and entrances to their station', () => {
+      expect(metroService.getStation('40_CH2').stop_id).toBe('40_CH');
+      expect(metroService.getStation('40_CHE').stop_id).toBe('40_CH');
+      expect(metroService.getStation('1_100')).toBeNull();
+      expect(metroService.getBoardingStopIds('40_CH')).toEqual(['40_CH1', '40_CH2']);
+      expect(metroService.getBoardingStopIds('1_100')).toEqual(['1_100']);
+    });
+
+    it('should list a station once in nearby stops and search', () => {
+      const nearby = metroService.getStopsNear(47.6191, -122.3204, 200);
+      expect(nearby.map((stop) => stop.stop_id)).toEqual(['40_CH', '1_100']);
+
+      expect(metroService.searchStops('capitol hill').map((stop) => stop.stop_id)).toEqual([
+        '40_CH',
+      ]);
+      // A platform's stop code finds its station
+      expect(metroService.searchStops('99604')[0].stop_id).toBe('40_CH');
+    });
+
+    it('should return the nearest distinct stops', () => {
+      const nearest = metroService.getNearestStops(47.619, -122.3203, 2);
+      expect(nearest.map((stop) => stop.stop_id)).toEqual(['40_CH', '1_100']);
+      expect(nearest[0].distance).toBe(0);
+    });
+  });
+
+  describe('getTransfer', () => {
+    it('should prefer the rule naming the most specific routes and trips', () => {
+      metroService.transfers = [
+        { from_stop_id: '1_A', to_stop_id: '1_B', transfer_type: '2', min_transfer_time: '240' },
+        {
+          from_stop_id: '1_A',
+          to_stop_id: '1_B',
+          from_route_id: '1_8',
+          to_route_id: '1_49',
+          transfer_type: '1',
+        },
+        { from_stop_id: '1_A', to_stop_id: '1_B', to_trip_id: '1_t9', transfer_type: '3' },
+      ];
+
+      expect(metroService.getTransfer('1_A', '1_B')).toEqual({
+        transferType: 2,
+        minTransferSeconds: 240,
+      });
+      expect(
+        metroService.getTransfer('1_A', '1_B', { fromRouteId: '1_8', toRouteId: '1_49' })
+          .transferType
+      ).toBe(1);
+      expect(
+        metroService.getTransfer('1_A', '1_B', {
+          fromRouteId: '1_8',
+          toRouteId: '1_49',
+          toTripId: '1_t9',
+        }).transferType
+      ).toBe(3);
+      expect(metroService.getTransfer('1_B', '1_A')).toBeNull();
+    });
+  });
+
+  describe('getScheduledArrivals and getStopTimetable', () => {
+    const everyDay = {
+      monday: '1', tuesday: '1', wednesday: '1', thursday: '1', friday: '1',
+      saturday: '1', sunday: '1',
+      start_date: '20250101', end_date: '20251231',
+    };
+
+    beforeEach(() => {
+      metroService.routes = [{ route_id: '1_100', route_short_name: '8' }];
+      metroService.trips = [
+        { trip_id: '1_t1', route_id: '1_100', service_id: '1_DAILY', trip_headsign: 'Capitol Hill' },
+        { trip_id: '1_t2', route_id: '1_100', service_id: '1_DAILY', trip_headsign: 'Capitol Hill' },
+        { trip_id: '1_t3', route_id: '1_100', service_id: '1_OTHER', trip_headsign: 'Capitol Hill' },
+        { trip_id: '1_owl', route_id: '1_100', service_id: '1_DAILY', trip_headsign: 'Owl' },
+      ];
+      metroService._setCalendar([{ service_id: '1_DAILY', ...everyDay }], []);
+      metroService.stopTimeCount = 4;
+      metroService.isLoaded = true;
+      gtfsStore.getStopTimesForStop.mockResolvedValue([
+        { trip_id: '1_owl', stop_id: '1_75403', arrival_time: '24:20:00', departure_time: '24:20:00' },
+        { trip_id: '1_t1', stop_id: '1_75403', arrival_time: '00:40:00', departure_time: '00:40:00' },
+        { trip_id: '1_t3', stop_id: '1_75403', arrival_time: '00:45:00', departure_time: '00:45:00' },
+        { trip_id: '1_t2', stop_id: '1_75403', arrival_time: '03:00:00', departure_time: '03:00:00' },
+      ]);
+    });
+
+    it('should list trips running in the window, including last night\'s late trips', async () => {
+      const now = julyInSeattle(2, 0, 15).getTime();
+      const arrivals = await metroService.getScheduledArrivals('1_75403', { now });
+
+      expect(arrivals.map((arrival) => arrival.tripId)).toEqual(['1_owl', '1_t1']);
+      expect(arrivals[0]).toMatchObject({
+        routeShortName: '8',
+        tripHeadsign: 'Owl',
+        scheduledArrivalTime: julyInSeattle(2, 0, 20).getTime(),
+        minutesUntilArrival: 5,
+        predicted: false,
+        source: 'scheduled',
+      });
+    });
+
+    it('should prefer the stored stop_headsign over the trip headsign', async () => {
+      gtfsStore.getStopTimesForStop.mockResolvedValue([
+        {
+          trip_id: '1_t1',
+          stop_id: '1_75403',
+          arrival_time: '00:40:00',
+          departure_time: '00:40:00',
+          stop_headsign: 'Downtown',
+        },
+      ]);
+
+      const arrivals = await metroService.getScheduledArrivals('1_75403', {
+        now: julyInSeattle(2, 0, 15).getTime(),
+      });
+
+      expect(arrivals[0].tripHeadsign).toBe('Downtown');
+    });
+
+    it('should return nothing without calendar data', async () => {
+      metroService._setCalendar([], []);
+      const arrivals = await metroService.getScheduledArrivals('1_75403', {
+        now: julyInSeattle(2, 0, 15).getTime(),
+      });
+      expect(arrivals).toEqual([]);
+    });
+
+    it('should list a day\'s departures grouped by route and headsign', async () => {
+      const timetable = await metroService.getStopTimetable('1_75403', julyInSeattle(2));
+
+      expect(timetable.map((group) => group.headsign)).toEqual(['Capitol Hill', 'Owl']);
+      expect(timetable[0].departures.map((departure) => departure.departureTime)).toEqual([
+        julyInSeattle(2, 0, 40).getTime(),
+        julyInSeattle(2, 3, 0).getTime(),
+      ]);
+      // The owl trip runs past midnight but belongs to this service day
+      expect(timetable[1].departures[0].departureTime).toBe(julyInSeattle(3, 0, 20).getTime());
+    });
+
+    it('should split a route by stop_headsign when it overrides the trip headsign', async () => {
+      // A loop route signed "Downtown" at this stop on its second pass
+      gtfsStore.getStopTimesForStop.mockResolvedValue([
+        { trip_id: '1_t1', stop_id: '1_75403', departure_time: '08:00:00' },
+        {
+          trip_id: '1_t2',
+          stop_id: '1_75403',
+          departure_time: '09:00:00',
+          stop_headsign: 'Downtown',
+        },
+      ]);
+
+      const timetable = await metroService.getStopTimetable('1_75403', julyInSeattle(2));
+
+      expect(timetable.map((group) => [group.routeId, group.headsign])).toEqual([
+        ['1_100', 'Capitol Hill'],
+        ['1_100', 'Downtown'],
+      ]);
+      expect(timetable[1].departures.map((departure) => departure.tripId)).toEqual(['1_t2']);
+    });
+
+    it('should expand headway-based trips into one arrival per run', async () => {
+      // 1_t2 leaves its first stop at 02:50 and runs every 10 minutes 00:00-01:00
+      metroService.frequencies = [
+        { trip_id: '1_t2', start_time: '00:00:00', end_time: '01:00:00', headway_secs: '600' },
+      ];
+      gtfsStore.getStopTimesForTrip.mockResolvedValue([
+        { trip_id: '1_t2', stop_id: '1_1', stop_sequence: '1', departure_time: '02:50:00' },
+        { trip_id: '1_t2', stop_id: '1_75403', stop_sequence: '2', arrival_time: '03:00:00' },
+      ]);
+
+      const now = julyInSeattle(2, 0, 15).getTime();
+      const arrivals = await metroService.getScheduledArrivals('1_75403', {
+        now,
+        minutesBefore: 0,
+        minutesAfter: 30,
+      });
+      const runs = arrivals.filter((arrival) => arrival.tripId === '1_t2');
+
+      expect(runs.map((arrival) => arrival.scheduledArrivalTime)).toEqual(
+        [20, 30, 40].map((minute) => julyInSeattle(2, 0, minute).getTime())
+      );
+      expect(runs[0].headwayMinutes).toBe(10);
+      expect(metroService.getRouteHeadways('1_100')).toEqual([
+        { startSeconds: 0, endSeconds: 3600, headwayMinutes: 10 },
+      ]);
+    });
+  });
+
+  describe('importFeedZip', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should replace the detected feed and keep the other loaded feeds', async () => {
+      metroService.isLoaded = true;
+      metroService.routes = [{ route_id: '40_100479', route_short_name: '1 Line' }];
+      metroService.feeds = { st: { downloadedAt: '2025-09-01T00:00:00.000Z' } };
+      getGTFSFeeds.mockResolvedValue(metroService.feeds);
+      gtfsStore.stageStopTimes.mockResolvedValue(2);
+      gtfsStore.getStopTimeCount.mockResolvedValue(50);
+      jest
+        .spyOn(metroService, '_parseCSV')
+        .mockResolvedValue([{ agency_id: '1', agency_name: 'Metro Transit' }]);
+      jest.spyOn(metroService, '_parseFeedZip').mockResolvedValue(parsedFeed());
+
+      const [summary] = await metroService.importFeedZip(new ArrayBuffer(0), {
+        fileName: 'google_transit.zip',
+      });
+
+      expect(summary).toMatchObject({ feedId: 'kcm', routes: 1, stops: 2, stopTimes: 2 });
+      expect(gtfsStore.stageShapes).toHaveBeenCalledWith('kcm', {});
+      expect(gtfsStore.commitFeeds).toHaveBeenCalledWith(['kcm'], ['st', 'kcm']);
+      // The stored version is cleared before the swap and written again after it
+      const storage = require('../../../utils/storage');
+      expect(storage.removeStorageItem.mock.invocationCallOrder[0]).toBeLessThan(
+        gtfsStore.commitFeeds.mock.invocationCallOrder[0]
+      );
+      expect(storage.removeStorageItem).toHaveBeenCalledWith('@wayfare_gtfs_version');
+      expect(storage.setGTFSVersion.mock.invocationCallOrder[0]).toBeGreaterThan(
+        gtfsStore.commitFeeds.mock.invocationCallOrder[0]
+      );
+      expect(metroService.routes.map((route) => route.route_id)).toEqual(['40_100479', '1_100']);
+      expect(setGTFSRoutes).toHaveBeenCalledWith(metroService.routes);
+      expect(metroService.getFeeds().find((feed) => feed.id === 'kcm')).toMatchObject({
+        feedVersion: '2025-09',
+        importedFrom: 'google_transit.zip',
+      });
+    });
+
+    it('should reject a zip from an unknown agency without touching loaded data', async () => {
+      jest.spyOn(metroService, '_parseCSV').mockResolvedValue([{ agency_name: 'Elsewhere Bus' }]);
+
+      await expect(metroService.importFeedZip(new ArrayBuffer(0))).rejects.toThrow(
+        'does not match any supported transit agency'
+      );
+      expect(gtfsStore.stageStopTimes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fetchStaticData', () => {
+    const storage = require('../../../utils/storage');
+    const { GTFS_FEEDS } = require('../../../utils/constants');
+    const kcmFeed = GTFS_FEEDS.find((feed) => feed.id === 'kcm');
+
+    beforeEach(() => {
+      // A loaded King County Metro copy; the other feeds cannot be reached
+      metroService.isLoaded = true;
+      metroService.routes = parsedFeed().routes;
+      metroService._setStops(parsedFeed().stops);
+      metroService.trips = parsedFeed().trips;
+      getGTFSFeeds.mockResolvedValue({
+        kcm: { downloadedAt: '2025-09-01T00:00:00.000Z', etag: '"v1"', feedVersion: '2025-09' },
+      });
+      axios.get.mockImplementation(async (url, { headers }) => {
+        if (headers['If-None-Match']) return { status: 304, headers: {} };
+        return { status: 200, headers: { etag: '"v1"' }, data: new ArrayBuffer(8) };
+      });
+      jest.spyOn(metroService, '_parseFeedZip').mockImplementation(async (zip, feed) => {
+        if (feed.id !== kcmFeed.id) throw new Error('Network Error');
+        return { ...parsedFeed(), meta: { etag: '"v1"', feedVersion: '2025-09' } };
+      });
+      gtfsStore.stageStopTimes.mockResolvedValue(2);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep the loaded copy when the server answers 304', async () => {
+      gtfsStore.getFeedCounts.mockResolvedValue(new Map([['kcm', { stopTimes: 2, shapes: 0 }]]));
+
+      expect(await metroService.fetchStaticData()).toBe(true);
+
+      const [, kcmRequest] = axios.get.mock.calls.find(([url]) => url === kcmFeed.url);
+      expect(kcmRequest.headers).toEqual({ 'If-None-Match': '"v1"' });
+      expect(gtfsStore.stageStopTimes).not.toHaveBeenCalled();
+      expect(gtfsStore.commitFeeds).not.toHaveBeenCalled();
+    });
+
+    it('should download a feed in full when the store has lost its stop_times', async () => {
+      gtfsStore.getFeedCounts.mockResolvedValue(new Map());
+
+      expect(await metroService.fetchStaticData()).toBe(true);
+
+      // No conditional headers, so the server cannot answer 304
+      axios.get.mock.calls.forEach(([, config]) => expect(config.headers).toEqual({}));
+      expect(metroService._parseFeedZip).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.objectContaining({ id: 'kcm' }),
+        null,
+        expect.anything()
+      );
+      expect(gtfsStore.stageStopTimes).toHaveBeenCalledWith(
+        'kcm',
+        expect.any(Array),
+        expect.any(Array)
+      );
+      expect(gtfsStore.commitFeeds).toHaveBeenCalledWith(['kcm'], ['kcm']);
+      expect(storage.setGTFSVersion).toHaveBeenCalled();
+    });
+  });
+});
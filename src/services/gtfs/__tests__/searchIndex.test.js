@@ -0,0 +1,72 @@
+/**
+ * Test file for the GTFS search index
+ * Tests normalization, fuzzy matching, stop codes and distance ranking
+ */
+
+import { createSearchIndex, tokenize } from '../searchIndex';
+
+const stop = (id, name, code, lat, lon) => ({
+  stop_id: id,
+  stop_name: name,
+  stop_code: code,
+  stop_lat: String(lat),
+  stop_lon: String(lon),
+});
+
+const stops = [
+  stop('1_1', '3rd Ave & Pine St', '431', 47.6105, -122.3381),
+  stop('1_2', '3rd Ave & Pike St', '430', 47.6096, -122.3369),
+  stop('1_3', 'NE 45th St & University Way NE', '10914', 47.6613, -122.3133),
+  stop('40_4', 'Pine St & 3rd Ave', '', 47.75, -122.3),
+  stop('1_5', 'Capitol Hill Station', '75403', 47.6191, -122.3204),
+];
+
+const index = createSearchIndex(stops, {
+  getText: (row) => row.stop_name,
+  getKeys: (row) => [row.stop_code],
+  getCoordinates: (row) => ({ lat: parseFloat(row.stop_lat), lon: parseFloat(row.stop_lon) }),
+});
+const ids = (results) => results.map(({ item }) => item.stop_id);
+
+describe('tokenize', () => {
+  it('normalizes street abbreviations and connectors', () => {
+    expect(tokenize('Third Avenue and Pine Street')).toEqual(['3rd', 'ave', '&', 'pine', 'st']);
+    expect(tokenize('Northeast 45th St.')).toEqual(['ne', '45th', 'st']);
+    expect(tokenize('3rd/Pine')).toEqual(['3rd', '&', 'pine']);
+  });
+});
+
+describe('createSearchIndex', () => {
+  it('matches intersections however they are written', () => {
+    ['3rd & pine', '3rd Ave and Pine St', 'Third Avenue & Pine Street'].forEach((query) => {
+      const results = index.search(query);
+      expect(ids(results).slice(0, 2).sort()).toEqual(['1_1', '40_4']);
+      expect(ids(results)).not.toContain('1_2');
+    });
+  });
+
+  it('tolerates typos in longer words', () => {
+    expect(ids(index.search('univeristy'))).toEqual(['1_3']);
+    expect(ids(index.search('capitol hil'))).toEqual(['1_5']);
+  });
+
+  it('ranks an exact stop code first', () => {
+    expect(ids(index.search('75403'))).toEqual(['1_5']);
+    expect(ids(index.search('43'))).toEqual(['1_1', '1_2']);
+  });
+
+  it('ranks nearby stops above distant ones', () => {
+    const nearNorthgate = { latitude: 47.7499, longitude: -122.3001 };
+    const results = index.search('3rd & pine', { location: nearNorthgate });
+    expect(ids(results)[0]).toBe('40_4');
+    expect(results[0].distance).toBeLessThan(50);
+
+    const downtown = { latitude: 47.6104, longitude: -122.3380 };
+    expect(ids(index.search('3rd & pine', { location: downtown }))[0]).toBe('1_1');
+  });
+
+  it('limits the number of results', () => {
+    expect(index.search('st', { limit: 2 })).toHaveLength(2);
+    expect(index.search('   ')).toEqual([]);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * GTFS Feed Diff
+ * Compares the previous and new copy of a GTFS feed on service change days
+ *
+ * The report covers what riders notice: routes added or removed, stops that
+ * moved, were renamed or closed, and headsign changes per route. Ids are the
+ * namespaced ids stored by metroService, so reports from several feeds can
+ * be combined.
+ */
+
+import { haversineDistance } from '../../utils/spatialIndex';
+
+// Stops that moved less than this are treated as unchanged (meters)
+export const STOP_MOVE_THRESHOLD_METERS = 30;
+
+/**
+ * Index rows by an id field
+ * @private
+ */
+function indexBy(rows, field) {
+  const index = new Map();
+  (rows || []).forEach((row) => index.set(row[field], row));
+  return index;
+}
+
+/**
+ * Summarize a route for the report
+ * @private
+ */
+function describeRoute(route) {
+  return {
+    routeId: route.route_id,
+    routeShortName: route.route_short_name || '',
+    routeLongName: route.route_long_name || '',
+  };
+}
+
+/**
+ * Summarize a stop for the report
+ * @private
+ */
+function describeStop(stop) {
+  return {
+    stopId: stop.stop_id,
+    stopName: stop.stop_name || '',
+    stopCode: stop.stop_code || '',
+  };
+}
+
+/**
+ * Collect the headsigns used by each route's trips
+ * @private
+ */
+function headsignsByRoute(trips) {
+  const byRoute = new Map();
+  (trips || []).forEach((trip) => {
+    if (!trip.trip_headsign) return;
+    if (!byRoute.has(trip.route_id)) byRoute.set(trip.route_id, new Set());
+    byRoute.get(trip.route_id).add(trip.trip_headsign);
+  });
+  return byRoute;
+}
+
+/**
+ * Compare two versions of a feed
+ * @param {Object} previous - Previous feed tables {routes, stops, trips}
+ * @param {Object} next - New feed tables {routes, stops, trips}
+ * @returns {Object} Changes: {routes: {added, removed, renamed}, stops: {added,
+ *   removed, moved, renamed}, headsigns: [{routeId, routeShortName, added, removed}]}
+ */
+export function diffFeeds(previous, next) {
+  const previousRoutes = indexBy(previous.routes, 'route_id');
+  const nextRoutes = indexBy(next.routes, 'route_id');
+  const previousStops = indexBy(previous.stops, 'stop_id');
+  const nextStops = indexBy(next.stops, 'stop_id');
+
+  const routes = { added: [], removed: [], renamed: [] };
+  nextRoutes.forEach((route, routeId) => {
+    const before = previousRoutes.get(routeId);
+    if (!before) {
+      routes.added.push(describeRoute(route));
+    } else if (
+      (before.route_short_name || '') !== (route.route_short_name || '') ||
+      (before.route_long_name || '') !== (route.route_long_name || '')
+    ) {
+      routes.renamed.push({ ...describeRoute(route), previous: describeRoute(before) });
+    }
+  });
+  previousRoutes.forEach((route, routeId) => {
+    if (!nextRoutes.has(routeId)) routes.removed.push(describeRoute(route));
+  });
+
+  const stops = { added: [], removed: [], moved: [], renamed: [] };
+  nextStops.forEach((stop, stopId) => {
+    const before = previousStops.get(stopId);
+    if (!before) {
+      stops.added.push(describeStop(stop));
+      return;
+    }
+
+    const distance = haversineDistance(
+      parseFloat(before.stop_lat),
+      parseFloat(before.stop_lon),
+      parseFloat(stop.stop_lat),
+      parseFloat(stop.stop_lon)
+    );
+    if (distance >= STOP_MOVE_THRESHOLD_METERS) {
+      stops.moved.push({ ...describeStop(stop), distanceMeters: Math.round(distance) });
+    }
+    if ((before.stop_name || '') !== (stop.stop_name || '')) {
+      stops.renamed.push({ ...describeStop(stop), previousName: before.stop_name || '' });
+    }
+  });
+  previousStops.forEach((stop, stopId) => {
+    if (!nextStops.has(stopId)) stops.removed.push(describeStop(stop));
+  });
+
+  // Headsigns of routes that exist in both versions
+  const previousHeadsigns = headsignsByRoute(previous.trips);
+  const nextHeadsigns = headsignsByRoute(next.trips);
+  const headsigns = [];
+  nextHeadsigns.forEach((headsignSet, routeId) => {
+    if (!previousRoutes.has(routeId)) return;
+    const before = previousHeadsigns.get(routeId) || new Set();
+    const added = [...headsignSet].filter((headsign) => !before.has(headsign));
+    const removed = [...before].filter((headsign) => !headsignSet.has(headsign));
+    if (added.length > 0 || removed.length > 0) {
+      headsigns.push({
+        routeId,
+        routeShortName: nextRoutes.get(routeId)?.route_short_name || '',
+        added,
+        removed,
+      });
+    }
+  });
+
+  return { routes, stops, headsigns };
+}
+
+/**
+ * Count the changes in a diff
+ * @param {Object} changes - Result of diffFeeds
+ * @returns {number} Total number of changed routes, stops and headsign sets
+ */
+export function countChanges(changes) {
+  if (!changes) return 0;
+  const { routes, stops, headsigns } = changes;
+  return (
+    routes.added.length +
+    routes.removed.length +
+    routes.renamed.length +
+    stops.added.length +
+    stops.removed.length +
+    stops.moved.length +
+    stops.renamed.length +
+    headsigns.length
+  );
+}
+
+/**
+ * Find saved commutes affected by a change report
+ * A commute is affected when one of its preferred routes was removed, renamed
+ * or changed headsigns, or when its origin or destination stop was removed or moved.
+ * @param {Object} report - Change report {feeds: [{changes}]}
+ * @param {Array} commutes - Saved commutes
+ * @returns {Array} [{commute, routes, stops}] with the changes that affect each commute;
+ *   routes are {routeId, routeShortName, reason}, stops are {stopId, stopName, reason}
+ */
+export function findAffectedCommutes(report, commutes) {
+  if (!report || !Array.isArray(report.feeds) || !Array.isArray(commutes)) {
+    return [];
+  }
+
+  const changedRoutes = new Map(); // routeId -> {routeId, routeShortName, reason}
+  const changedStops = new Map(); // stopId -> {stopId, stopName, reason}
+  const addRoute = (route, reason) => {
+    if (!changedRoutes.has(route.routeId)) {
+      changedRoutes.set(route.routeId, {
+        routeId: route.routeId,
+        routeShortName: route.routeShortName,
+        reason,
+      });
+    }
+  };
+  const addStop = (stop, reason) => {
+    if (!changedStops.has(stop.stopId)) {
+      changedStops.set(stop.stopId, { stopId: stop.stopId, stopName: stop.stopName, reason });
+    }
+  };
+
+  report.feeds.forEach(({ changes }) => {
+    changes.routes.removed.forEach((route) => addRoute(route, 'discontinued'));
+    changes.routes.renamed.forEach((route) => addRoute(route, 'renamed'));
+    changes.headsigns.forEach((route) => addRoute(route, 'destinations changed'));
+    changes.stops.removed.forEach((stop) => addStop(stop, 'closed'));
+    changes.stops.moved.forEach((stop) => addStop(stop, `moved ${stop.distanceMeters} m`));
+  });
+
+  return commutes
+    .map((commute) => {
+      const routes = (commute.preferredRoutes || [])
+        .filter((routeId) => changedRoutes.has(routeId))
+        .map((routeId) => changedRoutes.get(routeId));
+      const stops = [commute.origin?.stopId, commute.destination?.stopId]
+        .filter((stopId) => stopId && changedStops.has(stopId))
+        .map((stopId) => changedStops.get(stopId));
+      return { commute, routes, stops };
+    })
+    .filter(({ routes, stops }) => routes.length > 0 || stops.length > 0);
+}
@@ -0,0 +1,166 @@
+/**
+ * GTFS Feed Parser
+ * Turns an extracted GTFS zip into one feed's tables, with ids namespaced
+ * by the agency's OneBusAway prefix (e.g. "1_100275")
+ *
+ * Has no React Native dependencies, so the app (MetroGTFSService) and the
+ * bundle builder CLI (scripts/build-gtfs-bundle.mjs) share it.
+ */
+
+import Papa from 'papaparse';
+import { namespaceGtfsId } from '../../utils/idMapping';
+import { encodePolyline } from '../../utils/polyline';
+
+/**
+ * Parse a CSV file from the ZIP archive
+ * @param {Object} zip - JSZip archive
+ * @param {string} filename - File name inside the archive (e.g., "stops.txt")
+ * @returns {Promise<Array>} Rows keyed by header, all values strings; empty if missing
+ */
+export async function parseCSV(zip, filename) {
+  try {
+    const file = zip.file(filename);
+    if (!file) {
+      console.warn(`File ${filename} not found in GTFS ZIP`);
+      return [];
+    }
+
+    const text = await file.async('string');
+    const result = Papa.parse(text, {
+      header: true,
+      skipEmptyLines: true,
+      dynamicTyping: false, // Keep as strings for consistency
+    });
+
+    if (result.errors.length > 0) {
+      console.warn(`Errors parsing ${filename}:`, result.errors);
+    }
+
+    return result.data;
+  } catch (error) {
+    console.error(`Error parsing ${filename}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Prefix id fields with a feed's agency id, in place
+ * Rows are modified rather than copied to keep large tables cheap
+ * @param {Array} rows - GTFS rows
+ * @param {string} agencyId - OneBusAway agency id (e.g., "1")
+ * @param {Array} fields - Id fields to prefix
+ * @returns {Array} The same rows
+ */
+export function namespaceRows(rows, agencyId, fields) {
+  rows.forEach((row) => {
+    fields.forEach((field) => {
+      if (row[field]) {
+        row[field] = namespaceGtfsId(agencyId, row[field]);
+      }
+    });
+  });
+  return rows;
+}
+
+/**
+ * Group shapes.txt rows by shape_id and encode each as a polyline
+ * @param {Array} rows - shapes.txt rows
+ * @returns {Object} Map of shape_id to encoded polyline
+ */
+export function encodeShapes(rows) {
+  const pointsByShape = {};
+  rows.forEach((row) => {
+    if (!pointsByShape[row.shape_id]) {
+      pointsByShape[row.shape_id] = [];
+    }
+    pointsByShape[row.shape_id].push(row);
+  });
+
+  const shapes = {};
+  Object.keys(pointsByShape).forEach((shapeId) => {
+    const points = pointsByShape[shapeId]
+      .sort((a, b) => parseInt(a.shape_pt_sequence, 10) - parseInt(b.shape_pt_sequence, 10))
+      .map((point) => [parseFloat(point.shape_pt_lat), parseFloat(point.shape_pt_lon)])
+      .filter(([lat, lon]) => !isNaN(lat) && !isNaN(lon));
+    if (points.length > 1) {
+      shapes[shapeId] = encodePolyline(points);
+    }
+  });
+  return shapes;
+}
+
+/**
+ * Parse an extracted GTFS zip into one feed's namespaced tables
+ * @param {Object} zip - JSZip archive
+ * @param {Object} feed - Feed from GTFS_FEEDS
+ * @param {Object} options - Parse options
+ * @param {Object|null} options.stored - Metadata of the loaded copy; an equal
+ *   feed_version is reported as unchanged
+ * @param {Object} options.meta - Metadata collected so far (e.g. HTTP validators)
+ * @returns {Promise<Object>} {notModified, reason, meta} for an unchanged feed, otherwise
+ *   meta plus namespaced tables: routes, stops, trips, stopTimes, calendar,
+ *   calendarDates, shapes (encoded polylines by shape_id), transfers and frequencies
+ */
+export async function parseFeedZip(zip, feed, { stored = null, meta = {} } = {}) {
+  // feed_info.txt is optional; without it every download counts as a new version
+  const [feedInfo = {}] = await parseCSV(zip, 'feed_info.txt');
+  meta.feedVersion = feedInfo.feed_version || null;
+  meta.feedStartDate = feedInfo.feed_start_date || null;
+  meta.feedEndDate = feedInfo.feed_end_date || null;
+  if (stored && meta.feedVersion && meta.feedVersion === stored.feedVersion) {
+    return { notModified: true, reason: `feed_version ${meta.feedVersion}`, meta };
+  }
+
+  // Parse required CSV files, prefixing ids with the feed's agency
+  const namespace = (rows, fields) => namespaceRows(rows, feed.agencyId, fields);
+  const routes = namespace(await parseCSV(zip, 'routes.txt'), ['route_id']);
+  const stops = namespace(await parseCSV(zip, 'stops.txt'), ['stop_id', 'parent_station']);
+  const trips = namespace(await parseCSV(zip, 'trips.txt'), [
+    'route_id',
+    'trip_id',
+    'service_id',
+    'shape_id',
+    'block_id',
+  ]);
+  const stopTimes = namespace(await parseCSV(zip, 'stop_times.txt'), ['trip_id', 'stop_id']);
+  // calendar.txt is optional when every service is defined in calendar_dates.txt
+  const calendar = namespace(await parseCSV(zip, 'calendar.txt'), ['service_id']);
+  const calendarDates = namespace(await parseCSV(zip, 'calendar_dates.txt'), ['service_id']);
+  const shapes = encodeShapes(namespace(await parseCSV(zip, 'shapes.txt'), ['shape_id']));
+  // transfers.txt is optional
+  const transfers = namespace(await parseCSV(zip, 'transfers.txt'), [
+    'from_stop_id',
+    'to_stop_id',
+    'from_route_id',
+    'to_route_id',
+    'from_trip_id',
+    'to_trip_id',
+  ]);
+  // frequencies.txt is optional; it lists trips that run on a headway
+  const frequencies = namespace(await parseCSV(zip, 'frequencies.txt'), ['trip_id']);
+
+  console.log(`Parsed ${feed.name} GTFS data:`, {
+    routes: routes.length,
+    stops: stops.length,
+    trips: trips.length,
+    stopTimes: stopTimes.length,
+    calendar: calendar.length,
+    calendarDates: calendarDates.length,
+    shapes: Object.keys(shapes).length,
+    transfers: transfers.length,
+    frequencies: frequencies.length,
+  });
+
+  return {
+    meta,
+    routes,
+    stops,
+    trips,
+    stopTimes,
+    calendar,
+    calendarDates,
+    shapes,
+    transfers,
+    frequencies,
+  };
+}
@@ -0,0 +1,97 @@
+/**
+ * GTFS Frequencies
+ * Expands headway-based trips (frequencies.txt) into individual runs
+ *
+ * A frequency-based trip's stop_times only give the time between stops; the
+ * trip runs every headway_secs from start_time until end_time. With
+ * exact_times=0 the runs are not timed exactly, so riders should be told the
+ * headway ("every 8 min") rather than a departure time.
+ */
+
+import { parseGTFSTime, formatGTFSTime } from '../../utils/gtfsTime';
+
+/**
+ * Get the first departure of a trip, which its runs are shifted from
+ * @param {Array} tripStopTimes - stop_times rows of one trip, in any order
+ * @returns {number|null} Seconds since service day start, or null if untimed
+ */
+export function getFirstDepartureSeconds(tripStopTimes) {
+  let first = null;
+  (tripStopTimes || []).forEach((stopTime) => {
+    const sequence = parseInt(stopTime.stop_sequence, 10);
+    if (!first || sequence < first.sequence) {
+      first = { sequence, stopTime };
+    }
+  });
+  if (!first) return null;
+  return parseGTFSTime(first.stopTime.departure_time || first.stopTime.arrival_time);
+}
+
+/**
+ * List the runs of a frequency-based trip
+ * A run starts every headway from start_time, up to but not including end_time.
+ * @param {Array} frequencies - frequencies.txt rows of one trip
+ * @param {number} firstDepartureSeconds - The trip's first departure in stop_times
+ * @returns {Array} [{startSeconds, offsetSeconds, headwaySeconds, exactTimes}] in time
+ *   order; offsetSeconds is added to the trip's stop_times to get the run's times
+ */
+export function getFrequencyRuns(frequencies, firstDepartureSeconds) {
+  if (firstDepartureSeconds === null || firstDepartureSeconds === undefined) {
+    return [];
+  }
+
+  const runs = [];
+  (frequencies || []).forEach((frequency) => {
+    const startSeconds = parseGTFSTime(frequency.start_time);
+    const endSeconds = parseGTFSTime(frequency.end_time);
+    const headwaySeconds = parseInt(frequency.headway_secs, 10);
+    if (startSeconds === null || endSeconds === null || !(headwaySeconds > 0)) return;
+
+    const exactTimes = String(frequency.exact_times) === '1';
+    for (let time = startSeconds; time < endSeconds; time += headwaySeconds) {
+      runs.push({
+        startSeconds: time,
+        offsetSeconds: time - firstDepartureSeconds,
+        headwaySeconds,
+        exactTimes,
+      });
+    }
+  });
+  return runs.sort((a, b) => a.startSeconds - b.startSeconds);
+}
+
+/**
+ * Copy a stop_times row with its times moved by an offset
+ * Blank (untimed) stop times stay blank.
+ * @param {Object} stopTime - GTFS stop_times row
+ * @param {number} offsetSeconds - Seconds to add
+ * @returns {Object} Shifted copy of the row
+ */
+export function shiftStopTime(stopTime, offsetSeconds) {
+  const shift = (value) => {
+    const seconds = parseGTFSTime(value);
+    return seconds === null ? value : formatGTFSTime(seconds + offsetSeconds);
+  };
+  return {
+    ...stopTime,
+    arrival_time: shift(stopTime.arrival_time),
+    departure_time: shift(stopTime.departure_time),
+  };
+}
+
+/**
+ * Expand a frequency-based trip into the stop_times of each run
+ * @param {Array} tripStopTimes - stop_times rows of one trip
+ * @param {Array} frequencies - frequencies.txt rows of the trip
+ * @returns {Array} [{startSeconds, headwaySeconds, exactTimes, stopTimes}]
+ */
+export function expandFrequencyTrip(tripStopTimes, frequencies) {
+  return getFrequencyRuns(frequencies, getFirstDepartureSeconds(tripStopTimes)).map(
+    ({ startSeconds, offsetSeconds, headwaySeconds, exactTimes }) => ({
+      startSeconds,
+      headwaySeconds,
+      exactTimes,
+      stopTimes: tripStopTimes.map((stopTime) => shiftStopTime(stopTime, offsetSeconds)),
+    })
+  );
+}
@@ -0,0 +1,209 @@
+/**
+ * GTFS Bundle
+ * Compact, pre-parsed copy of the GTFS feeds, built ahead of time by
+ * scripts/build-gtfs-bundle.mjs so the app does not parse the raw zips
+ *
+ * A bundle is a zip of JSON files: manifest.json, and for each feed
+ * "<feedId>/<table>.json" with the tables MetroGTFSService stores (ids already
+ * namespaced, shapes already encoded). stop_times are stored as route
+ * patterns (the stop list shared by many trips) plus each trip's times,
+ * delta-encoded stop to stop. shape_dist_traveled is not kept.
+ *
+ * Has no React Native dependencies, so the app and the CLI share it.
+ */
+
+import { parseGTFSTime, formatGTFSTime } from '../../utils/gtfsTime';
+
+export const BUNDLE_FORMAT = 'wayfare-gtfs-bundle';
+export const BUNDLE_VERSION = 1;
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Tables stored as-is, one JSON file each
+const TABLES = [
+  'routes',
+  'stops',
+  'trips',
+  'calendar',
+  'calendarDates',
+  'shapes',
+  'transfers',
+  'frequencies',
+];
+
+/**
+ * Compress stop_times into route patterns and delta-encoded trip times
+ * @param {Array} stopTimes - GTFS stop_times rows
+ * @param {Array} trips - GTFS trips rows (gives each pattern its route)
+ * @returns {Object} {patterns: [{routeId, stopIds, stopSequences, stopHeadsigns,
+ *   pickupTypes, dropOffTypes, timepoints}], trips: [[tripId, patternIndex, times]]} where times
+ *   alternates arrival and departure per stop: the first known time in seconds,
+ *   then differences from the previous known time, with null for blank times
+ */
+export function compressStopTimes(stopTimes, trips) {
+  const routeByTrip = new Map((trips || []).map((trip) => [trip.trip_id, trip.route_id]));
+  const byTrip = new Map();
+  (stopTimes || []).forEach((stopTime) => {
+    if (!byTrip.has(stopTime.trip_id)) byTrip.set(stopTime.trip_id, []);
+    byTrip.get(stopTime.trip_id).push(stopTime);
+  });
+
+  const patterns = [];
+  const patternIndexByKey = new Map();
+  const compressedTrips = [];
+  byTrip.forEach((rows, tripId) => {
+    rows.sort((a, b) => parseInt(a.stop_sequence, 10) - parseInt(b.stop_sequence, 10));
+    const pattern = {
+      routeId: routeByTrip.get(tripId) || null,
+      stopIds: rows.map((row) => row.stop_id),
+      stopSequences: rows.map((row) => parseInt(row.stop_sequence, 10)),
+      stopHeadsigns: rows.map((row) => row.stop_headsign || ''),
+      pickupTypes: rows.map((row) => row.pickup_type || ''),
+      dropOffTypes: rows.map((row) => row.drop_off_type || ''),
+      timepoints: rows.map((row) => row.timepoint || ''),
+    };
+    const key = JSON.stringify(pattern);
+    let patternIndex = patternIndexByKey.get(key);
+    if (patternIndex === undefined) {
+      patternIndex = patterns.length;
+      patterns.push(pattern);
+      patternIndexByKey.set(key, patternIndex);
+    }
+
+    let previous = null;
+    const times = [];
+    rows.forEach((row) => {
+      [row.arrival_time, row.departure_time].forEach((value) => {
+        const seconds = parseGTFSTime(value);
+        if (seconds === null) {
+          times.push(null);
+          return;
+        }
+        times.push(previous === null ? seconds : seconds - previous);
+        previous = seconds;
+      });
+    });
+    compressedTrips.push([tripId, patternIndex, times]);
+  });
+
+  return { patterns, trips: compressedTrips };
+}
+
+/**
+ * Expand compressed stop_times back into GTFS stop_times rows
+ * @param {Object} compressed - Result of compressStopTimes
+ * @returns {Array} stop_times rows (trip_id, stop_id, stop_sequence, arrival_time,
+ *   departure_time, stop_headsign, pickup_type, drop_off_type, timepoint)
+ */
+export function expandStopTimes(compressed) {
+  const { patterns = [], trips = [] } = compressed || {};
+  const rows = [];
+  trips.forEach(([tripId, patternIndex, times]) => {
+    const pattern = patterns[patternIndex];
+    if (!pattern) return;
+    // Bundles built before stop_headsign was kept have no stopHeadsigns
+    const stopHeadsigns = pattern.stopHeadsigns || [];
+
+    let previous = null;
+    const decode = (value) => {
+      if (value === null) return '';
+      previous = previous === null ? value : previous + value;
+      return formatGTFSTime(previous);
+    };
+    pattern.stopIds.forEach((stopId, i) => {
+      rows.push({
+        trip_id: tripId,
+        stop_id: stopId,
+        stop_sequence: String(pattern.stopSequences[i]),
+        arrival_time: decode(times[2 * i]),
+        departure_time: decode(times[2 * i + 1]),
+        stop_headsign: stopHeadsigns[i] || '',
+        pickup_type: pattern.pickupTypes[i],
+        drop_off_type: pattern.dropOffTypes[i],
+        timepoint: pattern.timepoints[i],
+      });
+    });
+  });
+  return rows;
+}
+
+/**
+ * Create the files of a bundle
+ * @param {Array} feeds - [{feed, result, validation}] with feed from GTFS_FEEDS, result
+ *   from parseFeedZip and validation from validateFeed
+ * @param {Object} options - Bundle options
+ * @param {string} options.createdAt - ISO timestamp of the build (default: now)
+ * @returns {Object} File path -> JSON-serializable content
+ */
+export function createBundle(feeds, { createdAt = new Date().toISOString() } = {}) {
+  const files = {};
+  const manifest = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, createdAt, feeds: {} };
+
+  feeds.forEach(({ feed, result, validation }) => {
+    const { meta, stopTimes } = result;
+    TABLES.forEach((table) => {
+      files[`${feed.id}/${table}.json`] = result[table] || (table === 'shapes' ? {} : []);
+    });
+    files[`${feed.id}/stop_times.json`] = compressStopTimes(stopTimes, result.trips);
+    manifest.feeds[feed.id] = {
+      ...meta,
+      agencyId: feed.agencyId,
+      name: feed.name,
+      stopTimes: stopTimes.length,
+      validation,
+    };
+  });
+
+  files[MANIFEST_FILE] = manifest;
+  return files;
+}
+
+/**
+ * Check whether a zip is a bundle rather than a GTFS feed
+ * @param {Object} zip - JSZip archive
+ * @returns {boolean}
+ */
+export function isBundle(zip) {
+  return Boolean(zip.file(MANIFEST_FILE));
+}
+
+/**
+ * Read a bundle's manifest
+ * @param {Object} zip - JSZip archive
+ * @returns {Promise<Object>} {format, version, createdAt, feeds: {feedId: meta}}
+ * @throws {Error} If the zip is not a bundle this version of the app can read
+ */
+export async function readBundleManifest(zip) {
+  const file = zip.file(MANIFEST_FILE);
+  const manifest = file ? JSON.parse(await file.async('string')) : null;
+  if (!manifest || manifest.format !== BUNDLE_FORMAT) {
+    throw new Error('Not a GTFS bundle');
+  }
+  if (manifest.version > BUNDLE_VERSION) {
+    throw new Error(`GTFS bundle version ${manifest.version} is newer than this app supports`);
+  }
+  return manifest;
+}
+
+/**
+ * Read one feed from a bundle
+ * Feeds are read one at a time so only one feed's stop_times are in memory.
+ * @param {Object} zip - JSZip archive
+ * @param {Object} manifest - Result of readBundleManifest
+ * @param {string} feedId - Feed id (e.g., "kcm")
+ * @returns {Promise<Object>} Same shape as parseFeedZip: meta plus tables and stopTimes
+ */
+export async function readBundleFeed(zip, manifest, feedId) {
+  const readJSON = async (table) => {
+    const file = zip.file(`${feedId}/${table}.json`);
+    return file ? JSON.parse(await file.async('string')) : null;
+  };
+
+  const { agencyId, name, stopTimes, validation, ...meta } = manifest.feeds[feedId];
+  const result = { meta };
+  for (const table of TABLES) {
+    result[table] = (await readJSON(table)) || (table === 'shapes' ? {} : []);
+  }
+  result.stopTimes = expandStopTimes(await readJSON('stop_times'));
+  return result;
+}
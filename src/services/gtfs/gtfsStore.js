@@ -0,0 +1,697 @@
+/**
+ * GTFS Store
+ * Indexed on-device storage for GTFS stop_times
+ *
+ * stop_times is far too large for a single AsyncStorage JSON blob, so it is
+ * kept in SQLite with indexes by trip, stop and route. Callers query only the
+ * rows they need instead of loading the whole feed into memory.
+ * On web (no SQLite), rows are kept in indexed in-memory maps instead, which
+ * last one page session (see MetroGTFSService.needsReimport).
+ *
+ * Rows are tagged with the GTFS feed they came from so each feed in the
+ * registry can be replaced on its own. A new copy of a feed is staged first
+ * and swapped in by commitFeeds in one transaction, so a failed or
+ * interrupted update leaves the previous copy whole.
+ *
+ * Shapes (encoded polylines by shape_id) are kept here too, one row per
+ * shape, so a map reads only the shapes it draws.
+ *
+ * Also keeps the routing index (see TripRoutingService) built from the
+ * stored stop_times, so it survives restarts until the feed changes.
+ */
+
+import { Platform } from 'react-native';
+
+// Lazy load expo-sqlite - only on native platforms
+let SQLite = null;
+if (Platform.OS !== 'web') {
+  try {
+    SQLite = require('expo-sqlite');
+  } catch (error) {
+    console.warn('⚠️ expo-sqlite not available:', error.message);
+  }
+}
+
+const DATABASE_NAME = 'wayfare_gtfs.db';
+
+// Bumped when the table layout changes; older tables are dropped and re-filled
+const SCHEMA_VERSION = 3;
+
+const SHAPE_COLUMNS = ['feed_id', 'shape_id', 'polyline'];
+
+const STOP_TIME_COLUMNS = [
+  'feed_id',
+  'trip_id',
+  'route_id',
+  'stop_id',
+  'stop_sequence',
+  'arrival_time',
+  'departure_time',
+  'stop_headsign',
+  'pickup_type',
+  'drop_off_type',
+  'shape_dist_traveled',
+  'timepoint',
+];
+
+// Rows per INSERT statement (stays well under SQLite's bound-parameter limit)
+const INSERT_BATCH_SIZE = 90;
+
+// Rows read per query when iterating the whole table
+const READ_PAGE_SIZE = 20000;
+
+// Array items per routing_index row, so no single value gets huge
+const ROUTING_INDEX_CHUNK_SIZE = 500;
+
+// Shape ids per SELECT ... IN (...) query
+const SHAPE_READ_BATCH_SIZE = 200;
+
+class GTFSStore {
+  constructor() {
+    this.db = null;
+    this.memory = null; // Fallback when SQLite is unavailable
+    this._staged = this._createStaging(); // Staged feeds of the in-memory fallback
+    this._openPromise = null;
+  }
+
+  /**
+   * Open the database and create tables if needed
+   * @returns {Promise<boolean>} True if SQLite is used, false for the in-memory fallback
+   */
+  async open() {
+    if (!this._openPromise) {
+      this._openPromise = this._open();
+    }
+    return this._openPromise;
+  }
+
+  /**
+   * @private
+   */
+  async _open() {
+    if (!SQLite) {
+      console.log('📦 GTFS store: SQLite unavailable, using in-memory store');
+      this.memory = this._createMemoryStore();
+      return false;
+    }
+
+    try {
+      this.db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      await this.db.execAsync('PRAGMA journal_mode = WAL');
+
+      const { user_version: version } = await this.db.getFirstAsync('PRAGMA user_version');
+      if (version < SCHEMA_VERSION) {
+        // stop_times is re-downloaded with the next GTFS update
+        await this.db.execAsync(`
+          DROP TABLE IF EXISTS stop_times;
+          DROP TABLE IF EXISTS staged_stop_times;
+          DROP TABLE IF EXISTS feeds;
+          PRAGMA user_version = ${SCHEMA_VERSION};
+        `);
+      }
+
+      // Staged copies have the same columns, see commitFeeds
+      const stopTimeColumns = `
+        feed_id TEXT NOT NULL,
+        trip_id TEXT NOT NULL,
+        route_id TEXT,
+        stop_id TEXT NOT NULL,
+        stop_sequence INTEGER NOT NULL,
+        arrival_time TEXT,
+        departure_time TEXT,
+        stop_headsign TEXT,
+        pickup_type TEXT,
+        drop_off_type TEXT,
+        shape_dist_traveled TEXT,
+        timepoint TEXT
+      `;
+      await this.db.execAsync(`
+        CREATE TABLE IF NOT EXISTS stop_times (${stopTimeColumns});
+        CREATE TABLE IF NOT EXISTS staged_stop_times (${stopTimeColumns});
+        CREATE TABLE IF NOT EXISTS shapes (
+          feed_id TEXT NOT NULL,
+          shape_id TEXT PRIMARY KEY,
+          polyline TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS staged_shapes (
+          feed_id TEXT NOT NULL,
+          shape_id TEXT NOT NULL,
+          polyline TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS feeds (
+          feed_id TEXT PRIMARY KEY,
+          stop_times INTEGER NOT NULL,
+          shapes INTEGER NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS routing_index (
+          version TEXT NOT NULL,
+          part TEXT NOT NULL,
+          position INTEGER NOT NULL,
+          data TEXT NOT NULL
+        );
+      `);
+      await this._createIndexes();
+      console.log('📦 GTFS store opened');
+      return true;
+    } catch (error) {
+      console.error('❌ Error opening GTFS store, using in-memory store:', error);
+      this.db = null;
+      this.memory = this._createMemoryStore();
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _createIndexes() {
+    await this.db.execAsync(`
+      CREATE INDEX IF NOT EXISTS idx_stop_times_trip ON stop_times (trip_id, stop_sequence);
+      CREATE INDEX IF NOT EXISTS idx_stop_times_stop ON stop_times (stop_id, departure_time);
+      CREATE INDEX IF NOT EXISTS idx_stop_times_route ON stop_times (route_id, stop_id);
+    `);
+  }
+
+  /**
+   * @private
+   */
+  _createMemoryStore(rowsByFeed = new Map(), shapesByFeed = new Map()) {
+    return {
+      rowsByFeed, // feed_id -> rows, kept so one feed can be replaced
+      shapesByFeed, // feed_id -> {shape_id: encoded polyline}
+      byTrip: new Map(),
+      byStop: new Map(),
+      byRoute: new Map(),
+      count: 0,
+      routingIndex: null, // {version, index}
+    };
+  }
+
+  /**
+   * @private
+   */
+  _createStaging() {
+    return {
+      rowsByFeed: new Map(), // feed_id -> stop_times rows
+      shapesByFeed: new Map(), // feed_id -> {shape_id: encoded polyline}
+    };
+  }
+
+  /**
+   * Stage a new copy of one GTFS feed's stop_times, see commitFeeds
+   * @param {string} feedId - Feed id from the registry (e.g., "kcm")
+   * @param {Array} stopTimes - GTFS stop_times rows
+   * @param {Array} trips - GTFS trips rows (used to index stop_times by route)
+   * @returns {Promise<number>} Number of rows staged
+   */
+  async stageStopTimes(feedId, stopTimes, trips) {
+    await this.open();
+    const routeByTrip = new Map((trips || []).map((trip) => [trip.trip_id, trip.route_id]));
+    const rows = (stopTimes || []).map((stopTime) => ({
+      ...stopTime,
+      feed_id: feedId,
+      route_id: routeByTrip.get(stopTime.trip_id) || null,
+      stop_sequence: parseInt(stopTime.stop_sequence, 10),
+    }));
+
+    if (this.memory) {
+      this._staged.rowsByFeed.set(feedId, rows);
+      return rows.length;
+    }
+
+    const startedAt = Date.now();
+    const placeholders = `(${STOP_TIME_COLUMNS.map(() => '?').join(', ')})`;
+
+    await this.db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync('DELETE FROM staged_stop_times WHERE feed_id = ?', [feedId]);
+      for (let start = 0; start < rows.length; start += INSERT_BATCH_SIZE) {
+        const batch = rows.slice(start, start + INSERT_BATCH_SIZE);
+        const values = [];
+        batch.forEach((row) => {
+          STOP_TIME_COLUMNS.forEach((column) => {
+            values.push(row[column] === undefined || row[column] === '' ? null : row[column]);
+          });
+        });
+        await txn.runAsync(
+          `INSERT INTO staged_stop_times (${STOP_TIME_COLUMNS.join(', ')}) VALUES ${batch
+            .map(() => placeholders)
+            .join(', ')}`,
+          values
+        );
+      }
+    });
+
+    console.log(
+      `💾 Staged ${rows.length} ${feedId} stop times in GTFS store (${Date.now() - startedAt}ms)`
+    );
+    return rows.length;
+  }
+
+  /**
+   * Stage a new copy of one GTFS feed's shapes, see commitFeeds
+   * @param {string} feedId - Feed id from the registry (e.g., "kcm")
+   * @param {Object} shapes - shape_id -> encoded polyline (see encodeShapes)
+   * @returns {Promise<number>} Number of shapes staged
+   */
+  async stageShapes(feedId, shapes) {
+    await this.open();
+    const entries = Object.entries(shapes || {});
+
+    if (this.memory) {
+      this._staged.shapesByFeed.set(feedId, Object.fromEntries(entries));
+      return entries.length;
+    }
+
+    await this.db.withExclusiveTransactionAsync(async (txn) => {
+      await txn.runAsync('DELETE FROM staged_shapes WHERE feed_id = ?', [feedId]);
+      for (let start = 0; start < entries.length; start += INSERT_BATCH_SIZE) {
+        const batch = entries.slice(start, start + INSERT_BATCH_SIZE);
+        await txn.runAsync(
+          `INSERT INTO staged_shapes (${SHAPE_COLUMNS.join(', ')}) VALUES ${batch
+            .map(() => '(?, ?, ?)')
+            .join(', ')}`,
+          batch.flatMap(([shapeId, polyline]) => [feedId, shapeId, polyline])
+        );
+      }
+    });
+    console.log(`💾 Staged ${entries.length} ${feedId} shapes in GTFS store`);
+    return entries.length;
+  }
+
+  /**
+   * Swap in the staged copies of some feeds and drop feeds no longer loaded
+   * Runs in one transaction: either every staged feed replaces its stored
+   * copy, or nothing changes. Anything else staged is discarded.
+   * @param {Array} stagedFeedIds - Feeds whose staged stop_times and shapes replace theirs
+   * @param {Array} keepFeedIds - Feeds that stay stored (including the staged ones)
+   * @returns {Promise<void>}
+   */
+  async commitFeeds(stagedFeedIds, keepFeedIds) {
+    await this.open();
+    if (this.memory) {
+      const keep = ([feedId]) => keepFeedIds.includes(feedId);
+      const rowsByFeed = new Map([...this.memory.rowsByFeed].filter(keep));
+      const shapesByFeed = new Map([...this.memory.shapesByFeed].filter(keep));
+      stagedFeedIds.forEach((feedId) => {
+        rowsByFeed.set(feedId, this._staged.rowsByFeed.get(feedId) || []);
+        shapesByFeed.set(feedId, this._staged.shapesByFeed.get(feedId) || {});
+      });
+      this._staged = this._createStaging();
+      this.memory.shapesByFeed = shapesByFeed;
+      this._rebuildMemory(rowsByFeed);
+      return;
+    }
+
+    const startedAt = Date.now();
+    const staged = stagedFeedIds.map(() => '?').join(', ');
+    const kept = keepFeedIds.map(() => '?').join(', ');
+    const copy = (table, columns) =>
+      `INSERT OR REPLACE INTO ${table} (${columns.join(', ')})
+       SELECT ${columns.join(', ')} FROM staged_${table} WHERE feed_id IN (${staged})`;
+
+    await this.db.withExclusiveTransactionAsync(async (txn) => {
+      if (stagedFeedIds.length > 0) {
+        await txn.execAsync(`
+          DROP INDEX IF EXISTS idx_stop_times_trip;
+          DROP INDEX IF EXISTS idx_stop_times_stop;
+          DROP INDEX IF EXISTS idx_stop_times_route;
+        `);
+      }
+      for (const table of ['stop_times', 'shapes', 'feeds']) {
+        await txn.runAsync(
+          `DELETE FROM ${table} WHERE feed_id IN (${staged}) OR feed_id NOT IN (${kept})`,
+          [...stagedFeedIds, ...keepFeedIds]
+        );
+      }
+      await txn.runAsync(copy('stop_times', STOP_TIME_COLUMNS), stagedFeedIds);
+      await txn.runAsync(copy('shapes', SHAPE_COLUMNS), stagedFeedIds);
+      for (const feedId of stagedFeedIds) {
+        await txn.runAsync(
+          `INSERT INTO feeds (feed_id, stop_times, shapes) VALUES (?,
+             (SELECT COUNT(*) FROM stop_times WHERE feed_id = ?),
+             (SELECT COUNT(*) FROM shapes WHERE feed_id = ?))`,
+          [feedId, feedId, feedId]
+        );
+      }
+      await txn.execAsync('DELETE FROM staged_stop_times; DELETE FROM staged_shapes;');
+    });
+
+    // Building indexes once after the bulk insert is much faster than maintaining them
+    await this._createIndexes();
+    console.log(
+      `💾 Committed ${stagedFeedIds.join(', ') || 'no'} feeds in GTFS store (${
+        Date.now() - startedAt
+      }ms)`
+    );
+  }
+
+  /**
+   * @private
+   */
+  _rebuildMemory(rowsByFeed) {
+    this.memory = this._createMemoryStore(rowsByFeed, this.memory.shapesByFeed);
+    rowsByFeed.forEach((rows) => rows.forEach((row) => this._addToMemory(row)));
+    this.memory.byTrip.forEach((tripRows) =>
+      tripRows.sort((a, b) => a.stop_sequence - b.stop_sequence)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _addToMemory(row) {
+    const { byTrip, byStop, byRoute } = this.memory;
+    const add = (map, key) => {
+      if (!key) return;
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(row);
+    };
+    add(byTrip, row.trip_id);
+    add(byStop, row.stop_id);
+    add(byRoute, row.route_id);
+    this.memory.count++;
+  }
+
+  /**
+   * Get the number of stored stop_times
+   * @returns {Promise<number>} Row count
+   */
+  async getStopTimeCount() {
+    try {
+      await this.open();
+      if (this.memory) {
+        return this.memory.count;
+      }
+      const row = await this.db.getFirstAsync('SELECT COUNT(*) AS count FROM stop_times');
+      return row ? row.count : 0;
+    } catch (error) {
+      console.error('Error counting stop times:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get how many stop_times and shapes each stored feed has
+   * @returns {Promise<Map>} feed_id -> {stopTimes, shapes}; feeds never stored are left out
+   */
+  async getFeedCounts() {
+    try {
+      await this.open();
+      const counts = new Map();
+      if (this.memory) {
+        this.memory.rowsByFeed.forEach((rows, feedId) => {
+          const shapes = this.memory.shapesByFeed.get(feedId) || {};
+          counts.set(feedId, { stopTimes: rows.length, shapes: Object.keys(shapes).length });
+        });
+        return counts;
+      }
+      const rows = await this.db.getAllAsync('SELECT feed_id, stop_times, shapes FROM feeds');
+      rows.forEach((row) => {
+        counts.set(row.feed_id, { stopTimes: row.stop_times, shapes: row.shapes });
+      });
+      return counts;
+    } catch (error) {
+      console.error('Error counting stored feeds:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Get the encoded polylines of some shapes
+   * @param {Array} shapeIds - Shape IDs
+   * @returns {Promise<Object>} shape_id -> encoded polyline, for the shapes found
+   */
+  async getShapes(shapeIds) {
+    try {
+      await this.open();
+      const shapes = {};
+      if (this.memory) {
+        shapeIds.forEach((shapeId) => {
+          this.memory.shapesByFeed.forEach((feedShapes) => {
+            if (feedShapes[shapeId]) shapes[shapeId] = feedShapes[shapeId];
+          });
+        });
+        return shapes;
+      }
+
+      for (let start = 0; start < shapeIds.length; start += SHAPE_READ_BATCH_SIZE) {
+        const batch = shapeIds.slice(start, start + SHAPE_READ_BATCH_SIZE);
+        const rows = await this.db.getAllAsync(
+          `SELECT shape_id, polyline FROM shapes WHERE shape_id IN (${batch
+            .map(() => '?')
+            .join(', ')})`,
+          batch
+        );
+        rows.forEach((row) => {
+          shapes[row.shape_id] = row.polyline;
+        });
+      }
+      return shapes;
+    } catch (error) {
+      console.error('Error reading shapes:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Get stop times for a trip
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Array>} Stop times sorted by stop_sequence
+   */
+  async getStopTimesForTrip(tripId) {
+    try {
+      await this.open();
+      if (this.memory) {
+        return this.memory.byTrip.get(tripId) || [];
+      }
+      return await this.db.getAllAsync(
+        'SELECT * FROM stop_times WHERE trip_id = ? ORDER BY stop_sequence',
+        [tripId]
+      );
+    } catch (error) {
+      console.error('Error reading stop times for trip:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get stop times at a stop
+   * @param {string} stopId - Stop ID
+   * @returns {Promise<Array>} Stop times sorted by departure_time
+   */
+  async getStopTimesForStop(stopId) {
+    try {
+      await this.open();
+      if (this.memory) {
+        return [...(this.memory.byStop.get(stopId) || [])].sort((a, b) =>
+          (a.departure_time || '').localeCompare(b.departure_time || '')
+        );
+      }
+      return await this.db.getAllAsync(
+        'SELECT * FROM stop_times WHERE stop_id = ? ORDER BY departure_time',
+        [stopId]
+      );
+    } catch (error) {
+      console.error('Error reading stop times for stop:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the trip and stop served by each stop_time of a route
+   * @param {string} routeId - Route ID
+   * @returns {Promise<Array>} Array of {trip_id, stop_id, stop_sequence}
+   */
+  async getStopVisitsForRoute(routeId) {
+    try {
+      await this.open();
+      if (this.memory) {
+        return (this.memory.byRoute.get(routeId) || []).map(
+          ({ trip_id, stop_id, stop_sequence }) => ({ trip_id, stop_id, stop_sequence })
+        );
+      }
+      return await this.db.getAllAsync(
+        'SELECT trip_id, stop_id, stop_sequence FROM stop_times WHERE route_id = ?',
+        [routeId]
+      );
+    } catch (error) {
+      console.error('Error reading stop times for route:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get IDs of routes that serve a stop
+   * @param {string} stopId - Stop ID
+   * @returns {Promise<Array>} Array of route IDs
+   */
+  async getRouteIdsForStop(stopId) {
+    try {
+      await this.open();
+      if (this.memory) {
+        return [
+          ...new Set((this.memory.byStop.get(stopId) || []).map((row) => row.route_id)),
+        ].filter(Boolean);
+      }
+      const rows = await this.db.getAllAsync(
+        'SELECT DISTINCT route_id FROM stop_times WHERE stop_id = ? AND route_id IS NOT NULL',
+        [stopId]
+      );
+      return rows.map((row) => row.route_id);
+    } catch (error) {
+      console.error('Error reading routes for stop:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Visit every trip's stop times, one trip at a time
+   * Rows are read in pages so the whole table is never in memory at once
+   * @param {Function} callback - Called with (tripId, stopTimes sorted by stop_sequence)
+   * @returns {Promise<number>} Number of trips visited
+   */
+  async forEachTrip(callback) {
+    await this.open();
+
+    if (this.memory) {
+      this.memory.byTrip.forEach((rows, tripId) => callback(tripId, rows));
+      return this.memory.byTrip.size;
+    }
+
+    let tripCount = 0;
+    let currentTripId = null;
+    let currentRows = [];
+    let lastKey = ['', -1];
+
+    const flush = () => {
+      if (currentTripId !== null) {
+        callback(currentTripId, currentRows);
+        tripCount++;
+      }
+    };
+
+    // Keyset pagination over the (trip_id, stop_sequence) index
+    for (;;) {
+      const page = await this.db.getAllAsync(
+        `SELECT * FROM stop_times
+         WHERE (trip_id, stop_sequence) > (?, ?)
+         ORDER BY trip_id, stop_sequence
+         LIMIT ?`,
+        [lastKey[0], lastKey[1], READ_PAGE_SIZE]
+      );
+      if (page.length === 0) break;
+
+      page.forEach((row) => {
+        if (row.trip_id !== currentTripId) {
+          flush();
+          currentTripId = row.trip_id;
+          currentRows = [];
+        }
+        currentRows.push(row);
+      });
+
+      const last = page[page.length - 1];
+      lastKey = [last.trip_id, last.stop_sequence];
+      if (page.length < READ_PAGE_SIZE) break;
+    }
+
+    flush();
+    return tripCount;
+  }
+
+  /**
+   * Get the stored routing index
+   * @param {string} version - Version the index must have been saved with
+   * @returns {Promise<Object|null>} Index as saved, or null if missing or another version
+   */
+  async getRoutingIndex(version) {
+    try {
+      await this.open();
+      if (this.memory) {
+        const stored = this.memory.routingIndex;
+        return stored && stored.version === version ? stored.index : null;
+      }
+
+      const rows = await this.db.getAllAsync(
+        'SELECT part, data FROM routing_index WHERE version = ? ORDER BY part, position',
+        [version]
+      );
+      if (rows.length === 0) {
+        return null;
+      }
+      const index = {};
+      rows.forEach(({ part, data }) => {
+        if (!index[part]) index[part] = [];
+        JSON.parse(data).forEach((item) => index[part].push(item));
+      });
+      return index;
+    } catch (error) {
+      console.error('Error reading routing index:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the stored routing index
+   * @param {string} version - Version to save it with (e.g., the GTFS version)
+   * @param {Object} index - Plain object whose values are JSON-safe arrays
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveRoutingIndex(version, index) {
+    try {
+      await this.open();
+      if (this.memory) {
+        this.memory.routingIndex = { version, index };
+        return true;
+      }
+
+      const startedAt = Date.now();
+      await this.db.withExclusiveTransactionAsync(async (txn) => {
+        await txn.runAsync('DELETE FROM routing_index');
+        for (const [part, items] of Object.entries(index)) {
+          for (let start = 0; start < items.length; start += ROUTING_INDEX_CHUNK_SIZE) {
+            const chunk = items.slice(start, start + ROUTING_INDEX_CHUNK_SIZE);
+            await txn.runAsync(
+              'INSERT INTO routing_index (version, part, position, data) VALUES (?, ?, ?, ?)',
+              [version, part, start, JSON.stringify(chunk)]
+            );
+          }
+        }
+      });
+      console.log(`💾 Stored routing index in GTFS store (${Date.now() - startedAt}ms)`);
+      return true;
+    } catch (error) {
+      console.error('Error storing routing index:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Delete all stored and staged stop_times and shapes, and the routing index
+   * @returns {Promise<boolean>} Success status
+   */
+  async clear() {
+    try {
+      await this.open();
+      if (this.memory) {
+        this.memory = this._createMemoryStore();
+        this._staged = this._createStaging();
+        return true;
+      }
+      await this.db.execAsync(`
+        DELETE FROM stop_times;
+        DELETE FROM shapes;
+        DELETE FROM staged_stop_times;
+        DELETE FROM staged_shapes;
+        DELETE FROM feeds;
+        DELETE FROM routing_index;
+      `);
+      return true;
+    } catch (error) {
+      console.error('Error clearing GTFS store:', error);
+      return false;
+    }
+  }
+}
+
+export default new GTFSStore();
@@ -0,0 +1,403 @@
+/**
+ * GTFS Validator
+ * Checks a parsed feed before it replaces the stored copy
+ *
+ * Errors make a feed unusable (broken references, duplicate ids, missing
+ * required fields, stop_times that go back in time) and the download is
+ * rejected. Warnings are recorded but the feed is still used, e.g. stops
+ * outside SEATTLE_BOUNDS, which regional feeds like ferries and Pierce
+ * Transit legitimately have.
+ */
+
+import { SEATTLE_BOUNDS } from '../../utils/constants';
+import { parseGTFSTime } from '../../utils/gtfsTime';
+
+export const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+};
+
+// Sample ids kept per issue; counts are always exact
+const MAX_EXAMPLES = 5;
+
+// Required columns per file (GTFS reference). Stop names and coordinates are
+// checked separately since they are only required for location_type 0-2.
+const REQUIRED_FIELDS = {
+  'routes.txt': { id: 'route_id', fields: ['route_id', 'route_type'] },
+  'stops.txt': { id: 'stop_id', fields: ['stop_id'] },
+  'trips.txt': { id: 'trip_id', fields: ['route_id', 'service_id', 'trip_id'] },
+  'stop_times.txt': { id: 'trip_id', fields: ['trip_id', 'stop_id', 'stop_sequence'] },
+};
+
+/**
+ * Collects issues grouped by code
+ * @private
+ */
+function createIssueCollector() {
+  const issues = new Map(); // code -> issue
+
+  return {
+    add(severity, code, file, message, example) {
+      if (!issues.has(code)) {
+        issues.set(code, { severity, code, file, message, count: 0, examples: [] });
+      }
+      const issue = issues.get(code);
+      issue.count++;
+      if (example !== undefined && issue.examples.length < MAX_EXAMPLES) {
+        issue.examples.push(example);
+      }
+    },
+    list() {
+      return [...issues.values()];
+    },
+  };
+}
+
+/**
+ * Check that required fields are present and ids are unique
+ * @private
+ */
+function checkTable(rows, file, issues, { unique = true } = {}) {
+  const { id, fields } = REQUIRED_FIELDS[file];
+  const ids = new Set();
+
+  rows.forEach((row, index) => {
+    fields.forEach((field) => {
+      if (row[field] === undefined || row[field] === '') {
+        issues.add(
+          SEVERITY.ERROR,
+          'missing_required_field',
+          file,
+          'Required field is empty',
+          `${file} row ${index + 1}: ${field}`
+        );
+      }
+    });
+
+    if (unique && row[id]) {
+      if (ids.has(row[id])) {
+        issues.add(SEVERITY.ERROR, `duplicate_${id}`, file, `Duplicate ${id}`, row[id]);
+      }
+      ids.add(row[id]);
+    }
+  });
+
+  return ids;
+}
+
+/**
+ * Check stop names, coordinates and parent stations
+ * @private
+ */
+function checkStops(stops, stopIds, issues) {
+  stops.forEach((stop) => {
+    // Generic nodes and boarding areas (types 3 and 4) have no position of their own
+    const locationType = parseInt(stop.location_type || '0', 10);
+    if (locationType <= 2) {
+      if (!stop.stop_name) {
+        issues.add(
+          SEVERITY.ERROR,
+          'missing_required_field',
+          'stops.txt',
+          'Required field is empty',
+          `${stop.stop_id}: stop_name`
+        );
+      }
+
+      const lat = parseFloat(stop.stop_lat);
+      const lon = parseFloat(stop.stop_lon);
+      if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+        issues.add(
+          SEVERITY.ERROR,
+          'invalid_coordinates',
+          'stops.txt',
+          'Stop has missing or impossible coordinates',
+          stop.stop_id
+        );
+      } else if (
+        lat < SEATTLE_BOUNDS.lat.min ||
+        lat > SEATTLE_BOUNDS.lat.max ||
+        lon < SEATTLE_BOUNDS.lon.min ||
+        lon > SEATTLE_BOUNDS.lon.max
+      ) {
+        issues.add(
+          SEVERITY.WARNING,
+          'stop_outside_service_area',
+          'stops.txt',
+          'Stop is outside the Seattle area bounds',
+          stop.stop_id
+        );
+      }
+    }
+
+    if (stop.parent_station && !stopIds.has(stop.parent_station)) {
+      issues.add(
+        SEVERITY.ERROR,
+        'unknown_parent_station',
+        'stops.txt',
+        'parent_station does not exist in stops.txt',
+        stop.stop_id
+      );
+    }
+  });
+}
+
+/**
+ * Check that trips reference existing routes, services and shapes
+ * @private
+ */
+function checkTrips(trips, routeIds, serviceIds, shapes, issues) {
+  trips.forEach((trip) => {
+    if (trip.route_id && !routeIds.has(trip.route_id)) {
+      issues.add(
+        SEVERITY.ERROR,
+        'unknown_route_id',
+        'trips.txt',
+        'Trip references a route that does not exist',
+        trip.trip_id
+      );
+    }
+    if (trip.service_id && !serviceIds.has(trip.service_id)) {
+      issues.add(
+        SEVERITY.ERROR,
+        'unknown_service_id',
+        'trips.txt',
+        'Trip references a service missing from calendar.txt and calendar_dates.txt',
+        trip.trip_id
+      );
+    }
+    // Shapes are only drawn on the map, so a missing one is not fatal
+    if (trip.shape_id && !shapes[trip.shape_id]) {
+      issues.add(
+        SEVERITY.WARNING,
+        'unknown_shape_id',
+        'trips.txt',
+        'Trip references a shape that does not exist',
+        trip.trip_id
+      );
+    }
+  });
+}
+
+/**
+ * Compare a stop time with the one before it in the same trip
+ * @private
+ * @param {Object} previous - {sequence, time} of the previous stop time
+ * @param {Object} current - {sequence, arrival, departure} in seconds, null when empty
+ */
+function checkStopTimeOrder(tripId, previous, current, issues) {
+  if (current.sequence === previous.sequence) {
+    issues.add(
+      SEVERITY.ERROR,
+      'duplicate_stop_sequence',
+      'stop_times.txt',
+      'Trip has two stop times with the same stop_sequence',
+      `${tripId} #${current.sequence}`
+    );
+  }
+  // Times may be empty between timepoints
+  const time = current.arrival ?? current.departure;
+  if (time !== null && previous.time !== null && time < previous.time) {
+    issues.add(
+      SEVERITY.ERROR,
+      'decreasing_stop_time',
+      'stop_times.txt',
+      'Stop time is earlier than the previous stop in the trip',
+      `${tripId} #${current.sequence}`
+    );
+  }
+}
+
+/**
+ * Check stop_times references and that each trip moves forward in sequence and time
+ * Feeds normally list a trip's stop times in order, so they are checked in one
+ * pass; only trips listed out of order are collected and sorted.
+ * @private
+ */
+function checkStopTimes(stopTimes, tripIds, stopIds, issues) {
+  const tripState = new Map(); // trip_id -> {sequence, time}
+  const unorderedTrips = new Set();
+
+  stopTimes.forEach((stopTime) => {
+    const tripId = stopTime.trip_id;
+    if (tripId && !tripIds.has(tripId)) {
+      issues.add(
+        SEVERITY.ERROR,
+        'unknown_trip_id',
+        'stop_times.txt',
+        'Stop time references a trip that does not exist',
+        tripId
+      );
+    }
+    if (stopTime.stop_id && !stopIds.has(stopTime.stop_id)) {
+      issues.add(
+        SEVERITY.ERROR,
+        'unknown_stop_id',
+        'stop_times.txt',
+        'Stop time references a stop that does not exist',
+        `${tripId}: ${stopTime.stop_id}`
+      );
+    }
+
+    const sequence = parseInt(stopTime.stop_sequence, 10);
+    if (!tripId || isNaN(sequence) || unorderedTrips.has(tripId)) {
+      return;
+    }
+
+    const current = {
+      sequence,
+      arrival: parseGTFSTime(stopTime.arrival_time),
+      departure: parseGTFSTime(stopTime.departure_time),
+    };
+    const previous = tripState.get(tripId);
+    if (previous) {
+      if (sequence < previous.sequence) {
+        unorderedTrips.add(tripId);
+        return;
+      }
+      checkStopTimeOrder(tripId, previous, current, issues);
+    }
+    tripState.set(tripId, {
+      sequence,
+      time: current.departure ?? current.arrival ?? previous?.time ?? null,
+    });
+  });
+
+  if (unorderedTrips.size > 0) {
+    const byTrip = new Map();
+    stopTimes.forEach((stopTime) => {
+      if (!unorderedTrips.has(stopTime.trip_id)) return;
+      const sequence = parseInt(stopTime.stop_sequence, 10);
+      if (isNaN(sequence)) return;
+      if (!byTrip.has(stopTime.trip_id)) byTrip.set(stopTime.trip_id, []);
+      byTrip.get(stopTime.trip_id).push({
+        sequence,
+        arrival: parseGTFSTime(stopTime.arrival_time),
+        departure: parseGTFSTime(stopTime.departure_time),
+      });
+    });
+    byTrip.forEach((rows, tripId) => {
+      rows.sort((a, b) => a.sequence - b.sequence);
+      rows.reduce((previous, current) => {
+        if (previous) {
+          checkStopTimeOrder(tripId, previous, current, issues);
+        }
+        return {
+          sequence: current.sequence,
+          time: current.departure ?? current.arrival ?? previous?.time ?? null,
+        };
+      }, null);
+    });
+  }
+
+  return tripState;
+}
+
+/**
+ * Validate a parsed GTFS feed
+ * @param {Object} data - Feed tables {routes, stops, trips, stopTimes, calendar,
+ *   calendarDates, shapes}, as returned by MetroGTFSService._fetchFeed
+ * @returns {Object} Report: {valid, errorCount, warningCount, counts, issues}, where
+ *   issues are [{severity, code, file, message, count, examples}]
+ */
+export function validateFeed(data) {
+  const issues = createIssueCollector();
+  const routes = data.routes || [];
+  const stops = data.stops || [];
+  const trips = data.trips || [];
+  const stopTimes = data.stopTimes || [];
+  const calendar = data.calendar || [];
+  const calendarDates = data.calendarDates || [];
+
+  ['routes', 'stops', 'trips', 'stopTimes'].forEach((table) => {
+    if ((data[table] || []).length === 0) {
+      issues.add(SEVERITY.ERROR, 'empty_table', table, 'Feed has no rows in a required file', table);
+    }
+  });
+  if (calendar.length === 0 && calendarDates.length === 0) {
+    issues.add(
+      SEVERITY.ERROR,
+      'missing_calendar',
+      'calendar.txt',
+      'Feed has neither calendar.txt nor calendar_dates.txt'
+    );
+  }
+
+  const routeIds = checkTable(routes, 'routes.txt', issues);
+  routes.forEach((route) => {
+    if (!route.route_short_name && !route.route_long_name) {
+      issues.add(
+        SEVERITY.ERROR,
+        'missing_route_name',
+        'routes.txt',
+        'Route has neither route_short_name nor route_long_name',
+        route.route_id
+      );
+    }
+  });
+
+  const stopIds = checkTable(stops, 'stops.txt', issues);
+  checkStops(stops, stopIds, issues);
+
+  const serviceIds = new Set();
+  calendar.forEach((service) => {
+    if (serviceIds.has(service.service_id)) {
+      issues.add(
+        SEVERITY.ERROR,
+        'duplicate_service_id',
+        'calendar.txt',
+        'Duplicate service_id',
+        service.service_id
+      );
+    }
+    serviceIds.add(service.service_id);
+  });
+  calendarDates.forEach((exception) => serviceIds.add(exception.service_id));
+
+  const tripIds = checkTable(trips, 'trips.txt', issues);
+  checkTrips(trips, routeIds, serviceIds, data.shapes || {}, issues);
+
+  checkTable(stopTimes, 'stop_times.txt', issues, { unique: false });
+  const tripsWithStopTimes = checkStopTimes(stopTimes, tripIds, stopIds, issues);
+  trips.forEach((trip) => {
+    if (trip.trip_id && !tripsWithStopTimes.has(trip.trip_id)) {
+      issues.add(
+        SEVERITY.WARNING,
+        'trip_without_stop_times',
+        'trips.txt',
+        'Trip has no stop times',
+        trip.trip_id
+      );
+    }
+  });
+
+  const list = issues.list();
+  const total = (severity) =>
+    list.filter((issue) => issue.severity === severity).reduce((sum, issue) => sum + issue.count, 0);
+  const errorCount = total(SEVERITY.ERROR);
+
+  return {
+    valid: errorCount === 0,
+    errorCount,
+    warningCount: total(SEVERITY.WARNING),
+    counts: {
+      routes: routes.length,
+      stops: stops.length,
+      trips: trips.length,
+      stopTimes: stopTimes.length,
+    },
+    issues: list,
+  };
+}
+
+/**
+ * Describe a report's errors in one line, for logs and stored feed errors
+ * @param {Object} report - Result of validateFeed
+ * @returns {string} e.g. "3 errors: unknown_stop_id (2), duplicate_trip_id (1)"
+ */
+export function summarizeErrors(report) {
+  const errors = report.issues.filter((issue) => issue.severity === SEVERITY.ERROR);
+  return `${report.errorCount} errors: ${errors
+    .map((issue) => `${issue.code} (${issue.count})`)
+    .join(', ')}`;
+}
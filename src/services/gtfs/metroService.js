@@ -2,11 +2,14 @@
  * King County Metro GTFS Service
  * Handles downloading, parsing, and caching GTFS static data
  * Based on DATA_SOURCES.md and ROADMAP.md Phase 2.1
+ *
+ * Loads every feed in GTFS_FEEDS (Metro, Sound Transit, Community Transit,
+ * Pierce Transit, Washington State Ferries) side by side. Ids are stored with
+ * the agency's OneBusAway prefix, e.g. "1_100275" or "40_100479".
  */
 
 import axios from 'axios';
 import JSZip from 'jszip';
-import Papa from 'papaparse';
 import { Platform } from 'react-native';
 import {
   getGTFSRoutes,
@@ -15,15 +18,53 @@ import {
   setGTFSStops,
   getGTFSTrips,
   setGTFSTrips,
-  getGTFSStopTimes,
-  setGTFSStopTimes,
+  getGTFSCalendar,
+  setGTFSCalendar,
+  getGTFSCalendarDates,
+  setGTFSCalendarDates,
+  getGTFSTransfers,
+  setGTFSTransfers,
+  getGTFSFrequencies,
+  setGTFSFrequencies,
   getGTFSVersion,
   setGTFSVersion,
   getGTFSDownloadDate,
   setGTFSDownloadDate,
+  getGTFSFeeds,
+  setGTFSFeeds,
+  getGTFSChangeReport,
+  setGTFSChangeReport,
+  removeStorageItem,
 } from '../../utils/storage';
-import { GTFS_URLS, CACHE_DURATION } from '../../utils/constants';
-import { gtfsToObaStopId, gtfsToObaRouteId, obaToGtfsStopId } from '../../utils/idMapping';
+import gtfsStore from './gtfsStore';
+import { diffFeeds, countChanges } from './feedDiff';
+import { validateFeed, summarizeErrors } from './gtfsValidator';
+import { createSearchIndex } from './searchIndex';
+import { parseFeedZip, parseCSV } from './feedParser';
+import { isBundle, readBundleManifest, readBundleFeed } from './gtfsBundle';
+import { getFirstDepartureSeconds, getFrequencyRuns, shiftStopTime } from './frequencies';
+import {
+  GTFS_FEEDS,
+  GTFS_BUNDLE_URL,
+  CACHE_DURATION,
+  STORAGE_KEYS,
+  TRANSFER_TYPES,
+} from '../../utils/constants';
+import {
+  gtfsToObaStopId,
+  gtfsToObaRouteId,
+  getAgencyIdFromId,
+} from '../../utils/idMapping';
+import {
+  formatGTFSDate,
+  parseGTFSDate,
+  parseGTFSTime,
+  getServiceDayStart,
+  getServiceWeekday,
+  fromServiceSeconds,
+} from '../../utils/gtfsTime';
+import { decodePolyline } from '../../utils/polyline';
+import { createSpatialIndex } from '../../utils/spatialIndex';
 
 // Lazy import to avoid circular dependency
 let obaService = null;
@@ -38,24 +79,108 @@ function getObaService() {
   return obaService;
 }
 
-const GTFS_URL = GTFS_URLS.METRO_MAIN;
+let tripRoutingService = null;
+function getTripRoutingService() {
+  if (!tripRoutingService) {
+    try {
+      tripRoutingService = require('../routing/tripRoutingService').default;
+    } catch (e) {
+      console.warn('Trip routing service not available:', e);
+    }
+  }
+  return tripRoutingService;
+}
+
+// Start checking for a new feed this long before the current one ends
+const FEED_EXPIRY_MARGIN = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// stops.txt location_type values
+const LOCATION_TYPES = {
+  STOP: 0, // Stop, or a platform when it has a parent station
+  STATION: 1,
+  ENTRANCE: 2,
+  NODE: 3,
+  BOARDING_AREA: 4,
+};
+
+/**
+ * Read a stop's location_type; empty means a stop or platform
+ * @private
+ */
+function getLocationType(stop) {
+  return parseInt(stop.location_type || '0', 10) || LOCATION_TYPES.STOP;
+}
+
+/**
+ * Most frequent non-empty value in a list
+ * @private
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+// calendar.txt weekday columns, indexed by Date.getDay()
+const WEEKDAY_COLUMNS = [
+  'sunday',
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+];
 
 class MetroGTFSService {
   constructor() {
     this.routes = [];
     this.stops = [];
+    this._stopIndex = createSpatialIndex([]); // Grid index over this.stops
+    this._searchIndexes = {}; // 'stops'/'routes' -> {source, index}, see _getSearchIndex
+    this._tripsById = null; // {source, map}, see _getTripsById
+    this._stations = null; // {source, stopsById, platformsByStation}, see _getStations
     this.trips = [];
-    this.stopTimes = [];
+    this.stopTimeCount = 0; // stop_times live in gtfsStore, not in memory
+    this.version = null;
+    this.feeds = {}; // feed id -> metadata of the loaded copy
+    this._importLost = false; // Cached feeds whose stop_times did not survive a reload
+    this.calendar = [];
+    this.calendarDates = [];
+    this.transfers = []; // transfers.txt rows
+    this._transfersByStop = null; // {source, map}, see getTransfer
+    this.frequencies = []; // frequencies.txt rows
+    this._frequenciesByTrip = null; // {source, map}, see getFrequenciesForTrip
+    this._frequencyRuns = null; // {source, map} trip_id -> runs, see _getFrequencyRuns
     this.isLoaded = false;
+    this._activeServiceIds = new Map(); // YYYYMMDD -> Set of service_ids
+    this._decodedShapes = new Map(); // shape_id -> decoded coordinates; shapes live in gtfsStore
   }
 
   /**
-   * Download and parse GTFS static data
-   * Downloads ZIP, extracts CSV files, parses and stores in AsyncStorage
+   * Download and parse GTFS static data for every registered feed
+   * Downloads each agency's ZIP, namespaces its ids, and stores the merged data
+   * Feeds are requested conditionally (ETag/Last-Modified) and skipped when
+   * unchanged; a feed that fails to download or fails validation keeps its copy
+   * from the last update
    * Note: On web, this will fail due to CORS. Use cached data instead.
    * @returns {Promise<boolean>} Success status
    */
   async fetchStaticData() {
+    // A prebuilt bundle is much cheaper to load than parsing each feed's zip,
+    // and can be served with CORS headers for web builds
+    if (GTFS_BUNDLE_URL) {
+      try {
+        return await this._fetchBundle();
+      } catch (bundleError) {
+        console.error('❌ Error loading GTFS bundle, falling back to feeds:', bundleError);
+      }
+    }
+
     // On web platform, GTFS download fails due to CORS
     // Use cached data from AsyncStorage instead
     if (Platform.OS === 'web') {
@@ -66,61 +191,130 @@ class MetroGTFSService {
         console.log('✅ Loaded GTFS data from cache');
         return true;
       } else {
-        console.warn('⚠️  No cached GTFS data available on web. Please use native app to download data.');
+        console.warn('⚠️  No cached GTFS data available on web. Import a GTFS zip to load data.');
         return false;
       }
     }
 
     try {
-      console.log('🌐 DOWNLOADING REAL GTFS DATA from King County Metro...');
-      console.log('📍 Source URL:', GTFS_URL);
-      console.log('⏳ This may take 30-60 seconds...\n');
-
-      // Download ZIP file
-      const response = await axios.get(GTFS_URL, {
-        responseType: 'arraybuffer',
-        timeout: 60000, // 60 second timeout
-      });
+      const feeds = GTFS_FEEDS.filter((feed) => feed.enabled);
+      console.log(`🌐 CHECKING REAL GTFS DATA from ${feeds.length} agencies...`);
+      console.log('⏳ Changed feeds may take a few minutes to download...\n');
 
-      const fileSizeMB = (response.data.byteLength / (1024 * 1024)).toFixed(2);
-      console.log(`✅ GTFS ZIP downloaded successfully!`);
-      console.log(`   Size: ${fileSizeMB} MB (${response.data.byteLength.toLocaleString()} bytes)`);
-      console.log(`   This is REAL data from King County Metro\n`);
-
-      // Extract ZIP
-      const zip = await JSZip.loadAsync(response.data);
-      console.log('ZIP extracted, files:', Object.keys(zip.files).length);
-
-      // Parse required CSV files
-      const routes = await this._parseCSV(zip, 'routes.txt');
-      const stops = await this._parseCSV(zip, 'stops.txt');
-      const trips = await this._parseCSV(zip, 'trips.txt');
-      const stopTimes = await this._parseCSV(zip, 'stop_times.txt');
-
-      console.log('Parsed GTFS data:', {
-        routes: routes.length,
-        stops: stops.length,
-        trips: trips.length,
-        stopTimes: stopTimes.length,
-      });
+      const storedFeeds = (await getGTFSFeeds()) || {};
+      const storeCounts = await gtfsStore.getFeedCounts();
+      const merged = this._createMergedData();
+      const feedInfo = {};
+      const changedFeedIds = [];
+      const feedChanges = []; // Change reports for feeds that replaced a loaded copy
+
+      for (const feed of feeds) {
+        const stored = storedFeeds[feed.id];
+        // The loaded copy can stand in for a feed that is unchanged or unreachable
+        const hasLoadedCopy = Boolean(stored?.downloadedAt) && this.isLoaded;
+        const checkedAt = new Date().toISOString();
+        const keepLoadedCopy = (error, validation) => {
+          // Keep the copy from the last successful download, if it is loaded
+          if (hasLoadedCopy) {
+            console.warn(`⚠️ Keeping previously downloaded ${feed.name} data`);
+            this._mergeFeedData(merged, this._getLoadedFeedData(feed));
+            feedInfo[feed.id] = { ...stored, failedAt: checkedAt, error, failedValidation: validation };
+          } else {
+            // Recorded so needsUpdate() retries it with the regular refresh, not every launch
+            feedInfo[feed.id] = { failedAt: checkedAt, error, failedValidation: validation };
+          }
+        };
+
+        try {
+          // Without its rows in gtfsStore (dropped by a schema change, or an in-memory
+          // store), the loaded copy cannot stand in for the feed even if it is unchanged:
+          // download it in full, without conditional headers or the feed_version check
+          const canSkipDownload = hasLoadedCopy && this._hasStoredRows(feed, storeCounts);
+          const result = await this._fetchFeed(feed, canSkipDownload ? stored : null);
+
+          if (result.notModified) {
+            console.log(`✅ ${feed.name} GTFS unchanged (${result.reason})`);
+            this._mergeFeedData(merged, this._getLoadedFeedData(feed));
+            feedInfo[feed.id] = { ...stored, ...result.meta, checkedAt };
+            continue;
+          }
 
-      // Store in memory
-      this.routes = routes;
-      this.stops = stops;
-      this.trips = trips;
-      this.stopTimes = stopTimes;
-      this.isLoaded = true;
-
-      // Store in AsyncStorage
-      const downloadDate = new Date().toISOString();
-      await setGTFSRoutes(routes);
-      await setGTFSStops(stops);
-      await setGTFSTrips(trips);
-      await setGTFSStopTimes(stopTimes);
-      await setGTFSVersion(downloadDate);
-      await setGTFSDownloadDate(downloadDate);
+          // A corrupt download must not replace the last good copy
+          const validation = validateFeed(result);
+          if (!validation.valid) {
+            const summary = summarizeErrors(validation);
+            console.error(`❌ ${feed.name} GTFS failed validation: ${summary}`);
+            keepLoadedCopy(`Validation failed: ${summary}`, validation);
+            continue;
+          }
+          if (validation.warningCount > 0) {
+            console.warn(`⚠️ ${feed.name} GTFS has ${validation.warningCount} validation warnings`);
+          }
+
+          const { stopTimes, meta, ...data } = result;
+          if (hasLoadedCopy) {
+            // Compare with the copy being replaced before it is overwritten
+            const changes = diffFeeds(this._getLoadedFeedData(feed), data);
+            if (countChanges(changes) > 0) {
+              feedChanges.push({
+                feedId: feed.id,
+                feedName: feed.name,
+                previousVersion: stored.feedVersion || null,
+                feedVersion: meta.feedVersion,
+                changes,
+              });
+            }
+          }
+          // Staged until every feed is done, see _storeMergedData
+          const stopTimeCount = await gtfsStore.stageStopTimes(feed.id, stopTimes, data.trips);
+          await gtfsStore.stageShapes(feed.id, data.shapes);
+          this._mergeFeedData(merged, data);
+          feedInfo[feed.id] = {
+            ...meta,
+            downloadedAt: checkedAt,
+            checkedAt,
+            routes: data.routes.length,
+            stops: data.stops.length,
+            stopTimes: stopTimeCount,
+            validation,
+          };
+          changedFeedIds.push(feed.id);
+        } catch (feedError) {
+          console.error(`❌ Error fetching ${feed.name} GTFS feed:`, feedError);
+          keepLoadedCopy(feedError.message);
+        }
+      }
 
+      const loadedFeedIds = Object.keys(feedInfo).filter((feedId) => feedInfo[feedId].downloadedAt);
+      if (loadedFeedIds.length === 0) {
+        throw new Error('No GTFS feed could be downloaded');
+      }
+
+      // Nothing new: keep the loaded data and only record the check
+      const droppedFeedIds = Object.keys(storedFeeds).filter(
+        (feedId) => storedFeeds[feedId].downloadedAt && !loadedFeedIds.includes(feedId)
+      );
+      if (this.isLoaded && changedFeedIds.length === 0 && droppedFeedIds.length === 0) {
+        this.feeds = feedInfo;
+        await setGTFSFeeds(feedInfo);
+        console.log('✅ GTFS data is up to date - nothing downloaded\n');
+        return true;
+      }
+
+      const { version, downloadDate } = await this._storeMergedData(
+        merged,
+        feedInfo,
+        loadedFeedIds,
+        changedFeedIds
+      );
+      // The last report stays until a later update changes something again
+      if (feedChanges.length > 0) {
+        await setGTFSChangeReport({ generatedAt: downloadDate, feeds: feedChanges });
+        console.log(`📝 Service change report saved for ${feedChanges.map((f) => f.feedId).join(', ')}`);
+      }
       console.log('💾 REAL GTFS data stored in AsyncStorage');
+      console.log(`   Feeds: ${loadedFeedIds.join(', ')} (updated: ${changedFeedIds.join(', ') || 'none'})`);
+      console.log(`   Version: ${version}`);
       console.log(`   Download date: ${new Date(downloadDate).toLocaleString()}`);
       console.log(`   This data will be used for all queries\n`);
       return true;
@@ -130,36 +324,361 @@ class MetroGTFSService {
     }
   }
 
+  /**
+   * Download and parse one GTFS feed
+   * With a stored copy, the request is conditional and the feed is reported as
+   * unchanged on HTTP 304 or when feed_info.txt has the same feed_version
+   * @private
+   * @param {Object} feed - Feed from GTFS_FEEDS
+   * @param {Object|null} stored - Metadata of the loaded copy (etag, lastModified, feedVersion)
+   * @returns {Promise<Object>} {notModified, reason, meta} for unchanged feeds, otherwise
+   *   meta plus namespaced tables: routes, stops, trips, stopTimes, calendar,
+   *   calendarDates, shapes (encoded polylines by shape_id), transfers and frequencies
+   */
+  async _fetchFeed(feed, stored = null) {
+    console.log(`🌐 Checking ${feed.name} GTFS...`);
+    console.log('📍 Source URL:', feed.url);
+
+    const headers = {};
+    if (stored?.etag) {
+      headers['If-None-Match'] = stored.etag;
+    }
+    if (stored?.lastModified) {
+      headers['If-Modified-Since'] = stored.lastModified;
+    }
+
+    // Download ZIP file (unless the server says it has not changed)
+    const response = await axios.get(feed.url, {
+      responseType: 'arraybuffer',
+      timeout: 60000, // 60 second timeout
+      headers,
+      validateStatus: (status) => (status >= 200 && status < 300) || status === 304,
+    });
+
+    const meta = {
+      etag: response.headers?.etag || stored?.etag || null,
+      lastModified: response.headers?.['last-modified'] || stored?.lastModified || null,
+    };
+    if (response.status === 304) {
+      return { notModified: true, reason: 'HTTP 304', meta };
+    }
+
+    const fileSizeMB = (response.data.byteLength / (1024 * 1024)).toFixed(2);
+    console.log(`✅ ${feed.name} GTFS ZIP downloaded (${fileSizeMB} MB)`);
+
+    // Extract ZIP
+    const zip = await JSZip.loadAsync(response.data);
+    console.log('ZIP extracted, files:', Object.keys(zip.files).length);
+    return this._parseFeedZip(zip, feed, stored, meta);
+  }
+
+  /**
+   * Parse an extracted GTFS zip into one feed's namespaced tables
+   * @private
+   * @returns {Promise<Object>} Same result as _fetchFeed, see parseFeedZip
+   */
+  async _parseFeedZip(zip, feed, stored = null, meta = {}) {
+    return parseFeedZip(zip, feed, { stored, meta });
+  }
+
   /**
    * Parse a CSV file from the ZIP archive
    * @private
    */
   async _parseCSV(zip, filename) {
-    try {
-      const file = zip.file(filename);
-      if (!file) {
-        console.warn(`File ${filename} not found in GTFS ZIP`);
-        return [];
-      }
+    return parseCSV(zip, filename);
+  }
+
+  /**
+   * Create empty merged tables for _mergeFeedData
+   * @private
+   */
+  _createMergedData() {
+    return {
+      routes: [],
+      stops: [],
+      trips: [],
+      calendar: [],
+      calendarDates: [],
+      transfers: [],
+      frequencies: [],
+    };
+  }
+
+  /**
+   * Make merged feed tables the loaded data and persist them
+   * The stored version is cleared while gtfsStore and AsyncStorage are
+   * written, so an update cut short between them is not loaded as current
+   * (see loadFromStorage).
+   * @private
+   * @param {Object} merged - Tables from _mergeFeedData
+   * @param {Object} feedInfo - Feed id -> metadata of every registry feed
+   * @param {Array} loadedFeedIds - Feeds whose data is in merged
+   * @param {Array} stagedFeedIds - Feeds whose new stop_times and shapes are staged in gtfsStore
+   * @returns {Promise<Object>} {version, downloadDate}
+   */
+  async _storeMergedData(merged, feedInfo, loadedFeedIds, stagedFeedIds) {
+    if (!(await removeStorageItem(STORAGE_KEYS.GTFS_VERSION))) {
+      throw new Error('Could not mark the stored GTFS data as being updated');
+    }
+    // Swap in the staged feeds and drop feeds that were removed or never loaded
+    await gtfsStore.commitFeeds(stagedFeedIds, loadedFeedIds);
+
+    // Store in memory
+    this.routes = merged.routes;
+    this._setStops(merged.stops);
+    this.trips = merged.trips;
+    this._setCalendar(merged.calendar, merged.calendarDates);
+    this._clearShapeCache();
+    this.transfers = merged.transfers;
+    this.frequencies = merged.frequencies;
+    this.feeds = feedInfo;
+    this.stopTimeCount = await gtfsStore.getStopTimeCount();
+    this._importLost = false;
+    this.isLoaded = true;
+
+    // Store in AsyncStorage
+    const downloadDate = new Date().toISOString();
+    const version = this._getDataVersion(feedInfo, loadedFeedIds);
+    await setGTFSRoutes(merged.routes);
+    await setGTFSStops(merged.stops);
+    await setGTFSTrips(merged.trips);
+    await setGTFSCalendar(merged.calendar);
+    await setGTFSCalendarDates(merged.calendarDates);
+    await setGTFSTransfers(merged.transfers);
+    await setGTFSFrequencies(merged.frequencies);
+    await setGTFSFeeds(feedInfo);
+    await setGTFSVersion(version);
+    await setGTFSDownloadDate(downloadDate);
+    this.version = version;
+    // stop_times and shapes used to be stored as AsyncStorage blobs
+    await removeStorageItem(STORAGE_KEYS.GTFS_STOP_TIMES);
+    await removeStorageItem(STORAGE_KEYS.GTFS_SHAPES);
+    this._prepareRouting();
+
+    return { version, downloadDate };
+  }
+
+  /**
+   * Import a GTFS zip or GTFS bundle the user picked, in place of downloading
+   * For web builds (where downloads are blocked by CORS), kiosks and offline
+   * devices. A GTFS zip goes through the same parsing and validation as a
+   * download and replaces the loaded copy of its feed; a bundle (see
+   * gtfsBundle) replaces every feed it contains. Other feeds are kept, and
+   * later scheduled refreshes still download feeds when they can.
+   * @param {ArrayBuffer|Uint8Array|Blob} data - Zip file contents
+   * @param {Object} options - Import options
+   * @param {string} options.feedId - Registry feed a GTFS zip belongs to (default: detected
+   *   from agency.txt)
+   * @param {string} options.fileName - Name of the picked file, kept in the feed metadata
+   * @returns {Promise<Array>} [{feedId, feedName, routes, stops, stopTimes, validation}]
+   *   for each imported feed
+   * @throws {Error} If the zip is unreadable, belongs to no known feed, or fails validation
+   */
+  async importFeedZip(data, { feedId = null, fileName = null } = {}) {
+    const zip = await JSZip.loadAsync(data);
+    const importedFrom = fileName || 'local file';
+    if (isBundle(zip)) {
+      console.log(`📥 Importing GTFS bundle from ${importedFrom}...`);
+      return this._installFeeds(await this._getBundleEntries(zip), { importedFrom });
+    }
+
+    const feed = feedId
+      ? GTFS_FEEDS.find((candidate) => candidate.id === feedId)
+      : await this._detectFeed(zip);
+    if (!feed) {
+      throw new Error('This zip does not match any supported transit agency');
+    }
+    console.log(`📥 Importing ${feed.name} GTFS from ${importedFrom}...`);
+
+    const result = await this._parseFeedZip(zip, feed);
+    const validation = validateFeed(result);
+    if (!validation.valid) {
+      throw new Error(`GTFS zip failed validation: ${summarizeErrors(validation)}`);
+    }
+    return this._installFeeds([{ feed, read: async () => ({ result, validation }) }], {
+      importedFrom,
+    });
+  }
+
+  /**
+   * Download the prebuilt bundle at GTFS_BUNDLE_URL and load its feeds
+   * @private
+   * @returns {Promise<boolean>} True once the bundle's feeds are loaded
+   */
+  async _fetchBundle() {
+    console.log('🌐 Downloading GTFS bundle:', GTFS_BUNDLE_URL);
+    const response = await axios.get(GTFS_BUNDLE_URL, {
+      responseType: 'arraybuffer',
+      timeout: 60000,
+    });
+    const fileSizeMB = (response.data.byteLength / (1024 * 1024)).toFixed(2);
+    console.log(`✅ GTFS bundle downloaded (${fileSizeMB} MB)`);
+
+    const zip = await JSZip.loadAsync(response.data);
+    await this._installFeeds(await this._getBundleEntries(zip), { bundleUrl: GTFS_BUNDLE_URL });
+    return true;
+  }
+
+  /**
+   * List the registry feeds in a bundle, each read only when installed
+   * @private
+   * @returns {Promise<Array>} [{feed, read}] for _installFeeds
+   */
+  async _getBundleEntries(zip) {
+    const manifest = await readBundleManifest(zip);
+    const entries = GTFS_FEEDS.filter((feed) => manifest.feeds[feed.id]).map((feed) => ({
+      feed,
+      read: async () => ({
+        result: await readBundleFeed(zip, manifest, feed.id),
+        validation: manifest.feeds[feed.id].validation || null,
+      }),
+    }));
+    if (entries.length === 0) {
+      throw new Error('The GTFS bundle has no supported feeds');
+    }
+    return entries;
+  }
+
+  /**
+   * Replace the loaded copies of some feeds and keep the other loaded feeds
+   * Entries are read one at a time, so only one feed's stop_times are in memory.
+   * @private
+   * @param {Array} entries - [{feed, read}] where read() resolves to {result, validation}
+   * @param {Object} extraMeta - Added to each installed feed's metadata
+   * @returns {Promise<Array>} [{feedId, feedName, routes, stops, stopTimes, validation}]
+   */
+  async _installFeeds(entries, extraMeta = {}) {
+    const installedIds = entries.map(({ feed }) => feed.id);
+    const storedFeeds = (await getGTFSFeeds()) || {};
+    const merged = this._createMergedData();
+    const feedInfo = {};
+    if (this.isLoaded) {
+      GTFS_FEEDS.forEach((other) => {
+        if (!installedIds.includes(other.id) && storedFeeds[other.id]) {
+          feedInfo[other.id] = storedFeeds[other.id];
+          if (storedFeeds[other.id].downloadedAt) {
+            this._mergeFeedData(merged, this._getLoadedFeedData(other));
+          }
+        }
+      });
+    }
 
-      const text = await file.async('string');
-      const result = Papa.parse(text, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false, // Keep as strings for consistency
+    const installedAt = new Date().toISOString();
+    const summaries = [];
+    for (const { feed, read } of entries) {
+      const { result, validation } = await read();
+      const { stopTimes, meta, ...tables } = result;
+      const stopTimeCount = await gtfsStore.stageStopTimes(feed.id, stopTimes, tables.trips);
+      await gtfsStore.stageShapes(feed.id, tables.shapes);
+      this._mergeFeedData(merged, tables);
+      feedInfo[feed.id] = {
+        ...meta,
+        ...extraMeta,
+        downloadedAt: installedAt,
+        checkedAt: installedAt,
+        routes: tables.routes.length,
+        stops: tables.stops.length,
+        stopTimes: stopTimeCount,
+        validation,
+      };
+      summaries.push({
+        feedId: feed.id,
+        feedName: feed.name,
+        routes: tables.routes.length,
+        stops: tables.stops.length,
+        stopTimes: stopTimeCount,
+        validation,
       });
+      console.log(
+        `✅ Loaded ${feed.name} GTFS: ${tables.routes.length} routes, ${stopTimeCount} stop times`
+      );
+    }
+
+    const loadedFeedIds = Object.keys(feedInfo).filter((id) => feedInfo[id].downloadedAt);
+    await this._storeMergedData(merged, feedInfo, loadedFeedIds, installedIds);
+    return summaries;
+  }
 
-      if (result.errors.length > 0) {
-        console.warn(`Errors parsing ${filename}:`, result.errors);
+  /**
+   * Find the registry feed a GTFS zip belongs to from its agency.txt
+   * Matches agency_id first, then agency_name.
+   * @private
+   * @returns {Promise<Object|null>} Feed from GTFS_FEEDS, or null if unrecognized
+   */
+  async _detectFeed(zip) {
+    const agencies = await this._parseCSV(zip, 'agency.txt');
+    const normalize = (name) => String(name || '').trim().toLowerCase();
+    for (const agency of agencies) {
+      const feed =
+        GTFS_FEEDS.find((candidate) => candidate.agencyId === String(agency.agency_id)) ||
+        GTFS_FEEDS.find((candidate) => normalize(candidate.name) === normalize(agency.agency_name));
+      if (feed) {
+        return feed;
       }
+    }
+    return null;
+  }
 
-      return result.data;
-    } catch (error) {
-      console.error(`Error parsing ${filename}:`, error);
-      return [];
+  /**
+   * Build the data version from the loaded feeds' feed_version values
+   * Changes only when a feed's data changes, so it can key derived caches
+   * @private
+   */
+  _getDataVersion(feedInfo, feedIds) {
+    return feedIds
+      .map((feedId) => `${feedId}:${feedInfo[feedId].feedVersion || feedInfo[feedId].downloadedAt}`)
+      .join(',');
+  }
+
+  /**
+   * Load or build the trip planner's routing index in the background,
+   * so the first trip plan does not wait for it
+   * @private
+   */
+  _prepareRouting() {
+    const routingService = getTripRoutingService();
+    if (routingService && this.stopTimeCount > 0) {
+      routingService.prepareRoutingIndex();
     }
   }
 
+  /**
+   * Append one feed's tables to the merged data
+   * @private
+   */
+  _mergeFeedData(merged, data) {
+    const tables = [
+      'routes',
+      'stops',
+      'trips',
+      'calendar',
+      'calendarDates',
+      'transfers',
+      'frequencies',
+    ];
+    tables.forEach((table) => {
+      (data[table] || []).forEach((row) => merged[table].push(row));
+    });
+  }
+
+  /**
+   * Get the currently loaded tables that belong to one feed
+   * @private
+   */
+  _getLoadedFeedData(feed) {
+    const fromFeed = (id) => getAgencyIdFromId(id) === feed.agencyId;
+    return {
+      routes: this.routes.filter((route) => fromFeed(route.route_id)),
+      stops: this.stops.filter((stop) => fromFeed(stop.stop_id)),
+      trips: this.trips.filter((trip) => fromFeed(trip.trip_id)),
+      calendar: this.calendar.filter((service) => fromFeed(service.service_id)),
+      calendarDates: this.calendarDates.filter((exception) => fromFeed(exception.service_id)),
+      transfers: this.transfers.filter((transfer) => fromFeed(transfer.from_stop_id)),
+      frequencies: this.frequencies.filter((frequency) => fromFeed(frequency.trip_id)),
+    };
+  }
+
   /**
    * Load GTFS data from AsyncStorage
    * @returns {Promise<boolean>} Success status
@@ -168,7 +687,22 @@ class MetroGTFSService {
     try {
       console.log('📦 loadFromStorage() starting...');
       
-      let routes, stops, trips, stopTimes;
+      let routes, stops, trips, calendar, calendarDates, transfers, frequencies;
+
+      // Caches written before the feed registry hold bare King County Metro ids
+      const feeds = await getGTFSFeeds();
+      if (!feeds) {
+        console.log('📦 No multi-agency GTFS cache found');
+        return false;
+      }
+
+      // The version is written last; without it an update stopped part way
+      // through, and stored tables may not match each other
+      const version = await getGTFSVersion();
+      if (!version) {
+        console.warn('⚠️ Last GTFS update did not finish - downloading all feeds again');
+        return false;
+      }
       
       // Load each data type separately with error handling
       try {
@@ -197,42 +731,42 @@ class MetroGTFSService {
         console.error('❌ Error loading trips:', tripsError);
         trips = null;
       }
-      
-      // Skip stopTimes loading for now - it's causing crashes due to size
-      // We can load it lazily when needed instead
-      console.log('📦 Skipping stopTimes load (will load on-demand if needed)');
-      stopTimes = [];
-      
-      // Uncomment below to try loading stopTimes (may cause crash on large datasets)
-      /*
+
       try {
-        console.log('📦 Loading stopTimes from storage...');
-        // Use a very short timeout to prevent hanging
-        const stopTimesPromise = getGTFSStopTimes();
-        const timeoutPromise = new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('StopTimes load timeout')), 5000)
+        console.log('📦 Loading calendar from storage...');
+        calendar = await getGTFSCalendar();
+        calendarDates = await getGTFSCalendarDates();
+        console.log(
+          '📦 Calendar loaded:',
+          calendar ? calendar.length : 'null',
+          'services,',
+          calendarDates ? calendarDates.length : 'null',
+          'exceptions'
         );
-        stopTimes = await Promise.race([stopTimesPromise, timeoutPromise]);
-        console.log('📦 StopTimes loaded:', stopTimes ? stopTimes.length : 'null');
-        
-        // Validate stopTimes size to prevent memory issues
-        if (stopTimes && stopTimes.length > 1000000) {
-          console.warn('⚠️ StopTimes array is very large, this may cause memory issues');
-        }
-      } catch (stopTimesError) {
-        console.error('❌ Error loading stopTimes:', stopTimesError);
-        console.error('StopTimes error details:', {
-          message: stopTimesError?.message,
-          stack: stopTimesError?.stack,
-          name: stopTimesError?.name
-        });
-        // If stopTimes fails, we can still work with other data
-        // Set to empty array instead of null to prevent crashes
-        stopTimes = [];
-        console.warn('⚠️ Continuing without stopTimes data');
+      } catch (calendarError) {
+        console.error('❌ Error loading calendar:', calendarError);
+        calendar = null;
+        calendarDates = null;
+      }
+
+      try {
+        console.log('📦 Loading transfers from storage...');
+        transfers = await getGTFSTransfers();
+        console.log('📦 Transfers loaded:', transfers ? transfers.length : 'null');
+      } catch (transfersError) {
+        console.error('❌ Error loading transfers:', transfersError);
+        transfers = null;
       }
-      */
 
+      try {
+        console.log('📦 Loading frequencies from storage...');
+        frequencies = await getGTFSFrequencies();
+        console.log('📦 Frequencies loaded:', frequencies ? frequencies.length : 'null');
+      } catch (frequenciesError) {
+        console.error('❌ Error loading frequencies:', frequenciesError);
+        frequencies = null;
+      }
+      
       // Allow partial data - we can work with routes, stops, and trips even without stopTimes
       if (routes && stops && trips) {
         // Validate data before assigning
@@ -241,17 +775,36 @@ class MetroGTFSService {
           return false;
         }
         
-        // Validate stopTimes if it exists, but allow it to be empty
-        if (stopTimes !== null && stopTimes !== undefined && !Array.isArray(stopTimes)) {
-          console.error('❌ Invalid stopTimes format - expected array or null');
-          stopTimes = []; // Use empty array as fallback
+        // The in-memory store (web) is empty after every reload; routes and stops
+        // without their stop_times would leave schedules, routing and maps broken
+        const stopTimeCount = await gtfsStore.getStopTimeCount();
+        const isPersistent = await gtfsStore.open();
+        if (stopTimeCount === 0 && !isPersistent) {
+          console.warn('⚠️ Schedule data is not kept across reloads here - import it again');
+          this._importLost = true;
+          return false;
         }
-        
+
         console.log('📦 Assigning data to service...');
         this.routes = routes;
-        this.stops = stops;
+        this._setStops(stops);
         this.trips = trips;
-        this.stopTimes = stopTimes || []; // Use empty array if stopTimes failed to load
+        // stop_times stay in the indexed store; only remember whether it has any
+        this.stopTimeCount = stopTimeCount;
+        this.version = version;
+        this.feeds = feeds;
+        if (this.stopTimeCount === 0) {
+          console.warn('⚠️ GTFS store has no stop times - schedules and routing unavailable until next download');
+        }
+        // Calendar may be missing from caches written before it was parsed
+        this._setCalendar(
+          Array.isArray(calendar) ? calendar : [],
+          Array.isArray(calendarDates) ? calendarDates : []
+        );
+        // Shapes stay in the indexed store and are read when a map draws them
+        this._clearShapeCache();
+        this.transfers = Array.isArray(transfers) ? transfers : [];
+        this.frequencies = Array.isArray(frequencies) ? frequencies : [];
         this.isLoaded = true;
         
         try {
@@ -271,6 +824,7 @@ class MetroGTFSService {
         }
         
         console.log('✅ loadFromStorage() completed successfully');
+        this._prepareRouting();
         return true;
       }
 
@@ -289,6 +843,8 @@ class MetroGTFSService {
 
   /**
    * Check if GTFS data needs to be updated
+   * A feed is due when its check interval has passed, or sooner when its
+   * feed_end_date is close so a new feed is picked up before it expires
    * @returns {Promise<boolean>} True if update needed
    */
   async needsUpdate() {
@@ -298,18 +854,107 @@ class MetroGTFSService {
         return true; // No data, needs initial download
       }
 
-      const lastDownload = new Date(downloadDate);
-      const now = new Date();
-      const daysSinceDownload = (now - lastDownload) / (1000 * 60 * 60 * 24);
+      const feeds = (await getGTFSFeeds()) || {};
+      // A loaded feed whose stop_times or shapes are missing from gtfsStore is
+      // downloaded again right away
+      const storeCounts = await gtfsStore.getFeedCounts();
+      const isMissingRows = (feed) =>
+        Boolean(feeds[feed.id]?.downloadedAt) && !this._hasStoredRows(feed, storeCounts);
+      if (GTFS_FEEDS.some((feed) => feed.enabled && isMissingRows(feed))) {
+        return true;
+      }
 
-      // Update if older than cache duration (7 days)
-      return daysSinceDownload > CACHE_DURATION.gtfs_data / (1000 * 60 * 60 * 24);
+      const now = Date.now();
+      return GTFS_FEEDS.some((feed) => feed.enabled && this._isFeedDue(feeds[feed.id], now));
     } catch (error) {
       console.error('Error checking GTFS update status:', error);
       return true; // Default to needing update on error
     }
   }
 
+  /**
+   * Check whether gtfsStore holds a feed's stop_times, and its shapes if its trips use any
+   * @private
+   * @param {Object} feed - Feed from GTFS_FEEDS
+   * @param {Map} storeCounts - Result of gtfsStore.getFeedCounts
+   * @returns {boolean} True if the loaded copy's rows are stored
+   */
+  _hasStoredRows(feed, storeCounts) {
+    const counts = storeCounts.get(feed.id);
+    if (!counts || counts.stopTimes === 0) {
+      return false;
+    }
+    return (
+      counts.shapes > 0 ||
+      !this.trips.some((trip) => trip.shape_id && getAgencyIdFromId(trip.trip_id) === feed.agencyId)
+    );
+  }
+
+  /**
+   * Check whether one feed should be requested again
+   * @private
+   * @param {Object} info - Stored feed metadata
+   * @param {number} now - Current timestamp
+   * @returns {boolean} True if the feed is due for a check
+   */
+  _isFeedDue(info, now) {
+    if (!info) {
+      return true; // Feed added to the registry since the last update
+    }
+
+    const lastChecked = new Date(info.checkedAt || info.failedAt || info.downloadedAt).getTime();
+    const sinceCheck = now - lastChecked;
+
+    // Conditional requests are cheap, so feeds served with validators are checked daily
+    const hasValidators = Boolean(info.etag || info.lastModified);
+    if (sinceCheck > (hasValidators ? CACHE_DURATION.gtfs_check : CACHE_DURATION.gtfs_data)) {
+      return true;
+    }
+
+    // Refresh ahead of the feed's end date so schedules never run out
+    const endDate = parseGTFSDate(info.feedEndDate);
+    return (
+      Boolean(endDate) &&
+      endDate.getTime() - now < FEED_EXPIRY_MARGIN &&
+      sinceCheck > CACHE_DURATION.gtfs_check
+    );
+  }
+
+  /**
+   * Get the report of what changed in the last GTFS update that changed anything
+   * @returns {Promise<Object|null>} {generatedAt, feeds: [{feedId, feedName,
+   *   previousVersion, feedVersion, changes}]} or null if none was recorded
+   */
+  async getChangeReport() {
+    try {
+      return await getGTFSChangeReport();
+    } catch (error) {
+      console.error('Error loading GTFS change report:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether imported schedule data was lost when the app reloaded
+   * Where SQLite is unavailable (web), stop_times and shapes are kept in memory
+   * only, so an imported GTFS zip lasts one page session and must be imported again.
+   * @returns {boolean} True if cached feeds were found without their stop_times
+   */
+  needsReimport() {
+    return this._importLost;
+  }
+
+  /**
+   * Get the registered feeds with the metadata of their loaded copies
+   * validation is the report of the loaded copy, failedValidation the report of
+   * a rejected download (see gtfsValidator)
+   * @returns {Array} Feeds with downloadedAt, checkedAt, feedVersion, feedEndDate,
+   *   validation, failedValidation, ...
+   */
+  getFeeds() {
+    return GTFS_FEEDS.map((feed) => ({ ...feed, ...(this.feeds[feed.id] || {}) }));
+  }
+
   /**
    * Initialize GTFS data (load from storage or fetch if needed)
    * @returns {Promise<boolean>} Success status
@@ -416,6 +1061,21 @@ class MetroGTFSService {
     return this.routes;
   }
 
+  /**
+   * Get all stops as riders see them
+   * Each station is listed once in place of its platforms and entrances.
+   * @returns {Array} Array of stop and station objects
+   */
+  getStops() {
+    if (!this.isLoaded) {
+      console.warn('GTFS data not loaded. Call initialize() first.');
+      return [];
+    }
+    return this._collapseToStations(this.stops.map((item) => ({ item }))).map(
+      ({ item }) => item
+    );
+  }
+
   /**
    * Get a route by ID
    * @param {string} routeId - Route ID (e.g., "1_100275")
@@ -430,31 +1090,30 @@ class MetroGTFSService {
 
   /**
    * Get stops for a specific route
-   * Uses stopTimes if available, otherwise falls back to OneBusAway API
+   * Uses the GTFS store if it has stop_times, otherwise falls back to OneBusAway API
    * @param {string} routeId - Route ID
+   * @param {Date|number} date - Optional date; only trips running that day are used
    * @returns {Promise<Array>} Array of stop objects
    */
-  async getStopsForRoute(routeId) {
+  async getStopsForRoute(routeId, date = null) {
     if (!this.isLoaded) {
       return [];
     }
 
-    // If stopTimes is loaded, use it
-    if (this.stopTimes && this.stopTimes.length > 0) {
-      // Find trips for this route
-      const routeTrips = this.trips.filter((trip) => trip.route_id === routeId);
-      const tripIds = routeTrips.map((trip) => trip.trip_id);
+    if (this.stopTimeCount > 0) {
+      let visits = await gtfsStore.getStopVisitsForRoute(routeId);
 
-      // Find stop times for these trips
-      const routeStopTimes = this.stopTimes.filter((stopTime) =>
-        tripIds.includes(stopTime.trip_id)
-      );
+      // Only keep trips running on the requested date
+      if (date) {
+        const tripIds = new Set(this.getTripsForDate(date, routeId).map((trip) => trip.trip_id));
+        visits = visits.filter((visit) => tripIds.has(visit.trip_id));
+      }
 
       // Get unique stop IDs
-      const stopIds = [...new Set(routeStopTimes.map((st) => st.stop_id))];
+      const stopIds = new Set(visits.map((visit) => visit.stop_id));
 
       // Get stop objects
-      return this.stops.filter((stop) => stopIds.includes(stop.stop_id));
+      return this.stops.filter((stop) => stopIds.has(stop.stop_id));
     }
 
     // Fallback: Use OneBusAway API to find stops for this route
@@ -462,6 +1121,82 @@ class MetroGTFSService {
     return await this._getStopsForRouteFromOBA(routeId);
   }
 
+  /**
+   * Get the stop patterns of a route
+   * Trips in the same direction that visit the same stops in the same order
+   * form a pattern. A route usually has one main pattern per direction, plus
+   * branches and short turns. Requires stop_times in the GTFS store.
+   * @param {string} routeId - Route ID
+   * @param {Date|number} date - Optional date; only trips running that day are used
+   * @returns {Promise<Array>} Patterns {patternId, routeId, directionId, headsign,
+   *   stops (in travel order), tripCount, shapeId}, by direction, busiest first
+   */
+  async getPatternsForRoute(routeId, date = null) {
+    if (!this.isLoaded || this.stopTimeCount === 0) {
+      return [];
+    }
+
+    try {
+      const trips = date
+        ? this.getTripsForDate(date, routeId)
+        : this.trips.filter((trip) => trip.route_id === routeId);
+      const tripsById = new Map(trips.map((trip) => [trip.trip_id, trip]));
+
+      // Stop visits of each trip
+      const visitsByTrip = new Map();
+      const visits = await gtfsStore.getStopVisitsForRoute(routeId);
+      visits.forEach((visit) => {
+        if (!tripsById.has(visit.trip_id)) return;
+        if (!visitsByTrip.has(visit.trip_id)) visitsByTrip.set(visit.trip_id, []);
+        visitsByTrip.get(visit.trip_id).push(visit);
+      });
+
+      const patterns = new Map(); // "direction:stop,stop,..." -> {directionId, stopIds, trips}
+      visitsByTrip.forEach((tripVisits, tripId) => {
+        const trip = tripsById.get(tripId);
+        const stopIds = tripVisits
+          .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence))
+          .map((visit) => visit.stop_id);
+        // direction_id is optional; GTFS only defines 0 and 1
+        const directionId = ['0', '1'].includes(String(trip.direction_id))
+          ? String(trip.direction_id)
+          : null;
+        const key = `${directionId}:${stopIds.join(',')}`;
+        if (!patterns.has(key)) {
+          patterns.set(key, { directionId, stopIds, trips: [] });
+        }
+        patterns.get(key).trips.push(trip);
+      });
+
+      const { stopsById } = this._getStations();
+      const directionOrder = (directionId) => (directionId === null ? '~' : String(directionId));
+      const sorted = [...patterns.values()].sort(
+        (a, b) =>
+          directionOrder(a.directionId).localeCompare(directionOrder(b.directionId)) ||
+          b.trips.length - a.trips.length
+      );
+
+      return sorted.map(({ directionId, stopIds, trips: patternTrips }, index) => {
+        const stops = stopIds.map((stopId) => stopsById.get(stopId)).filter(Boolean);
+        return {
+          patternId: `${routeId}:${directionId}:${index}`,
+          routeId,
+          directionId,
+          headsign:
+            mostCommon(patternTrips.map((trip) => trip.trip_headsign)) ||
+            stops[stops.length - 1]?.stop_name ||
+            '',
+          stops,
+          tripCount: patternTrips.length,
+          shapeId: mostCommon(patternTrips.map((trip) => trip.shape_id)),
+        };
+      });
+    } catch (error) {
+      console.error('Error building route patterns:', error);
+      return [];
+    }
+  }
+
   /**
    * Get stops for a route using OneBusAway API
    * @private
@@ -502,7 +1237,8 @@ class MetroGTFSService {
 
           // Convert OBA stop format to GTFS format and add to map
           routeStops.forEach((obaStop) => {
-            const gtfsStopId = obaToGtfsStopId(obaStop.id);
+            // Stored stop ids carry the same agency prefix as OneBusAway ids
+            const gtfsStopId = obaStop.id;
             if (!allStops.has(gtfsStopId)) {
               // Try to find matching stop in GTFS data
               const gtfsStop = this.stops.find((s) => s.stop_id === gtfsStopId);
@@ -547,31 +1283,17 @@ class MetroGTFSService {
       return [];
     }
 
-    // Find stop times for this stop (if stopTimes is loaded)
-    if (!this.stopTimes || this.stopTimes.length === 0) {
+    // Find routes from the GTFS store (if it has stop_times)
+    if (this.stopTimeCount === 0) {
       console.log('📡 StopTimes not loaded - using OneBusAway API to find routes for stop:', stopId);
       // Fallback: Use OneBusAway API to get routes for this stop
       return await this._getRoutesForStopFromOBA(stopId);
     }
-    
-    const stopStopTimes = this.stopTimes.filter(
-      (stopTime) => stopTime.stop_id === stopId
-    );
-
-    // Get unique trip IDs
-    const tripIds = [...new Set(stopStopTimes.map((st) => st.trip_id))];
 
-    // Find routes for these trips
-    const routeIds = new Set();
-    tripIds.forEach((tripId) => {
-      const trip = this.trips.find((t) => t.trip_id === tripId);
-      if (trip) {
-        routeIds.add(trip.route_id);
-      }
-    });
+    const routeIds = await gtfsStore.getRouteIdsForStop(stopId);
 
     // Convert route IDs to route objects
-    const routes = Array.from(routeIds)
+    const routes = routeIds
       .map((routeId) => this.getRouteById(routeId))
       .filter(Boolean);
     
@@ -643,39 +1365,812 @@ class MetroGTFSService {
   }
 
   /**
-   * Search stops by name
-   * @param {string} query - Search query
-   * @returns {Array} Array of matching stops
+   * Search stops by name, intersection or stop code
+   * Fuzzy and ranked; see searchIndex for how queries are matched
+   * @param {string} query - Search query, e.g. "3rd & pine" or "75403"
+   * @param {Object} options - Search options
+   * @param {Object} options.location - {latitude, longitude} to rank nearby stops first
+   * @param {number} options.limit - Maximum number of results (default: all)
+   * @returns {Array} Matching stops, best first, with distance in meters when a
+   *   location is given
    */
-  searchStops(query) {
+  searchStops(query, { location = null, limit = Infinity } = {}) {
     if (!this.isLoaded) {
       return [];
     }
 
-    const lowerQuery = query.toLowerCase();
-    return this.stops.filter(
-      (stop) =>
-        stop.stop_name?.toLowerCase().includes(lowerQuery) ||
-        stop.stop_code?.includes(query)
-    );
+    return this._getSearchIndex('stops')
+      .search(query, { location, limit })
+      .map(({ item, distance }) =>
+        distance === null ? item : { ...item, distance: Math.round(distance) }
+      );
   }
 
   /**
-   * Get stop times for a trip
-   * @param {string} tripId - Trip ID
-   * @returns {Array} Array of stop times, sorted by sequence
+   * Search routes by number or name
+   * @param {string} query - Search query, e.g. "8", "E Line" or "rapidride"
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Maximum number of results (default: all)
+   * @returns {Array} Matching routes, best first
    */
-  getStopTimesForTrip(tripId) {
+  searchRoutes(query, { limit = Infinity } = {}) {
     if (!this.isLoaded) {
       return [];
     }
-    if (!this.stopTimes || this.stopTimes.length === 0) {
-      console.warn('⚠️ StopTimes not loaded - returning empty array');
-      return [];
+
+    return this._getSearchIndex('routes')
+      .search(query, { limit })
+      .map(({ item }) => item);
+  }
+
+  /**
+   * Get the search index for stops or routes, rebuilding it when the data changed
+   * @private
+   * @param {string} table - 'stops' or 'routes'
+   */
+  _getSearchIndex(table) {
+    const cached = this._searchIndexes[table];
+    if (cached && cached.source === this[table]) {
+      return cached.index;
+    }
+
+    // Stations are listed once; their platforms are found through the station
+    const index =
+      table === 'stops'
+        ? createSearchIndex(this.getStops(), {
+            getText: (stop) => stop.stop_name,
+            getKeys: (stop) => [
+              stop.stop_code,
+              ...this.getPlatformsForStation(stop.stop_id).map((platform) => platform.stop_code),
+            ],
+            getCoordinates: (stop) => ({
+              lat: parseFloat(stop.stop_lat),
+              lon: parseFloat(stop.stop_lon),
+            }),
+          })
+        : createSearchIndex(this.routes, {
+            getText: (route) =>
+              [route.route_short_name, route.route_long_name, route.route_desc].join(' '),
+            getKeys: (route) => [route.route_short_name],
+          });
+    this._searchIndexes[table] = { source: this[table], index };
+    return index;
+  }
+
+  /**
+   * Replace stops and rebuild the spatial index
+   * @private
+   */
+  _setStops(stops) {
+    this.stops = stops;
+    this._stopIndex = createSpatialIndex(stops);
+  }
+
+  /**
+   * Get stops within a radius, closest first
+   * Platforms and entrances of a station are returned as one station entry.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} radiusMeters - Search radius in meters (default: 500)
+   * @returns {Array} Stops and stations with distance in meters
+   */
+  getStopsNear(lat, lon, radiusMeters = 500) {
+    return this._collapseToStations(this._stopIndex.withinRadius(lat, lon, radiusMeters)).map(
+      ({ item, distance }) => ({ ...item, distance: Math.round(distance) })
+    );
+  }
+
+  /**
+   * Get the stops closest to a location
+   * Stations count once, at the distance of their closest platform or entrance.
+   * @param {number} lat - Latitude
+   * @param {number} lon - Longitude
+   * @param {number} count - Number of stops (default: 1)
+   * @param {number} maxDistanceMeters - Maximum distance (default: no limit)
+   * @returns {Array} Up to count stops and stations with distance in meters, closest first
+   */
+  getNearestStops(lat, lon, count = 1, maxDistanceMeters = Infinity) {
+    // Platforms of one station collapse together, so widen the search until
+    // enough distinct stops are found or the index runs out
+    let searchCount = count;
+    let matches;
+    let collapsed;
+    do {
+      matches = this._stopIndex.nearest(lat, lon, searchCount, maxDistanceMeters);
+      collapsed = this._collapseToStations(matches);
+      searchCount *= 2;
+    } while (collapsed.length < count && matches.length === searchCount / 2);
+
+    return collapsed
+      .slice(0, count)
+      .map(({ item, distance }) => ({ ...item, distance: Math.round(distance) }));
+  }
+
+  /**
+   * Get stops inside a bounding box, e.g. the visible map region
+   * @param {Object} bounds - {minLat, maxLat, minLon, maxLon}
+   * @returns {Array} Stops and stations inside the box
+   */
+  getStopsInBounds(bounds) {
+    return this._collapseToStations(
+      this._stopIndex.inBounds(bounds).map((item) => ({ item }))
+    ).map(({ item }) => item);
+  }
+
+  /**
+   * Get the station a stop belongs to
+   * Platforms, entrances and boarding areas resolve to their parent station.
+   * @param {string} stopId - Stop ID
+   * @returns {Object|null} Station, the stop itself if it is a station, or null
+   */
+  getStation(stopId) {
+    const { stopsById } = this._getStations();
+    let stop = stopsById.get(stopId);
+    // Boarding areas hang off a platform, which hangs off the station
+    for (let depth = 0; stop && depth < 3; depth++) {
+      if (getLocationType(stop) === LOCATION_TYPES.STATION) {
+        return stop;
+      }
+      stop = stop.parent_station ? stopsById.get(stop.parent_station) : null;
+    }
+    return null;
+  }
+
+  /**
+   * Get the platforms of a station
+   * @param {string} stationId - Station stop ID
+   * @returns {Array} Platforms, or [] if stationId is not a station
+   */
+  getPlatformsForStation(stationId) {
+    return this._getStations().platformsByStation.get(stationId) || [];
+  }
+
+  /**
+   * Get the stops vehicles can be boarded at for a stop or station
+   * @param {string} stopId - Stop or station ID
+   * @returns {Array} Platform IDs for a station, otherwise [stopId]
+   */
+  getBoardingStopIds(stopId) {
+    const platforms = this.getPlatformsForStation(stopId);
+    return platforms.length > 0 ? platforms.map((platform) => platform.stop_id) : [stopId];
+  }
+
+  /**
+   * Check whether a stop can be boarded from a wheelchair (stops.txt wheelchair_boarding)
+   * A platform or boarding area with no value inherits its station's. Stops
+   * with no information count as not accessible.
+   * @param {string} stopId - Stop ID
+   * @returns {boolean} True if the stop or its station is marked accessible
+   */
+  isStopWheelchairAccessible(stopId) {
+    const { stopsById } = this._getStations();
+    let stop = stopsById.get(stopId);
+    for (let depth = 0; stop && depth < 3; depth++) {
+      const wheelchairBoarding = stop.wheelchair_boarding || '0';
+      if (wheelchairBoarding !== '0') {
+        return wheelchairBoarding === '1';
+      }
+      stop = stop.parent_station ? stopsById.get(stop.parent_station) : null;
+    }
+    return false;
+  }
+
+  /**
+   * Check whether a trip can carry a wheelchair (trips.txt wheelchair_accessible)
+   * @param {string} tripId - Trip ID
+   * @returns {boolean} True if the trip is marked accessible; trips with no
+   *   information count as not accessible
+   */
+  isTripWheelchairAccessible(tripId) {
+    return this.getTripById(tripId)?.wheelchair_accessible === '1';
+  }
+
+  /**
+   * Get stop lookups for the station hierarchy, rebuilt when the stops change
+   * @private
+   */
+  _getStations() {
+    if (this._stations?.source !== this.stops) {
+      const stopsById = new Map(this.stops.map((stop) => [stop.stop_id, stop]));
+      const platformsByStation = new Map(); // station stop_id -> platforms
+      this.stops.forEach((stop) => {
+        if (stop.parent_station && getLocationType(stop) === LOCATION_TYPES.STOP) {
+          if (!platformsByStation.has(stop.parent_station)) {
+            platformsByStation.set(stop.parent_station, []);
+          }
+          platformsByStation.get(stop.parent_station).push(stop);
+        }
+      });
+      this._stations = { source: this.stops, stopsById, platformsByStation };
+    }
+    return this._stations;
+  }
+
+  /**
+   * Replace platforms, entrances and boarding areas with their station
+   * Keeps the first match for each station, so pass matches closest first.
+   * Entrances and nodes that do not belong to a station are dropped.
+   * @private
+   * @param {Array} matches - [{item, distance}]
+   * @returns {Array} [{item, distance}] with one entry per stop or station
+   */
+  _collapseToStations(matches) {
+    const seen = new Set();
+    const collapsed = [];
+    matches.forEach(({ item, distance }) => {
+      const stop =
+        this.getStation(item.stop_id) ||
+        (getLocationType(item) === LOCATION_TYPES.STOP ? item : null);
+      if (stop && !seen.has(stop.stop_id)) {
+        seen.add(stop.stop_id);
+        collapsed.push({ item: stop, distance });
+      }
+    });
+    return collapsed;
+  }
+
+  /**
+   * Replace calendar data and clear the active-service cache
+   * @private
+   */
+  _setCalendar(calendar, calendarDates) {
+    this.calendar = calendar;
+    this.calendarDates = calendarDates;
+    this._activeServiceIds = new Map();
+  }
+
+  /**
+   * Check whether calendar data is available
+   * Feeds cached before calendar parsing have none; callers should then
+   * treat every trip as running
+   * @returns {boolean} True if calendar.txt or calendar_dates.txt was loaded
+   */
+  hasCalendar() {
+    return this.calendar.length > 0 || this.calendarDates.length > 0;
+  }
+
+  /**
+   * Get service IDs that run on a date
+   * Applies calendar.txt weekday patterns and date ranges, then
+   * calendar_dates.txt additions (type 1) and removals (type 2)
+   * @param {Date|number} date - Date to check (any time on the service day)
+   * @returns {Set<string>} Set of active service_ids
+   */
+  getActiveServiceIds(date) {
+    const serviceDate = formatGTFSDate(date);
+    const cached = this._activeServiceIds.get(serviceDate);
+    if (cached) {
+      return cached;
+    }
+
+    const weekday = WEEKDAY_COLUMNS[getServiceWeekday(serviceDate)];
+    const serviceIds = new Set();
+
+    this.calendar.forEach((service) => {
+      if (
+        service[weekday] === '1' &&
+        service.start_date <= serviceDate &&
+        service.end_date >= serviceDate
+      ) {
+        serviceIds.add(service.service_id);
+      }
+    });
+
+    this.calendarDates.forEach((exception) => {
+      if (exception.date !== serviceDate) return;
+      if (exception.exception_type === '1') {
+        serviceIds.add(exception.service_id);
+      } else if (exception.exception_type === '2') {
+        serviceIds.delete(exception.service_id);
+      }
+    });
+
+    this._activeServiceIds.set(serviceDate, serviceIds);
+    return serviceIds;
+  }
+
+  /**
+   * Check whether a trip runs on a date
+   * @param {string} tripId - Trip ID
+   * @param {Date|number} date - Date to check (local service day)
+   * @returns {boolean} True if the trip runs (or if no calendar data is loaded)
+   */
+  isTripRunningOn(tripId, date) {
+    if (!this.isLoaded) {
+      return false;
+    }
+    const trip = this.trips.find((t) => t.trip_id === tripId);
+    if (!trip) {
+      return false;
+    }
+    if (!this.hasCalendar()) {
+      return true;
+    }
+    return this.getActiveServiceIds(date).has(trip.service_id);
+  }
+
+  /**
+   * Get trips that run on a date
+   * @param {Date|number} date - Date to check (local service day)
+   * @param {string} routeId - Optional route ID to filter by
+   * @returns {Array} Array of trip objects
+   */
+  getTripsForDate(date, routeId = null) {
+    if (!this.isLoaded) {
+      return [];
+    }
+
+    const trips = routeId
+      ? this.trips.filter((trip) => trip.route_id === routeId)
+      : this.trips;
+    if (!this.hasCalendar()) {
+      return trips;
+    }
+
+    const serviceIds = this.getActiveServiceIds(date);
+    return trips.filter((trip) => serviceIds.has(trip.service_id));
+  }
+
+  /**
+   * Clear the decoded-shape cache when the stored shapes change
+   * @private
+   */
+  _clearShapeCache() {
+    this._decodedShapes = new Map();
+  }
+
+  /**
+   * Get the geometry of several shapes, reading uncached ones from the GTFS store
+   * @private
+   * @param {Array} shapeIds - Shape IDs
+   * @returns {Promise<Map>} shape_id -> Array of {latitude, longitude}, for known shapes
+   */
+  async _getShapes(shapeIds) {
+    const missing = shapeIds.filter((shapeId) => !this._decodedShapes.has(shapeId));
+    if (missing.length > 0) {
+      const encoded = await gtfsStore.getShapes(missing);
+      Object.keys(encoded).forEach((shapeId) => {
+        this._decodedShapes.set(shapeId, decodePolyline(encoded[shapeId]));
+      });
+    }
+    return new Map(
+      shapeIds
+        .filter((shapeId) => this._decodedShapes.has(shapeId))
+        .map((shapeId) => [shapeId, this._decodedShapes.get(shapeId)])
+    );
+  }
+
+  /**
+   * Get the geometry of a shape
+   * @param {string} shapeId - Shape ID
+   * @returns {Promise<Array>} Array of {latitude, longitude}, or [] if unknown
+   */
+  async getShape(shapeId) {
+    try {
+      if (!shapeId) {
+        return [];
+      }
+      return (await this._getShapes([shapeId])).get(shapeId) || [];
+    } catch (error) {
+      console.error('Error loading shape:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the street-following geometry a trip travels
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Array>} Array of {latitude, longitude}, or [] if the trip has no shape
+   */
+  async getShapeForTrip(tripId) {
+    if (!this.isLoaded) {
+      return [];
+    }
+    const trip = this.getTripById(tripId);
+    return trip ? this.getShape(trip.shape_id) : [];
+  }
+
+  /**
+   * Get the distinct shapes used by a route's trips
+   * @param {string} routeId - Route ID
+   * @returns {Promise<Array>} Array of {shapeId, directionId, coordinates}
+   */
+  async getShapesForRoute(routeId) {
+    try {
+      if (!this.isLoaded) {
+        return [];
+      }
+
+      const directionByShape = new Map(); // shape_id -> direction_id of its first trip
+      this.trips.forEach((trip) => {
+        if (trip.route_id === routeId && trip.shape_id && !directionByShape.has(trip.shape_id)) {
+          directionByShape.set(trip.shape_id, trip.direction_id);
+        }
+      });
+
+      const coordinatesByShape = await this._getShapes([...directionByShape.keys()]);
+      return [...directionByShape]
+        .filter(([shapeId]) => (coordinatesByShape.get(shapeId) || []).length > 1)
+        .map(([shapeId, directionId]) => ({
+          shapeId,
+          directionId,
+          coordinates: coordinatesByShape.get(shapeId),
+        }));
+    } catch (error) {
+      console.error('Error loading route shapes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the number of stop_times in the GTFS store
+   * @returns {Promise<number>} Row count (0 if stop_times are unavailable)
+   */
+  async getStopTimeCount() {
+    if (this.stopTimeCount === 0) {
+      this.stopTimeCount = await gtfsStore.getStopTimeCount();
+    }
+    return this.stopTimeCount;
+  }
+
+  /**
+   * Get stop times for a trip
+   * @param {string} tripId - Trip ID
+   * @returns {Promise<Array>} Array of stop times, sorted by sequence
+   */
+  async getStopTimesForTrip(tripId) {
+    if (!this.isLoaded) {
+      return [];
+    }
+    if (this.stopTimeCount === 0) {
+      console.warn('⚠️ StopTimes not loaded - returning empty array');
+      return [];
+    }
+    return gtfsStore.getStopTimesForTrip(tripId);
+  }
+
+  /**
+   * Get stop times at a stop
+   * @param {string} stopId - Stop ID
+   * @param {Date|number} date - Optional date; only trips running that day are returned
+   * @returns {Promise<Array>} Array of stop times, sorted by departure time
+   */
+  async getStopTimesForStop(stopId, date = null) {
+    if (!this.isLoaded || this.stopTimeCount === 0) {
+      return [];
+    }
+
+    const stopTimes = await gtfsStore.getStopTimesForStop(stopId);
+    if (!date || !this.hasCalendar()) {
+      return stopTimes;
+    }
+
+    const tripIds = new Set(this.getTripsForDate(date).map((trip) => trip.trip_id));
+    return stopTimes.filter((stopTime) => tripIds.has(stopTime.trip_id));
+  }
+
+  /**
+   * Get upcoming arrivals at a stop from the GTFS schedule
+   * Fallback for when OneBusAway has no real-time data. Arrivals have the same
+   * shape as obaService.getArrivalsForStop, with predicted: false and
+   * source: 'scheduled'. Trips of yesterday's service day that run past
+   * midnight are included, as is every run of headway-based trips.
+   * @param {string} stopId - Stop ID (namespaced, e.g. "1_75403")
+   * @param {Object} options - Time window
+   * @param {number} options.minutesBefore - Include arrivals this many minutes ago (default: 5)
+   * @param {number} options.minutesAfter - Include arrivals up to this many minutes ahead (default: 60)
+   * @param {number} options.now - Current timestamp (default: Date.now())
+   * @returns {Promise<Array>} Arrivals sorted by time
+   */
+  async getScheduledArrivals(stopId, options = {}) {
+    const { minutesBefore = 5, minutesAfter = 60, now = Date.now() } = options;
+    try {
+      // Without a calendar every service variant would show up at once
+      if (!this.isLoaded || this.stopTimeCount === 0 || !this.hasCalendar()) {
+        return [];
+      }
+
+      const stopTimes = await this._expandFrequencyStopTimes(
+        await gtfsStore.getStopTimesForStop(stopId)
+      );
+      if (stopTimes.length === 0) {
+        return [];
+      }
+
+      const windowStart = now - minutesBefore * 60000;
+      const windowEnd = now + minutesAfter * 60000;
+      const today = getServiceDayStart(now);
+      const serviceDays = [getServiceDayStart(today - 12 * 60 * 60 * 1000), today].map(
+        (dayStart) => ({ dayStart, serviceIds: this.getActiveServiceIds(dayStart) })
+      );
+      const tripsById = this._getTripsById();
+
+      const arrivals = [];
+      stopTimes.forEach((stopTime) => {
+        const trip = tripsById.get(stopTime.trip_id);
+        const seconds = parseGTFSTime(stopTime.arrival_time || stopTime.departure_time);
+        if (!trip || seconds === null) return;
+
+        serviceDays.forEach(({ dayStart, serviceIds }) => {
+          if (!serviceIds.has(trip.service_id)) return;
+          const scheduledTime = fromServiceSeconds(dayStart, seconds);
+          if (scheduledTime < windowStart || scheduledTime > windowEnd) return;
+
+          const minutesUntilArrival = Math.max(0, Math.round((scheduledTime - now) / 60000));
+          let status = 'SCHEDULED';
+          if (minutesUntilArrival <= 0) {
+            status = 'DEPARTED';
+          } else if (minutesUntilArrival <= 2) {
+            status = 'ARRIVING';
+          }
+
+          const route = this.getRouteById(trip.route_id);
+          arrivals.push({
+            routeId: trip.route_id,
+            routeShortName: route?.route_short_name || route?.route_long_name || '',
+            tripId: trip.trip_id,
+            tripHeadsign: stopTime.stop_headsign || trip.trip_headsign || '',
+            scheduledArrivalTime: scheduledTime,
+            predictedArrivalTime: scheduledTime,
+            predicted: false,
+            minutesUntilArrival,
+            delayMinutes: 0,
+            vehicleId: null,
+            distanceFromStop: null,
+            status,
+            vehiclePosition: null,
+            // Set for headway-based trips (frequencies.txt)
+            headwayMinutes: stopTime.headwaySeconds
+              ? Math.round(stopTime.headwaySeconds / 60)
+              : null,
+            source: 'scheduled',
+          });
+        });
+      });
+
+      return arrivals.sort((a, b) => a.scheduledArrivalTime - b.scheduledArrivalTime);
+    } catch (error) {
+      console.error('Error computing scheduled arrivals:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get every scheduled departure from a stop on a service day
+   * Includes the day's trips that run past midnight (GTFS times past 24:00)
+   * and each run of headway-based trips. For a station, covers all of its platforms.
+   * @param {string} stopId - Stop or station ID
+   * @param {Date|number} date - Service day (default: today)
+   * @returns {Promise<Array>} [{routeId, routeShortName, headsign, departures}] by route
+   *   number; departures are [{tripId, stopId, departureTime}] in time order
+   */
+  async getStopTimetable(stopId, date = Date.now()) {
+    try {
+      // Without a calendar there is no way to tell which trips run on the date
+      if (!this.isLoaded || this.stopTimeCount === 0 || !this.hasCalendar()) {
+        return [];
+      }
+
+      const dayStart = getServiceDayStart(date);
+      const serviceIds = this.getActiveServiceIds(dayStart);
+      const tripsById = this._getTripsById();
+      const groups = new Map(); // "route|headsign" -> group
+
+      for (const boardingStopId of this.getBoardingStopIds(stopId)) {
+        const stopTimes = await this._expandFrequencyStopTimes(
+          await gtfsStore.getStopTimesForStop(boardingStopId)
+        );
+        stopTimes.forEach((stopTime) => {
+          const trip = tripsById.get(stopTime.trip_id);
+          const seconds = parseGTFSTime(stopTime.departure_time || stopTime.arrival_time);
+          // pickup_type 1: riders cannot board here
+          if (!trip || seconds === null || String(stopTime.pickup_type) === '1') return;
+          if (!serviceIds.has(trip.service_id)) return;
+
+          const headsign = stopTime.stop_headsign || trip.trip_headsign || '';
+          const key = `${trip.route_id}|${headsign}`;
+          if (!groups.has(key)) {
+            const route = this.getRouteById(trip.route_id);
+            groups.set(key, {
+              routeId: trip.route_id,
+              routeShortName: route?.route_short_name || route?.route_long_name || '',
+              headsign,
+              departures: [],
+            });
+          }
+          groups.get(key).departures.push({
+            tripId: trip.trip_id,
+            stopId: boardingStopId,
+            departureTime: fromServiceSeconds(dayStart, seconds),
+          });
+        });
+      }
+
+      return [...groups.values()]
+        .map((group) => ({
+          ...group,
+          departures: group.departures.sort((a, b) => a.departureTime - b.departureTime),
+        }))
+        .sort(
+          (a, b) =>
+            a.routeShortName.localeCompare(b.routeShortName, undefined, { numeric: true }) ||
+            a.headsign.localeCompare(b.headsign)
+        );
+    } catch (error) {
+      console.error('Error building stop timetable:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the frequencies.txt rows of a trip
+   * @param {string} tripId - Trip ID
+   * @returns {Array} Rows, empty unless the trip runs on a headway
+   */
+  getFrequenciesForTrip(tripId) {
+    if (this._frequenciesByTrip?.source !== this.frequencies) {
+      const map = new Map(); // trip_id -> rows
+      this.frequencies.forEach((row) => {
+        if (!map.has(row.trip_id)) map.set(row.trip_id, []);
+        map.get(row.trip_id).push(row);
+      });
+      this._frequenciesByTrip = { source: this.frequencies, map };
+    }
+    return this._frequenciesByTrip.map.get(tripId) || [];
+  }
+
+  /**
+   * Get the headways a route runs on, from frequencies.txt
+   * @param {string} routeId - Route ID
+   * @param {Date|number} date - Optional date; only trips running that day are used
+   * @returns {Array} [{startSeconds, endSeconds, headwayMinutes}] by start time, one per
+   *   distinct period; empty for routes that only publish exact trips
+   */
+  getRouteHeadways(routeId, date = null) {
+    const serviceIds = date && this.hasCalendar() ? this.getActiveServiceIds(date) : null;
+    const tripsById = this._getTripsById();
+    const headways = new Map(); // "start|end|headway" -> headway
+    this.frequencies.forEach((row) => {
+      const trip = tripsById.get(row.trip_id);
+      if (!trip || trip.route_id !== routeId) return;
+      if (serviceIds && !serviceIds.has(trip.service_id)) return;
+
+      const startSeconds = parseGTFSTime(row.start_time);
+      const endSeconds = parseGTFSTime(row.end_time);
+      const headwaySeconds = parseInt(row.headway_secs, 10);
+      if (startSeconds === null || endSeconds === null || !(headwaySeconds > 0)) return;
+
+      // Both directions usually share the same periods
+      headways.set(`${startSeconds}|${endSeconds}|${headwaySeconds}`, {
+        startSeconds,
+        endSeconds,
+        headwayMinutes: Math.round(headwaySeconds / 60),
+      });
+    });
+    return [...headways.values()].sort(
+      (a, b) => a.startSeconds - b.startSeconds || a.endSeconds - b.endSeconds
+    );
+  }
+
+  /**
+   * Get the runs of a headway-based trip, cached until frequencies change
+   * @private
+   * @returns {Promise<Array|null>} Runs from getFrequencyRuns, or null for an exact trip
+   */
+  async _getFrequencyRuns(tripId) {
+    if (this._frequencyRuns?.source !== this.frequencies) {
+      this._frequencyRuns = { source: this.frequencies, map: new Map() };
+    }
+    const { map } = this._frequencyRuns;
+    if (!map.has(tripId)) {
+      const frequencies = this.getFrequenciesForTrip(tripId);
+      let runs = null;
+      if (frequencies.length > 0) {
+        // Runs are shifted copies of the trip, measured from its first stop
+        const tripStopTimes = await gtfsStore.getStopTimesForTrip(tripId);
+        runs = getFrequencyRuns(frequencies, getFirstDepartureSeconds(tripStopTimes));
+      }
+      map.set(tripId, runs);
+    }
+    return map.get(tripId);
+  }
+
+  /**
+   * Replace stop_times rows of headway-based trips with one row per run
+   * Expanded rows carry headwaySeconds and exactTimes; other rows are unchanged.
+   * @private
+   */
+  async _expandFrequencyStopTimes(stopTimes) {
+    if (this.frequencies.length === 0) {
+      return stopTimes;
+    }
+
+    const expanded = [];
+    for (const stopTime of stopTimes) {
+      const runs = await this._getFrequencyRuns(stopTime.trip_id);
+      if (!runs) {
+        expanded.push(stopTime);
+        continue;
+      }
+      runs.forEach(({ offsetSeconds, headwaySeconds, exactTimes }) => {
+        expanded.push({ ...shiftStopTime(stopTime, offsetSeconds), headwaySeconds, exactTimes });
+      });
+    }
+    return expanded;
+  }
+
+  /**
+   * Get a trip by ID
+   * @param {string} tripId - Trip ID
+   * @returns {Object|null} Trip object or null
+   */
+  getTripById(tripId) {
+    return this._getTripsById().get(tripId) || null;
+  }
+
+  /**
+   * Get the transfers.txt rule for changing vehicles between two stops
+   * When several rules match, the one naming the most specific trips and
+   * routes wins, as the GTFS reference requires.
+   * @param {string} fromStopId - Stop the rider alights at
+   * @param {string} toStopId - Stop the rider boards at (same stop for an in-place change)
+   * @param {Object} context - Optional {fromRouteId, toRouteId, fromTripId, toTripId}
+   * @returns {Object|null} {transferType, minTransferSeconds}, or null without a rule
+   */
+  getTransfer(fromStopId, toStopId, context = {}) {
+    if (this._transfersByStop?.source !== this.transfers) {
+      const map = new Map(); // "from|to" -> rows
+      this.transfers.forEach((row) => {
+        const key = `${row.from_stop_id}|${row.to_stop_id}`;
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(row);
+      });
+      this._transfersByStop = { source: this.transfers, map };
+    }
+
+    const fields = [
+      ['from_trip_id', context.fromTripId, 4],
+      ['to_trip_id', context.toTripId, 4],
+      ['from_route_id', context.fromRouteId, 1],
+      ['to_route_id', context.toRouteId, 1],
+    ];
+    let best = null;
+    let bestScore = -1;
+    (this._transfersByStop.map.get(`${fromStopId}|${toStopId}`) || []).forEach((row) => {
+      let score = 0;
+      for (const [field, value, weight] of fields) {
+        if (!row[field]) continue;
+        if (row[field] !== value) return;
+        score += weight;
+      }
+      if (score > bestScore) {
+        best = row;
+        bestScore = score;
+      }
+    });
+
+    if (!best) {
+      return null;
+    }
+    const minTransferTime = parseInt(best.min_transfer_time, 10);
+    return {
+      transferType: parseInt(best.transfer_type || '0', 10) || TRANSFER_TYPES.RECOMMENDED,
+      minTransferSeconds: isNaN(minTransferTime) ? null : minTransferTime,
+    };
+  }
+
+  /**
+   * Get trips by trip_id, rebuilt when the trips change
+   * @private
+   */
+  _getTripsById() {
+    if (this._tripsById?.source !== this.trips) {
+      this._tripsById = {
+        source: this.trips,
+        map: new Map(this.trips.map((trip) => [trip.trip_id, trip])),
+      };
     }
-    return this.stopTimes
-      .filter((stopTime) => stopTime.trip_id === tripId)
-      .sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence));
+    return this._tripsById.map;
   }
 }
 
@@ -0,0 +1,274 @@
+/**
+ * GTFS Search Index
+ * Fuzzy, ranked search over stop and route names
+ *
+ * Names are normalized before matching, so "3rd & pine", "3rd Ave and Pine St"
+ * and "Third Avenue & Pine Street" all find "3rd Ave & Pine St". Query words
+ * match whole words, word prefixes, or words with a typo; exact stop codes and
+ * route numbers rank first, and nearby stops rank above distant ones.
+ */
+
+// Spellings that are normalized to one form, mostly USPS street abbreviations
+const ABBREVIATIONS = {
+  avenue: 'ave',
+  av: 'ave',
+  street: 'st',
+  str: 'st',
+  boulevard: 'blvd',
+  drive: 'dr',
+  road: 'rd',
+  place: 'pl',
+  court: 'ct',
+  lane: 'ln',
+  parkway: 'pkwy',
+  highway: 'hwy',
+  terrace: 'ter',
+  square: 'sq',
+  mount: 'mt',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+  northeast: 'ne',
+  northwest: 'nw',
+  southeast: 'se',
+  southwest: 'sw',
+  first: '1st',
+  second: '2nd',
+  third: '3rd',
+  fourth: '4th',
+  fifth: '5th',
+  sixth: '6th',
+  seventh: '7th',
+  eighth: '8th',
+  ninth: '9th',
+  tenth: '10th',
+  // Intersection connectors
+  and: '&',
+  at: '&',
+};
+
+// Connector words carry no meaning on their own and are left out of matching
+const CONNECTOR = '&';
+
+// Score of a query word against a name word
+const MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.75,
+  typo: 0.5,
+};
+
+// Score for a query equal to, or the start of, a stop code or route number
+const KEY_EXACT_SCORE = 2;
+const KEY_PREFIX_SCORE = 1.1;
+
+// Bonus for nearby stops: full at the user's location, half at this distance
+const DISTANCE_BONUS = 0.3;
+const DISTANCE_HALF_METERS = 1000;
+
+/**
+ * Normalize text into search words
+ * @param {string} text - Stop name, route name or query
+ * @returns {Array} Lowercase words with abbreviations applied; '&' marks connectors
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[&/@]/g, ` ${CONNECTOR} `)
+    .replace(/[^a-z0-9& ]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => ABBREVIATIONS[word] || word);
+}
+
+/**
+ * Number of typos tolerated in a query word
+ * Short words get none, or "pike" would match "pine"
+ * @private
+ */
+function allowedTypos(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 5) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance between two words, giving up past a limit
+ * Counts insertions, deletions, substitutions and swapped neighbours.
+ * @private
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Score a query word against a name word
+ * @private
+ */
+function scoreWord(queryWord, word) {
+  if (word === queryWord) return MATCH_SCORES.exact;
+  if (word.startsWith(queryWord)) return MATCH_SCORES.prefix;
+  const typos = allowedTypos(queryWord);
+  if (typos > 0 && editDistance(queryWord, word, typos) <= typos) return MATCH_SCORES.typo;
+  return 0;
+}
+
+/**
+ * Distance between two coordinates in meters (equirectangular approximation)
+ * Accurate to well under a percent at city scale, which is plenty for ranking
+ * @private
+ */
+function approximateDistance(lat1, lon1, lat2, lon2) {
+  const x = ((lon2 - lon1) * Math.PI) / 180 * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+  const y = ((lat2 - lat1) * Math.PI) / 180;
+  return Math.sqrt(x * x + y * y) * 6371e3;
+}
+
+/**
+ * Create a search index
+ * @param {Array} items - Items to search
+ * @param {Object} options - Index options
+ * @param {Function} options.getText - item => searchable name text
+ * @param {Function} options.getKeys - item => identifiers typed exactly, e.g. stop
+ *   codes or route numbers (default: none)
+ * @param {Function} options.getCoordinates - item => {lat, lon} for distance ranking
+ *   (default: none)
+ * @returns {Object} Index with search(query, options)
+ */
+export function createSearchIndex(items, options = {}) {
+  const { getText, getKeys = () => [], getCoordinates = null } = options;
+
+  const entries = [];
+  const postings = new Map(); // word -> Set of entry indexes
+  (items || []).forEach((item) => {
+    const words = tokenize(getText(item)).filter((word) => word !== CONNECTOR);
+    const keys = getKeys(item)
+      .filter(Boolean)
+      .map((key) => String(key).toLowerCase());
+    const index = entries.length;
+    entries.push({ item, words, keys, name: String(getText(item) || '') });
+    words.forEach((word) => {
+      if (!postings.has(word)) postings.set(word, new Set());
+      postings.get(word).add(index);
+    });
+  });
+
+  /**
+   * Score every entry whose words match all query words
+   * @private
+   */
+  const matchWords = (queryWords) => {
+    // Scores of each query word against every distinct name word
+    const wordScores = queryWords.map((queryWord) => {
+      const scores = new Map();
+      postings.forEach((_, word) => {
+        const score = scoreWord(queryWord, word);
+        if (score > 0) scores.set(word, score);
+      });
+      return scores;
+    });
+
+    // Candidates contain a match for the first query word
+    const candidates = new Set();
+    wordScores[0].forEach((_, word) => {
+      postings.get(word).forEach((index) => candidates.add(index));
+    });
+
+    const scores = new Map(); // entry index -> score
+    candidates.forEach((index) => {
+      const { words } = entries[index];
+      let total = 0;
+      for (const scoresForWord of wordScores) {
+        const best = Math.max(0, ...words.map((word) => scoresForWord.get(word) || 0));
+        if (best === 0) return;
+        total += best;
+      }
+      // Names with fewer unmatched words are closer to what was typed
+      const coverage = Math.min(queryWords.length / words.length, 1);
+      scores.set(index, total / queryWords.length + 0.2 * coverage);
+    });
+    return scores;
+  };
+
+  /**
+   * Search the index
+   * @param {string} query - Text typed by the user
+   * @param {Object} searchOptions - Search options
+   * @param {Object} searchOptions.location - {latitude, longitude} to rank nearby items first
+   * @param {number} searchOptions.limit - Maximum number of results (default: all)
+   * @returns {Array} [{item, score, distance}] best first; distance is null without a location
+   */
+  const search = (query, { location = null, limit = Infinity } = {}) => {
+    const trimmed = String(query || '').trim().toLowerCase();
+    if (!trimmed) {
+      return [];
+    }
+
+    const queryWords = tokenize(trimmed).filter((word) => word !== CONNECTOR);
+    const scores = queryWords.length > 0 ? matchWords(queryWords) : new Map();
+
+    // Stop codes and route numbers
+    entries.forEach((entry, index) => {
+      let keyScore = 0;
+      entry.keys.forEach((key) => {
+        if (key === trimmed) {
+          keyScore = Math.max(keyScore, KEY_EXACT_SCORE);
+        } else if (trimmed.length >= 2 && key.startsWith(trimmed)) {
+          keyScore = Math.max(keyScore, KEY_PREFIX_SCORE);
+        }
+      });
+      if (keyScore > (scores.get(index) || 0)) {
+        scores.set(index, keyScore);
+      }
+    });
+
+    const lat = parseFloat(location?.latitude);
+    const lon = parseFloat(location?.longitude);
+    const rankByDistance = getCoordinates && !isNaN(lat) && !isNaN(lon);
+
+    const results = [];
+    scores.forEach((score, index) => {
+      const entry = entries[index];
+      let distance = null;
+      let rank = score;
+      if (rankByDistance) {
+        const coordinates = getCoordinates(entry.item);
+        if (!isNaN(coordinates.lat) && !isNaN(coordinates.lon)) {
+          distance = approximateDistance(lat, lon, coordinates.lat, coordinates.lon);
+          rank += DISTANCE_BONUS / (1 + distance / DISTANCE_HALF_METERS);
+        }
+      }
+      results.push({ item: entry.item, score, distance, rank, nameLength: entry.name.length });
+    });
+
+    return results
+      .sort((a, b) => b.rank - a.rank || a.nameLength - b.nameLength)
+      .slice(0, limit)
+      .map(({ item, score, distance }) => ({ item, score, distance }));
+  };
+
+  return { search, size: entries.length };
+}
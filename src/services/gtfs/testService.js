@@ -61,7 +61,7 @@ export async function testGTFSService() {
     // Test 4: Get stops for Route 8 (if found)
     if (route8) {
       console.log('4️⃣ Getting stops for Route 8...');
-      const stops = metroService.getStopsForRoute('1_100275');
+      const stops = await metroService.getStopsForRoute('1_100275');
       console.log(`   ✅ Found ${stops.length} stops for Route 8`);
       if (stops.length > 0) {
         const sampleStop = stops[0];
@@ -77,7 +77,7 @@ export async function testGTFSService() {
       if (routes.length > 0) {
         const firstRoute = routes[0];
         console.log(`4️⃣ Getting stops for route ${firstRoute.route_id}...`);
-        const stops = metroService.getStopsForRoute(firstRoute.route_id);
+        const stops = await metroService.getStopsForRoute(firstRoute.route_id);
         console.log(`   ✅ Found ${stops.length} stops for this route`);
         if (stops.length > 0) {
           console.log(`   📍 Sample stop: ${stops[0].stop_name || stops[0].stop_id}`);
@@ -109,7 +109,7 @@ export async function testGTFSService() {
 
     // Test 6: Get routes for a specific stop (3rd Ave & Pike St)
     console.log('6️⃣ Getting routes for stop "1_75403" (3rd Ave & Pike St)...');
-    const stopRoutes = metroService.getRoutesForStop('1_75403');
+    const stopRoutes = await metroService.getRoutesForStop('1_75403');
     console.log(`   ✅ Found ${stopRoutes.length} routes serving this stop`);
     if (stopRoutes.length > 0) {
       stopRoutes.slice(0, 10).forEach((routeId, index) => {
@@ -129,7 +129,7 @@ export async function testGTFSService() {
       const allStops = metroService.stops || [];
       if (allStops.length > 0) {
         const testStop = allStops[0];
-        const testRoutes = metroService.getRoutesForStop(testStop.stop_id);
+        const testRoutes = await metroService.getRoutesForStop(testStop.stop_id);
         console.log(`   Test with stop ${testStop.stop_id}: Found ${testRoutes.length} routes`);
       }
     }
@@ -153,7 +153,8 @@ export async function testGTFSService() {
     console.log(`   Routes: ${metroService.routes.length}`);
     console.log(`   Stops: ${metroService.stops.length}`);
     console.log(`   Trips: ${metroService.trips.length}`);
-    console.log(`   Stop Times: ${metroService.stopTimes.length}`);
+    const stopTimeCount = await metroService.getStopTimeCount();
+    console.log(`   Stop Times: ${stopTimeCount}`);
     console.log('');
 
     console.log('✅ All tests completed!\n');
@@ -163,7 +164,7 @@ export async function testGTFSService() {
         routes: metroService.routes.length,
         stops: metroService.stops.length,
         trips: metroService.trips.length,
-        stopTimes: metroService.stopTimes.length,
+        stopTimes: stopTimeCount,
       },
     };
   } catch (error) {
@@ -16,6 +16,19 @@ const API_KEY = ENV.OBA_API_KEY;
 // Cache for API responses
 const cache = new Map();
 
+// Lazy import to avoid circular dependency (metroService uses this service)
+let metroService = null;
+function getMetroService() {
+  if (!metroService) {
+    try {
+      metroService = require('../gtfs/metroService').default;
+    } catch (e) {
+      console.warn('GTFS service not available:', e);
+    }
+  }
+  return metroService;
+}
+
 /**
  * Get cache key for a request
  */
@@ -208,18 +221,40 @@ class OneBusAwayService {
 
   /**
    * Get real-time arrivals for a stop
+   * When OneBusAway is unavailable (no API key, rate limited or offline), falls
+   * back to the GTFS schedule; those arrivals have predicted: false and
+   * source: 'scheduled'. Arrivals from OneBusAway have source: 'onebusaway'.
+   * For a station, returns the arrivals at all of its platforms, each tagged
+   * with platformId, platformName and directionId.
    * @param {string} stopId - Stop ID in OneBusAway format (e.g., "1_75403")
    * @param {Object} options - Options for the request
+   * @param {boolean} options.scheduleFallback - Use the GTFS schedule when
+   *   OneBusAway is unavailable (default: true)
    * @returns {Promise<Array>} Array of arrival objects
    */
   async getArrivalsForStop(stopId, options = {}) {
+    const {
+      minutesBefore = 5,
+      minutesAfter = 60,
+      useCache = true,
+      cacheTTL = CACHE_DURATION.arrivals, // Allow custom cache TTL for vehicle tracking
+      scheduleFallback = true,
+    } = options;
+    const fallback = (reason) =>
+      scheduleFallback
+        ? this._getScheduledArrivals(stopId, { minutesBefore, minutesAfter }, reason)
+        : [];
+
+    // OneBusAway only knows platforms, so ask for each one
+    const platforms = getMetroService()?.getPlatformsForStation(stopId) || [];
+    if (platforms.length > 0) {
+      return this._getArrivalsForStation(platforms, options);
+    }
+
     try {
-      const {
-        minutesBefore = 5,
-        minutesAfter = 60,
-        useCache = true,
-        cacheTTL = CACHE_DURATION.arrivals, // Allow custom cache TTL for vehicle tracking
-      } = options;
+      if (!this.isConfigured()) {
+        return await fallback('no API key');
+      }
 
       const data = await this._makeRequest(
         `arrivals-and-departures-for-stop/${stopId}.json`,
@@ -233,7 +268,7 @@ class OneBusAwayService {
 
       if (!data) {
         console.warn(`OneBusAway API returned null/undefined for stop ${stopId}`);
-        return [];
+        return await fallback('no response');
       }
 
       // Handle 404 responses (stop not found)
@@ -244,14 +279,14 @@ class OneBusAwayService {
 
       // Handle 429 rate limit responses
       if (data.code === 429 || (data.data && data.data.code === 429)) {
-        console.warn(`Rate limit exceeded for stop ${stopId} - returning empty array`);
-        return [];
+        console.warn(`Rate limit exceeded for stop ${stopId} - using schedule`);
+        return await fallback('rate limited');
       }
 
       // Handle null or missing data
       if (!data.data || data.data === null) {
-        console.log(`OneBusAway API returned null data for stop ${stopId} - no arrivals available`);
-        return [];
+        console.log(`OneBusAway API returned null data for stop ${stopId} - using schedule`);
+        return await fallback('no data');
       }
 
       if (!data.data.entry) {
@@ -345,14 +380,85 @@ class OneBusAwayService {
           distanceFromStop: arrival.distanceFromStop,
           status,
           vehiclePosition, // Real vehicle position from API
+          // Set for headway-based trips (GTFS frequencies.txt)
+          headwayMinutes: arrival.frequency?.headwaySecs
+            ? Math.round(arrival.frequency.headwaySecs / 60)
+            : null,
+          source: 'onebusaway',
         };
       });
     } catch (error) {
       console.error('Error fetching arrivals for stop:', stopId, error);
-      // Return empty array instead of throwing to prevent app crashes
+      // Fall back to the schedule instead of throwing to prevent app crashes
       // The error is already logged above
+      return fallback('request failed');
+    }
+  }
+
+  /**
+   * Get arrivals at every platform of a station, soonest first
+   * @private
+   */
+  async _getArrivalsForStation(platforms, options) {
+    const metro = getMetroService();
+    const arrivalsByPlatform = await Promise.all(
+      platforms.map(async (platform) => {
+        const arrivals = await this.getArrivalsForStop(platform.stop_id, options);
+        return arrivals.map((arrival) => ({
+          ...arrival,
+          platformId: platform.stop_id,
+          platformName: platform.platform_code
+            ? `Platform ${platform.platform_code}`
+            : platform.stop_name,
+          directionId: metro.getTripById(arrival.tripId)?.direction_id ?? null,
+        }));
+      })
+    );
+    return arrivalsByPlatform
+      .flat()
+      .sort((a, b) => a.predictedArrivalTime - b.predictedArrivalTime);
+  }
+
+  /**
+   * Group a station's arrivals by direction of travel
+   * Arrivals from trips without a direction_id are grouped by platform.
+   * @param {Array} arrivals - Arrivals from getArrivalsForStop, soonest first
+   * @returns {Array} [{key, label, arrivals}], ordered by each group's next arrival
+   */
+  groupArrivalsByDirection(arrivals) {
+    const groups = new Map();
+    arrivals.forEach((arrival) => {
+      const key =
+        arrival.directionId !== null && arrival.directionId !== undefined
+          ? `direction-${arrival.directionId}`
+          : `platform-${arrival.platformId}`;
+      if (!groups.has(key)) {
+        groups.set(key, { key, arrivals: [] });
+      }
+      groups.get(key).arrivals.push(arrival);
+    });
+
+    return [...groups.values()].map((group) => {
+      const headsigns = [...new Set(group.arrivals.map((a) => a.tripHeadsign).filter(Boolean))];
+      return {
+        ...group,
+        label:
+          headsigns.length > 0 ? `To ${headsigns.join(' / ')}` : group.arrivals[0].platformName,
+      };
+    });
+  }
+
+  /**
+   * Get arrivals from the GTFS schedule when OneBusAway is unavailable
+   * @private
+   */
+  async _getScheduledArrivals(stopId, window, reason) {
+    const metro = getMetroService();
+    if (!metro) {
       return [];
     }
+    console.log(`📅 OneBusAway unavailable (${reason}) - using GTFS schedule for stop ${stopId}`);
+    return metro.getScheduledArrivals(stopId, window);
   }
 
   /**
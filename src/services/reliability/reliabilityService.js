@@ -4,7 +4,11 @@
  * Based on ROADMAP.md Phase 2.4 and DATA_SCHEMA.md
  */
 
-import { RELIABILITY_THRESHOLDS, TRANSFER_RISK_THRESHOLDS } from '../../utils/constants';
+import {
+  RELIABILITY_THRESHOLDS,
+  TRANSFER_RISK_THRESHOLDS,
+  TRANSFER_TYPES,
+} from '../../utils/constants';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const STORAGE_KEY = '@wayfare_reliability';
@@ -182,23 +186,31 @@ class ReliabilityService {
 
   /**
    * Calculate transfer risk between two legs
+   * A live prediction (predicted: true) already includes the first leg's delay,
+   * so the route's average delay is only added to scheduled times.
    * @param {Object} firstArrival - First leg arrival prediction
    * @param {Object} secondDeparture - Second leg departure time
+   *   ({scheduledDepartureTime, predictedDepartureTime})
    * @param {number} walkingMinutes - Walking time between stops (default: 2)
+   * @param {number} transferType - GTFS transfer_type from transfers.txt, if any;
+   *   timed transfers are safe and not-possible transfers always fail
    * @returns {Object} Transfer risk assessment
    */
-  calculateTransferRisk(firstArrival, secondDeparture, walkingMinutes = 2) {
+  calculateTransferRisk(firstArrival, secondDeparture, walkingMinutes = 2, transferType = null) {
     const firstArrivalTime =
       firstArrival.predictedArrivalTime || firstArrival.scheduledArrivalTime;
     const bufferTime = firstArrivalTime + walkingMinutes * 60000; // Convert to ms
 
     const timeUntilConnection =
-      secondDeparture.scheduledDepartureTime - bufferTime;
+      (secondDeparture.predictedDepartureTime || secondDeparture.scheduledDepartureTime) -
+      bufferTime;
     const connectionMinutes = timeUntilConnection / 60000;
 
     // Factor in first leg reliability
     const firstLegReliability = this.getRouteReliability(firstArrival.routeId);
-    const expectedDelay = firstLegReliability.averageDelayMinutes;
+    const expectedDelay = firstArrival.predicted
+      ? 0
+      : firstLegReliability.averageDelayMinutes;
 
     // Adjust connection time based on expected delay
     const adjustedConnectionMinutes = connectionMinutes - expectedDelay;
@@ -206,7 +218,15 @@ class ReliabilityService {
     // Risk assessment based on TRANSFER_RISK_THRESHOLDS
     let risk, likelihood, recommendation;
 
-    if (adjustedConnectionMinutes < TRANSFER_RISK_THRESHOLDS.dangerous) {
+    if (transferType === TRANSFER_TYPES.NOT_POSSIBLE) {
+      risk = 'high';
+      likelihood = 1;
+      recommendation = 'This transfer is not possible. Choose another route.';
+    } else if (transferType === TRANSFER_TYPES.TIMED) {
+      risk = 'low';
+      likelihood = 0.05;
+      recommendation = 'Timed transfer: the connecting vehicle waits for this one.';
+    } else if (adjustedConnectionMinutes < TRANSFER_RISK_THRESHOLDS.dangerous) {
       risk = 'high';
       likelihood = 0.80;
       recommendation = `High risk: Only ${Math.round(
@@ -235,6 +255,8 @@ class ReliabilityService {
       adjustedConnectionMinutes: Math.round(adjustedConnectionMinutes * 10) / 10,
       expectedDelay,
       walkingMinutes,
+      transferType,
+      predicted: Boolean(firstArrival.predicted),
       recommendation,
     };
   }
@@ -282,6 +304,8 @@ class ReliabilityService {
 
   /**
    * Calculate overall reliability score for an itinerary
+   * expectedReliability estimates the chance the trip goes as planned: the
+   * average on-time performance, discounted by each transfer's miss likelihood.
    * @param {Array} legs - Array of itinerary legs
    * @returns {Object} Overall reliability assessment
    */
@@ -291,6 +315,7 @@ class ReliabilityService {
       return {
         overallReliability: 'high',
         averageOnTimePerformance: 1.0,
+        expectedReliability: 1.0,
         totalExpectedDelay: 0,
         transferRisks: [],
       };
@@ -330,20 +355,29 @@ class ReliabilityService {
           idx > legs.indexOf(firstLeg) &&
           idx < legs.indexOf(secondLeg)
       );
-      const walkingMinutes = walkingLeg
-        ? Math.round(walkingLeg.duration)
-        : 2; // Default 2 min
+      // Planned legs carry the transfer onto them (transfers.txt or real walking distance)
+      const transfer = secondLeg.transfer;
+      let walkingMinutes = 2; // Default 2 min
+      if (transfer) {
+        walkingMinutes = transfer.walkingMinutes;
+      } else if (walkingLeg) {
+        walkingMinutes = Math.round(walkingLeg.duration);
+      }
 
+      // Live legs (realtime: true) have predicted start and end times
       const risk = this.calculateTransferRisk(
         {
           routeId: firstLeg.routeId,
           predictedArrivalTime: firstLeg.endTime,
-          scheduledArrivalTime: firstLeg.endTime,
+          scheduledArrivalTime: firstLeg.scheduledEndTime ?? firstLeg.endTime,
+          predicted: Boolean(firstLeg.realtime),
         },
         {
-          scheduledDepartureTime: secondLeg.startTime,
+          scheduledDepartureTime: secondLeg.scheduledStartTime ?? secondLeg.startTime,
+          predictedDepartureTime: secondLeg.startTime,
         },
-        walkingMinutes
+        walkingMinutes,
+        transfer?.transferType ?? null
       );
 
       transferRisks.push({
@@ -353,9 +387,15 @@ class ReliabilityService {
       });
     }
 
+    const expectedReliability = transferRisks.reduce(
+      (probability, risk) => probability * (1 - risk.likelihood),
+      avgOnTimePerformance
+    );
+
     return {
       overallReliability,
       averageOnTimePerformance: Math.round(avgOnTimePerformance * 100) / 100,
+      expectedReliability: Math.round(expectedReliability * 100) / 100,
       totalExpectedDelay: Math.round(totalExpectedDelay * 10) / 10,
       transferRisks,
       routeCount: transitLegs.length,
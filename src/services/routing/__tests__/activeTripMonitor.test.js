@@ -0,0 +1,204 @@
+/**
+ * Test file for the active trip monitor
+ * Tests detecting a broken transfer or a no-service alert and re-planning
+ */
+
+import activeTripMonitor from '../activeTripMonitor';
+import obaService from '../../onebusaway/obaService';
+import locationService from '../../location/locationService';
+import tripRoutingService from '../tripRoutingService';
+import { sendReplanNotification } from '../../../utils/notifications';
+
+jest.mock('../../onebusaway/obaService', () => ({
+  __esModule: true,
+  default: {
+    getArrivalsForStop: jest.fn(),
+    getAlertsForRoute: jest.fn(),
+    getVehicleForTrip: jest.fn(),
+  },
+}));
+
+jest.mock('../../soundtransit/stService', () => ({
+  __esModule: true,
+  default: { getLinkAlerts: jest.fn(async () => []) },
+}));
+
+// reliabilityService keeps its history in AsyncStorage
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+jest.mock('../../location/locationService', () => {
+  const service = {
+    watchSubscription: null,
+    locationCallbacks: [],
+    getLastKnownLocation: () => ({ latitude: 47.61, longitude: -122.33 }),
+    getCurrentLocation: jest.fn(),
+    watchPosition: jest.fn(async (callback) => {
+      service.locationCallbacks.push(callback);
+      return true;
+    }),
+    removeCallback: jest.fn((callback) => {
+      service.locationCallbacks = service.locationCallbacks.filter((cb) => cb !== callback);
+    }),
+    stopWatching: jest.fn(),
+  };
+  return { __esModule: true, default: service };
+});
+
+jest.mock('../tripRoutingService', () => ({
+  __esModule: true,
+  default: { planTrip: jest.fn() },
+}));
+
+jest.mock('../../../utils/notifications', () => ({
+  sendReplanNotification: jest.fn(),
+}));
+
+const MINUTE = 60000;
+
+// Route 8 from A to B, then route 49 from B to C with a 5 minute connection
+const buildItinerary = (now) => ({
+  id: 'itinerary-1',
+  endTime: now + 40 * MINUTE,
+  legs: [
+    {
+      mode: 'BUS',
+      routeId: '1_100275',
+      routeShortName: '8',
+      tripId: '1_t8',
+      fromStop: { stop_id: '1_A' },
+      toStop: { stop_id: '1_B' },
+      startTime: now + 5 * MINUTE,
+      endTime: now + 15 * MINUTE,
+    },
+    {
+      mode: 'BUS',
+      routeId: '1_100447',
+      routeShortName: '49',
+      tripId: '1_t49',
+      fromStop: { stop_id: '1_B' },
+      toStop: { stop_id: '1_C' },
+      startTime: now + 20 * MINUTE,
+      endTime: now + 35 * MINUTE,
+      transfer: { transferType: null, walkingMinutes: 2 },
+    },
+    { mode: 'WALK', to: { lat: 47.66, lon: -122.31, address: 'University District' } },
+  ],
+});
+
+const arrival = (tripId, scheduled, delayMinutes) => ({
+  tripId,
+  scheduledArrivalTime: scheduled,
+  predictedArrivalTime: scheduled + delayMinutes * MINUTE,
+  predicted: true,
+  delayMinutes,
+  vehiclePosition: null,
+});
+
+describe('activeTripMonitor', () => {
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    locationService.locationCallbacks = [];
+    now = Date.now();
+    obaService.getAlertsForRoute.mockResolvedValue([]);
+    tripRoutingService.planTrip.mockResolvedValue([
+      { id: 'same-connection', endTime: now + 45 * MINUTE, legs: [{ tripId: '1_t49' }] },
+      { id: 'new-route', endTime: now + 50 * MINUTE, legs: [{ tripId: '1_t10' }] },
+    ]);
+  });
+
+  afterEach(() => {
+    activeTripMonitor.stopTrip();
+  });
+
+  it('should offer alternatives when a delay breaks the transfer', async () => {
+    obaService.getArrivalsForStop.mockImplementation(async (stopId) => {
+      if (stopId === '1_A') return [arrival('1_t8', now + 5 * MINUTE, 8)];
+      if (stopId === '1_B') {
+        return [arrival('1_t8', now + 15 * MINUTE, 8), arrival('1_t49', now + 20 * MINUTE, 0)];
+      }
+      return [arrival('1_t49', now + 35 * MINUTE, 0)];
+    });
+
+    const state = await activeTripMonitor.startTrip(buildItinerary(now), { mode: 'fast' });
+
+    expect(state.status).toBe('at_risk');
+    expect(state.transferRisk.risk).toBe('high');
+    expect(state.problem.message).toContain('Route 8 is running 8 min late');
+    expect(state.alternatives.map((alternative) => alternative.id)).toEqual(['new-route']);
+    expect(tripRoutingService.planTrip).toHaveBeenCalledWith(
+      { lat: 47.61, lon: -122.33 },
+      expect.objectContaining({ lat: 47.66, lon: -122.31 }),
+      expect.objectContaining({ mode: 'fast' })
+    );
+    expect(sendReplanNotification).toHaveBeenCalledTimes(1);
+
+    // The same problem is not re-planned on every check
+    await activeTripMonitor.check();
+    expect(tripRoutingService.planTrip).toHaveBeenCalledTimes(1);
+  });
+
+  it('should re-plan around a no-service alert on a leg', async () => {
+    obaService.getArrivalsForStop.mockResolvedValue([]);
+    const alert = {
+      id: 'alert-1',
+      effect: 'NO_SERVICE',
+      header: 'Snow routes',
+      affectedRoutes: ['100447'],
+    };
+    obaService.getAlertsForRoute.mockImplementation(async (routeId) =>
+      routeId === '1_100447' ? [alert] : []
+    );
+
+    const state = await activeTripMonitor.startTrip(buildItinerary(now));
+
+    expect(state.status).toBe('disrupted');
+    expect(state.problem).toEqual(
+      expect.objectContaining({ type: 'no_service', legIndex: 1, routeId: '1_100447' })
+    );
+    expect(state.legs.every((live) => !live.predicted)).toBe(true);
+    expect(sendReplanNotification).toHaveBeenCalledWith(
+      state.problem,
+      expect.objectContaining({ id: 'same-connection' })
+    );
+  });
+
+  it('should stop the position watch it started once the trip ends', async () => {
+    obaService.getArrivalsForStop.mockResolvedValue([]);
+    let grantPermission;
+    locationService.watchPosition.mockImplementationOnce(
+      (callback) =>
+        new Promise((resolve) => {
+          grantPermission = () => {
+            locationService.locationCallbacks.push(callback);
+            resolve(true);
+          };
+        })
+    );
+
+    await activeTripMonitor.startTrip(buildItinerary(now));
+    // The trip ends while the permission prompt is still open
+    activeTripMonitor.stopTrip();
+    grantPermission();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(locationService.locationCallbacks).toEqual([]);
+    expect(locationService.stopWatching).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the position watch of other screens running', async () => {
+    obaService.getArrivalsForStop.mockResolvedValue([]);
+    const screenCallback = jest.fn();
+    locationService.locationCallbacks = [screenCallback];
+
+    await activeTripMonitor.startTrip(buildItinerary(now));
+    activeTripMonitor.stopTrip();
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(locationService.locationCallbacks).toEqual([screenCallback]);
+    expect(locationService.stopWatching).not.toHaveBeenCalled();
+  });
+});
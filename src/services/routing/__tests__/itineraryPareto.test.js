@@ -0,0 +1,76 @@
+/**
+ * Test file for the itinerary Pareto set
+ * Tests dropping dominated trip options and labeling the kept ones
+ */
+
+import { selectParetoItineraries } from '../itineraryPareto';
+
+const minutes = (value) => value * 60000;
+
+const itinerary = (id, { start = 0, end, transfers = 0, reliability = 0.8, fare = 2.75 }) => ({
+  id,
+  startTime: minutes(start),
+  endTime: minutes(end),
+  transfers,
+  expectedReliability: reliability,
+  fare: { amount: fare },
+});
+
+const texts = (option) => option.reasons.map((reason) => reason.text);
+
+describe('selectParetoItineraries', () => {
+  it('should drop options that are no better on any criterion', () => {
+    const options = selectParetoItineraries([
+      itinerary('fast', { end: 30, transfers: 1, reliability: 0.6 }),
+      itinerary('direct', { end: 40, transfers: 0, reliability: 0.8 }),
+      itinerary('worse', { end: 45, transfers: 1, reliability: 0.6 }),
+      itinerary('same', { end: 40, transfers: 0, reliability: 0.8 }),
+    ]);
+
+    expect(options.map((option) => option.id)).toEqual(['fast', 'direct']);
+    expect(texts(options[0])).toEqual(['Arrives earliest']);
+    expect(texts(options[1])).toEqual(['Fewest transfers', 'Most reliable']);
+  });
+
+  it('should say what a middle option trades against the earliest arrival', () => {
+    const options = selectParetoItineraries([
+      itinerary('fast', { end: 30, transfers: 2, reliability: 0.5, fare: 2.75 }),
+      itinerary('middle', { end: 35, transfers: 1, reliability: 0.6, fare: 2.75 }),
+      itinerary('slow', { end: 50, transfers: 0, reliability: 0.9, fare: 2.75 }),
+      itinerary('cheap', { end: 60, transfers: 1, reliability: 0.5, fare: 1.0 }),
+    ]);
+
+    const middle = options.find((option) => option.id === 'middle');
+    expect(texts(middle)).toEqual([
+      'Fewer transfers than the earliest arrival',
+      'More reliable than the earliest arrival',
+    ]);
+    expect(texts(options.find((option) => option.id === 'cheap'))).toEqual(['Lowest fare']);
+  });
+
+  it('should keep options that are best on a criterion when trimming', () => {
+    const options = selectParetoItineraries(
+      [
+        itinerary('fast', { end: 30, transfers: 2, reliability: 0.5 }),
+        itinerary('middle', { end: 35, transfers: 1, reliability: 0.6 }),
+        itinerary('slow', { end: 50, transfers: 0, reliability: 0.9 }),
+      ],
+      { maxResults: 2 }
+    );
+
+    expect(options.map((option) => option.id)).toEqual(['fast', 'slow']);
+  });
+
+  it('should prefer later departures for arrive-by trips', () => {
+    const options = selectParetoItineraries(
+      [
+        itinerary('early', { start: 0, end: 40 }),
+        itinerary('late', { start: 10, end: 40 }),
+      ],
+      { arriveBy: true }
+    );
+
+    expect(options.map((option) => option.id)).toEqual(['late']);
+    expect(texts(options[0])).toContain('Leaves latest');
+  });
+});
@@ -0,0 +1,390 @@
+/**
+ * Test file for the RAPTOR router
+ * Tests timetable building, earliest-arrival and arrive-by journey search
+ */
+
+import {
+  addFootpath,
+  applyTransfers,
+  applyTripDelays,
+  buildTimetable,
+  deserializeTimetable,
+  groupStopTimesByTrip,
+  raptorSearch,
+  raptorSearchArriveBy,
+  restrictTimetable,
+  reverseTimetable,
+  selectServiceDays,
+  serializeTimetable,
+} from '../raptorRouter';
+
+const stopTime = (tripId, stopId, sequence, time, extra = {}) => ({
+  trip_id: tripId,
+  stop_id: stopId,
+  stop_sequence: String(sequence),
+  arrival_time: time,
+  departure_time: time,
+  ...extra,
+});
+
+// Route 8 runs A → B → C, route 49 runs C → D, route 10 runs A → D slowly
+const trips = [
+  { trip_id: 't8-early', route_id: '100275', trip_headsign: 'Mount Baker' },
+  { trip_id: 't8-late', route_id: '100275', trip_headsign: 'Mount Baker' },
+  { trip_id: 't49', route_id: '100447', trip_headsign: 'University District' },
+  { trip_id: 't10', route_id: '100001', trip_headsign: 'Capitol Hill' },
+];
+
+const stopTimes = [
+  stopTime('t8-early', 'A', 1, '08:00:00'),
+  stopTime('t8-early', 'B', 2, ''),
+  stopTime('t8-early', 'C', 3, '08:10:00'),
+  stopTime('t8-late', 'A', 1, '08:20:00'),
+  stopTime('t8-late', 'B', 2, ''),
+  stopTime('t8-late', 'C', 3, '08:30:00'),
+  stopTime('t49', 'C', 1, '08:15:00'),
+  stopTime('t49', 'D', 2, '08:25:00'),
+  stopTime('t10', 'A', 1, '08:05:00'),
+  stopTime('t10', 'D', 2, '08:50:00'),
+];
+
+const build = () =>
+  buildTimetable({ trips, stopTimesByTrip: groupStopTimesByTrip(stopTimes) });
+
+const seconds = (hours, minutes) => hours * 3600 + minutes * 60;
+
+describe('raptorRouter', () => {
+  describe('buildTimetable', () => {
+    it('should group trips with the same stop sequence into one pattern', () => {
+      const timetable = build();
+      const route8 = timetable.patterns.filter((pattern) => pattern.routeId === '100275');
+
+      expect(route8).toHaveLength(1);
+      expect(route8[0].trips.map((trip) => trip.tripId)).toEqual(['t8-early', 't8-late']);
+    });
+
+    it('should interpolate blank times between timepoints', () => {
+      const timetable = build();
+      const route8 = timetable.patterns.find((pattern) => pattern.routeId === '100275');
+
+      expect(route8.trips[0].arrivals[1]).toBe(seconds(8, 5));
+    });
+
+    it('should split trips that overtake each other into separate patterns', () => {
+      const timetable = buildTimetable({
+        trips: [
+          { trip_id: 'local', route_id: 'R' },
+          { trip_id: 'express', route_id: 'R' },
+        ],
+        stopTimesByTrip: groupStopTimesByTrip([
+          stopTime('local', 'A', 1, '08:00:00'),
+          stopTime('local', 'B', 2, '08:40:00'),
+          stopTime('express', 'A', 1, '08:05:00'),
+          stopTime('express', 'B', 2, '08:20:00'),
+        ]),
+      });
+
+      expect(timetable.patterns).toHaveLength(2);
+    });
+
+    it('should only include trips of active services, shifting past-midnight trips', () => {
+      const timetable = buildTimetable({
+        trips: [
+          { trip_id: 'today', route_id: 'R', service_id: 'WEEKDAY' },
+          { trip_id: 'owl', route_id: 'R', service_id: 'SUNDAY' },
+          { trip_id: 'evening', route_id: 'R', service_id: 'SUNDAY' },
+        ],
+        stopTimesByTrip: groupStopTimesByTrip([
+          stopTime('today', 'A', 1, '08:00:00'),
+          stopTime('today', 'B', 2, '08:10:00'),
+          stopTime('owl', 'A', 1, '24:30:00'),
+          stopTime('owl', 'B', 2, '24:40:00'),
+          stopTime('evening', 'A', 1, '21:00:00'),
+          stopTime('evening', 'B', 2, '21:10:00'),
+        ]),
+        serviceDays: [
+          { serviceIds: new Set(['WEEKDAY']), offsetSeconds: 0 },
+          { serviceIds: new Set(['SUNDAY']), offsetSeconds: -86400 },
+        ],
+      });
+      const tripsById = new Map(
+        timetable.patterns.flatMap((pattern) => pattern.trips).map((trip) => [trip.tripId, trip])
+      );
+
+      expect([...tripsById.keys()].sort()).toEqual(['owl', 'today']);
+      expect(tripsById.get('owl').departures[0]).toBe(seconds(0, 30));
+    });
+  });
+
+  describe('selectServiceDays', () => {
+    it('should match a timetable built for the same service days', () => {
+      const serviceTrips = [
+        { trip_id: 'today', route_id: 'R', service_id: 'WEEKDAY' },
+        { trip_id: 'owl', route_id: 'R', service_id: 'SUNDAY' },
+        { trip_id: 'evening', route_id: 'R', service_id: 'SUNDAY' },
+      ];
+      const stopTimesByTrip = groupStopTimesByTrip([
+        stopTime('today', 'A', 1, '08:00:00'),
+        stopTime('today', 'B', 2, '08:10:00'),
+        stopTime('owl', 'A', 1, '24:30:00'),
+        stopTime('owl', 'B', 2, '24:40:00'),
+        stopTime('evening', 'A', 1, '21:00:00'),
+        stopTime('evening', 'B', 2, '21:10:00'),
+      ]);
+      const serviceDays = [
+        { serviceIds: new Set(['WEEKDAY']), offsetSeconds: 0 },
+        { serviceIds: new Set(['SUNDAY']), offsetSeconds: -86400 },
+      ];
+
+      const index = buildTimetable({ trips: serviceTrips, stopTimesByTrip });
+      const selected = selectServiceDays(index, serviceDays);
+      const built = buildTimetable({ trips: serviceTrips, stopTimesByTrip, serviceDays });
+
+      expect(selected.patterns).toEqual(built.patterns);
+      expect(selected.patternsByStop).toEqual(built.patternsByStop);
+      expect(index.patterns[0].trips).toHaveLength(3);
+    });
+  });
+
+  describe('applyTripDelays', () => {
+    it('should drop a connection a delay has broken', () => {
+      const delayed = applyTripDelays(build(), new Map([['t8-early', 10 * 60]]), {
+        fromTime: seconds(7, 50),
+        toTime: seconds(8, 50),
+      });
+
+      const journeys = raptorSearch(delayed, {
+        sources: [{ stopId: 'A', time: seconds(7, 55) }],
+        targets: [{ stopId: 'D', walkSeconds: 0 }],
+      });
+
+      // t8-early now reaches C at 8:20, after t49 leaves at 8:15
+      expect(journeys).toHaveLength(1);
+      expect(journeys[0].legs.map((leg) => leg.tripId)).toEqual(['t10']);
+      expect(journeys[0].arrivalTime).toBe(seconds(8, 50));
+    });
+
+    it('should carry the delay onto legs of trips in the window only', () => {
+      const delays = new Map([['t8-early', 5 * 60]]);
+      const search = (timetable) =>
+        raptorSearch(timetable, {
+          sources: [{ stopId: 'A', time: seconds(7, 55) }],
+          targets: [{ stopId: 'C', walkSeconds: 0 }],
+        })[0];
+
+      const live = search(applyTripDelays(build(), delays, { toTime: seconds(8, 30) }));
+      const later = search(applyTripDelays(build(), delays, { fromTime: seconds(9, 0) }));
+
+      expect(live.arrivalTime).toBe(seconds(8, 15));
+      expect(live.legs[0].delaySeconds).toBe(5 * 60);
+      expect(later.arrivalTime).toBe(seconds(8, 10));
+      expect(later.legs[0].delaySeconds).toBeUndefined();
+    });
+  });
+
+  describe('restrictTimetable', () => {
+    const search = (timetable) =>
+      raptorSearch(timetable, {
+        sources: [{ stopId: 'A', time: seconds(7, 55) }],
+        targets: [{ stopId: 'D', walkSeconds: 0 }],
+      });
+
+    it('should only use allowed trips', () => {
+      const journeys = search(
+        restrictTimetable(build(), { isTripAllowed: (tripId) => tripId !== 't49' })
+      );
+
+      expect(journeys).toHaveLength(1);
+      expect(journeys[0].legs.map((leg) => leg.tripId)).toEqual(['t10']);
+    });
+
+    it('should not board or alight at a blocked stop', () => {
+      const journeys = search(
+        restrictTimetable(build(), { isStopAllowed: (stopId) => stopId !== 'C' })
+      );
+
+      // The transfer from route 8 to route 49 at C is no longer possible
+      expect(journeys).toHaveLength(1);
+      expect(journeys[0].legs.map((leg) => leg.tripId)).toEqual(['t10']);
+    });
+
+    it('should not walk a blocked footpath', () => {
+      const timetable = build();
+      addFootpath(timetable, 'B', 'D', 5 * 60);
+
+      const journeys = search(
+        restrictTimetable(timetable, {
+          isFootpathAllowed: (fromStopId, toStopId) => !(fromStopId === 'B' && toStopId === 'D'),
+        })
+      );
+      const best = journeys[journeys.length - 1];
+
+      // Without the walk from B, the fastest way is the transfer to route 49 at C
+      expect(best.arrivalTime).toBe(seconds(8, 25));
+      expect(best.legs.map((leg) => leg.type)).toEqual(['transit', 'transit']);
+    });
+  });
+
+  describe('serializeTimetable', () => {
+    it('should restore a timetable from JSON', () => {
+      const timetable = build();
+      addFootpath(timetable, 'B', 'D', 300);
+      applyTransfers(timetable, [{ from_stop_id: 'C', to_stop_id: 'C', transfer_type: '3' }]);
+
+      const restored = deserializeTimetable(
+        JSON.parse(JSON.stringify(serializeTimetable(timetable)))
+      );
+
+      expect(restored.stopIndex).toEqual(timetable.stopIndex);
+      expect(restored.patterns).toEqual(timetable.patterns);
+      expect(restored.patternsByStop).toEqual(timetable.patternsByStop);
+      expect(restored.footpaths).toEqual(timetable.footpaths);
+      expect(restored.transferSeconds.get(timetable.stopIndex.get('C'))).toBe(Infinity);
+    });
+  });
+
+  describe('raptorSearch', () => {
+    it('should find a direct journey on the earliest catchable trip', () => {
+      const journeys = raptorSearch(build(), {
+        sources: [{ stopId: 'A', time: seconds(8, 10) }],
+        targets: [{ stopId: 'C', walkSeconds: 0 }],
+      });
+
+      expect(journeys).toHaveLength(1);
+      expect(journeys[0].transfers).toBe(0);
+      expect(journeys[0].legs[0]).toMatchObject({
+        type: 'transit',
+        tripId: 't8-late',
+        fromStopId: 'A',
+        toStopId: 'C',
+        departureTime: seconds(8, 20),
+        arrivalTime: seconds(8, 30),
+      });
+    });
+
+    it('should return one journey per transfer count when transfers arrive earlier', () => {
+      const journeys = raptorSearch(build(), {
+        sources: [{ stopId: 'A', time: seconds(7, 55) }],
+        targets: [{ stopId: 'D', walkSeconds: 0 }],
+      });
+
+      expect(journeys.map((journey) => journey.transfers)).toEqual([0, 1]);
+      expect(journeys[0].arrivalTime).toBe(seconds(8, 50));
+
+      const transfer = journeys[1];
+      expect(transfer.arrivalTime).toBe(seconds(8, 25));
+      expect(transfer.legs.map((leg) => leg.tripId)).toEqual(['t8-early', 't49']);
+      expect(transfer.legs[0].toStopId).toBe('C');
+      expect(transfer.legs[1].fromStopId).toBe('C');
+    });
+
+    it('should require the minimum transfer time between vehicles', () => {
+      const journeys = raptorSearch(build(), {
+        sources: [{ stopId: 'A', time: seconds(7, 55) }],
+        targets: [{ stopId: 'D', walkSeconds: 0 }],
+        minTransferSeconds: 6 * 60,
+      });
+
+      expect(journeys).toHaveLength(1);
+      expect(journeys[0].legs[0].tripId).toBe('t10');
+    });
+
+    it('should use footpaths between stops', () => {
+      const timetable = build();
+      addFootpath(timetable, 'B', 'D', 5 * 60);
+
+      const journeys = raptorSearch(timetable, {
+        sources: [{ stopId: 'A', time: seconds(7, 55) }],
+        targets: [{ stopId: 'D', walkSeconds: 0 }],
+      });
+      const best = journeys[journeys.length - 1];
+
+      expect(best.arrivalTime).toBe(seconds(8, 10));
+      expect(best.legs.map((leg) => leg.type)).toEqual(['transit', 'walk']);
+    });
+
+    it('should apply transfers.txt change times at a stop', () => {
+      const search = (transfer, minTransferSeconds) => {
+        const timetable = build();
+        applyTransfers(timetable, [{ from_stop_id: 'C', to_stop_id: 'C', ...transfer }]);
+        return raptorSearch(timetable, {
+          sources: [{ stopId: 'A', time: seconds(7, 55) }],
+          targets: [{ stopId: 'D', walkSeconds: 0 }],
+          minTransferSeconds,
+        });
+      };
+
+      // 5 minutes between t8-early and t49 at C
+      expect(search({ transfer_type: '2', min_transfer_time: '600' })).toHaveLength(1);
+      expect(search({ transfer_type: '3' })).toHaveLength(1);
+      expect(search({ transfer_type: '1' }, 6 * 60)).toHaveLength(2);
+      // Rules for particular routes are not applied to the timetable
+      expect(
+        search({ transfer_type: '3', from_route_id: '100275', to_route_id: '100447' })
+      ).toHaveLength(2);
+    });
+
+    it('should replace footpaths with transfers.txt rules between stops', () => {
+      const timetable = build();
+      addFootpath(timetable, 'B', 'D', 5 * 60);
+      applyTransfers(timetable, [{ from_stop_id: 'B', to_stop_id: 'D', transfer_type: '3' }]);
+
+      const journeys = raptorSearch(timetable, {
+        sources: [{ stopId: 'A', time: seconds(7, 55) }],
+        targets: [{ stopId: 'D', walkSeconds: 0 }],
+      });
+
+      expect(journeys[journeys.length - 1].arrivalTime).toBe(seconds(8, 25));
+    });
+
+    it('should add the walk from the target stop to the arrival time', () => {
+      const journeys = raptorSearch(build(), {
+        sources: [{ stopId: 'A', time: seconds(8, 10) }],
+        targets: [{ stopId: 'C', walkSeconds: 180 }],
+      });
+
+      expect(journeys[0].arrivalTime).toBe(seconds(8, 33));
+    });
+
+    it('should return no journeys when the target is unreachable', () => {
+      const journeys = raptorSearch(build(), {
+        sources: [{ stopId: 'D', time: seconds(8, 0) }],
+        targets: [{ stopId: 'A', walkSeconds: 0 }],
+      });
+
+      expect(journeys).toEqual([]);
+    });
+  });
+
+  describe('raptorSearchArriveBy', () => {
+    it('should find the latest departure that arrives in time', () => {
+      const journeys = raptorSearchArriveBy(reverseTimetable(build()), {
+        origins: [{ stopId: 'A', walkSeconds: 0 }],
+        destinations: [{ stopId: 'C', time: seconds(8, 35) }],
+      });
+
+      expect(journeys).toHaveLength(1);
+      expect(journeys[0].legs[0]).toMatchObject({
+        tripId: 't8-late',
+        fromStopId: 'A',
+        toStopId: 'C',
+        stopIds: ['A', 'B', 'C'],
+        departureTime: seconds(8, 20),
+        arrivalTime: seconds(8, 30),
+      });
+    });
+
+    it('should return transfer journeys in forward order', () => {
+      const journeys = raptorSearchArriveBy(reverseTimetable(build()), {
+        origins: [{ stopId: 'A', walkSeconds: 0 }],
+        destinations: [{ stopId: 'D', time: seconds(8, 30) }],
+      });
+
+      expect(journeys).toHaveLength(1);
+      expect(journeys[0].transfers).toBe(1);
+      expect(journeys[0].legs.map((leg) => leg.tripId)).toEqual(['t8-early', 't49']);
+      expect(journeys[0].departureTime).toBe(seconds(8, 0));
+      expect(journeys[0].arrivalTime).toBe(seconds(8, 25));
+    });
+  });
+});
@@ -0,0 +1,525 @@
+/**
+ * Active Trip Monitor
+ * Watches the itinerary a rider has started against live OneBusAway
+ * arrivals, vehicle positions and service alerts. When a delay makes the
+ * next transfer high-risk, or a leg has no service, it plans alternatives
+ * from the rider's current position and offers them in the app and as a
+ * notification.
+ */
+
+import locationService from '../location/locationService';
+import obaService from '../onebusaway/obaService';
+import stService from '../soundtransit/stService';
+import reliabilityService from '../reliability/reliabilityService';
+import tripRoutingService from './tripRoutingService';
+import { sendReplanNotification } from '../../utils/notifications';
+import {
+  getAgencyIdFromId,
+  gtfsToObaRouteId,
+  gtfsToObaStopId,
+  obaToGtfsRouteId,
+  obaToGtfsStopId,
+} from '../../utils/idMapping';
+import { UPDATE_INTERVALS } from '../../utils/constants';
+
+// Link alerts come from Sound Transit's own feed
+const SOUND_TRANSIT_AGENCY_ID = '40';
+
+// Alternatives offered when the trip needs re-planning
+const MAX_ALTERNATIVES = 3;
+
+// Arrivals stay listed for a few minutes after the vehicle has left
+const ARRIVALS_MINUTES_BEFORE = 5;
+
+class ActiveTripMonitor {
+  constructor() {
+    this.state = null; // Trip being monitored, see getState
+    this.listeners = [];
+    this._options = {};
+    this._intervalId = null;
+    this._checking = null; // Promise of the check in progress
+    this._replannedFor = null; // Key of the problem alternatives were planned for
+    this._watch = null; // Position watch of the current trip, see _startWatching
+  }
+
+  /**
+   * Start monitoring an itinerary from tripRoutingService.planTrip
+   * Replaces any trip already being monitored.
+   * @param {Object} itinerary - Itinerary the rider is taking
+   * @param {Object} options - planTrip options used for alternatives ({mode, fareType})
+   * @returns {Promise<Object>} Trip state after the first check (see getState)
+   */
+  async startTrip(itinerary, options = {}) {
+    this.stopTrip();
+    this._options = options;
+    this.state = {
+      itinerary,
+      status: 'on_track',
+      legs: [],
+      transferRisk: null,
+      problem: null,
+      alternatives: [],
+      riderLocation: locationService.getLastKnownLocation(),
+      startedAt: Date.now(),
+      lastChecked: null,
+    };
+    console.log(`🧭 Monitoring trip ${itinerary.id}`);
+
+    this._startWatching();
+    this._intervalId = setInterval(() => this.check(), UPDATE_INTERVALS.arrivals);
+    this._emit();
+    return this.check();
+  }
+
+  /**
+   * Switch the monitored trip to one of the offered alternatives
+   * @param {Object} itinerary - Alternative from the trip state
+   * @returns {Promise<Object>} Trip state after the first check
+   */
+  async switchItinerary(itinerary) {
+    return this.startTrip(itinerary, this._options);
+  }
+
+  /**
+   * Stop monitoring the current trip
+   */
+  stopTrip() {
+    this._stopPolling();
+    this._stopWatching();
+    this._replannedFor = null;
+    if (this.state) {
+      this.state = null;
+      this._emit();
+    }
+  }
+
+  /**
+   * Get the monitored trip
+   * @returns {Object|null} {itinerary, status, legs, transferRisk, problem, alternatives,
+   *   riderLocation, startedAt, lastChecked} where status is 'on_track', 'at_risk',
+   *   'disrupted' or 'arrived', legs has the live state of each transit leg and
+   *   problem ({type, legIndex, message}) is why alternatives were planned
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Add a callback that receives the trip state whenever it changes
+   * @param {Function} callback - Called with the state, or null when the trip ends
+   */
+  addListener(callback) {
+    if (typeof callback === 'function') {
+      this.listeners.push(callback);
+    }
+  }
+
+  /**
+   * Remove a trip state callback
+   * @param {Function} callback - Callback to remove
+   */
+  removeListener(callback) {
+    this.listeners = this.listeners.filter((listener) => listener !== callback);
+  }
+
+  /**
+   * Check the trip against live data now
+   * Runs every UPDATE_INTERVALS.arrivals while a trip is monitored.
+   * @returns {Promise<Object|null>} Trip state
+   */
+  async check() {
+    if (!this.state) {
+      return null;
+    }
+    if (!this._checking) {
+      this._checking = this._check()
+        .catch((error) => {
+          console.error('Error checking active trip:', error);
+        })
+        .finally(() => {
+          this._checking = null;
+        });
+    }
+    await this._checking;
+    return this.state;
+  }
+
+  /**
+   * @private
+   */
+  async _check() {
+    const { itinerary } = this.state;
+    const now = Date.now();
+    const transitLegs = itinerary.legs
+      .map((leg, legIndex) => ({ leg, legIndex }))
+      .filter(({ leg }) => leg.mode !== 'WALK');
+
+    const legs = await Promise.all(
+      transitLegs.map(({ leg, legIndex }) =>
+        this._trackLeg(leg, legIndex, this.state.legs.find((live) => live.legIndex === legIndex))
+      )
+    );
+    const transferRisk = this._getNextTransferRisk(transitLegs, legs);
+    const alertProblem = await this._findNoServiceProblem(transitLegs, legs);
+    // A rider switching trips mid-check makes these results stale
+    if (!this.state || this.state.itinerary !== itinerary) return;
+
+    let problem = alertProblem;
+    if (!problem && transferRisk && transferRisk.risk === 'high' && transferRisk.predicted) {
+      const fromLeg = itinerary.legs[transferRisk.fromLegIndex];
+      const toLeg = itinerary.legs[transferRisk.toLegIndex];
+      const delayMinutes = legs.find((live) => live.legIndex === transferRisk.fromLegIndex)
+        .delayMinutes;
+      problem = {
+        type: 'transfer_risk',
+        legIndex: transferRisk.toLegIndex,
+        tripId: toLeg.tripId,
+        message:
+          `Route ${fromLeg.routeShortName || fromLeg.routeId} is running ${delayMinutes} min ` +
+          `late. You may miss Route ${toLeg.routeShortName || toLeg.routeId}.`,
+      };
+    }
+
+    const arrived = legs.every((live) => live.phase === 'done') && now >= itinerary.endTime;
+    let status = 'on_track';
+    if (arrived) {
+      status = 'arrived';
+    } else if (problem) {
+      status = problem.type === 'no_service' ? 'disrupted' : 'at_risk';
+    }
+
+    this.state = {
+      ...this.state,
+      status,
+      legs,
+      transferRisk,
+      problem,
+      alternatives: problem ? this.state.alternatives : [],
+      lastChecked: now,
+    };
+    if (arrived) {
+      console.log(`🏁 Trip ${itinerary.id} arrived`);
+      this._stopPolling();
+      this._stopWatching();
+    }
+
+    const problemKey = problem ? `${problem.type}:${problem.legIndex}` : null;
+    if (problemKey && problemKey !== this._replannedFor) {
+      this._replannedFor = problemKey;
+      await this._replan(problem);
+    } else if (!problemKey) {
+      this._replannedFor = null;
+    }
+    this._emit();
+  }
+
+  /**
+   * Get the live state of a transit leg from arrivals at its boarding and
+   * alighting stops
+   * @private
+   * @param {Object} leg - Transit leg of the itinerary
+   * @param {number} legIndex - Index of the leg in the itinerary
+   * @param {Object} previous - State from the last check, if any
+   * @returns {Promise<Object>} {legIndex, phase, predicted, delayMinutes,
+   *   predictedStartTime, predictedEndTime, vehiclePosition} where phase is
+   *   'upcoming', 'riding' or 'done'
+   */
+  async _trackLeg(leg, legIndex, previous) {
+    if (previous && previous.phase === 'done') {
+      return previous;
+    }
+
+    const [boarding, alighting] = await Promise.all([
+      previous && previous.phase === 'riding'
+        ? null
+        : this._getTripArrival(leg.fromStop?.stop_id, leg.tripId, leg.startTime),
+      this._getTripArrival(leg.toStop?.stop_id, leg.tripId, leg.endTime),
+    ]);
+
+    const now = Date.now();
+    const predictedStartTime = boarding
+      ? boarding.predictedArrivalTime
+      : (previous?.predictedStartTime ?? leg.startTime);
+    const predictedEndTime = alighting ? alighting.predictedArrivalTime : leg.endTime;
+    let phase = 'upcoming';
+    if (now >= predictedEndTime) {
+      phase = 'done';
+    } else if (now >= predictedStartTime) {
+      phase = 'riding';
+    }
+
+    // Arrivals only carry a position once the vehicle reports one
+    let vehiclePosition = (alighting || boarding)?.vehiclePosition || null;
+    if (vehiclePosition && vehiclePosition.needsTripDetails) {
+      vehiclePosition = phase === 'done' ? null : await obaService.getVehicleForTrip(leg.tripId);
+    }
+
+    const live = [alighting, boarding].find((arrival) => arrival && arrival.predicted);
+    return {
+      legIndex,
+      phase,
+      predicted: Boolean(live),
+      delayMinutes: live ? live.delayMinutes : leg.delayMinutes || 0,
+      predictedStartTime,
+      predictedEndTime,
+      vehiclePosition,
+    };
+  }
+
+  /**
+   * Find a trip's arrival at a stop
+   * @private
+   * @param {string} stopId - GTFS stop ID
+   * @param {string} tripId - GTFS trip ID
+   * @param {number} time - Planned time (ms) the trip reaches the stop
+   * @returns {Promise<Object|null>} Arrival from obaService.getArrivalsForStop
+   */
+  async _getTripArrival(stopId, tripId, time) {
+    if (!stopId || !tripId) {
+      return null;
+    }
+    const arrivals = await obaService.getArrivalsForStop(gtfsToObaStopId(stopId), {
+      minutesBefore: ARRIVALS_MINUTES_BEFORE,
+      minutesAfter: Math.max(60, Math.ceil((time - Date.now()) / 60000) + 15),
+      scheduleFallback: false,
+    });
+    return arrivals.find((arrival) => arrival.tripId === tripId) || null;
+  }
+
+  /**
+   * Score the next transfer the rider has not made yet with live times
+   * @private
+   * @returns {Object|null} Result of reliabilityService.calculateTransferRisk with
+   *   fromLegIndex and toLegIndex, or null when no transfer is left
+   */
+  _getNextTransferRisk(transitLegs, legs) {
+    const next = transitLegs.findIndex(
+      (transitLeg, i) => i > 0 && legs[i].phase === 'upcoming' && legs[i - 1].phase !== 'done'
+    );
+    if (next === -1) {
+      return null;
+    }
+
+    const fromLeg = transitLegs[next - 1].leg;
+    const toLeg = transitLegs[next].leg;
+    const from = legs[next - 1];
+    const to = legs[next];
+    return {
+      fromLegIndex: transitLegs[next - 1].legIndex,
+      toLegIndex: transitLegs[next].legIndex,
+      ...reliabilityService.calculateTransferRisk(
+        {
+          routeId: gtfsToObaRouteId(fromLeg.routeId),
+          predictedArrivalTime: from.predictedEndTime,
+          scheduledArrivalTime: fromLeg.scheduledEndTime ?? fromLeg.endTime,
+          predicted: from.predicted,
+        },
+        {
+          scheduledDepartureTime: toLeg.scheduledStartTime ?? toLeg.startTime,
+          predictedDepartureTime: to.predictedStartTime,
+        },
+        toLeg.transfer?.walkingMinutes ?? 2,
+        toLeg.transfer?.transferType ?? null
+      ),
+    };
+  }
+
+  /**
+   * Find an active no-service alert on a leg the rider has not finished
+   * @private
+   * @returns {Promise<Object|null>} Problem ({type: 'no_service', legIndex, routeId,
+   *   message, alert}), or null
+   */
+  async _findNoServiceProblem(transitLegs, legs) {
+    const pending = transitLegs.filter((transitLeg, i) => legs[i].phase !== 'done');
+    if (pending.length === 0) {
+      return null;
+    }
+
+    const routeIds = [...new Set(pending.map(({ leg }) => leg.routeId))];
+    const alerts = (
+      await Promise.all(
+        routeIds.map((routeId) => obaService.getAlertsForRoute(gtfsToObaRouteId(routeId)))
+      )
+    ).flat();
+    if (pending.some(({ leg }) => getAgencyIdFromId(leg.routeId) === SOUND_TRANSIT_AGENCY_ID)) {
+      alerts.push(...(await stService.getLinkAlerts({ filterActive: true })));
+    }
+
+    const now = Date.now();
+    for (const { leg, legIndex } of pending) {
+      const alert = alerts.find(
+        (candidate) =>
+          candidate.effect === 'NO_SERVICE' &&
+          this._isAlertActive(candidate, now) &&
+          this._alertAffectsLeg(candidate, leg)
+      );
+      if (alert) {
+        return {
+          type: 'no_service',
+          legIndex,
+          routeId: leg.routeId,
+          message: `No service on Route ${leg.routeShortName || leg.routeId}: ${
+            alert.header || 'see service alerts'
+          }`,
+          alert,
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _isAlertActive(alert, now) {
+    const periods = alert.activePeriod || [];
+    return (
+      periods.length === 0 ||
+      periods.some((period) => period.start <= now && (!period.end || now <= period.end))
+    );
+  }
+
+  /**
+   * Check whether an alert stops a leg: its route, or the stop the rider
+   * boards or leaves at. Alerts may use raw or agency-prefixed IDs.
+   * @private
+   */
+  _alertAffectsLeg(alert, leg) {
+    const routeIds = [leg.routeId, obaToGtfsRouteId(leg.routeId)];
+    const stopIds = [leg.fromStop?.stop_id, leg.toStop?.stop_id]
+      .filter(Boolean)
+      .flatMap((stopId) => [stopId, obaToGtfsStopId(stopId)]);
+    const affectedRoutes = alert.affectedRoutes || [];
+    const affectedStops = alert.affectedStops || [];
+    const stopMatches = affectedStops.some((stopId) => stopIds.includes(stopId));
+
+    if (affectedRoutes.length === 0) {
+      return stopMatches;
+    }
+    return (
+      affectedRoutes.some((routeId) => routeIds.includes(routeId)) &&
+      (affectedStops.length === 0 || stopMatches)
+    );
+  }
+
+  /**
+   * Plan alternatives from the rider's current position and notify the rider
+   * Alternatives that repeat the problem (the route with no service, or the
+   * connection at risk) are left out.
+   * @private
+   * @param {Object} problem - Problem found by _check
+   */
+  async _replan(problem) {
+    const { itinerary } = this.state;
+    let alternatives = [];
+    try {
+      const location =
+        this.state.riderLocation ||
+        locationService.getLastKnownLocation() ||
+        (await locationService.getCurrentLocation());
+      const destination = itinerary.legs[itinerary.legs.length - 1].to;
+      if (!location || !destination) {
+        console.warn('⚠️ Cannot re-plan trip without the rider location and destination');
+      } else {
+        console.log(`🔀 Re-planning trip: ${problem.message}`);
+        const itineraries = await tripRoutingService.planTrip(
+          { lat: location.latitude, lon: location.longitude },
+          { lat: destination.lat, lon: destination.lon, address: destination.address },
+          { ...this._options, maxResults: MAX_ALTERNATIVES * 2 }
+        );
+        alternatives = itineraries
+          .filter((alternative) => !this._repeatsProblem(alternative, problem))
+          .slice(0, MAX_ALTERNATIVES);
+      }
+    } catch (error) {
+      console.error('Error re-planning trip:', error);
+    }
+
+    if (!this.state || this.state.itinerary !== itinerary) return;
+    this.state = { ...this.state, alternatives };
+    await sendReplanNotification(problem, alternatives[0] || null);
+  }
+
+  /**
+   * @private
+   */
+  _repeatsProblem(alternative, problem) {
+    return alternative.legs.some((leg) =>
+      problem.type === 'no_service'
+        ? leg.routeId === problem.routeId
+        : leg.tripId === problem.tripId
+    );
+  }
+
+  /**
+   * Follow the rider's position while the trip is monitored
+   * Each trip gets its own callback, so stopping one trip cannot remove the
+   * callback of the trip that replaced it.
+   * @private
+   */
+  _startWatching() {
+    const callback = (location) => {
+      if (this.state && this._watch?.callback === callback) {
+        this.state = { ...this.state, riderLocation: location };
+      }
+    };
+    this._watch = {
+      callback,
+      // Only a watch the monitor started is stopped with the trip
+      startedWatch: !locationService.watchSubscription,
+      request: locationService.watchPosition(callback).catch((error) => {
+        console.warn('⚠️ Could not watch position for the trip:', error);
+        return false;
+      }),
+    };
+  }
+
+  /**
+   * Stop following the rider's position
+   * Waits for a watch still asking for permission, so its callback is not
+   * added after it was removed. Other screens may still be watching the
+   * position, so the GPS watch itself only stops when nothing else uses it.
+   * @private
+   */
+  _stopWatching() {
+    if (!this._watch) {
+      return;
+    }
+    const { callback, startedWatch, request } = this._watch;
+    this._watch = null;
+
+    request.then((watching) => {
+      locationService.removeCallback(callback);
+      if (watching && startedWatch && locationService.locationCallbacks.length === 0) {
+        locationService.stopWatching();
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _stopPolling() {
+    if (this._intervalId) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+  }
+
+  /**
+   * Notify listeners of the trip state
+   * @private
+   */
+  _emit() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this.state);
+      } catch (error) {
+        console.error('Error in active trip listener:', error);
+      }
+    });
+  }
+}
+
+export default new ActiveTripMonitor();
@@ -0,0 +1,120 @@
+/**
+ * Itinerary Pareto Set
+ * Keeps the trip options that are not worse than another option on every
+ * criterion (arrival time, transfers, expected reliability and fare), and
+ * says why each one was kept, so riders see real trade-offs.
+ */
+
+// Criteria compared between itineraries; every value is "lower is better"
+const CRITERIA = [
+  {
+    key: 'time',
+    // Arrive-by trips compare departure: leaving later is better
+    value: (itinerary, arriveBy) => (arriveBy ? -itinerary.startTime : itinerary.endTime),
+    best: (arriveBy) => (arriveBy ? 'Leaves latest' : 'Arrives earliest'),
+  },
+  {
+    key: 'transfers',
+    value: (itinerary) => itinerary.transfers,
+    best: () => 'Fewest transfers',
+    better: 'Fewer transfers',
+  },
+  {
+    key: 'reliability',
+    value: (itinerary) => -(itinerary.expectedReliability ?? 0),
+    best: () => 'Most reliable',
+    better: 'More reliable',
+  },
+  {
+    key: 'fare',
+    value: (itinerary) => Math.round((itinerary.fare?.amount ?? 0) * 100),
+    best: () => 'Lowest fare',
+    better: 'Cheaper',
+  },
+];
+
+/**
+ * Check whether one itinerary dominates another
+ * @private
+ * @returns {boolean} True if a is no worse than b on every criterion and better on one
+ */
+function _dominates(a, b) {
+  let better = false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] > b[i]) return false;
+    if (a[i] < b[i]) better = true;
+  }
+  return better;
+}
+
+/**
+ * Select the non-dominated itineraries and label why each was kept
+ * Options that are best on a criterion are kept before the others when
+ * there are more than maxResults. Input order is kept otherwise.
+ * @param {Array} itineraries - Itineraries with startTime, endTime, transfers,
+ *   expectedReliability (0-1) and fare ({amount})
+ * @param {Object} options - Selection options
+ * @param {boolean} options.arriveBy - Compare departure instead of arrival (default: false)
+ * @param {number} options.maxResults - Maximum itineraries returned (default: all)
+ * @returns {Array} Kept itineraries, each with reasons: [{criterion, text}]
+ */
+export function selectParetoItineraries(itineraries, options = {}) {
+  const { arriveBy = false, maxResults = Infinity } = options;
+  const scored = itineraries.map((itinerary) => ({
+    itinerary,
+    values: CRITERIA.map((criterion) => criterion.value(itinerary, arriveBy)),
+  }));
+
+  // Drop dominated options, and all but the first of options that tie on everything
+  const kept = scored.filter(
+    (candidate, index) =>
+      !scored.some(
+        (other, otherIndex) =>
+          _dominates(other.values, candidate.values) ||
+          (otherIndex < index &&
+            other.values.every((value, i) => value === candidate.values[i]))
+      )
+  );
+  if (kept.length === 0) {
+    return [];
+  }
+
+  const bestValues = CRITERIA.map((criterion, i) =>
+    Math.min(...kept.map((candidate) => candidate.values[i]))
+  );
+  // A criterion every option ties on (e.g. the same fare) is no reason to pick
+  // one, except time, which still labels a lone option
+  const differs = CRITERIA.map(
+    (criterion, i) =>
+      criterion.key === 'time' || kept.some((candidate) => candidate.values[i] !== bestValues[i])
+  );
+  // The option best on time is what the others trade against
+  const timeBest = kept.find((candidate) => candidate.values[0] === bestValues[0]);
+  const reference = arriveBy ? 'the latest departure' : 'the earliest arrival';
+
+  const labeled = kept.map((candidate) => {
+    const reasons = [];
+    CRITERIA.forEach((criterion, i) => {
+      if (differs[i] && candidate.values[i] === bestValues[i]) {
+        reasons.push({ criterion: criterion.key, text: criterion.best(arriveBy) });
+      }
+    });
+    const isBest = reasons.length > 0;
+    if (!isBest) {
+      CRITERIA.forEach((criterion, i) => {
+        if (criterion.better && candidate.values[i] < timeBest.values[i]) {
+          reasons.push({ criterion: criterion.key, text: `${criterion.better} than ${reference}` });
+        }
+      });
+    }
+    return { itinerary: { ...candidate.itinerary, reasons }, isBest };
+  });
+
+  const selected = [
+    ...labeled.filter((candidate) => candidate.isBest),
+    ...labeled.filter((candidate) => !candidate.isBest),
+  ].slice(0, maxResults);
+  return labeled
+    .filter((candidate) => selected.includes(candidate))
+    .map((candidate) => candidate.itinerary);
+}
@@ -0,0 +1,846 @@
+/**
+ * RAPTOR Router
+ * Round-based public transit routing over GTFS trips and stop_times
+ * Based on Delling, Pajor & Werneck, "Round-Based Public Transit Routing" (2012)
+ *
+ * Each round k finds the earliest arrival at every stop using at most k
+ * vehicles, so a search naturally returns one journey per transfer count.
+ */
+
+import { parseGTFSTime } from '../../utils/gtfsTime';
+import { TRANSFER_TYPES } from '../../utils/constants';
+
+// Time needed to change vehicles at the same stop (seconds)
+export const DEFAULT_MIN_TRANSFER_SECONDS = 120;
+
+// Maximum number of transfers considered by a search
+export const DEFAULT_MAX_TRANSFERS = 3;
+
+/**
+ * Group a flat stop_times array by trip_id
+ * @param {Array} stopTimes - GTFS stop_times rows
+ * @returns {Map<string, Array>} Map of trip_id to its stop_times rows
+ */
+export function groupStopTimesByTrip(stopTimes) {
+  const byTrip = new Map();
+  (stopTimes || []).forEach((stopTime) => {
+    let tripStopTimes = byTrip.get(stopTime.trip_id);
+    if (!tripStopTimes) {
+      tripStopTimes = [];
+      byTrip.set(stopTime.trip_id, tripStopTimes);
+    }
+    tripStopTimes.push(stopTime);
+  });
+  return byTrip;
+}
+
+/**
+ * Build a RAPTOR timetable from GTFS trips and stop_times
+ * Trips with an identical stop sequence on the same route are grouped into
+ * patterns; each pattern's trips are sorted by departure and never overtake.
+ *
+ * Times are seconds since the start of the searched service day. Each entry
+ * in serviceDays adds the trips of one service day, shifted by its offset;
+ * e.g. {offsetSeconds: -86400} adds yesterday's trips that run past midnight.
+ * @param {Object} gtfs - GTFS data
+ * @param {Array} gtfs.trips - GTFS trips rows
+ * @param {Map|Array} gtfs.stopTimesByTrip - Iterable of [trip_id, stop_times rows]
+ * @param {Array} gtfs.serviceDays - [{serviceIds, offsetSeconds}] serviceIds is a Set
+ *   of active service_ids, or null for every trip (default: all trips, no offset)
+ * @returns {Object} Timetable used by raptorSearch
+ */
+export function buildTimetable({ trips, stopTimesByTrip, serviceDays }) {
+  const builder = createTimetableBuilder({ trips, serviceDays });
+  for (const [tripId, tripStopTimes] of stopTimesByTrip) {
+    builder.addTrip(tripId, tripStopTimes);
+  }
+  return builder.build();
+}
+
+/**
+ * Create a timetable builder that takes stop_times one trip at a time
+ * Lets callers stream trips from storage instead of holding every
+ * stop_times row in memory. See buildTimetable for the options.
+ * @param {Object} gtfs - GTFS data
+ * @param {Array} gtfs.trips - GTFS trips rows
+ * @param {Array} gtfs.serviceDays - [{serviceIds, offsetSeconds}]
+ * @returns {Object} Builder with addTrip(tripId, stopTimes) and build()
+ */
+export function createTimetableBuilder({
+  trips,
+  serviceDays = [{ serviceIds: null, offsetSeconds: 0 }],
+}) {
+  const tripsById = new Map((trips || []).map((trip) => [trip.trip_id, trip]));
+  const stopIds = [];
+  const stopIndex = new Map();
+  const patternsByKey = new Map();
+
+  const indexOfStop = (stopId) => {
+    let index = stopIndex.get(stopId);
+    if (index === undefined) {
+      index = stopIds.length;
+      stopIds.push(stopId);
+      stopIndex.set(stopId, index);
+    }
+    return index;
+  };
+
+  const addTrip = (tripId, tripStopTimes) => {
+    const trip = tripsById.get(tripId);
+    if (!trip || !tripStopTimes || tripStopTimes.length < 2) return;
+
+    const activeDays = serviceDays.filter(
+      (serviceDay) => !serviceDay.serviceIds || serviceDay.serviceIds.has(trip.service_id)
+    );
+    if (activeDays.length === 0) return;
+
+    const sorted = [...tripStopTimes].sort(
+      (a, b) => parseInt(a.stop_sequence, 10) - parseInt(b.stop_sequence, 10)
+    );
+    const times = _resolveTripTimes(sorted);
+    if (!times) return;
+
+    const stops = sorted.map((stopTime) => indexOfStop(stopTime.stop_id));
+    const noPickup = sorted.map((stopTime) => stopTime.pickup_type === '1');
+    const noDropOff = sorted.map((stopTime) => stopTime.drop_off_type === '1');
+    const key = [
+      trip.route_id,
+      stops.join(','),
+      noPickup.map(Number).join(''),
+      noDropOff.map(Number).join(''),
+    ].join('|');
+
+    let pattern = patternsByKey.get(key);
+    if (!pattern) {
+      pattern = {
+        routeId: trip.route_id,
+        directionId: trip.direction_id,
+        stops,
+        noPickup,
+        noDropOff,
+        trips: [],
+      };
+      patternsByKey.set(key, pattern);
+    }
+
+    activeDays.forEach(({ offsetSeconds }) => {
+      // Skip shifted trips that finish before this service day starts
+      if (times.arrivals[times.arrivals.length - 1] + offsetSeconds < 0) return;
+      pattern.trips.push({
+        tripId,
+        headsign: trip.trip_headsign || '',
+        serviceId: trip.service_id,
+        serviceDayOffset: offsetSeconds,
+        arrivals: times.arrivals.map((time) => time + offsetSeconds),
+        departures: times.departures.map((time) => time + offsetSeconds),
+      });
+    });
+  };
+
+  const build = () => {
+    const patterns = [];
+    patternsByKey.forEach((pattern) => {
+      patterns.push(..._splitOvertakingTrips(pattern));
+    });
+
+    return {
+      stopIds,
+      stopIndex,
+      patterns,
+      patternsByStop: _indexPatternsByStop(stopIds.length, patterns),
+      footpaths: stopIds.map(() => []),
+      transferSeconds: new Map(), // stop index -> change time overriding the default
+    };
+  };
+
+  return { addTrip, build };
+}
+
+/**
+ * Build a time-reversed copy of a timetable for arrive-by searches
+ * Stop sequences are reversed and times negated, so an earliest-arrival
+ * search on the copy finds the latest departure on the original.
+ * @param {Object} timetable - Timetable from buildTimetable
+ * @returns {Object} Reversed timetable used by raptorSearchArriveBy
+ */
+export function reverseTimetable(timetable) {
+  const negateReversed = (times) => times.map((time) => -time).reverse();
+
+  // Reversing a FIFO pattern's trip order keeps it FIFO
+  const patterns = timetable.patterns.map((pattern) => ({
+    ...pattern,
+    stops: [...pattern.stops].reverse(),
+    noPickup: [...pattern.noDropOff].reverse(),
+    noDropOff: [...pattern.noPickup].reverse(),
+    trips: pattern.trips
+      .map((trip) => ({
+        ...trip,
+        arrivals: negateReversed(trip.departures),
+        departures: negateReversed(trip.arrivals),
+      }))
+      .reverse(),
+  }));
+
+  const footpaths = timetable.stopIds.map(() => []);
+  timetable.footpaths.forEach((stopFootpaths, from) => {
+    stopFootpaths.forEach(({ to, seconds }) => {
+      footpaths[to].push({ to: from, seconds });
+    });
+  });
+
+  return {
+    ...timetable,
+    patterns,
+    patternsByStop: _indexPatternsByStop(timetable.stopIds.length, patterns),
+    footpaths,
+    reversed: true,
+  };
+}
+
+/**
+ * Build a service day's timetable from a timetable of every trip
+ * Lets the patterns, footpaths and transfer rules be built once per feed
+ * (see serializeTimetable) and reused for any day. serviceDays work as in
+ * buildTimetable; the source timetable must have been built without them.
+ * @param {Object} timetable - Timetable of all trips, from buildTimetable
+ * @param {Array} serviceDays - [{serviceIds, offsetSeconds}]
+ * @returns {Object} Timetable used by raptorSearch
+ */
+export function selectServiceDays(timetable, serviceDays) {
+  const patterns = [];
+  timetable.patterns.forEach((pattern) => {
+    const trips = [];
+    serviceDays.forEach(({ serviceIds, offsetSeconds }) => {
+      pattern.trips.forEach((trip) => {
+        if (serviceIds && !serviceIds.has(trip.serviceId)) return;
+        if (offsetSeconds === 0) {
+          trips.push(trip);
+          return;
+        }
+        // Skip shifted trips that finish before this service day starts
+        if (trip.arrivals[trip.arrivals.length - 1] + offsetSeconds < 0) return;
+        trips.push({
+          ...trip,
+          serviceDayOffset: trip.serviceDayOffset + offsetSeconds,
+          arrivals: trip.arrivals.map((time) => time + offsetSeconds),
+          departures: trip.departures.map((time) => time + offsetSeconds),
+        });
+      });
+    });
+    // Trips of different days may overtake each other after the shift
+    if (trips.length > 0) {
+      patterns.push(..._splitOvertakingTrips({ ...pattern, trips }));
+    }
+  });
+
+  return {
+    ...timetable,
+    patterns,
+    patternsByStop: _indexPatternsByStop(timetable.stopIds.length, patterns),
+  };
+}
+
+/**
+ * Shift trips by live delays, such as OneBusAway schedule deviations
+ * A trip's whole run moves by its delay. Only runs overlapping the window
+ * are shifted, so a trip id that also runs on another day or headway keeps
+ * its schedule there. Shifted trips carry delaySeconds onto journey legs.
+ * @param {Object} timetable - Timetable from buildTimetable or selectServiceDays
+ * @param {Map} delays - trip_id -> delay in seconds (negative when early)
+ * @param {Object} window - {fromTime, toTime} seconds since service day start
+ * @returns {Object} Timetable used by raptorSearch
+ */
+export function applyTripDelays(timetable, delays, window = {}) {
+  const { fromTime = -Infinity, toTime = Infinity } = window;
+  if (delays.size === 0) {
+    return timetable;
+  }
+
+  const patterns = [];
+  timetable.patterns.forEach((pattern) => {
+    let shifted = false;
+    const trips = pattern.trips.map((trip) => {
+      const delaySeconds = delays.get(trip.tripId);
+      if (
+        delaySeconds === undefined ||
+        trip.departures[0] > toTime ||
+        trip.arrivals[trip.arrivals.length - 1] < fromTime
+      ) {
+        return trip;
+      }
+      shifted = true;
+      return {
+        ...trip,
+        delaySeconds,
+        arrivals: trip.arrivals.map((time) => time + delaySeconds),
+        departures: trip.departures.map((time) => time + delaySeconds),
+      };
+    });
+    // A late trip may now run behind the one scheduled after it
+    patterns.push(...(shifted ? _splitOvertakingTrips({ ...pattern, trips }) : [pattern]));
+  });
+
+  return {
+    ...timetable,
+    patterns,
+    patternsByStop: _indexPatternsByStop(timetable.stopIds.length, patterns),
+  };
+}
+
+/**
+ * Restrict a timetable to the trips and stops a rider can use
+ * Used for step-free trips: other trips are dropped, and blocked stops
+ * keep their trips passing through but allow no boarding, alighting or
+ * walking to or from them. Footpaths can also be blocked on their own,
+ * such as walks too steep for a wheelchair.
+ * @param {Object} timetable - Timetable from buildTimetable or selectServiceDays
+ * @param {Object} restriction - {isTripAllowed, isStopAllowed, isFootpathAllowed}
+ *   called with a trip_id, a stop_id, or the from and to stop_ids of a
+ *   footpath; any may be left out to allow every trip, stop or footpath
+ * @returns {Object} Timetable used by raptorSearch
+ */
+export function restrictTimetable(timetable, restriction = {}) {
+  const {
+    isTripAllowed = () => true,
+    isStopAllowed = () => true,
+    isFootpathAllowed = () => true,
+  } = restriction;
+  const { stopIds } = timetable;
+  const blocked = stopIds.map((stopId) => !isStopAllowed(stopId));
+
+  const patterns = [];
+  timetable.patterns.forEach((pattern) => {
+    const trips = pattern.trips.filter((trip) => isTripAllowed(trip.tripId));
+    if (trips.length === 0) return;
+    // Dropping trips keeps the rest in order, so the pattern stays FIFO
+    patterns.push({
+      ...pattern,
+      noPickup: pattern.stops.map((stop, position) => blocked[stop] || pattern.noPickup[position]),
+      noDropOff: pattern.stops.map(
+        (stop, position) => blocked[stop] || pattern.noDropOff[position]
+      ),
+      trips,
+    });
+  });
+
+  return {
+    ...timetable,
+    patterns,
+    patternsByStop: _indexPatternsByStop(stopIds.length, patterns),
+    footpaths: timetable.footpaths.map((stopFootpaths, from) =>
+      blocked[from]
+        ? []
+        : stopFootpaths.filter(
+            ({ to }) => !blocked[to] && isFootpathAllowed(stopIds[from], stopIds[to])
+          )
+    ),
+  };
+}
+
+/**
+ * Convert a timetable to plain JSON-safe data for storage
+ * @param {Object} timetable - Timetable from buildTimetable
+ * @returns {Object} {stopIds, patterns, footpaths, transferSeconds}
+ */
+export function serializeTimetable(timetable) {
+  return {
+    stopIds: timetable.stopIds,
+    patterns: timetable.patterns,
+    footpaths: timetable.footpaths,
+    // JSON has no Infinity; null marks a stop where transfers are not possible
+    transferSeconds: [...timetable.transferSeconds].map(([stop, seconds]) => [
+      stop,
+      seconds === Infinity ? null : seconds,
+    ]),
+  };
+}
+
+/**
+ * Restore a timetable stored with serializeTimetable
+ * @param {Object} data - Result of serializeTimetable
+ * @returns {Object} Timetable used by raptorSearch and selectServiceDays
+ */
+export function deserializeTimetable(data) {
+  const stopIds = data.stopIds || [];
+  const patterns = data.patterns || [];
+  const footpaths = data.footpaths || [];
+  return {
+    stopIds,
+    stopIndex: new Map(stopIds.map((stopId, index) => [stopId, index])),
+    patterns,
+    patternsByStop: _indexPatternsByStop(stopIds.length, patterns),
+    footpaths: stopIds.map((stopId, index) => footpaths[index] || []),
+    transferSeconds: new Map(
+      (data.transferSeconds || []).map(([stop, seconds]) => [
+        stop,
+        seconds === null ? Infinity : seconds,
+      ])
+    ),
+  };
+}
+
+/**
+ * Index the patterns serving each stop as [patternIndex, position] pairs
+ * @private
+ */
+function _indexPatternsByStop(stopCount, patterns) {
+  const patternsByStop = Array.from({ length: stopCount }, () => []);
+  patterns.forEach((pattern, patternIndex) => {
+    pattern.stops.forEach((stop, position) => {
+      patternsByStop[stop].push([patternIndex, position]);
+    });
+  });
+  return patternsByStop;
+}
+
+/**
+ * Resolve arrival/departure seconds for a trip, interpolating blank times
+ * at non-timepoint stops between the surrounding timepoints
+ * @private
+ */
+function _resolveTripTimes(sortedStopTimes) {
+  const count = sortedStopTimes.length;
+  const arrivals = new Array(count);
+  const departures = new Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const stopTime = sortedStopTimes[i];
+    const arrival = parseGTFSTime(stopTime.arrival_time);
+    const departure = parseGTFSTime(stopTime.departure_time);
+    arrivals[i] = arrival !== null ? arrival : departure;
+    departures[i] = departure !== null ? departure : arrival;
+  }
+
+  // First and last stops must be timepoints
+  if (arrivals[0] === null || arrivals[count - 1] === null) {
+    return null;
+  }
+
+  let previous = 0;
+  for (let i = 1; i < count; i++) {
+    if (arrivals[i] === null) continue;
+    const gap = i - previous;
+    for (let j = previous + 1; j < i; j++) {
+      const ratio = (j - previous) / gap;
+      const interpolated = Math.round(
+        departures[previous] + (arrivals[i] - departures[previous]) * ratio
+      );
+      arrivals[j] = interpolated;
+      departures[j] = interpolated;
+    }
+    previous = i;
+  }
+
+  return { arrivals, departures };
+}
+
+/**
+ * Sort a pattern's trips by departure and split it wherever a later trip
+ * overtakes an earlier one, so every resulting pattern is FIFO
+ * @private
+ */
+function _splitOvertakingTrips(pattern) {
+  const sortedTrips = [...pattern.trips].sort(
+    (a, b) => a.departures[0] - b.departures[0]
+  );
+  const groups = [];
+
+  sortedTrips.forEach((trip) => {
+    const group = groups.find((candidate) => {
+      const last = candidate[candidate.length - 1];
+      return trip.departures.every(
+        (departure, i) =>
+          departure >= last.departures[i] && trip.arrivals[i] >= last.arrivals[i]
+      );
+    });
+    if (group) {
+      group.push(trip);
+    } else {
+      groups.push([trip]);
+    }
+  });
+
+  return groups.map((trips) => ({ ...pattern, trips }));
+}
+
+/**
+ * Add a walking transfer between two stops
+ * @param {Object} timetable - Timetable from buildTimetable
+ * @param {string} fromStopId - Stop the rider walks from
+ * @param {string} toStopId - Stop the rider walks to
+ * @param {number} seconds - Walking time in seconds
+ */
+export function addFootpath(timetable, fromStopId, toStopId, seconds) {
+  const from = timetable.stopIndex.get(fromStopId);
+  const to = timetable.stopIndex.get(toStopId);
+  if (from === undefined || to === undefined || from === to) return;
+
+  const existing = timetable.footpaths[from].find((footpath) => footpath.to === to);
+  if (existing) {
+    existing.seconds = Math.min(existing.seconds, seconds);
+  } else {
+    timetable.footpaths[from].push({ to, seconds });
+  }
+}
+
+/**
+ * Apply GTFS transfers.txt rules to a timetable
+ * A rule between two stops replaces their footpath: timed transfers (type 1)
+ * take no time, minimum-time transfers (type 2) take min_transfer_time, and
+ * not-possible transfers (type 3) remove it. A rule from a stop to itself sets
+ * the time needed to change vehicles there. Rules limited to particular
+ * routes or trips are skipped, since the search does not track them.
+ * @param {Object} timetable - Timetable from buildTimetable
+ * @param {Array} transfers - transfers.txt rows
+ */
+export function applyTransfers(timetable, transfers) {
+  (transfers || []).forEach((transfer) => {
+    if (
+      transfer.from_route_id ||
+      transfer.to_route_id ||
+      transfer.from_trip_id ||
+      transfer.to_trip_id
+    ) {
+      return;
+    }
+
+    const from = timetable.stopIndex.get(transfer.from_stop_id);
+    const to = timetable.stopIndex.get(transfer.to_stop_id);
+    if (from === undefined || to === undefined) return;
+
+    const type = parseInt(transfer.transfer_type || '0', 10) || TRANSFER_TYPES.RECOMMENDED;
+    const minTransferTime = parseInt(transfer.min_transfer_time, 10);
+    let seconds;
+    if (type === TRANSFER_TYPES.TIMED) {
+      seconds = 0;
+    } else if (type === TRANSFER_TYPES.MINIMUM_TIME && !isNaN(minTransferTime)) {
+      seconds = minTransferTime;
+    } else if (type === TRANSFER_TYPES.NOT_POSSIBLE) {
+      seconds = Infinity;
+    } else {
+      return; // Recommended transfers keep the default times
+    }
+
+    if (from === to) {
+      timetable.transferSeconds.set(from, seconds);
+      return;
+    }
+    timetable.footpaths[from] = timetable.footpaths[from].filter(
+      (footpath) => footpath.to !== to
+    );
+    if (seconds !== Infinity) {
+      timetable.footpaths[from].push({ to, seconds });
+    }
+  });
+}
+
+/**
+ * Find the earliest trip of a pattern that can be boarded at a position
+ * Relies on the pattern being FIFO, so departures are sorted at every stop
+ * @private
+ */
+function _earliestTrip(pattern, position, readyTime) {
+  const trips = pattern.trips;
+  let low = 0;
+  let high = trips.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (trips[mid].departures[position] < readyTime) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low < trips.length ? low : -1;
+}
+
+/**
+ * Run a RAPTOR earliest-arrival search
+ * @param {Object} timetable - Timetable from buildTimetable
+ * @param {Object} query - Search query
+ * @param {Array} query.sources - [{stopId, time}] time (seconds) the rider is ready at each stop
+ * @param {Array} query.targets - [{stopId, walkSeconds}] stops near the destination and the walk from each
+ * @param {number} query.maxTransfers - Maximum number of transfers (default: 3)
+ * @param {number} query.minTransferSeconds - Time to change vehicles at one stop (default: 120),
+ *   unless the timetable has a transfers.txt time for the stop
+ * @returns {Array} Pareto-optimal journeys (arrival time vs. number of transfers)
+ */
+export function raptorSearch(timetable, query) {
+  const {
+    sources = [],
+    targets = [],
+    maxTransfers = DEFAULT_MAX_TRANSFERS,
+    minTransferSeconds = DEFAULT_MIN_TRANSFER_SECONDS,
+  } = query;
+  const { stopIndex, patterns, patternsByStop, footpaths, transferSeconds } = timetable;
+  const stopCount = timetable.stopIds.length;
+
+  const resolvedTargets = targets
+    .map((target) => ({
+      stop: stopIndex.get(target.stopId),
+      walkSeconds: target.walkSeconds || 0,
+    }))
+    .filter((target) => target.stop !== undefined);
+
+  if (stopCount === 0 || resolvedTargets.length === 0) {
+    return [];
+  }
+
+  const best = new Array(stopCount).fill(Infinity);
+  const rounds = [];
+  let marked = new Set();
+
+  // Round 0: the rider is standing at each source stop
+  const initial = {
+    arrivals: new Array(stopCount).fill(Infinity),
+    parents: new Array(stopCount).fill(null),
+  };
+  sources.forEach((source) => {
+    const stop = stopIndex.get(source.stopId);
+    if (stop === undefined || source.time >= initial.arrivals[stop]) return;
+    initial.arrivals[stop] = source.time;
+    initial.parents[stop] = { type: 'source', round: 0 };
+    best[stop] = source.time;
+    marked.add(stop);
+  });
+  rounds.push(initial);
+
+  const journeys = [];
+  let bestAtDestination = Infinity;
+
+  for (let k = 1; k <= maxTransfers + 1 && marked.size > 0; k++) {
+    const previous = rounds[k - 1];
+    const current = {
+      arrivals: previous.arrivals.slice(),
+      parents: previous.parents.slice(),
+      tripParents: new Map(),
+    };
+
+    // Collect patterns serving stops improved in the previous round
+    const queue = new Map();
+    marked.forEach((stop) => {
+      patternsByStop[stop].forEach(([patternIndex, position]) => {
+        const queued = queue.get(patternIndex);
+        if (queued === undefined || position < queued) {
+          queue.set(patternIndex, position);
+        }
+      });
+    });
+    marked = new Set();
+
+    // Scan each pattern from the earliest marked stop
+    queue.forEach((startPosition, patternIndex) => {
+      const pattern = patterns[patternIndex];
+      let tripIndex = -1;
+      let boardPosition = -1;
+
+      for (let position = startPosition; position < pattern.stops.length; position++) {
+        const stop = pattern.stops[position];
+
+        if (tripIndex !== -1 && !pattern.noDropOff[position]) {
+          const trip = pattern.trips[tripIndex];
+          const arrival = trip.arrivals[position];
+          if (arrival < best[stop] && arrival < bestAtDestination) {
+            const parent = {
+              type: 'trip',
+              round: k,
+              patternIndex,
+              tripIndex,
+              boardPosition,
+              alightPosition: position,
+              boardStop: pattern.stops[boardPosition],
+              departureTime: trip.departures[boardPosition],
+              arrivalTime: arrival,
+            };
+            current.arrivals[stop] = arrival;
+            current.parents[stop] = parent;
+            current.tripParents.set(stop, parent);
+            best[stop] = arrival;
+            marked.add(stop);
+          }
+        }
+
+        // Board here, or switch to an earlier trip of this pattern
+        const previousArrival = previous.arrivals[stop];
+        if (previousArrival === Infinity || pattern.noPickup[position]) continue;
+
+        const previousParent = previous.parents[stop];
+        // A transfers.txt rule for this stop overrides the default change time
+        const changeSeconds =
+          previousParent && previousParent.type === 'trip'
+            ? (transferSeconds?.get(stop) ?? minTransferSeconds)
+            : 0;
+        const readyTime = previousArrival + changeSeconds;
+
+        if (
+          tripIndex === -1 ||
+          readyTime <= pattern.trips[tripIndex].departures[position]
+        ) {
+          const earliest = _earliestTrip(pattern, position, readyTime);
+          if (earliest !== -1 && (tripIndex === -1 || earliest < tripIndex)) {
+            tripIndex = earliest;
+            boardPosition = position;
+          }
+        }
+      }
+    });
+
+    // Walk from stops reached by vehicle in this round
+    current.tripParents.forEach((parent, from) => {
+      footpaths[from].forEach(({ to, seconds }) => {
+        const arrival = parent.arrivalTime + seconds;
+        if (arrival < best[to] && arrival < bestAtDestination) {
+          current.arrivals[to] = arrival;
+          current.parents[to] = {
+            type: 'walk',
+            round: k,
+            fromStop: from,
+            departureTime: parent.arrivalTime,
+            arrivalTime: arrival,
+          };
+          best[to] = arrival;
+          marked.add(to);
+        }
+      });
+    });
+
+    rounds.push(current);
+
+    // Record a journey whenever this round improves arrival at the destination
+    let roundBest = null;
+    resolvedTargets.forEach((target) => {
+      const parent = current.parents[target.stop];
+      if (!parent || parent.round !== k) return;
+      const arrival = current.arrivals[target.stop] + target.walkSeconds;
+      if (arrival < bestAtDestination) {
+        bestAtDestination = arrival;
+        roundBest = target;
+      }
+    });
+
+    if (roundBest) {
+      journeys.push(
+        _reconstructJourney(timetable, rounds, roundBest, k, bestAtDestination)
+      );
+    }
+  }
+
+  return journeys;
+}
+
+/**
+ * Run a RAPTOR latest-departure (arrive-by) search
+ * @param {Object} reversedTimetable - Timetable from reverseTimetable
+ * @param {Object} query - Search query
+ * @param {Array} query.origins - [{stopId, walkSeconds}] stops near the origin and the walk to each
+ * @param {Array} query.destinations - [{stopId, time}] latest time (seconds) to reach each stop
+ * @param {number} query.maxTransfers - Maximum number of transfers (default: 3)
+ * @param {number} query.minTransferSeconds - Time to change vehicles at one stop (default: 120)
+ * @returns {Array} Pareto-optimal journeys (departure time vs. number of transfers),
+ *   with departureTime at the first boarding and arrivalTime at the last alighting
+ */
+export function raptorSearchArriveBy(reversedTimetable, query) {
+  const { origins = [], destinations = [], ...options } = query;
+  const journeys = raptorSearch(reversedTimetable, {
+    ...options,
+    sources: destinations.map((destination) => ({
+      stopId: destination.stopId,
+      time: -destination.time,
+    })),
+    targets: origins,
+  });
+  return journeys.map(_unreverseJourney);
+}
+
+/**
+ * Turn a journey found on a reversed timetable back into forward order
+ * @private
+ */
+function _unreverseJourney(journey) {
+  const legs = [...journey.legs].reverse().map((leg) => {
+    const forwardLeg = {
+      ...leg,
+      fromStopId: leg.toStopId,
+      toStopId: leg.fromStopId,
+      departureTime: -leg.arrivalTime,
+      arrivalTime: -leg.departureTime,
+    };
+    if (leg.stopIds) {
+      forwardLeg.stopIds = [...leg.stopIds].reverse();
+    }
+    return forwardLeg;
+  });
+
+  return {
+    transfers: journey.transfers,
+    originStopId: journey.targetStopId,
+    targetStopId: journey.originStopId,
+    accessWalkSeconds: journey.egressWalkSeconds,
+    departureTime: legs[0].departureTime,
+    arrivalTime: legs[legs.length - 1].arrivalTime,
+    legs,
+  };
+}
+
+/**
+ * Walk parent pointers back from a target to build the journey's legs
+ * @private
+ */
+function _reconstructJourney(timetable, rounds, target, round, arrivalTime) {
+  const { stopIds, patterns } = timetable;
+  const legs = [];
+  let stop = target.stop;
+  let k = round;
+
+  while (k > 0) {
+    let parent = rounds[k].parents[stop];
+    if (!parent || parent.type === 'source') break;
+
+    if (parent.type === 'walk') {
+      legs.unshift({
+        type: 'walk',
+        fromStopId: stopIds[parent.fromStop],
+        toStopId: stopIds[stop],
+        departureTime: parent.departureTime,
+        arrivalTime: parent.arrivalTime,
+      });
+      stop = parent.fromStop;
+      parent = rounds[parent.round].tripParents.get(stop);
+    }
+
+    const pattern = patterns[parent.patternIndex];
+    const trip = pattern.trips[parent.tripIndex];
+    const transitLeg = {
+      type: 'transit',
+      routeId: pattern.routeId,
+      directionId: pattern.directionId,
+      tripId: trip.tripId,
+      headsign: trip.headsign,
+      fromStopId: stopIds[parent.boardStop],
+      toStopId: stopIds[stop],
+      stopIds: pattern.stops
+        .slice(parent.boardPosition, parent.alightPosition + 1)
+        .map((index) => stopIds[index]),
+      departureTime: parent.departureTime,
+      arrivalTime: parent.arrivalTime,
+    };
+    if (trip.delaySeconds !== undefined) {
+      transitLeg.delaySeconds = trip.delaySeconds;
+    }
+    legs.unshift(transitLeg);
+
+    stop = parent.boardStop;
+    k = parent.round - 1;
+  }
+
+  const transitLegs = legs.filter((leg) => leg.type === 'transit');
+  return {
+    transfers: Math.max(0, transitLegs.length - 1),
+    originStopId: stopIds[stop],
+    targetStopId: stopIds[target.stop],
+    egressWalkSeconds: target.walkSeconds,
+    departureTime: legs.length > 0 ? legs[0].departureTime : null,
+    arrivalTime,
+    legs,
+  };
+}
@@ -2,18 +2,104 @@
  * Trip Routing Service
  * Multi-modal trip planning (walking + transit + walking)
  * Similar to Google Maps transit routing
+ *
+ * Transit legs come from a RAPTOR search over the GTFS timetable
+ * (see raptorRouter.js), so boardings, transfers and times are real.
+ * Trips leaving within the next hour are shifted by their live
+ * OneBusAway delays first, so a connection a delay has broken is not offered.
+ * Step-free trips (options.accessibility) use only wheelchair-accessible
+ * stops and trips, and avoid stations with a reported elevator outage.
  */
 
 import locationService from '../location/locationService';
 import metroService from '../gtfs/metroService';
+import gtfsStore from '../gtfs/gtfsStore';
+import { expandFrequencyTrip } from '../gtfs/frequencies';
 import obaService from '../onebusaway/obaService';
 import reliabilityService from '../reliability/reliabilityService';
+import fareService from '../fare/fareService';
 import geocodingService from '../geocoding/geocodingService';
+import elevationService from '../elevation/elevationService';
+import stService from '../soundtransit/stService';
+import {
+  DEFAULT_MIN_TRANSFER_SECONDS,
+  addFootpath,
+  applyTransfers,
+  applyTripDelays,
+  createTimetableBuilder,
+  deserializeTimetable,
+  raptorSearch,
+  raptorSearchArriveBy,
+  restrictTimetable,
+  reverseTimetable,
+  selectServiceDays,
+  serializeTimetable,
+} from './raptorRouter';
+import { selectParetoItineraries } from './itineraryPareto';
+import { gtfsToObaRouteId, gtfsToObaStopId } from '../../utils/idMapping';
+import { createSpatialIndex } from '../../utils/spatialIndex';
+import { ACCESSIBILITY_PROFILES, TRANSFER_TYPES } from '../../utils/constants';
+import {
+  SECONDS_PER_DAY,
+  formatGTFSDate,
+  getServiceDayStart,
+  toServiceSeconds,
+  fromServiceSeconds,
+} from '../../utils/gtfsTime';
 
 // Average walking speed: 5 km/h = 1.39 m/s = 83.4 m/min
 const WALKING_SPEED_M_PER_MIN = 83.4;
 
+// Longest walk between two stops considered for a transfer
+const MAX_TRANSFER_WALK_METERS = 400;
+
+// Number of per-day timetables kept in memory (e.g., today and tomorrow)
+const MAX_CACHED_SERVICE_DAYS = 2;
+
+// Journeys searched per requested option, so slower trips with fewer
+// transfers, better reliability or a lower fare can make the Pareto set
+const CANDIDATES_PER_RESULT = 3;
+
+// Bumped when the stored routing index layout changes, so older copies are rebuilt
+const ROUTING_INDEX_FORMAT = 1;
+
+// Trips leaving this soon use live OneBusAway delays; later ones use the schedule
+const REALTIME_WINDOW_SECONDS = 60 * 60;
+
+// Stops near the origin asked for arrivals, nearest first, to limit API calls
+const MAX_REALTIME_STOPS = 6;
+
+// Trips asked for their delay after a search, e.g. those boarded after a transfer
+const MAX_REALTIME_TRIPS = 8;
+
+// Agency prefix of Sound Transit ids; its alerts use the feed's bare ids
+const SOUND_TRANSIT_AGENCY_ID = '40';
+
+// Searches re-run for a step-free trip after its walking transfers prove too steep
+const MAX_FOOTPATH_SEARCHES = 3;
+
 class TripRoutingService {
+  constructor() {
+    this._timetables = new Map(); // YYYYMMDD -> {timetable, reverse}
+    this._timetableVersion = null; // GTFS version the cached timetables were built from
+    this._routingIndex = null; // {version, promise} timetable of every trip, with footpaths
+  }
+
+  /**
+   * Load or build the routing index ahead of the first trip plan
+   * Called once GTFS data is loaded; the index is stored with the GTFS
+   * version, so later launches only read it back.
+   * @returns {Promise<boolean>} True if the index is ready
+   */
+  async prepareRoutingIndex() {
+    try {
+      return Boolean(await this._getRoutingIndex());
+    } catch (error) {
+      console.error('Error preparing routing index:', error);
+      return false;
+    }
+  }
+
   /**
    * Find nearest transit stop to a location
    * @param {number} lat - Latitude
@@ -24,20 +110,8 @@ class TripRoutingService {
   async findNearestStop(lat, lon, maxDistanceMeters = 1000) {
     try {
       await metroService.initialize();
-      const allStops = metroService.stops || [];
-      
-      const nearbyStops = locationService.findNearbyStops(
-        lat,
-        lon,
-        allStops,
-        maxDistanceMeters
-      );
-
-      if (nearbyStops.length === 0) {
-        return null;
-      }
-
-      return nearbyStops[0]; // Already sorted by distance
+      const [nearestStop] = metroService.getNearestStops(lat, lon, 1, maxDistanceMeters);
+      return nearestStop || null;
     } catch (error) {
       console.error('Error finding nearest stop:', error);
       return null;
@@ -68,15 +142,31 @@ class TripRoutingService {
    * Supports addresses, stops, or coordinates
    * @param {Object} origin - {address, lat, lon, stopId, stop}
    * @param {Object} destination - {address, lat, lon, stopId, stop}
-   * @param {Object} options - {mode: 'fast'|'safe', maxWalkingDistance: 1000}
-   * @returns {Promise<Array>} Array of itinerary options
+   * @param {Object} options - {mode: 'fast'|'safe', maxWalkingDistance: 1000, maxResults: 5,
+   *   departAt: Date|timestamp to leave at (default: now),
+   *   arriveBy: Date|timestamp to arrive by (searches backward; overrides departAt),
+   *   fareType: FareService fare type (default: 'adult'),
+   *   accessibility: ACCESSIBILITY_PROFILES key such as 'wheelchair' for a step-free
+   *   trip; its walking distance and slope limits apply (default: null)}
+   * @returns {Promise<Array>} Itinerary options that are not beaten on arrival time,
+   *   transfers, expected reliability and fare all at once, each with the reasons it
+   *   was kept (see selectParetoItineraries) and its realtimeCoverage (see
+   *   _describeRealtimeCoverage); mode sets their order
    */
   async planTrip(origin, destination, options = {}) {
     const {
       mode = 'fast',
       maxWalkingDistance = 1000, // meters
       maxResults = 5,
+      departAt = null,
+      arriveBy = null,
+      fareType = 'adult',
+      accessibility = null,
     } = options;
+    const profile = ACCESSIBILITY_PROFILES[accessibility] || null;
+    const walkLimit = profile
+      ? Math.min(maxWalkingDistance, profile.maxWalkingDistance)
+      : maxWalkingDistance;
 
     try {
       // Step 1: Resolve origin location
@@ -91,102 +181,158 @@ class TripRoutingService {
         throw new Error('Could not resolve destination location');
       }
 
-      // Step 3: Find nearest stops
-      const originStop = await this.findNearestStop(
-        originLocation.lat,
-        originLocation.lon,
-        maxWalkingDistance
-      );
-      const destStop = await this.findNearestStop(
-        destLocation.lat,
-        destLocation.lon,
-        maxWalkingDistance
-      );
+      // Step 3: Find every stop within walking distance of each end, so the
+      // search can pick a farther stop with a faster or more direct route
+      let accessStops = this._getStopsWithinWalk(originLocation, walkLimit);
+      let egressStops = this._getStopsWithinWalk(destLocation, walkLimit);
+      let stepFree = null;
+      if (profile) {
+        // Alerts and elevations come from different services, so wait for them together
+        const [restriction, steepAccessStops, steepEgressStops] = await Promise.all([
+          this._getStepFreeRestriction(profile),
+          this._getSteepStops(originLocation, accessStops, profile.maxSlopePercent),
+          this._getSteepStops(destLocation, egressStops, profile.maxSlopePercent),
+        ]);
+        stepFree = restriction;
+        accessStops = this._getStepFreeStops(accessStops, stepFree, steepAccessStops);
+        egressStops = this._getStepFreeStops(egressStops, stepFree, steepEgressStops);
+      }
 
-      if (!originStop) {
-        throw new Error(`No transit stops found within ${maxWalkingDistance}m of origin`);
+      const stopsText = stepFree ? 'wheelchair-accessible stops' : 'transit stops';
+      if (accessStops.size === 0) {
+        throw new Error(`No ${stopsText} found within ${walkLimit}m of origin`);
       }
-      if (!destStop) {
-        throw new Error(`No transit stops found within ${maxWalkingDistance}m of destination`);
+      if (egressStops.size === 0) {
+        throw new Error(`No ${stopsText} found within ${walkLimit}m of destination`);
       }
 
-      // Step 4: Calculate walking legs
-      const walkToOriginStop = this.calculateWalkingLeg(
-        originLocation.lat,
-        originLocation.lon,
-        originStop.stop_lat || originStop.lat,
-        originStop.stop_lon || originStop.lon
-      );
-      const walkFromDestStop = this.calculateWalkingLeg(
-        destStop.stop_lat || destStop.lat,
-        destStop.stop_lon || destStop.lon,
-        destLocation.lat,
-        destLocation.lon
-      );
+      // Step 4: Search the timetable for journeys between the stops, with
+      // live delays when leaving within the next hour
+      const queryTime = new Date(arriveBy || departAt || Date.now()).getTime();
+      const serviceDayStart = getServiceDayStart(queryTime);
+      const query = {
+        serviceDayStart,
+        arriveBy: !!arriveBy,
+        time: toServiceSeconds(queryTime),
+        maxResults: maxResults * CANDIDATES_PER_RESULT,
+        live: await this._getLiveDelays(accessStops, queryTime, serviceDayStart),
+        restriction: stepFree,
+      };
+      let journeys = await this._findTransitRoutes(accessStops, egressStops, query);
+      // Trips boarded after a transfer are only known once a search has run
+      if (query.live && (await this._addTripDelays(journeys, query.live))) {
+        journeys = await this._findTransitRoutes(accessStops, egressStops, query);
+      }
+      // Walking transfers are only checked for slope once a search has used them
+      if (stepFree) {
+        let searches = 0;
+        while (
+          (await this._checkFootpathSlopes(journeys, stepFree)) &&
+          searches < MAX_FOOTPATH_SEARCHES
+        ) {
+          journeys = await this._findTransitRoutes(accessStops, egressStops, query);
+          searches++;
+        }
+        // The last check may have found steep walks with no search left to avoid them
+        journeys = journeys.filter((journey) =>
+          journey.legs.every(
+            (leg) => leg.type !== 'walk' || stepFree.isFootpathAllowed(leg.fromStopId, leg.toStopId)
+          )
+        );
+      }
 
-      // Step 5: Find transit routes between stops
-      const transitOptions = await this._findTransitRoutes(
-        originStop,
-        destStop,
-        mode
-      );
+      // Step 5: Build complete itineraries, walking to and from the stops each journey uses
+      const itineraries = journeys.map((journey, index) => {
+        const transitLegs = this._buildJourneyLegs(journey, serviceDayStart);
+        const firstDeparture = transitLegs[0].startTime;
+        const lastArrival = transitLegs[transitLegs.length - 1].endTime;
+        const { stop: originStop, walk: walkToOriginStop } = accessStops.get(journey.originStopId);
+        const { stop: destStop, walk: walkFromDestStop } = egressStops.get(journey.targetStopId);
+
+        const legs = [
+          {
+            mode: 'WALK',
+            duration: walkToOriginStop.duration,
+            distance: walkToOriginStop.distance,
+            startTime: firstDeparture - walkToOriginStop.duration * 60000,
+            endTime: firstDeparture,
+            from: {
+              lat: originLocation.lat,
+              lon: originLocation.lon,
+              address: originLocation.address,
+            },
+            to: {
+              lat: originStop.stop_lat || originStop.lat,
+              lon: originStop.stop_lon || originStop.lon,
+              name: originStop.stop_name || originStop.name,
+            },
+          },
+          ...transitLegs,
+          {
+            mode: 'WALK',
+            duration: walkFromDestStop.duration,
+            distance: walkFromDestStop.distance,
+            startTime: lastArrival,
+            endTime: lastArrival + walkFromDestStop.duration * 60000,
+            from: {
+              lat: destStop.stop_lat || destStop.lat,
+              lon: destStop.stop_lon || destStop.lon,
+              name: destStop.stop_name || destStop.name,
+            },
+            to: {
+              lat: destLocation.lat,
+              lon: destLocation.lon,
+              address: destLocation.address,
+            },
+          },
+        ];
 
-      // Step 6: Build complete itineraries
-      const itineraries = transitOptions.map((transitOption, index) => {
-        const totalWalkTime = walkToOriginStop.duration + walkFromDestStop.duration;
-        const totalTransitTime = transitOption.duration || 30;
-        const totalDuration = totalWalkTime + totalTransitTime + (transitOption.waitTime || 5);
+        const startTime = legs[0].startTime;
+        const endTime = legs[legs.length - 1].endTime;
+        const duration = Math.round((endTime - startTime) / 60000);
+        const walkTime = legs
+          .filter((leg) => leg.mode === 'WALK')
+          .reduce((sum, leg) => sum + leg.duration, 0);
+        const transitTime = legs
+          .filter((leg) => leg.mode !== 'WALK')
+          .reduce((sum, leg) => sum + leg.duration, 0);
+
+        // Reliability data is keyed by OneBusAway route IDs
+        const reliability = reliabilityService.calculateItineraryReliability(
+          legs.map((leg) =>
+            leg.mode === 'WALK' ? leg : { ...leg, routeId: gtfsToObaRouteId(leg.routeId) }
+          )
+        );
 
         return {
           id: `itinerary-${index + 1}`,
-          startTime: Date.now() + (walkToOriginStop.duration + (transitOption.waitTime || 5)) * 60000,
-          endTime: Date.now() + totalDuration * 60000,
-          duration: totalDuration,
-          walkTime: totalWalkTime,
-          transitTime: totalTransitTime,
-          waitingTime: transitOption.waitTime || 5,
-          legs: [
-            {
-              mode: 'WALK',
-              duration: walkToOriginStop.duration,
-              distance: walkToOriginStop.distance,
-              from: {
-                lat: originLocation.lat,
-                lon: originLocation.lon,
-                address: originLocation.address,
-              },
-              to: {
-                lat: originStop.stop_lat || originStop.lat,
-                lon: originStop.stop_lon || originStop.lon,
-                name: originStop.stop_name || originStop.name,
-              },
-            },
-            ...transitOption.legs,
-            {
-              mode: 'WALK',
-              duration: walkFromDestStop.duration,
-              distance: walkFromDestStop.distance,
-              from: {
-                lat: destStop.stop_lat || destStop.lat,
-                lon: destStop.stop_lon || destStop.lon,
-                name: destStop.stop_name || destStop.name,
-              },
-              to: {
-                lat: destLocation.lat,
-                lon: destLocation.lon,
-                address: destLocation.address,
-              },
-            },
-          ],
-          overallReliability: transitOption.reliability || 'medium',
-          transferRisks: transitOption.transferRisks || [],
-          rank: index + 1,
+          startTime,
+          endTime,
+          duration,
+          walkTime,
+          transitTime,
+          waitingTime: Math.max(0, duration - walkTime - transitTime),
+          transfers: journey.transfers,
+          legs,
+          overallReliability: reliability.overallReliability,
+          expectedReliability: reliability.expectedReliability,
+          transferRisks: reliability.transferRisks,
+          fare: fareService.getItineraryFare(legs, { fareType }),
+          realtimeCoverage: this._describeRealtimeCoverage(
+            transitLegs.filter((leg) => leg.mode !== 'WALK')
+          ),
         };
       });
 
+      // Step 6: Keep the options that are a real trade-off against the others
+      const paretoItineraries = selectParetoItineraries(itineraries, {
+        arriveBy: !!arriveBy,
+        maxResults,
+      });
+
       // Sort by mode preference
       if (mode === 'safe') {
-        itineraries.sort((a, b) => {
+        paretoItineraries.sort((a, b) => {
           const reliabilityOrder = { high: 3, medium: 2, low: 1 };
           const aRel = typeof a.overallReliability === 'string' 
             ? a.overallReliability 
@@ -196,21 +342,314 @@ class TripRoutingService {
             : b.overallReliability?.reliability || 'medium';
           return (
             (reliabilityOrder[bRel] || 2) - (reliabilityOrder[aRel] || 2) ||
+            (b.expectedReliability ?? 0) - (a.expectedReliability ?? 0) ||
             (a.transferRisks?.length || 0) - (b.transferRisks?.length || 0) ||
             a.duration - b.duration
           );
         });
       } else {
-        itineraries.sort((a, b) => a.duration - b.duration);
+        paretoItineraries.sort((a, b) => a.duration - b.duration);
       }
 
-      return itineraries.slice(0, maxResults);
+      return paretoItineraries.map((itinerary, index) => ({ ...itinerary, rank: index + 1 }));
     } catch (error) {
       console.error('Error planning trip:', error);
       throw error;
     }
   }
 
+  /**
+   * Find the stops a rider can walk to from a location
+   * A station's platforms share the walk to the station's closest platform or entrance.
+   * @private
+   * @param {Object} location - {lat, lon}
+   * @param {number} maxDistanceMeters - Longest walk considered
+   * @returns {Map} Boarding stop_id -> {stop, walk} with stop the stop or station
+   *   riders see and walk from calculateWalkingLeg
+   */
+  _getStopsWithinWalk(location, maxDistanceMeters) {
+    const stopsWithinWalk = new Map();
+    metroService.getStopsNear(location.lat, location.lon, maxDistanceMeters).forEach((stop) => {
+      const walk = {
+        distance: stop.distance,
+        duration: Math.ceil(stop.distance / WALKING_SPEED_M_PER_MIN),
+        mode: 'WALK',
+      };
+      metroService.getBoardingStopIds(stop.stop_id).forEach((stopId) => {
+        stopsWithinWalk.set(stopId, { stop, walk });
+      });
+    });
+    return stopsWithinWalk;
+  }
+
+  /**
+   * Get what a step-free trip may ride and use
+   * Only stops and trips marked wheelchair accessible in the GTFS are
+   * allowed, and the platforms of stations named in a Sound Transit
+   * ACCESSIBILITY_ISSUE alert (such as an elevator outage) are avoided.
+   * @private
+   * @param {Object} profile - Entry of ACCESSIBILITY_PROFILES
+   * @returns {Promise<Object>} {isTripAllowed, isStopAllowed, isFootpathAllowed}
+   *   for restrictTimetable and _getStepFreeStops, with the maxSlopePercent
+   *   and footpathGrades _checkFootpathSlopes fills in
+   */
+  async _getStepFreeRestriction(profile) {
+    const outageStopIds = new Set();
+    const alerts = await stService.getLinkAlerts({ filterActive: true });
+    alerts
+      .filter((alert) => alert.effect === 'ACCESSIBILITY_ISSUE')
+      .forEach((alert) => {
+        (alert.affectedStops || []).forEach((alertStopId) => {
+          const stopId = gtfsToObaStopId(alertStopId, SOUND_TRANSIT_AGENCY_ID);
+          const station = metroService.getStation(stopId);
+          metroService
+            .getBoardingStopIds(station ? station.stop_id : stopId)
+            .forEach((boardingStopId) => outageStopIds.add(boardingStopId));
+        });
+      });
+    if (outageStopIds.size > 0) {
+      console.log(`♿ Avoiding ${outageStopIds.size} stops with accessibility outages`);
+    }
+
+    const footpathGrades = new Map(); // "fromStopId>toStopId" -> steepest grade (%)
+    return {
+      isTripAllowed: (tripId) => metroService.isTripWheelchairAccessible(tripId),
+      isStopAllowed: (stopId) =>
+        !outageStopIds.has(stopId) && metroService.isStopWheelchairAccessible(stopId),
+      isFootpathAllowed: (fromStopId, toStopId) =>
+        !(footpathGrades.get(`${fromStopId}>${toStopId}`) > profile.maxSlopePercent),
+      maxSlopePercent: profile.maxSlopePercent,
+      footpathGrades,
+    };
+  }
+
+  /**
+   * Find the stops near a location whose walk is too steep for a wheelchair
+   * A walk is too steep when any stretch of it is steeper than
+   * maxSlopePercent, see elevationService.getSteepestGrades.
+   * @private
+   * @param {Object} location - {lat, lon} the walk starts or ends at
+   * @param {Map} stopsWithinWalk - Boarding stop_id -> {stop, walk}, see _getStopsWithinWalk
+   * @param {number} maxSlopePercent - Steepest grade allowed
+   * @returns {Promise<Set>} Stops (the stop of each {stop, walk}) that are too
+   *   steep to reach; empty when elevations are unavailable
+   */
+  async _getSteepStops(location, stopsWithinWalk, maxSlopePercent) {
+    // Platforms of a station share the station's stop and walk
+    const stops = [...new Set([...stopsWithinWalk.values()].map(({ stop }) => stop))];
+    if (stops.length === 0) {
+      return new Set();
+    }
+
+    const grades = await elevationService.getSteepestGrades(
+      stops.map((stop) => ({
+        from: location,
+        to: { lat: parseFloat(stop.stop_lat), lon: parseFloat(stop.stop_lon) },
+        distance: stop.distance,
+      }))
+    );
+    if (!grades) {
+      console.warn('⚠️ Elevations unavailable - walking slopes not checked');
+      return new Set();
+    }
+    return new Set(stops.filter((stop, index) => grades[index] > maxSlopePercent));
+  }
+
+  /**
+   * Keep the stops near a location a step-free trip can start or end at
+   * @private
+   * @param {Map} stopsWithinWalk - Boarding stop_id -> {stop, walk}, see _getStopsWithinWalk
+   * @param {Object} stepFree - Result of _getStepFreeRestriction
+   * @param {Set} steepStops - Result of _getSteepStops
+   * @returns {Map} Boarding stop_id -> {stop, walk} of the usable stops
+   */
+  _getStepFreeStops(stopsWithinWalk, stepFree, steepStops) {
+    return new Map(
+      [...stopsWithinWalk].filter(
+        ([stopId, { stop }]) => stepFree.isStopAllowed(stopId) && !steepStops.has(stop)
+      )
+    );
+  }
+
+  /**
+   * Check the slope of the walking transfers step-free journeys use
+   * There are too many footpaths to look up before searching, so only the
+   * walks a search picked are checked. Their grades go into
+   * stepFree.footpathGrades, which blocks the steep ones in later searches.
+   * Walks between platforms of one station use its own step-free paths and
+   * are not checked.
+   * @private
+   * @param {Array} journeys - Journeys from _findTransitRoutes
+   * @param {Object} stepFree - Result of _getStepFreeRestriction
+   * @returns {Promise<boolean>} True if a walk was found too steep
+   */
+  async _checkFootpathSlopes(journeys, stepFree) {
+    const walks = new Map(); // "fromStopId>toStopId" -> {from, to, distance}
+    journeys.forEach((journey) => {
+      journey.legs.forEach((leg) => {
+        const key = `${leg.fromStopId}>${leg.toStopId}`;
+        if (leg.type !== 'walk' || walks.has(key) || stepFree.footpathGrades.has(key)) {
+          return;
+        }
+        const station = metroService.getStation(leg.fromStopId);
+        if (station && station === metroService.getStation(leg.toStopId)) {
+          return;
+        }
+
+        const fromStop = metroService.getStopById(leg.fromStopId);
+        const toStop = metroService.getStopById(leg.toStopId);
+        if (!fromStop || !toStop) {
+          return;
+        }
+        const from = { lat: parseFloat(fromStop.stop_lat), lon: parseFloat(fromStop.stop_lon) };
+        const to = { lat: parseFloat(toStop.stop_lat), lon: parseFloat(toStop.stop_lon) };
+        walks.set(key, {
+          from,
+          to,
+          distance: locationService.calculateDistance(from.lat, from.lon, to.lat, to.lon),
+        });
+      });
+    });
+    if (walks.size === 0) {
+      return false;
+    }
+
+    const grades = await elevationService.getSteepestGrades([...walks.values()]);
+    if (!grades) {
+      console.warn('⚠️ Elevations unavailable - walking transfer slopes not checked');
+      return false;
+    }
+    [...walks.keys()].forEach((key, index) => stepFree.footpathGrades.set(key, grades[index]));
+    return grades.some((grade) => grade > stepFree.maxSlopePercent);
+  }
+
+  /**
+   * Get the live delays of trips leaving the stops nearest the origin
+   * Only searches leaving (or arriving) within REALTIME_WINDOW_SECONDS use
+   * live data, and only when a OneBusAway key is configured.
+   * @private
+   * @param {Map} accessStops - Boarding stop_id -> {stop, walk} near the origin
+   * @param {number} queryTime - Timestamp (ms) to leave at or arrive by
+   * @param {number} serviceDayStart - Timestamp (ms) of the service day's midnight
+   * @returns {Promise<Object|null>} {delays, checkedTripIds, fromTime, toTime} where
+   *   delays is trip_id -> seconds late (0 when on time) and the times are seconds
+   *   since service day start bounding the trips they apply to; null for schedule only
+   */
+  async _getLiveDelays(accessStops, queryTime, serviceDayStart) {
+    const now = Date.now();
+    if (
+      !obaService.isConfigured() ||
+      queryTime < now - 60000 ||
+      queryTime > now + REALTIME_WINDOW_SECONDS * 1000
+    ) {
+      return null;
+    }
+
+    try {
+      const fromTime = Math.floor((now - serviceDayStart) / 1000);
+      const live = {
+        delays: new Map(),
+        checkedTripIds: new Set(),
+        fromTime,
+        toTime: fromTime + REALTIME_WINDOW_SECONDS,
+      };
+      const nearestStopIds = [...accessStops.entries()]
+        .sort(([, a], [, b]) => a.walk.distance - b.walk.distance)
+        .slice(0, MAX_REALTIME_STOPS)
+        .map(([stopId]) => stopId);
+      const arrivals = await Promise.all(
+        nearestStopIds.map((stopId) =>
+          obaService.getArrivalsForStop(gtfsToObaStopId(stopId), {
+            minutesBefore: 0,
+            minutesAfter: REALTIME_WINDOW_SECONDS / 60,
+            scheduleFallback: false,
+          })
+        )
+      );
+      arrivals.flat().forEach((arrival) => {
+        live.checkedTripIds.add(arrival.tripId);
+        if (arrival.predicted) {
+          live.delays.set(
+            arrival.tripId,
+            Math.round((arrival.predictedArrivalTime - arrival.scheduledArrivalTime) / 1000)
+          );
+        }
+      });
+      console.log(`📡 Live delays for ${live.delays.size} trips near the origin`);
+      return live;
+    } catch (error) {
+      console.error('Error getting live delays:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Add the live delays of trips the journeys use that the origin's arrivals
+   * did not cover, such as the vehicles boarded after a transfer
+   * @private
+   * @param {Array} journeys - RAPTOR journeys
+   * @param {Object} live - Result of _getLiveDelays, updated in place
+   * @returns {Promise<boolean>} True if a trip turned out to run off schedule,
+   *   so the journeys should be searched again
+   */
+  async _addTripDelays(journeys, live) {
+    const tripIds = [
+      ...new Set(
+        journeys.flatMap((journey) =>
+          journey.legs
+            .filter((leg) => leg.type === 'transit' && leg.departureTime <= live.toTime)
+            .map((leg) => leg.tripId)
+        )
+      ),
+    ]
+      .filter((tripId) => !live.checkedTripIds.has(tripId))
+      .slice(0, MAX_REALTIME_TRIPS);
+    tripIds.forEach((tripId) => live.checkedTripIds.add(tripId));
+
+    const details = await Promise.all(tripIds.map((tripId) => obaService.getTripDetails(tripId)));
+    let offSchedule = false;
+    details.forEach((entry, i) => {
+      // scheduleDeviation is in seconds, positive when late
+      const status = entry?.status;
+      if (!status?.predicted) return;
+      const delaySeconds = Math.round(status.scheduleDeviation || 0);
+      live.delays.set(tripIds[i], delaySeconds);
+      offSchedule = offSchedule || delaySeconds !== 0;
+    });
+    return offSchedule;
+  }
+
+  /**
+   * Describe how much of an itinerary's riding time has live predictions
+   * @private
+   * @param {Array} transitLegs - Transit legs from _buildJourneyLegs
+   * @returns {Object} {liveLegs, totalLegs, share, text} where share (0-1) is the
+   *   part of the riding minutes on live trips
+   */
+  _describeRealtimeCoverage(transitLegs) {
+    const liveLegs = transitLegs.filter((leg) => leg.realtime);
+    const minutes = (legs) => legs.reduce((sum, leg) => sum + leg.duration, 0);
+    const totalMinutes = minutes(transitLegs);
+    const share =
+      totalMinutes > 0
+        ? minutes(liveLegs) / totalMinutes
+        : liveLegs.length / Math.max(1, transitLegs.length);
+
+    let text = 'Scheduled times';
+    if (liveLegs.length > 0 && liveLegs.length === transitLegs.length) {
+      text = 'Live times';
+    } else if (liveLegs.length > 0) {
+      text = `Live times for ${liveLegs.length} of ${transitLegs.length} rides`;
+    }
+
+    return {
+      liveLegs: liveLegs.length,
+      totalLegs: transitLegs.length,
+      share: Math.round(share * 100) / 100,
+      text,
+    };
+  }
+
   /**
    * Resolve a location from various input types
    * @private
@@ -266,83 +705,285 @@ class TripRoutingService {
   }
 
   /**
-   * Find transit routes between two stops
+   * Get the RAPTOR timetable for a service day, rebuilding it when stop_times change
+   * Includes the previous day's trips that run past midnight (GTFS times >= 24:00)
    * @private
-   * @param {Object} originStop - Origin stop object
-   * @param {Object} destStop - Destination stop object
-   * @param {string} mode - 'fast' or 'safe'
-   * @returns {Promise<Array>} Array of transit route options
+   * @param {number} serviceDayStart - Timestamp (ms) of the service day's midnight
+   * @returns {Promise<Object|null>} Timetable, or null if stop_times are unavailable
    */
-  async _findTransitRoutes(originStop, destStop, mode) {
-    try {
-      // Get routes serving each stop
-      const originRoutes = await metroService.getRoutesForStop(originStop.stop_id);
-      const destRoutes = await metroService.getRoutesForStop(destStop.stop_id);
+  async _getTimetable(serviceDayStart) {
+    if ((await metroService.getStopTimeCount()) === 0) {
+      return null;
+    }
 
-      if (originRoutes.length === 0 || destRoutes.length === 0) {
-        return [];
-      }
+    // A new GTFS download invalidates every cached timetable
+    if (this._timetableVersion !== metroService.version) {
+      this._timetables = new Map();
+      this._timetableVersion = metroService.version;
+    }
+
+    const serviceDate = formatGTFSDate(serviceDayStart);
+    const cached = this._timetables.get(serviceDate);
+    if (cached) {
+      return cached.timetable;
+    }
+
+    const index = await this._getRoutingIndex();
+    if (!index) {
+      return null;
+    }
+
+    // Service days start an hour off midnight when the clocks change, so step
+    // back half a day rather than a calendar day
+    const previousDay = getServiceDayStart(serviceDayStart - 12 * 60 * 60 * 1000);
+    const serviceDays = metroService.hasCalendar()
+      ? [
+          { serviceIds: metroService.getActiveServiceIds(serviceDayStart), offsetSeconds: 0 },
+          {
+            serviceIds: metroService.getActiveServiceIds(previousDay),
+            offsetSeconds: -SECONDS_PER_DAY,
+          },
+        ]
+      : [{ serviceIds: null, offsetSeconds: 0 }];
+    const timetable = selectServiceDays(index, serviceDays);
+
+    // Keep only the most recently built service days in memory
+    if (this._timetables.size >= MAX_CACHED_SERVICE_DAYS) {
+      this._timetables.delete(this._timetables.keys().next().value);
+    }
+    this._timetables.set(serviceDate, { timetable, reverse: null });
 
-      const options = [];
+    return timetable;
+  }
+
+  /**
+   * Get the routing index: a timetable of every trip on every service day,
+   * with station, walking and transfers.txt footpaths applied
+   * Read from the GTFS store when it was saved for the loaded GTFS version,
+   * otherwise built from stop_times and saved. Each day's timetable is
+   * selected from it, so stop_times are only read when the feed changes.
+   * @private
+   * @returns {Promise<Object|null>} Timetable, or null if stop_times are unavailable
+   */
+  async _getRoutingIndex() {
+    if ((await metroService.getStopTimeCount()) === 0) {
+      return null;
+    }
 
-      // Option 1: Direct route (same route serves both stops)
-      const directRoutes = originRoutes.filter((route) =>
-        destRoutes.some((dr) => dr.route_id === route.route_id)
+    const version = `${ROUTING_INDEX_FORMAT}:${metroService.version}`;
+    if (!this._routingIndex || this._routingIndex.version !== version) {
+      const promise = this._loadRoutingIndex(version);
+      this._routingIndex = { version, promise };
+      // Let a later call retry a failed build
+      promise.catch(() => {
+        if (this._routingIndex && this._routingIndex.promise === promise) {
+          this._routingIndex = null;
+        }
+      });
+    }
+    return this._routingIndex.promise;
+  }
+
+  /**
+   * @private
+   */
+  async _loadRoutingIndex(version) {
+    const stored = await gtfsStore.getRoutingIndex(version);
+    if (stored) {
+      const index = deserializeTimetable(stored);
+      console.log(`🧭 Routing index loaded: ${index.patterns.length} patterns`);
+      return index;
+    }
+
+    console.log('🧭 Building routing index...');
+    const startedAt = Date.now();
+    // Stream trips from the GTFS store so stop_times are never all in memory
+    const builder = createTimetableBuilder({ trips: metroService.trips });
+    await gtfsStore.forEachTrip((tripId, tripStopTimes) => {
+      const frequencies = metroService.getFrequenciesForTrip(tripId);
+      if (frequencies.length === 0) {
+        builder.addTrip(tripId, tripStopTimes);
+        return;
+      }
+      // Headway-based trips are added once per run
+      expandFrequencyTrip(tripStopTimes, frequencies).forEach((run) =>
+        builder.addTrip(tripId, run.stopTimes)
       );
+    });
+    const index = builder.build();
+    this._addStationTransfers(index);
+    this._addWalkingTransfers(index);
+    // Feed-provided rules override the estimated transfer times
+    applyTransfers(index, metroService.transfers);
+    console.log(
+      `🧭 Routing index ready: ${index.patterns.length} patterns, ` +
+        `${index.stopIds.length} stops (${Date.now() - startedAt}ms)`
+    );
 
-      for (const route of directRoutes.slice(0, 2)) {
-        const reliability = reliabilityService.getRouteReliability(route.route_id) || {
-          reliability: 'medium',
-          onTimePerformance: 0.7,
-          averageDelayMinutes: 5,
-        };
+    await gtfsStore.saveRoutingIndex(version, serializeTimetable(index));
+    return index;
+  }
 
-        // Estimate transit time (simplified - would use actual trip data in production)
-        const estimatedTime = 30; // minutes
-
-        options.push({
-          duration: estimatedTime,
-          waitTime: 5,
-          legs: [
-            {
-              mode: 'BUS',
-              routeId: route.route_id,
-              routeShortName: route.route_short_name,
-              routeLongName: route.route_long_name,
-              headsign: destStop.stop_name || 'Destination',
-              duration: estimatedTime,
-              reliability,
-              fromStop: originStop,
-              toStop: destStop,
-              from: {
-                lat: originStop.stop_lat || originStop.lat,
-                lon: originStop.stop_lon || originStop.lon,
-                name: originStop.stop_name || originStop.name,
-              },
-              to: {
-                lat: destStop.stop_lat || destStop.lat,
-                lon: destStop.stop_lon || destStop.lon,
-                name: destStop.stop_name || destStop.name,
-              },
-            },
-          ],
-          reliability: reliability.reliability,
-          transferRisks: [],
-        });
+  /**
+   * Connect the platforms of each station with footpaths
+   * A platform change costs the minimum transfer time, the same as changing
+   * vehicles at one stop, so it counts as a free transfer.
+   * @private
+   * @param {Object} timetable - Timetable from the builder
+   */
+  _addStationTransfers(timetable) {
+    timetable.stopIds.forEach((stopId) => {
+      const station = metroService.getStation(stopId);
+      if (!station) return;
+      metroService.getPlatformsForStation(station.stop_id).forEach((platform) => {
+        addFootpath(timetable, stopId, platform.stop_id, DEFAULT_MIN_TRANSFER_SECONDS);
+      });
+    });
+  }
+
+  /**
+   * Connect stops within walking distance of each other with footpaths
+   * A footpath takes the walk at WALKING_SPEED_M_PER_MIN plus the minimum
+   * transfer time, so crossing the street never beats changing at one stop.
+   * @private
+   * @param {Object} timetable - Timetable from the builder
+   */
+  _addWalkingTransfers(timetable) {
+    const stops = metroService.stops.filter((stop) => timetable.stopIndex.has(stop.stop_id));
+    const index = createSpatialIndex(stops);
+    stops.forEach((stop) => {
+      const lat = parseFloat(stop.stop_lat);
+      const lon = parseFloat(stop.stop_lon);
+      index.withinRadius(lat, lon, MAX_TRANSFER_WALK_METERS).forEach(({ item, distance }) => {
+        const seconds =
+          Math.ceil((distance / WALKING_SPEED_M_PER_MIN) * 60) + DEFAULT_MIN_TRANSFER_SECONDS;
+        addFootpath(timetable, stop.stop_id, item.stop_id, seconds);
+      });
+    });
+  }
+
+  /**
+   * Get the time-reversed timetable used for arrive-by searches
+   * @private
+   * @param {number} serviceDayStart - Timestamp (ms) of the service day's midnight
+   * @returns {Promise<Object|null>} Reversed timetable, or null if stop_times are unavailable
+   */
+  async _getReverseTimetable(serviceDayStart) {
+    const timetable = await this._getTimetable(serviceDayStart);
+    if (!timetable) {
+      return null;
+    }
+
+    const cached = this._timetables.get(formatGTFSDate(serviceDayStart));
+    if (!cached.reverse) {
+      cached.reverse = reverseTimetable(timetable);
+    }
+
+    return cached.reverse;
+  }
+
+  /**
+   * Find transit journeys between the stops near the origin and destination
+   * Every stop is a possible start or end, offset by its walk, so a farther
+   * stop wins when its route gets there sooner. Repeats the RAPTOR search,
+   * leaving just after the last moment that catches each previous first
+   * boarding (or arriving just before each previous arrival for arrive-by
+   * queries), to collect several distinct options
+   * @private
+   * @param {Map} accessStops - Boarding stop_id -> {stop, walk} near the origin
+   * @param {Map} egressStops - Boarding stop_id -> {stop, walk} near the destination
+   * @param {Object} query - {serviceDayStart, arriveBy, time, maxResults, live, restriction}
+   *   time is seconds since service day start: leave-at, or arrive-by when arriveBy is set;
+   *   live is the result of _getLiveDelays, or null to search the schedule;
+   *   restriction is the result of _getStepFreeRestriction, or null for any trip
+   * @returns {Promise<Array>} Array of RAPTOR journeys
+   */
+  async _findTransitRoutes(accessStops, egressStops, query) {
+    const { serviceDayStart, arriveBy, time, maxResults, live = null, restriction = null } = query;
+    const walkSeconds = (stopsWithinWalk, stopId) =>
+      stopsWithinWalk.get(stopId).walk.duration * 60;
+
+    try {
+      let timetable;
+      if (restriction || (live && live.delays.size > 0)) {
+        // Delays and outages change while the day's timetable does not, so
+        // the adjusted timetable is not cached
+        timetable = await this._getTimetable(serviceDayStart);
+        if (timetable && restriction) {
+          timetable = restrictTimetable(timetable, restriction);
+        }
+        if (timetable && live) {
+          timetable = applyTripDelays(timetable, live.delays, live);
+        }
+        if (timetable && arriveBy) {
+          timetable = reverseTimetable(timetable);
+        }
+      } else {
+        timetable = arriveBy
+          ? await this._getReverseTimetable(serviceDayStart)
+          : await this._getTimetable(serviceDayStart);
+      }
+      if (!timetable) {
+        console.warn('⚠️ StopTimes not available - cannot plan trips without the timetable');
+        return [];
       }
 
-      // Option 2: Transfer routes (if no direct route or we want alternatives)
-      if (directRoutes.length === 0 || options.length < 2) {
-        const transferOptions = this._findTransferRoutes(
-          originRoutes,
-          destRoutes,
-          originStop,
-          destStop
-        );
-        options.push(...transferOptions);
+      const originIds = [...accessStops.keys()];
+      const destIds = [...egressStops.keys()];
+      const journeys = [];
+      const seen = new Set();
+      // Time the rider leaves the origin, or must reach the destination by
+      let searchTime = time;
+
+      for (let search = 0; search < maxResults && journeys.length < maxResults; search++) {
+        const results = arriveBy
+          ? raptorSearchArriveBy(timetable, {
+              origins: originIds.map((stopId) => ({
+                stopId,
+                walkSeconds: walkSeconds(accessStops, stopId),
+              })),
+              destinations: destIds.map((stopId) => ({
+                stopId,
+                time: searchTime - walkSeconds(egressStops, stopId),
+              })),
+            })
+          : raptorSearch(timetable, {
+              sources: originIds.map((stopId) => ({
+                stopId,
+                time: searchTime + walkSeconds(accessStops, stopId),
+              })),
+              targets: destIds.map((stopId) => ({
+                stopId,
+                walkSeconds: walkSeconds(egressStops, stopId),
+              })),
+            });
+        if (results.length === 0) break;
+
+        results.forEach((journey) => {
+          // Runs of a headway-based trip share a trip id, so include the departure
+          const key = journey.legs
+            .map((leg) => (leg.tripId ? `${leg.tripId}@${leg.departureTime}` : leg.toStopId))
+            .join('>');
+          if (!seen.has(key) && this._isTransferPossible(journey)) {
+            seen.add(key);
+            journeys.push(journey);
+          }
+        });
+
+        searchTime = arriveBy
+          ? Math.max(
+              ...results.map(
+                (journey) => journey.arrivalTime + walkSeconds(egressStops, journey.targetStopId)
+              )
+            ) - 60
+          : Math.min(
+              ...results.map(
+                (journey) => journey.departureTime - walkSeconds(accessStops, journey.originStopId)
+              )
+            ) + 60;
       }
 
-      return options;
+      return journeys.slice(0, maxResults);
     } catch (error) {
       console.error('Error finding transit routes:', error);
       return [];
@@ -350,107 +991,135 @@ class TripRoutingService {
   }
 
   /**
-   * Find routes with transfers
+   * Get the transfers.txt rule for changing from one transit leg to the next
    * @private
    */
-  _findTransferRoutes(originRoutes, destRoutes, originStop, destStop) {
-    const options = [];
-    
-    // Simple transfer logic: find a common stop between routes
-    // In production, this would use actual route shapes and stop sequences
-    if (originRoutes.length > 0 && destRoutes.length > 0) {
-      const route1 = originRoutes[0];
-      const route2 = destRoutes[0];
-      
-      const route1Reliability = reliabilityService.getRouteReliability(route1.route_id) || {
-        reliability: 'medium',
-        onTimePerformance: 0.7,
-        averageDelayMinutes: 5,
-      };
-      const route2Reliability = reliabilityService.getRouteReliability(route2.route_id) || {
-        reliability: 'medium',
-        onTimePerformance: 0.7,
-        averageDelayMinutes: 5,
-      };
+  _getTransferRule(fromLeg, toLeg) {
+    return metroService.getTransfer(fromLeg.toStopId, toLeg.fromStopId, {
+      fromRouteId: fromLeg.routeId,
+      toRouteId: toLeg.routeId,
+      fromTripId: fromLeg.tripId,
+      toTripId: toLeg.tripId,
+    });
+  }
+
+  /**
+   * Check a journey against route- and trip-specific transfers.txt rules
+   * The search only applies rules between stops, so a journey can still use
+   * a transfer the feed marks as not possible for its routes or trips.
+   * @private
+   */
+  _isTransferPossible(journey) {
+    const transitLegs = journey.legs.filter((leg) => leg.type === 'transit');
+    return transitLegs.every(
+      (leg, i) =>
+        i === 0 ||
+        this._getTransferRule(transitLegs[i - 1], leg)?.transferType !==
+          TRANSFER_TYPES.NOT_POSSIBLE
+    );
+  }
+
+  /**
+   * Describe the change between two transit legs for transfer-risk scoring
+   * @private
+   * @returns {Object} {transferType, walkingMinutes} where walkingMinutes is the
+   *   feed's minimum transfer time, or the walk between the stops (at least the
+   *   default change time)
+   */
+  _describeTransfer(fromLeg, toLeg) {
+    const rule = this._getTransferRule(fromLeg, toLeg);
+    const transferType = rule ? rule.transferType : TRANSFER_TYPES.RECOMMENDED;
+    if (transferType === TRANSFER_TYPES.TIMED) {
+      return { transferType, walkingMinutes: 0 };
+    }
+    if (transferType === TRANSFER_TYPES.MINIMUM_TIME && rule.minTransferSeconds !== null) {
+      return { transferType, walkingMinutes: rule.minTransferSeconds / 60 };
+    }
 
-      const leg1Duration = 20;
-      const leg2Duration = 15;
-      const transferTime = 5;
-      const totalDuration = leg1Duration + transferTime + leg2Duration;
+    const fromStop = metroService.getStopById(fromLeg.toStopId);
+    const toStop = metroService.getStopById(toLeg.fromStopId);
+    let walkingMinutes = DEFAULT_MIN_TRANSFER_SECONDS / 60;
+    if (fromStop && toStop && fromStop.stop_id !== toStop.stop_id) {
+      const walk = this.calculateWalkingLeg(
+        parseFloat(fromStop.stop_lat),
+        parseFloat(fromStop.stop_lon),
+        parseFloat(toStop.stop_lat),
+        parseFloat(toStop.stop_lon)
+      );
+      walkingMinutes = Math.max(walk.duration, walkingMinutes);
+    }
+    return { transferType, walkingMinutes };
+  }
 
-      // Calculate transfer risk
-      const firstArrival = {
-        routeId: route1.route_id,
-        predictedArrivalTime: Date.now() + (5 + leg1Duration) * 60000,
-        scheduledArrivalTime: Date.now() + (5 + leg1Duration) * 60000,
+  /**
+   * Convert RAPTOR journey legs into itinerary legs
+   * @private
+   * @param {Object} journey - Journey from raptorSearch
+   * @param {number} serviceDayStart - Timestamp (ms) of the service day's midnight
+   * @returns {Array} Transit and transfer walking legs; transit legs after the
+   *   first carry the transfer onto them ({transferType, walkingMinutes}). Legs on
+   *   trips with a live delay have realtime: true, and their start and end times
+   *   are the predicted ones
+   */
+  _buildJourneyLegs(journey, serviceDayStart) {
+    let previousTransitLeg = null;
+    return journey.legs.map((leg) => {
+      const fromStop = metroService.getStopById(leg.fromStopId) || { stop_id: leg.fromStopId };
+      const toStop = metroService.getStopById(leg.toStopId) || { stop_id: leg.toStopId };
+      const startTime = fromServiceSeconds(serviceDayStart, leg.departureTime);
+      const endTime = fromServiceSeconds(serviceDayStart, leg.arrivalTime);
+      const from = {
+        lat: fromStop.stop_lat || fromStop.lat,
+        lon: fromStop.stop_lon || fromStop.lon,
+        name: fromStop.stop_name || fromStop.name,
       };
-      const secondDeparture = {
-        scheduledDepartureTime: Date.now() + (5 + leg1Duration + transferTime) * 60000,
+      const to = {
+        lat: toStop.stop_lat || toStop.lat,
+        lon: toStop.stop_lon || toStop.lon,
+        name: toStop.stop_name || toStop.name,
       };
 
-      const transferRisk = reliabilityService.calculateTransferRisk(
-        firstArrival,
-        secondDeparture,
-        2
-      );
-
-      options.push({
-        duration: totalDuration,
-        waitTime: 5,
-        legs: [
-            {
-              mode: 'BUS',
-              routeId: route1.route_id,
-              routeShortName: route1.route_short_name,
-              routeLongName: route1.route_long_name,
-              headsign: 'Transfer Point',
-              duration: leg1Duration,
-              reliability: route1Reliability,
-              fromStop: originStop,
-              toStop: originStop, // Simplified: use origin stop as transfer point
-              from: {
-                lat: originStop.stop_lat || originStop.lat,
-                lon: originStop.stop_lon || originStop.lon,
-                name: originStop.stop_name || originStop.name,
-              },
-              to: {
-                lat: originStop.stop_lat || originStop.lat,
-                lon: originStop.stop_lon || originStop.lon,
-                name: originStop.stop_name || originStop.name,
-              },
-            },
-            {
-              mode: 'BUS',
-              routeId: route2.route_id,
-              routeShortName: route2.route_short_name,
-              routeLongName: route2.route_long_name,
-              headsign: destStop.stop_name || 'Destination',
-              duration: leg2Duration,
-              reliability: route2Reliability,
-              fromStop: originStop, // Simplified: use origin stop as transfer point
-              toStop: destStop,
-              from: {
-                lat: originStop.stop_lat || originStop.lat,
-                lon: originStop.stop_lon || originStop.lon,
-                name: originStop.stop_name || originStop.name,
-              },
-              to: {
-                lat: destStop.stop_lat || destStop.lat,
-                lon: destStop.stop_lon || destStop.lon,
-                name: destStop.stop_name || destStop.name,
-              },
-            },
-        ],
-        reliability: route1Reliability.reliability === 'high' && route2Reliability.reliability === 'high' 
-          ? 'high' 
-          : route1Reliability.reliability === 'low' || route2Reliability.reliability === 'low'
-          ? 'low'
-          : 'medium',
-        transferRisks: [transferRisk],
-      });
-    }
+      if (leg.type === 'walk') {
+        const walk = this.calculateWalkingLeg(from.lat, from.lon, to.lat, to.lon);
+        return {
+          ...walk,
+          duration: Math.ceil((leg.arrivalTime - leg.departureTime) / 60),
+          startTime,
+          endTime,
+          from,
+          to,
+        };
+      }
 
-    return options;
+      const route = metroService.getRouteById(leg.routeId) || {};
+      const transfer = previousTransitLeg ? this._describeTransfer(previousTransitLeg, leg) : null;
+      previousTransitLeg = leg;
+      const realtime = leg.delaySeconds !== undefined;
+      const delayMs = realtime ? leg.delaySeconds * 1000 : 0;
+      return {
+        mode: route.route_type === '3' ? 'BUS' : 'TRANSIT',
+        routeId: leg.routeId,
+        routeShortName: route.route_short_name,
+        routeLongName: route.route_long_name,
+        routeType: route.route_type,
+        tripId: leg.tripId,
+        headsign: leg.headsign || toStop.stop_name || 'Destination',
+        duration: Math.round((leg.arrivalTime - leg.departureTime) / 60),
+        startTime,
+        endTime,
+        scheduledStartTime: startTime - delayMs,
+        scheduledEndTime: endTime - delayMs,
+        realtime,
+        delayMinutes: realtime ? Math.round(leg.delaySeconds / 60) : null,
+        stopCount: leg.stopIds.length - 1,
+        reliability: reliabilityService.getRouteReliability(gtfsToObaRouteId(leg.routeId)),
+        transfer,
+        fromStop,
+        toStop,
+        from,
+        to,
+      };
+    });
   }
 }
 
@@ -0,0 +1,75 @@
+/**
+ * Test file for GTFS time utilities
+ * Service days start at noon minus 12 hours in America/Los_Angeles; times
+ * below are UTC instants so the results do not depend on the machine's timezone
+ */
+
+import {
+  getServiceDayStart,
+  toServiceSeconds,
+  fromServiceSeconds,
+  formatGTFSDate,
+  parseGTFSDate,
+  parseGTFSTime,
+  getServiceWeekday,
+} from '../gtfsTime';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('gtfsTime', () => {
+  it('should start an ordinary service day at midnight in Seattle', () => {
+    // 2026-10-19 08:00 PDT
+    const now = Date.UTC(2026, 9, 19, 15);
+
+    expect(getServiceDayStart(now)).toBe(Date.UTC(2026, 9, 19, 7));
+    expect(toServiceSeconds(now)).toBe(8 * 3600);
+    expect(formatGTFSDate(now)).toBe('20261019');
+    expect(parseGTFSDate('20261019').getTime()).toBe(Date.UTC(2026, 9, 19, 7));
+  });
+
+  it('should start the spring-forward service day at 23:00 the evening before', () => {
+    // Clocks go from 02:00 PST to 03:00 PDT on 2026-03-08; noon PDT minus 12h is 23:00 PST
+    const dayStart = getServiceDayStart(Date.UTC(2026, 2, 8, 18));
+
+    expect(dayStart).toBe(Date.UTC(2026, 2, 8, 7));
+    expect(parseGTFSDate('20260308').getTime()).toBe(dayStart);
+    expect(formatGTFSDate(dayStart)).toBe('20260308');
+    // "08:00:00" is 08:00 PDT, not 09:00
+    expect(fromServiceSeconds(dayStart, parseGTFSTime('08:00:00'))).toBe(Date.UTC(2026, 2, 8, 15));
+    expect(toServiceSeconds(Date.UTC(2026, 2, 8, 15))).toBe(8 * 3600);
+
+    // 22:30 PST on the 7th is still the 7th's service day
+    expect(formatGTFSDate(Date.UTC(2026, 2, 8, 6, 30))).toBe('20260307');
+  });
+
+  it('should start the fall-back service day at 01:00', () => {
+    // Clocks go from 02:00 PDT back to 01:00 PST on 2026-11-01; noon PST minus 12h is 01:00 PDT
+    const dayStart = getServiceDayStart(Date.UTC(2026, 10, 1, 20));
+
+    expect(dayStart).toBe(Date.UTC(2026, 10, 1, 8));
+    expect(formatGTFSDate(dayStart)).toBe('20261101');
+    // "08:00:00" is 08:00 PST, not 07:00
+    expect(fromServiceSeconds(dayStart, parseGTFSTime('08:00:00'))).toBe(
+      Date.UTC(2026, 10, 1, 16)
+    );
+
+    // 00:30 PDT on the 1st is "24:30:00" on October 31st
+    const lateNight = Date.UTC(2026, 10, 1, 7, 30);
+    expect(formatGTFSDate(lateNight)).toBe('20261031');
+    expect(toServiceSeconds(lateNight)).toBe(24.5 * 3600);
+  });
+
+  it('should step back to the previous service day across a clock change', () => {
+    const dayStart = getServiceDayStart(Date.UTC(2026, 2, 9, 12));
+    const previousDay = getServiceDayStart(dayStart - 12 * HOUR);
+
+    expect(formatGTFSDate(previousDay)).toBe('20260308');
+    expect(dayStart - previousDay).toBe(24 * HOUR);
+    expect(formatGTFSDate(getServiceDayStart(previousDay - 12 * HOUR))).toBe('20260307');
+  });
+
+  it('should read the weekday from the service date', () => {
+    expect(getServiceWeekday('20260308')).toBe(0);
+    expect(getServiceWeekday('20261019')).toBe(1);
+  });
+});
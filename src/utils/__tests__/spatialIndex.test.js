@@ -0,0 +1,82 @@
+/**
+ * Test file for the spatial index
+ * Compares radius, k-nearest and bounding-box queries with a full scan
+ */
+
+import { createSpatialIndex } from '../spatialIndex';
+
+// Deterministic pseudo-random stops around downtown Seattle
+const createStops = (count) => {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 16807) % 2147483647;
+    return seed / 2147483647;
+  };
+  return Array.from({ length: count }, (_, i) => ({
+    stop_id: `1_${i}`,
+    stop_lat: String(47.5 + random() * 0.3),
+    stop_lon: String(-122.45 + random() * 0.3),
+  }));
+};
+
+const distanceTo = (lat, lon) => (stop) => {
+  const φ1 = (lat * Math.PI) / 180;
+  const φ2 = (parseFloat(stop.stop_lat) * Math.PI) / 180;
+  const Δφ = φ2 - φ1;
+  const Δλ = ((parseFloat(stop.stop_lon) - lon) * Math.PI) / 180;
+  const a = Math.sin(Δφ / 2) ** 2 + Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) ** 2;
+  return 6371e3 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+describe('createSpatialIndex', () => {
+  const stops = createStops(2000);
+  const index = createSpatialIndex(stops);
+  const lat = 47.6062;
+  const lon = -122.3321;
+  const distance = distanceTo(lat, lon);
+  const byDistance = [...stops].sort((a, b) => distance(a) - distance(b));
+
+  it('finds the same stops as a full scan within a radius', () => {
+    const expected = byDistance.filter((stop) => distance(stop) <= 800);
+    const results = index.withinRadius(lat, lon, 800);
+    expect(results.map(({ item }) => item.stop_id)).toEqual(expected.map((stop) => stop.stop_id));
+    expect(results[0].distance).toBeCloseTo(distance(expected[0]), 6);
+  });
+
+  it('finds the k nearest stops', () => {
+    const results = index.nearest(lat, lon, 5);
+    expect(results.map(({ item }) => item.stop_id)).toEqual(
+      byDistance.slice(0, 5).map((stop) => stop.stop_id)
+    );
+  });
+
+  it('respects the maximum distance for nearest stops', () => {
+    expect(index.nearest(47.0, -121.0, 1, 1000)).toEqual([]);
+    // Without a limit the closest stop is found even far outside the data
+    expect(index.nearest(47.0, -121.0, 1)).toHaveLength(1);
+  });
+
+  it('finds stops inside a bounding box', () => {
+    const bounds = { minLat: 47.6, maxLat: 47.62, minLon: -122.35, maxLon: -122.32 };
+    const expected = stops.filter((stop) => {
+      const stopLat = parseFloat(stop.stop_lat);
+      const stopLon = parseFloat(stop.stop_lon);
+      return (
+        stopLat >= bounds.minLat &&
+        stopLat <= bounds.maxLat &&
+        stopLon >= bounds.minLon &&
+        stopLon <= bounds.maxLon
+      );
+    });
+    const ids = (list) => list.map((stop) => stop.stop_id).sort();
+    expect(ids(index.inBounds(bounds))).toEqual(ids(expected));
+  });
+
+  it('skips stops without coordinates', () => {
+    const partial = createSpatialIndex([
+      { stop_id: 'a', stop_lat: '', stop_lon: '' },
+      ...stops.slice(0, 3),
+    ]);
+    expect(partial.size).toBe(3);
+  });
+});
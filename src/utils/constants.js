@@ -15,9 +15,16 @@ export const STORAGE_KEYS = {
   GTFS_ROUTES: '@wayfare_gtfs_routes',
   GTFS_STOPS: '@wayfare_gtfs_stops',
   GTFS_TRIPS: '@wayfare_gtfs_trips',
-  GTFS_STOP_TIMES: '@wayfare_gtfs_stop_times',
+  GTFS_STOP_TIMES: '@wayfare_gtfs_stop_times', // Legacy blob, now kept in gtfsStore
+  GTFS_CALENDAR: '@wayfare_gtfs_calendar',
+  GTFS_CALENDAR_DATES: '@wayfare_gtfs_calendar_dates',
+  GTFS_SHAPES: '@wayfare_gtfs_shapes', // Legacy blob, now kept in gtfsStore
+  GTFS_TRANSFERS: '@wayfare_gtfs_transfers',
+  GTFS_FREQUENCIES: '@wayfare_gtfs_frequencies',
   GTFS_VERSION: '@wayfare_gtfs_version',
   GTFS_DOWNLOAD_DATE: '@wayfare_gtfs_download_date',
+  GTFS_FEEDS: '@wayfare_gtfs_feeds', // feed id -> metadata of the stored copy
+  GTFS_CHANGE_REPORT: '@wayfare_gtfs_change_report',
 
   // Reliability data
   RELIABILITY_SCORES: '@wayfare_reliability',
@@ -46,6 +53,27 @@ export const TRANSFER_RISK_THRESHOLDS = {
   dangerous: 3, // < 3 min buffer = high risk
 };
 
+// GTFS transfers.txt transfer_type values
+export const TRANSFER_TYPES = {
+  RECOMMENDED: 0,
+  TIMED: 1, // The departing vehicle waits for the arriving one
+  MINIMUM_TIME: 2, // Needs at least min_transfer_time seconds
+  NOT_POSSIBLE: 3,
+  IN_SEAT: 4, // Stay on the same vehicle (GTFS extension)
+  IN_SEAT_NOT_ALLOWED: 5,
+};
+
+// Limits for step-free trips (see TripRoutingService.planTrip)
+// maxSlopePercent is the steepest grade of any 50 m stretch walked to, from
+// or between stops; 8.33% (1:12) is the steepest ADA ramp
+export const ACCESSIBILITY_PROFILES = {
+  wheelchair: {
+    label: 'Wheelchair accessible',
+    maxWalkingDistance: 400, // meters
+    maxSlopePercent: 8.33,
+  },
+};
+
 // Delay Categories
 export const DELAY_CATEGORIES = {
   onTime: { min: -5, max: 5, label: 'On Time', color: '#10B981' },
@@ -66,8 +94,47 @@ export const UPDATE_INTERVALS = {
 export const GTFS_URLS = {
   METRO_MAIN: 'https://metro.kingcounty.gov/GTFS/google_transit.zip',
   METRO_DAILY: 'https://metro.kingcounty.gov/GTFS/google_daily_transit.zip',
+  SOUND_TRANSIT: 'https://www.soundtransit.org/GTFS-rail/40_gtfs.zip',
+  COMMUNITY_TRANSIT: 'https://www.communitytransit.org/docs/default-source/open-data/gtfs/current.zip',
+  PIERCE_TRANSIT: 'https://www.soundtransit.org/GTFS-PT/gtfs.zip',
+  WASHINGTON_STATE_FERRIES: 'https://gtfs.wsdot.wa.gov/wsf/google_transit.zip',
 };
 
+// GTFS feeds loaded side by side
+// agencyId is the OneBusAway agency prefix; every id from a feed is stored
+// as "<agencyId>_<id>" so ids never collide and match OneBusAway ids.
+// The King County Water Taxi is part of the King County Metro feed.
+export const GTFS_FEEDS = [
+  { id: 'kcm', agencyId: '1', name: 'King County Metro', url: GTFS_URLS.METRO_MAIN, enabled: true },
+  { id: 'st', agencyId: '40', name: 'Sound Transit', url: GTFS_URLS.SOUND_TRANSIT, enabled: true },
+  {
+    id: 'ct',
+    agencyId: '29',
+    name: 'Community Transit',
+    url: GTFS_URLS.COMMUNITY_TRANSIT,
+    enabled: true,
+  },
+  { id: 'pt', agencyId: '3', name: 'Pierce Transit', url: GTFS_URLS.PIERCE_TRANSIT, enabled: true },
+  {
+    id: 'wsf',
+    agencyId: '95',
+    name: 'Washington State Ferries',
+    url: GTFS_URLS.WASHINGTON_STATE_FERRIES,
+    enabled: true,
+  },
+];
+
+// Prebuilt GTFS bundle (scripts/build-gtfs-bundle.mjs). When set, the app
+// downloads it instead of parsing each feed's zip on the device
+export const GTFS_BUNDLE_URL = null;
+
+// Feed used for bare ids that carry no agency prefix
+export const DEFAULT_GTFS_FEED = GTFS_FEEDS[0];
+
+// agency_timezone of every feed above; GTFS times and service dates are read
+// in this zone whatever the device's own timezone is
+export const AGENCY_TIMEZONE = 'America/Los_Angeles';
+
 // API Base URLs
 export const API_BASE_URLS = {
   ONEBUSAWAY: 'https://api.pugetsound.onebusaway.org/api/where',
@@ -77,6 +144,7 @@ export const API_BASE_URLS = {
 // Cache Duration (milliseconds)
 export const CACHE_DURATION = {
   gtfs_data: 7 * 24 * 60 * 60 * 1000, // 7 days
+  gtfs_check: 24 * 60 * 60 * 1000, // 1 day between conditional feed checks
   arrivals: 30 * 1000, // 30 seconds
   alerts: 2 * 60 * 1000, // 2 minutes
   reliability: 30 * 24 * 60 * 60 * 1000, // 30 days
@@ -0,0 +1,193 @@
+/**
+ * GTFS Time Utilities
+ * Converts between GTFS "HH:MM:SS" times, YYYYMMDD service dates, and timestamps
+ *
+ * GTFS times are measured from the start of the service day and may exceed
+ * 24:00:00 for trips that run past midnight (e.g., "25:10:00"). Service
+ * days and dates are read in the agency timezone, not the device's.
+ */
+
+import { AGENCY_TIMEZONE } from './constants';
+
+export const SECONDS_PER_DAY = 24 * 60 * 60;
+
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+
+// Intl formatters are costly to build, so one is kept per timezone
+const zonedFormats = new Map();
+
+/**
+ * Parse a GTFS time string into seconds since the start of the service day
+ * @param {string} value - GTFS time (e.g., "07:45:00" or "25:10:00")
+ * @returns {number|null} Seconds since service day start, or null if blank/invalid
+ */
+export function parseGTFSTime(value) {
+  if (!value) return null;
+  const parts = String(value).trim().split(':');
+  if (parts.length < 2) return null;
+
+  const hours = parseInt(parts[0], 10);
+  const minutes = parseInt(parts[1], 10);
+  const seconds = parts.length > 2 ? parseInt(parts[2], 10) : 0;
+  if (isNaN(hours) || isNaN(minutes) || isNaN(seconds)) return null;
+
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Format seconds since service day start as a GTFS time string
+ * @param {number} seconds - Seconds since service day start
+ * @returns {string} GTFS time (e.g., "25:10:00")
+ */
+export function formatGTFSTime(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  return [hours, minutes, secs].map((n) => String(n).padStart(2, '0')).join(':');
+}
+
+/**
+ * Get the wall-clock date and time of a timestamp in a timezone
+ * @private
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} {year, month, day, hour, minute, second}
+ */
+function getZonedParts(timestamp, timeZone) {
+  let format = zonedFormats.get(timeZone);
+  if (!format) {
+    format = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    });
+    zonedFormats.set(timeZone, format);
+  }
+
+  const parts = {};
+  format.formatToParts(timestamp).forEach(({ type, value }) => {
+    if (type !== 'literal') {
+      parts[type] = Number(value);
+    }
+  });
+  return parts;
+}
+
+/**
+ * Get how far a timezone's wall clock is ahead of UTC at a timestamp
+ * @private
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (negative west of UTC)
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+  const { year, month, day, hour, minute, second } = getZonedParts(timestamp, timeZone);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+/**
+ * Get the start of a service date: noon in the agency timezone minus 12 hours
+ * @private
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month (may overflow into the next or previous month)
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Timestamp (ms) of the service day start
+ */
+function getDateStart(year, month, day, timeZone) {
+  const noonUTC = Date.UTC(year, month - 1, day, 12);
+  const guess = noonUTC - getTimeZoneOffset(noonUTC, timeZone);
+  return noonUTC - getTimeZoneOffset(guess, timeZone) - HALF_DAY_MS;
+}
+
+/**
+ * Get the start of the service day a time falls in
+ * GTFS measures times from noon minus 12 hours in the agency timezone. That
+ * is midnight except on days the clocks change, when it is 23:00 the evening
+ * before (spring forward) or 01:00 (fall back). A time belongs to the latest
+ * service day that has started by then.
+ * @param {Date|number} date - Date object or timestamp
+ * @param {string} timeZone - Agency timezone (defaults to AGENCY_TIMEZONE)
+ * @returns {number} Timestamp (ms) of the service day start
+ */
+export function getServiceDayStart(date, timeZone = AGENCY_TIMEZONE) {
+  const timestamp = new Date(date).getTime();
+  const { year, month, day } = getZonedParts(timestamp, timeZone);
+
+  const nextStart = getDateStart(year, month, day + 1, timeZone);
+  if (nextStart <= timestamp) {
+    return nextStart;
+  }
+  const start = getDateStart(year, month, day, timeZone);
+  return start <= timestamp ? start : getDateStart(year, month, day - 1, timeZone);
+}
+
+/**
+ * Convert a timestamp into seconds since the start of its service day
+ * @param {Date|number} date - Date object or timestamp
+ * @param {string} timeZone - Agency timezone (defaults to AGENCY_TIMEZONE)
+ * @returns {number} Seconds since the service day start
+ */
+export function toServiceSeconds(date, timeZone = AGENCY_TIMEZONE) {
+  const timestamp = date instanceof Date ? date.getTime() : date;
+  return Math.floor((timestamp - getServiceDayStart(timestamp, timeZone)) / 1000);
+}
+
+/**
+ * Convert seconds on a service day into a timestamp
+ * @param {number} serviceDayStart - Timestamp (ms) from getServiceDayStart
+ * @param {number} seconds - Seconds since service day start
+ * @returns {number} Timestamp in milliseconds
+ */
+export function fromServiceSeconds(serviceDayStart, seconds) {
+  return serviceDayStart + seconds * 1000;
+}
+
+/**
+ * Format the service date a time falls in as a GTFS service date string
+ * @param {Date|number} date - Date object or timestamp
+ * @param {string} timeZone - Agency timezone (defaults to AGENCY_TIMEZONE)
+ * @returns {string} Service date in YYYYMMDD format
+ */
+export function formatGTFSDate(date, timeZone = AGENCY_TIMEZONE) {
+  const noon = getServiceDayStart(date, timeZone) + HALF_DAY_MS;
+  const { year, month, day } = getZonedParts(noon, timeZone);
+  return [
+    String(year),
+    String(month).padStart(2, '0'),
+    String(day).padStart(2, '0'),
+  ].join('');
+}
+
+/**
+ * Parse a GTFS YYYYMMDD service date
+ * @param {string} value - Service date (e.g., "20261019")
+ * @param {string} timeZone - Agency timezone (defaults to AGENCY_TIMEZONE)
+ * @returns {Date|null} Start of that service day, or null if blank/invalid
+ */
+export function parseGTFSDate(value, timeZone = AGENCY_TIMEZONE) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return null;
+  }
+  return new Date(getDateStart(Number(match[1]), Number(match[2]), Number(match[3]), timeZone));
+}
+
+/**
+ * Get the day of the week of a GTFS service date
+ * @param {string} serviceDate - Service date in YYYYMMDD format
+ * @returns {number} Day of the week (0 = Sunday)
+ */
+export function getServiceWeekday(serviceDate) {
+  const year = Number(serviceDate.slice(0, 4));
+  const month = Number(serviceDate.slice(4, 6));
+  const day = Number(serviceDate.slice(6, 8));
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
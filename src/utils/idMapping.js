@@ -1,18 +1,57 @@
 /**
  * ID Mapping Utilities
- * Converts between GTFS format and OneBusAway format
- * 
- * GTFS format: "100275" (numeric route ID)
- * OneBusAway format: "1_100275" (agency prefix + route ID)
+ * Converts between raw feed ids and OneBusAway format
+ *
+ * Raw feed id: "100275" (as written in the agency's GTFS files and alerts)
+ * OneBusAway format: "1_100275" (agency prefix + raw id)
+ *
+ * Ids loaded through the GTFS feed registry are already namespaced with the
+ * feed's agency prefix, so they are OneBusAway ids as well. Raw ids exist
+ * nowhere in the loaded data; they are only useful for matching sources that
+ * use them, such as Sound Transit alerts.
  */
 
+import { GTFS_FEEDS, DEFAULT_GTFS_FEED } from './constants';
+
+/**
+ * Namespace a raw id from a GTFS feed with its agency prefix
+ * Unlike gtfsToObaRouteId, always adds the prefix: raw feed ids may contain "_"
+ * @param {string} agencyId - Agency prefix of the feed (e.g., "40")
+ * @param {string} id - Raw id from the feed
+ * @returns {string|null} Namespaced id (e.g., "40_100479")
+ */
+export function namespaceGtfsId(agencyId, id) {
+  if (id === undefined || id === null || id === '') return null;
+  return `${agencyId}_${id}`;
+}
+
+/**
+ * Get the agency prefix of a namespaced id
+ * @param {string} id - Namespaced id (e.g., "40_100479")
+ * @returns {string} Agency id, or the default feed's agency for bare ids
+ */
+export function getAgencyIdFromId(id) {
+  if (!id || !String(id).includes('_')) return DEFAULT_GTFS_FEED.agencyId;
+  return String(id).split('_')[0];
+}
+
+/**
+ * Get the registered GTFS feed an id belongs to
+ * @param {string} id - Namespaced id
+ * @returns {Object|null} Feed from GTFS_FEEDS, or null for unknown agencies
+ */
+export function getFeedForId(id) {
+  const agencyId = getAgencyIdFromId(id);
+  return GTFS_FEEDS.find((feed) => feed.agencyId === agencyId) || null;
+}
+
 /**
  * Convert GTFS route ID to OneBusAway format
- * @param {string} gtfsRouteId - GTFS route ID (e.g., "100275")
- * @param {string} agencyId - Agency ID (default: "1" for King County Metro)
+ * @param {string} gtfsRouteId - Raw or namespaced route ID (e.g., "100275")
+ * @param {string} agencyId - Agency ID for bare ids (default: the default feed's agency)
  * @returns {string} OneBusAway format ID (e.g., "1_100275")
  */
-export function gtfsToObaRouteId(gtfsRouteId, agencyId = '1') {
+export function gtfsToObaRouteId(gtfsRouteId, agencyId = DEFAULT_GTFS_FEED.agencyId) {
   if (!gtfsRouteId) return null;
   // If already in OBA format, return as-is
   if (gtfsRouteId.includes('_')) return gtfsRouteId;
@@ -20,13 +59,14 @@ export function gtfsToObaRouteId(gtfsRouteId, agencyId = '1') {
 }
 
 /**
- * Convert OneBusAway route ID to GTFS format
+ * Convert OneBusAway route ID to the feed's raw route ID
+ * Not for looking up loaded routes, whose ids keep the prefix.
  * @param {string} obaRouteId - OneBusAway route ID (e.g., "1_100275")
- * @returns {string} GTFS format ID (e.g., "100275")
+ * @returns {string} Raw route ID (e.g., "100275")
  */
 export function obaToGtfsRouteId(obaRouteId) {
   if (!obaRouteId) return null;
-  // If already in GTFS format, return as-is
+  // If already a raw id, return as-is
   if (!obaRouteId.includes('_')) return obaRouteId;
   return obaRouteId.split('_').slice(1).join('_');
 }
@@ -34,10 +74,10 @@ export function obaToGtfsRouteId(obaRouteId) {
 /**
  * Convert GTFS stop ID to OneBusAway format
  * @param {string} gtfsStopId - GTFS stop ID (may already have prefix)
- * @param {string} agencyId - Agency ID (default: "1")
+ * @param {string} agencyId - Agency ID for bare ids (default: the default feed's agency)
  * @returns {string} OneBusAway format ID
  */
-export function gtfsToObaStopId(gtfsStopId, agencyId = '1') {
+export function gtfsToObaStopId(gtfsStopId, agencyId = DEFAULT_GTFS_FEED.agencyId) {
   if (!gtfsStopId) return null;
   // If already in OBA format, return as-is
   if (gtfsStopId.includes('_')) return gtfsStopId;
@@ -45,36 +85,37 @@ export function gtfsToObaStopId(gtfsStopId, agencyId = '1') {
 }
 
 /**
- * Convert OneBusAway stop ID to GTFS format
+ * Convert OneBusAway stop ID to the feed's raw stop ID
+ * Not for looking up loaded stops, whose ids keep the prefix.
  * @param {string} obaStopId - OneBusAway stop ID (e.g., "1_75403")
- * @returns {string} GTFS format ID
+ * @returns {string} Raw stop ID (e.g., "75403")
  */
 export function obaToGtfsStopId(obaStopId) {
   if (!obaStopId) return null;
-  // If already in GTFS format, return as-is
+  // If already a raw id, return as-is
   if (!obaStopId.includes('_')) return obaStopId;
   return obaStopId.split('_').slice(1).join('_');
 }
 
 /**
  * Find GTFS route by OneBusAway route ID
+ * Loaded route ids are namespaced, so the OneBusAway id is used as-is.
  * @param {Object} metroService - MetroGTFSService instance
  * @param {string} obaRouteId - OneBusAway route ID
  * @returns {Object|null} Route object or null
  */
 export function findRouteByObaId(metroService, obaRouteId) {
-  const gtfsRouteId = obaToGtfsRouteId(obaRouteId);
-  return metroService.getRouteById(gtfsRouteId);
+  return metroService.getRouteById(obaRouteId);
 }
 
 /**
  * Find GTFS stop by OneBusAway stop ID
+ * Loaded stop ids are namespaced, so the OneBusAway id is used as-is.
  * @param {Object} metroService - MetroGTFSService instance
  * @param {string} obaStopId - OneBusAway stop ID
  * @returns {Object|null} Stop object or null
  */
 export function findStopByObaId(metroService, obaStopId) {
-  const gtfsStopId = obaToGtfsStopId(obaStopId);
-  return metroService.getStopById(gtfsStopId);
+  return metroService.getStopById(obaStopId);
 }
 
@@ -6,6 +6,7 @@
 
 import * as Notifications from 'expo-notifications';
 import { Platform } from 'react-native';
+import { format } from 'date-fns';
 
 /**
  * Setup notifications - request permissions and configure behavior
@@ -154,6 +155,41 @@ export async function sendTransferRiskNotification(firstRoute, secondRoute, buff
   }
 }
 
+/**
+ * Send re-planning notification for an active trip
+ * @param {Object} problem - Problem found by the active trip monitor ({type, message})
+ * @param {Object|null} alternative - Best alternative itinerary, if one was found
+ */
+export async function sendReplanNotification(problem, alternative = null) {
+  try {
+    const nextStep = alternative
+      ? `New option arrives at ${format(new Date(alternative.endTime), 'h:mm a')}.`
+      : 'No alternative found yet.';
+    const body = `${problem.message} ${nextStep}`;
+    const channel = problem.type === 'no_service' ? 'delays' : 'transfers';
+
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: problem.type === 'no_service' ? '🚧 Service Disruption' : '🔀 Trip Update',
+        body: body,
+        data: {
+          type: 'replan',
+          problemType: problem.type,
+          legIndex: problem.legIndex,
+          alternativeId: alternative?.id || null,
+        },
+        sound: true,
+      },
+      trigger: null, // Send immediately
+      channelId: Platform.OS === 'android' ? channel : undefined,
+    });
+
+    console.log(`📢 Re-planning notification sent: ${problem.type}`);
+  } catch (error) {
+    console.error('❌ Error sending re-planning notification:', error);
+  }
+}
+
 /**
  * Send "when to leave" reminder notification
  * @param {Object} commute - Saved commute object
@@ -0,0 +1,120 @@
+/**
+ * Polyline Utilities
+ * Compact storage and slicing of GTFS shape geometry
+ *
+ * Shapes are stored with the Encoded Polyline Algorithm Format (precision 5,
+ * about 1 meter), which is several times smaller than raw shapes.txt rows.
+ */
+
+const PRECISION = 1e5;
+
+/**
+ * Encode a single signed value
+ * @private
+ */
+function encodeValue(value) {
+  let shifted = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+  while (shifted >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (shifted & 0x1f)) + 63);
+    shifted >>= 5;
+  }
+  return encoded + String.fromCharCode(shifted + 63);
+}
+
+/**
+ * Encode a list of points as a polyline string
+ * @param {Array} points - Array of [lat, lon] pairs
+ * @returns {string} Encoded polyline
+ */
+export function encodePolyline(points) {
+  let previousLat = 0;
+  let previousLon = 0;
+  let encoded = '';
+
+  (points || []).forEach(([lat, lon]) => {
+    const roundedLat = Math.round(lat * PRECISION);
+    const roundedLon = Math.round(lon * PRECISION);
+    encoded += encodeValue(roundedLat - previousLat) + encodeValue(roundedLon - previousLon);
+    previousLat = roundedLat;
+    previousLon = roundedLon;
+  });
+
+  return encoded;
+}
+
+/**
+ * Decode a polyline string into map coordinates
+ * @param {string} encoded - Encoded polyline
+ * @returns {Array} Array of {latitude, longitude}
+ */
+export function decodePolyline(encoded) {
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (encoded && index < encoded.length) {
+    lat += decodeValue();
+    lon += decodeValue();
+    coordinates.push({ latitude: lat / PRECISION, longitude: lon / PRECISION });
+  }
+
+  return coordinates;
+}
+
+/**
+ * Find the index of the shape point closest to a coordinate
+ * @private
+ */
+function closestPointIndex(coordinates, target, startIndex = 0) {
+  // Scale longitude so distances are roughly metric at Seattle's latitude
+  const lonScale = Math.cos((target.latitude * Math.PI) / 180);
+  let bestIndex = startIndex;
+  let bestDistance = Infinity;
+
+  for (let i = startIndex; i < coordinates.length; i++) {
+    const dLat = coordinates[i].latitude - target.latitude;
+    const dLon = (coordinates[i].longitude - target.longitude) * lonScale;
+    const distance = dLat * dLat + dLon * dLon;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      bestIndex = i;
+    }
+  }
+
+  return bestIndex;
+}
+
+/**
+ * Cut a shape between two stops
+ * The alighting point is searched after the boarding point, so loop routes
+ * that pass near the same place twice are cut in the right direction.
+ * @param {Array} coordinates - Shape as {latitude, longitude} points
+ * @param {Object} from - Boarding stop {latitude, longitude}
+ * @param {Object} to - Alighting stop {latitude, longitude}
+ * @returns {Array} Shape section from the boarding to the alighting stop
+ */
+export function sliceShapeBetween(coordinates, from, to) {
+  if (!coordinates || coordinates.length < 2) {
+    return [from, to];
+  }
+
+  const startIndex = closestPointIndex(coordinates, from);
+  const endIndex = closestPointIndex(coordinates, to, startIndex);
+
+  // Start and end exactly at the stops so the line meets the markers
+  return [from, ...coordinates.slice(startIndex, endIndex + 1), to];
+}
@@ -0,0 +1,207 @@
+/**
+ * Spatial Index
+ * Grid index for nearby-stop queries
+ *
+ * Points are bucketed into square cells of roughly equal size in meters, so a
+ * query only measures the points in the few cells around it instead of every
+ * stop in every feed.
+ */
+
+const EARTH_RADIUS_METERS = 6371e3;
+const METERS_PER_DEGREE_LAT = 111320;
+
+// Cell edge length; about the size of a typical nearby-stops radius
+export const DEFAULT_CELL_SIZE_METERS = 250;
+
+/**
+ * Great-circle distance between two coordinates
+ * Same formula as LocationService.calculateDistance, for modules that should
+ * not load expo-location
+ * @returns {number} Distance in meters
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const φ1 = (lat1 * Math.PI) / 180;
+  const φ2 = (lat2 * Math.PI) / 180;
+  const Δφ = ((lat2 - lat1) * Math.PI) / 180;
+  const Δλ = ((lon2 - lon1) * Math.PI) / 180;
+
+  const a =
+    Math.sin(Δφ / 2) * Math.sin(Δφ / 2) +
+    Math.cos(φ1) * Math.cos(φ2) * Math.sin(Δλ / 2) * Math.sin(Δλ / 2);
+  return EARTH_RADIUS_METERS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Read a GTFS stop's coordinates, also accepting {lat, lon} objects
+ * @private
+ */
+function stopCoordinates(stop) {
+  return {
+    lat: parseFloat(stop.stop_lat ?? stop.lat),
+    lon: parseFloat(stop.stop_lon ?? stop.lon),
+  };
+}
+
+/**
+ * Create a spatial index over a list of points
+ * Points without valid coordinates are left out.
+ * @param {Array} items - Items to index, GTFS stops by default
+ * @param {Object} options - Index options
+ * @param {Function} options.getCoordinates - item => {lat, lon} (default: stop_lat/stop_lon)
+ * @param {number} options.cellSizeMeters - Grid cell size (default: 250 m)
+ * @returns {Object} Index with withinRadius, nearest, inBounds and size
+ */
+export function createSpatialIndex(items, options = {}) {
+  const { getCoordinates = stopCoordinates, cellSizeMeters = DEFAULT_CELL_SIZE_METERS } = options;
+
+  const entries = [];
+  (items || []).forEach((item) => {
+    const { lat, lon } = getCoordinates(item);
+    if (!isNaN(lat) && !isNaN(lon)) {
+      entries.push({ item, lat, lon });
+    }
+  });
+
+  // Longitude cells are widened by the mean latitude so cells stay roughly square
+  const meanLat = entries.length
+    ? entries.reduce((sum, entry) => sum + entry.lat, 0) / entries.length
+    : 0;
+  const latStep = cellSizeMeters / METERS_PER_DEGREE_LAT;
+  const lonStep = latStep / Math.max(Math.cos((meanLat * Math.PI) / 180), 0.01);
+
+  const cells = new Map(); // "row:col" -> entries
+  const rowOf = (lat) => Math.floor(lat / latStep);
+  const colOf = (lon) => Math.floor(lon / lonStep);
+  const extent = { minRow: Infinity, maxRow: -Infinity, minCol: Infinity, maxCol: -Infinity };
+  entries.forEach((entry) => {
+    const row = rowOf(entry.lat);
+    const col = colOf(entry.lon);
+    const key = `${row}:${col}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(entry);
+    extent.minRow = Math.min(extent.minRow, row);
+    extent.maxRow = Math.max(extent.maxRow, row);
+    extent.minCol = Math.min(extent.minCol, col);
+    extent.maxCol = Math.max(extent.maxCol, col);
+  });
+
+  // Visit every entry in the cells between two rows and two columns
+  // Ranges are clipped to the occupied cells so large boxes stay cheap
+  const forEachInCells = (minRow, maxRow, minCol, maxCol, callback) => {
+    const lastRow = Math.min(maxRow, extent.maxRow);
+    const lastCol = Math.min(maxCol, extent.maxCol);
+    for (let row = Math.max(minRow, extent.minRow); row <= lastRow; row++) {
+      for (let col = Math.max(minCol, extent.minCol); col <= lastCol; col++) {
+        const cell = cells.get(`${row}:${col}`);
+        if (cell) cell.forEach(callback);
+      }
+    }
+  };
+
+  /**
+   * Find items within a radius, closest first
+   * @param {number} lat - Center latitude
+   * @param {number} lon - Center longitude
+   * @param {number} radiusMeters - Search radius in meters
+   * @returns {Array} [{item, distance}] sorted by distance in meters
+   */
+  const withinRadius = (lat, lon, radiusMeters) => {
+    const latRadius = radiusMeters / METERS_PER_DEGREE_LAT;
+    const lonRadius = latRadius * (lonStep / latStep);
+    const results = [];
+    forEachInCells(
+      rowOf(lat - latRadius),
+      rowOf(lat + latRadius),
+      colOf(lon - lonRadius),
+      colOf(lon + lonRadius),
+      (entry) => {
+        const distance = haversineDistance(lat, lon, entry.lat, entry.lon);
+        if (distance <= radiusMeters) {
+          results.push({ item: entry.item, distance });
+        }
+      }
+    );
+    return results.sort((a, b) => a.distance - b.distance);
+  };
+
+  /**
+   * Find the k nearest items
+   * Searches rings of cells outward until no closer item can remain.
+   * @param {number} lat - Center latitude
+   * @param {number} lon - Center longitude
+   * @param {number} k - Number of items to return (default: 1)
+   * @param {number} maxDistanceMeters - Ignore items farther than this (default: no limit)
+   * @returns {Array} [{item, distance}] sorted by distance in meters
+   */
+  const nearest = (lat, lon, k = 1, maxDistanceMeters = Infinity) => {
+    if (entries.length === 0 || k <= 0) {
+      return [];
+    }
+
+    const centerRow = rowOf(lat);
+    const centerCol = colOf(lon);
+    // Past this ring every occupied cell has been visited
+    const lastRing = Math.max(
+      centerRow - extent.minRow,
+      extent.maxRow - centerRow,
+      centerCol - extent.minCol,
+      extent.maxCol - centerCol
+    );
+    const maxRing = Math.min(Math.ceil(maxDistanceMeters / cellSizeMeters) + 1, lastRing);
+
+    const found = [];
+    for (let ring = 0; ring <= maxRing; ring++) {
+      const visit = (entry) => {
+        const distance = haversineDistance(lat, lon, entry.lat, entry.lon);
+        if (distance <= maxDistanceMeters) {
+          found.push({ item: entry.item, distance });
+        }
+      };
+      if (ring === 0) {
+        forEachInCells(centerRow, centerRow, centerCol, centerCol, visit);
+      } else {
+        const top = centerRow - ring;
+        const bottom = centerRow + ring;
+        const left = centerCol - ring;
+        const right = centerCol + ring;
+        // Top and bottom rows of the ring, then the left and right columns
+        forEachInCells(top, top, left, right, visit);
+        forEachInCells(bottom, bottom, left, right, visit);
+        forEachInCells(top + 1, bottom - 1, left, left, visit);
+        forEachInCells(top + 1, bottom - 1, right, right, visit);
+      }
+
+      // Items outside the searched square are at least `ring` cells away
+      if (found.length >= k) {
+        found.sort((a, b) => a.distance - b.distance);
+        if (found[k - 1].distance <= ring * cellSizeMeters) {
+          break;
+        }
+      }
+    }
+
+    return found.sort((a, b) => a.distance - b.distance).slice(0, k);
+  };
+
+  /**
+   * Find items inside a bounding box
+   * @param {Object} bounds - {minLat, maxLat, minLon, maxLon}
+   * @returns {Array} Items inside the box, in no particular order
+   */
+  const inBounds = ({ minLat, maxLat, minLon, maxLon }) => {
+    const results = [];
+    forEachInCells(rowOf(minLat), rowOf(maxLat), colOf(minLon), colOf(maxLon), (entry) => {
+      if (
+        entry.lat >= minLat &&
+        entry.lat <= maxLat &&
+        entry.lon >= minLon &&
+        entry.lon <= maxLon
+      ) {
+        results.push(entry.item);
+      }
+    });
+    return results;
+  };
+
+  return { withinRadius, nearest, inBounds, size: entries.length };
+}
@@ -116,12 +116,36 @@ export async function setGTFSTrips(trips) {
   return setStorageItem(STORAGE_KEYS.GTFS_TRIPS, trips);
 }
 
-export async function getGTFSStopTimes() {
-  return getStorageItem(STORAGE_KEYS.GTFS_STOP_TIMES);
+export async function getGTFSCalendar() {
+  return getStorageItem(STORAGE_KEYS.GTFS_CALENDAR);
 }
 
-export async function setGTFSStopTimes(stopTimes) {
-  return setStorageItem(STORAGE_KEYS.GTFS_STOP_TIMES, stopTimes);
+export async function setGTFSCalendar(calendar) {
+  return setStorageItem(STORAGE_KEYS.GTFS_CALENDAR, calendar);
+}
+
+export async function getGTFSCalendarDates() {
+  return getStorageItem(STORAGE_KEYS.GTFS_CALENDAR_DATES);
+}
+
+export async function setGTFSCalendarDates(calendarDates) {
+  return setStorageItem(STORAGE_KEYS.GTFS_CALENDAR_DATES, calendarDates);
+}
+
+export async function getGTFSTransfers() {
+  return getStorageItem(STORAGE_KEYS.GTFS_TRANSFERS);
+}
+
+export async function setGTFSTransfers(transfers) {
+  return setStorageItem(STORAGE_KEYS.GTFS_TRANSFERS, transfers);
+}
+
+export async function getGTFSFrequencies() {
+  return getStorageItem(STORAGE_KEYS.GTFS_FREQUENCIES);
+}
+
+export async function setGTFSFrequencies(frequencies) {
+  return setStorageItem(STORAGE_KEYS.GTFS_FREQUENCIES, frequencies);
 }
 
 export async function getGTFSVersion() {
@@ -132,6 +156,22 @@ export async function setGTFSVersion(version) {
   return setStorageItem(STORAGE_KEYS.GTFS_VERSION, version);
 }
 
+export async function getGTFSFeeds() {
+  return getStorageItem(STORAGE_KEYS.GTFS_FEEDS);
+}
+
+export async function setGTFSFeeds(feeds) {
+  return setStorageItem(STORAGE_KEYS.GTFS_FEEDS, feeds);
+}
+
+export async function getGTFSChangeReport() {
+  return getStorageItem(STORAGE_KEYS.GTFS_CHANGE_REPORT);
+}
+
+export async function setGTFSChangeReport(report) {
+  return setStorageItem(STORAGE_KEYS.GTFS_CHANGE_REPORT, report);
+}
+
 export async function getGTFSDownloadDate() {
   return getStorageItem(STORAGE_KEYS.GTFS_DOWNLOAD_DATE);
 }
@@ -175,3 +215,13 @@ export async function getSavedCommute(commuteId) {
   return commutes.find((c) => c.id === commuteId) || null;
 }
 
+// User preferences storage helpers
+export async function getUserPreferences() {
+  const preferences = await getStorageItem(STORAGE_KEYS.USER_PREFERENCES);
+  return preferences && typeof preferences === 'object' ? preferences : {};
+}
+
+export async function updateUserPreferences(updates) {
+  const preferences = await getUserPreferences();
+  return setStorageItem(STORAGE_KEYS.USER_PREFERENCES, { ...preferences, ...updates });
+}